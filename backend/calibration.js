@@ -0,0 +1,101 @@
+// Sensor calibration
+// A calibration turns the raw number a sensor sends into the value that is stored and alerted on.
+// Probes that send ADC counts or millivolts (pH, ORP) use two-point or lookup-table calibration,
+// probes that are just a little off use an offset. The raw value is kept next to the result.
+//
+// Calibration: { type: 'offset', offset }
+//              { type: 'linear', scale, offset }           value = raw * scale + offset
+//              { type: 'two_point', points: [{ raw, actual }, { raw, actual }] }
+//              { type: 'table', points: [{ raw, actual }, ...] }  interpolated between points
+
+export const CALIBRATION_TYPES = ['offset', 'linear', 'two_point', 'table']
+export const MAX_TABLE_POINTS = 20
+
+const MAX_MAGNITUDE = 1000000
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null
+  const num = Number(value)
+  return Number.isFinite(num) && Math.abs(num) <= MAX_MAGNITUDE ? num : null
+}
+
+// Validate reference points, returns them sorted by raw value, or { error }
+function validatePoints(points, min, max) {
+  if (!Array.isArray(points) || points.length < min || points.length > max) {
+    return { error: min === max ? `Calibration needs ${min} points` : `Calibration needs ${min} to ${max} points` }
+  }
+
+  const parsed = []
+  for (const point of points) {
+    const raw = toNumber(point?.raw)
+    const actual = toNumber(point?.actual)
+    if (raw === null || actual === null) return { error: 'Every point needs a raw and a reference value' }
+    parsed.push({ raw, actual })
+  }
+
+  parsed.sort((a, b) => a.raw - b.raw)
+  if (parsed.some((p, i) => i > 0 && p.raw === parsed[i - 1].raw)) {
+    return { error: 'Two points have the same raw value' }
+  }
+  return { points: parsed }
+}
+
+// Validate a calibration from a request body, null or type 'none' removes it
+// Returns { calibration } (null for none) or { error }
+export function validateCalibration(body) {
+  if (body === null || body === undefined || body.type === 'none') return { calibration: null }
+  if (typeof body !== 'object' || !CALIBRATION_TYPES.includes(body.type)) return { error: 'Invalid calibration type' }
+
+  if (body.type === 'offset' || body.type === 'linear') {
+    const offset = toNumber(body.offset ?? 0)
+    const scale = body.type === 'linear' ? toNumber(body.scale) : 1
+    if (offset === null) return { error: 'Offset must be a number' }
+    if (scale === null || scale === 0) return { error: 'Scale must be a number other than 0' }
+    return { calibration: body.type === 'offset' ? { type: 'offset', offset } : { type: 'linear', scale, offset } }
+  }
+
+  const result = body.type === 'two_point'
+    ? validatePoints(body.points, 2, 2)
+    : validatePoints(body.points, 2, MAX_TABLE_POINTS)
+  if (result.error) return result
+  return { calibration: { type: body.type, points: result.points } }
+}
+
+// Linear interpolation through two points, also used beyond them
+function interpolate(a, b, raw) {
+  return a.actual + (raw - a.raw) * (b.actual - a.actual) / (b.raw - a.raw)
+}
+
+// Apply a calibration to a raw value, rounded to 4 decimals so float noise doesn't reach the UI
+export function applyCalibration(calibration, raw) {
+  if (!calibration) return raw
+
+  let value
+  switch (calibration.type) {
+    case 'offset':
+      value = raw + calibration.offset
+      break
+    case 'linear':
+      value = raw * calibration.scale + calibration.offset
+      break
+    default: {
+      // Points are sorted by raw value, readings outside the table follow its first or last segment
+      const points = calibration.points
+      let i = 1
+      while (i < points.length - 1 && raw > points[i].raw) i++
+      value = interpolate(points[i - 1], points[i], raw)
+    }
+  }
+  return Math.round(value * 10000) / 10000
+}
+
+// Short description for the sensor card ("Offset -0.4", "Two-point (7 → 7, 4 → 4)")
+export function describeCalibration(calibration) {
+  if (!calibration) return null
+  switch (calibration.type) {
+    case 'offset': return `Offset ${calibration.offset > 0 ? '+' : ''}${calibration.offset}`
+    case 'linear': return `× ${calibration.scale} ${calibration.offset < 0 ? '−' : '+'} ${Math.abs(calibration.offset)}`
+    case 'two_point': return `Two-point (${calibration.points.map(p => `${p.raw} → ${p.actual}`).join(', ')})`
+    default: return `Lookup table (${calibration.points.length} points)`
+  }
+}
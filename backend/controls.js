@@ -0,0 +1,141 @@
+// Control actions
+// A control action sends an HTTP request to a device on the local network (a relay board, an
+// auto top-off controller) when a sensor enters a state, and an optional stop request when the
+// sensor leaves it again or the action has run for its max run time.
+//
+// Action: { name, sensor_id, trigger_state, method, url, body,
+//           stop_method, stop_url, stop_body, max_run_seconds, cooldown_minutes, max_per_day }
+
+// Sensor states an action can be triggered by, matched against the range state from server.js
+export const CONTROL_TRIGGERS = [
+  { id: 'out_of_range', label: 'Out of Range' },
+  { id: 'low', label: 'Low' },
+  { id: 'high', label: 'High' },
+  { id: 'critical', label: 'Critical' }
+]
+
+export const CONTROL_METHODS = ['GET', 'POST', 'PUT']
+
+export const DEFAULT_MAX_RUN_SECONDS = 300
+export const MAX_RUN_SECONDS = 24 * 60 * 60
+export const MAX_COOLDOWN_MINUTES = 1440
+export const DEFAULT_MAX_PER_DAY = 10
+export const MAX_PER_DAY = 1000
+
+const REQUEST_TIMEOUT_MS = 10000
+const MAX_BODY_LENGTH = 2000
+const TRIGGER_IDS = CONTROL_TRIGGERS.map(t => t.id)
+
+// Relay boards are on the local network, so private addresses are allowed here
+function isHttpUrl(str) {
+  if (typeof str !== 'string' || str.length > 500) return false
+  try {
+    return ['http:', 'https:'].includes(new URL(str).protocol)
+  } catch {
+    return false
+  }
+}
+
+function cleanString(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : ''
+}
+
+function parseInteger(value, min, max, defaultVal) {
+  if (value === undefined || value === null || value === '') return defaultVal
+  const num = Number(value)
+  return Number.isInteger(num) && num >= min && num <= max ? num : undefined
+}
+
+// Validate one request (start or stop) of an action, returns { request } or { error }
+function validateRequest(method, url, body, label) {
+  if (!CONTROL_METHODS.includes(method)) return { error: `Invalid ${label} method` }
+  if (!isHttpUrl(url)) return { error: `${label[0].toUpperCase()}${label.slice(1)} URL must be an http(s) URL` }
+  if (body !== undefined && body !== null && typeof body !== 'string') return { error: `Invalid ${label} body` }
+  if (body && body.length > MAX_BODY_LENGTH) return { error: `The ${label} body can be at most ${MAX_BODY_LENGTH} characters` }
+  return { request: { method, url, body: method === 'GET' ? null : body || null } }
+}
+
+// Validate a control action from a request body merged over the stored action
+// sensorIds are the IDs that exist, returns { action } or { error }
+export function validateControlAction(body, sensorIds) {
+  const name = cleanString(body.name, 100)
+  if (!name) return { error: 'Name is required' }
+  if (!sensorIds.includes(body.sensor_id)) return { error: 'Sensor not found' }
+  if (!TRIGGER_IDS.includes(body.trigger_state)) return { error: 'Invalid trigger' }
+
+  const start = validateRequest(body.method, cleanString(body.url, 500), body.body, 'request')
+  if (start.error) return start
+
+  // The stop request is optional, an action without one is a single request
+  let stop = { request: { method: null, url: null, body: null } }
+  const stopUrl = cleanString(body.stop_url, 500)
+  if (stopUrl) {
+    stop = validateRequest(body.stop_method, stopUrl, body.stop_body, 'stop')
+    if (stop.error) return stop
+  }
+
+  const maxRunSeconds = parseInteger(body.max_run_seconds, 1, MAX_RUN_SECONDS, DEFAULT_MAX_RUN_SECONDS)
+  if (maxRunSeconds === undefined) return { error: `Max run time must be between 1 and ${MAX_RUN_SECONDS} seconds` }
+  const cooldownMinutes = parseInteger(body.cooldown_minutes, 0, MAX_COOLDOWN_MINUTES, 0)
+  if (cooldownMinutes === undefined) return { error: `Cooldown must be between 0 and ${MAX_COOLDOWN_MINUTES} minutes` }
+  const maxPerDay = parseInteger(body.max_per_day, 1, MAX_PER_DAY, DEFAULT_MAX_PER_DAY)
+  if (maxPerDay === undefined) return { error: `Max activations per day must be between 1 and ${MAX_PER_DAY}` }
+
+  return {
+    action: {
+      name,
+      sensor_id: body.sensor_id,
+      trigger_state: body.trigger_state,
+      method: start.request.method,
+      url: start.request.url,
+      body: start.request.body,
+      stop_method: stop.request.method,
+      stop_url: stop.request.url,
+      stop_body: stop.request.body,
+      max_run_seconds: maxRunSeconds,
+      cooldown_minutes: cooldownMinutes,
+      max_per_day: maxPerDay
+    }
+  }
+}
+
+// Whether a sensor's range state ('normal', 'low', 'critical_high', 'alert', ...) matches a trigger
+export function matchesTrigger(trigger, state) {
+  if (!state || state === 'normal') return false
+  switch (trigger) {
+    case 'out_of_range': return true
+    case 'low': return state === 'low' || state === 'critical_low'
+    case 'high': return state === 'high' || state === 'critical_high'
+    case 'critical': return state.startsWith('critical')
+    default: return false
+  }
+}
+
+// Send a start or stop request, never throws
+// Bodies that parse as JSON are sent as JSON, anything else as plain text
+// Returns { success, status, error }
+export async function sendControlRequest({ method, url, body }) {
+  let contentType = 'text/plain'
+  try {
+    JSON.parse(body)
+    contentType = 'application/json'
+  } catch {
+    // Not JSON
+  }
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': contentType } : {},
+      body: body || undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    })
+    if (!response.ok) {
+      const text = await response.text().catch(() => '')
+      return { success: false, status: response.status, error: `HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}` }
+    }
+    return { success: true, status: response.status, error: null }
+  } catch (err) {
+    return { success: false, status: null, error: err.message }
+  }
+}
@@ -2,6 +2,7 @@ import initSqlJs from 'sql.js'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { runMigrations, getSchemaVersion } from './migrate.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -26,183 +27,161 @@ if (fs.existsSync(dbPath)) {
   db = new SQL.Database()
 }
 
-// Create tables
-db.run(`
-  CREATE TABLE IF NOT EXISTS sensors (
-    id TEXT PRIMARY KEY,
-    name TEXT NOT NULL,
-    type TEXT NOT NULL,
-    unit TEXT NOT NULL,
-    color TEXT NOT NULL,
-    icon TEXT NOT NULL,
-    api_key TEXT UNIQUE NOT NULL,
-    min_value REAL,
-    max_value REAL,
-    sensor_type TEXT DEFAULT 'value',
-    alerts_enabled INTEGER DEFAULT 1,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-  )
-`)
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS readings (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    sensor_id TEXT NOT NULL,
-    value REAL NOT NULL,
-    recorded_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (sensor_id) REFERENCES sensors(id) ON DELETE CASCADE
-  )
-`)
-
-db.run(`
-  CREATE INDEX IF NOT EXISTS idx_readings_sensor_time
-  ON readings(sensor_id, recorded_at DESC)
-`)
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS specimens (
-    id TEXT PRIMARY KEY,
-    name TEXT NOT NULL,
-    species TEXT,
-    health TEXT DEFAULT 'good',
-    acquired_at TEXT,
-    notes TEXT,
-    image TEXT,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-  )
-`)
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS specimen_notes (
-    id TEXT PRIMARY KEY,
-    specimen_id TEXT NOT NULL,
-    content TEXT NOT NULL,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (specimen_id) REFERENCES specimens(id) ON DELETE CASCADE
-  )
-`)
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS maintenance_tasks (
-    id TEXT PRIMARY KEY,
-    name TEXT NOT NULL,
-    icon TEXT DEFAULT 'build',
-    interval_days INTEGER DEFAULT 7,
-    show_percentage INTEGER DEFAULT 0,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-  )
-`)
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS maintenance_completions (
-    id TEXT PRIMARY KEY,
-    task_id TEXT NOT NULL,
-    percentage INTEGER,
-    notes TEXT,
-    completed_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (task_id) REFERENCES maintenance_tasks(id) ON DELETE CASCADE
-  )
-`)
-
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS app_settings (
-    key TEXT PRIMARY KEY,
-    value TEXT NOT NULL
-  )
-`)
-
-// Water parameters for manual testing (Alk, Ca, Mg, etc.)
-db.run(`
-  CREATE TABLE IF NOT EXISTS water_parameters (
-    id TEXT PRIMARY KEY,
-    name TEXT NOT NULL,
-    unit TEXT NOT NULL,
-    color TEXT DEFAULT 'cyan',
-    sort_order INTEGER DEFAULT 0,
-    interval_days INTEGER DEFAULT 0,
-    target_value TEXT,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-  )
-`)
-
-db.run(`
-  CREATE TABLE IF NOT EXISTS water_parameter_readings (
-    id TEXT PRIMARY KEY,
-    parameter_id TEXT NOT NULL,
-    value REAL NOT NULL,
-    reading_date TEXT NOT NULL,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (parameter_id) REFERENCES water_parameters(id) ON DELETE CASCADE
-  )
-`)
-
-db.run(`
-  CREATE INDEX IF NOT EXISTS idx_water_param_readings_date
-  ON water_parameter_readings(parameter_id, reading_date DESC)
-`)
-
-// Insert default timezone if not exists
-try {
-  db.run(`INSERT OR IGNORE INTO app_settings (key, value) VALUES ('timezone', 'UTC')`)
-} catch (e) { /* ignore */ }
-
-// Insert default water parameters if none exist
-try {
-  const paramCount = db.exec("SELECT COUNT(*) as count FROM water_parameters")[0]?.values[0][0] || 0
-  if (paramCount === 0) {
-    db.run(`INSERT INTO water_parameters (id, name, unit, color, sort_order) VALUES ('alk', 'Alkalinity', 'dKH', 'cyan', 1)`)
-    db.run(`INSERT INTO water_parameters (id, name, unit, color, sort_order) VALUES ('ca', 'Calcium', 'ppm', 'purple', 2)`)
-    db.run(`INSERT INTO water_parameters (id, name, unit, color, sort_order) VALUES ('mg', 'Magnesium', 'ppm', 'orange', 3)`)
-  }
-} catch (e) { /* ignore */ }
+// Create and upgrade the schema (see migrations/)
+await runMigrations(db)
+
+// Writes are batched: changes mark the database dirty and a debounced flush
+// exports it, so ingestion cost does not grow with every insert
+const SAVE_DEBOUNCE_MS = 1000
+const SAVE_MAX_DELAY_MS = 10000
 
-// Migrations
-try {
-  db.run(`ALTER TABLE sensors ADD COLUMN min_value REAL`)
-} catch (e) { /* column already exists */ }
+// Set while a transaction is open so individual writes don't export mid-transaction
+let inTransaction = false
+let dirty = false
+let dirtySince = null
+let saveTimer = null
 
-try {
-  db.run(`ALTER TABLE sensors ADD COLUMN max_value REAL`)
-} catch (e) { /* column already exists */ }
+// Save database to file atomically (write a temp file, then rename over the old one)
+// so a crash mid-write can never leave a truncated database behind
+function saveDb() {
+  if (saveTimer) {
+    clearTimeout(saveTimer)
+    saveTimer = null
+  }
+  if (!dirty || inTransaction) return
 
-try {
-  db.run(`ALTER TABLE sensors ADD COLUMN sensor_type TEXT DEFAULT 'value'`)
-} catch (e) { /* column already exists */ }
+  const tmpPath = `${dbPath}.tmp`
+  const data = db.export()
+  const fd = fs.openSync(tmpPath, 'w')
+  try {
+    fs.writeSync(fd, Buffer.from(data))
+    fs.fsyncSync(fd)
+  } finally {
+    fs.closeSync(fd)
+  }
+  fs.renameSync(tmpPath, dbPath)
 
-try {
-  db.run(`ALTER TABLE sensors ADD COLUMN float_ok_value INTEGER DEFAULT 1`)
-} catch (e) { /* column already exists */ }
+  dirty = false
+  dirtySince = null
+}
+
+// Mark the database as changed and schedule a flush
+// Keeps pushing the flush back while writes continue, but never past SAVE_MAX_DELAY_MS
+function scheduleSave() {
+  const now = Date.now()
+  if (!dirty) {
+    dirty = true
+    dirtySince = now
+  }
+  if (inTransaction) return
+
+  if (saveTimer) clearTimeout(saveTimer)
+  const delay = Math.max(0, Math.min(SAVE_DEBOUNCE_MS, dirtySince + SAVE_MAX_DELAY_MS - now))
+  saveTimer = setTimeout(() => {
+    try {
+      saveDb()
+    } catch (err) {
+      console.error('Failed to save database:', err.message)
+    }
+  }, delay)
+}
 
-try {
-  db.run(`ALTER TABLE sensors ADD COLUMN alerts_enabled INTEGER DEFAULT 1`)
-} catch (e) { /* column already exists */ }
+// Persist schema changes and migrations from startup
+scheduleSave()
 
-try {
-  db.run(`ALTER TABLE sensors ADD COLUMN last_reading_at TEXT`)
-} catch (e) { /* column already exists */ }
+// Flush pending writes before the process exits
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    try {
+      saveDb()
+    } catch (err) {
+      console.error('Failed to save database on shutdown:', err.message)
+    }
+    process.exit(0)
+  })
+}
 
-try {
-  db.run(`ALTER TABLE sensors ADD COLUMN disabled INTEGER DEFAULT 0`)
-} catch (e) { /* column already exists */ }
+// Identifies JSON backups made by this app
+const BACKUP_FORMAT = 'deep-sea-observatory-backup'
 
-try {
-  db.run(`ALTER TABLE water_parameters ADD COLUMN interval_days INTEGER DEFAULT 0`)
-} catch (e) { /* column already exists */ }
+// List user tables in a database (excluding SQLite's internal tables)
+function getTableNames(database) {
+  const result = database.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+  return (result[0]?.values || []).map(row => row[0])
+}
 
-try {
-  db.run(`ALTER TABLE water_parameters ADD COLUMN target_value TEXT`)
-} catch (e) { /* column already exists */ }
+function getTableRows(database, table) {
+  const rows = []
+  const stmt = database.prepare(`SELECT * FROM ${table}`)
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject())
+  }
+  stmt.free()
+  return rows
+}
 
-// Save database to file
-function saveDb() {
-  const data = db.export()
-  const buffer = Buffer.from(data)
-  fs.writeFileSync(dbPath, buffer)
+// Check a restored database is intact and belongs to this app, then upgrade it to the current schema
+// Closes the database if it is rejected
+async function prepareRestoredDb(candidate) {
+  try {
+    const integrity = candidate.exec('PRAGMA integrity_check')[0]?.values[0][0]
+    if (integrity !== 'ok') {
+      throw new Error('Backup failed the SQLite integrity check')
+    }
+    const tables = getTableNames(candidate)
+    if (!tables.includes('sensors') || !tables.includes('readings')) {
+      throw new Error('Backup is not an observatory database')
+    }
+    await runMigrations(candidate)
+    return candidate
+  } catch (err) {
+    candidate.close()
+    throw err
+  }
 }
 
-// Save periodically and on changes
-setInterval(saveDb, 30000) // Save every 30 seconds
+// Build a database from a JSON backup
+// The schema the backup was taken with is rebuilt first so its rows fit, then upgraded
+async function openJsonBackup(archive) {
+  if (!archive || archive.format !== BACKUP_FORMAT || !Number.isInteger(archive.schema_version) ||
+      typeof archive.tables !== 'object' || archive.tables === null) {
+    throw new Error('Not an observatory JSON backup')
+  }
+
+  const candidate = new SQL.Database()
+  try {
+    await runMigrations(candidate, { upTo: archive.schema_version })
+    if (getSchemaVersion(candidate) < archive.schema_version) {
+      throw new Error('Backup was made by a newer version of the app')
+    }
+
+    candidate.run('BEGIN')
+    for (const table of getTableNames(candidate)) {
+      if (table === 'schema_migrations') continue
+
+      // Drop default rows created by migrations, the backup has its own
+      candidate.run(`DELETE FROM ${table}`)
+
+      const rows = archive.tables[table]
+      if (!Array.isArray(rows)) continue
+      const columns = candidate.exec(`PRAGMA table_info(${table})`)[0].values.map(row => row[1])
+      for (const row of rows) {
+        const rowColumns = columns.filter(column => column in row)
+        if (rowColumns.length === 0) continue
+        candidate.run(
+          `INSERT INTO ${table} (${rowColumns.join(', ')}) VALUES (${rowColumns.map(() => '?').join(', ')})`,
+          rowColumns.map(column => row[column])
+        )
+      }
+    }
+    candidate.run('COMMIT')
+  } catch (err) {
+    candidate.close()
+    throw err
+  }
+
+  return prepareRestoredDb(candidate)
+}
 
 // Wrapper to match better-sqlite3 API
 const dbWrapper = {
@@ -210,7 +189,7 @@ const dbWrapper = {
     return {
       run(...params) {
         db.run(sql, params)
-        saveDb()
+        scheduleSave()
       },
       get(...params) {
         const stmt = db.prepare(sql)
@@ -237,8 +216,73 @@ const dbWrapper = {
   },
   exec(sql) {
     db.run(sql)
+    scheduleSave()
+  },
+  // Run fn atomically (all writes or none) and schedule one save at the end
+  // Nested calls join the outer transaction
+  transaction(fn) {
+    if (inTransaction) return fn()
+    db.run('BEGIN')
+    inTransaction = true
+    try {
+      const result = fn()
+      db.run('COMMIT')
+      return result
+    } catch (err) {
+      db.run('ROLLBACK')
+      throw err
+    } finally {
+      inTransaction = false
+      if (dirty) scheduleSave()
+    }
+  },
+  // Write pending changes to disk now
+  flush() {
     saveDb()
+  },
+  // Get a consistent copy of the whole database as a SQLite file
+  snapshot() {
+    return Buffer.from(db.export())
+  },
+  // Yield a JSON backup of every table piece by piece so it can be streamed
+  // Consume it synchronously so no writes land between tables
+  *jsonBackupChunks() {
+    yield `{"format":${JSON.stringify(BACKUP_FORMAT)},"schema_version":${getSchemaVersion(db)},"created_at":${JSON.stringify(new Date().toISOString())},"tables":{`
+    const tables = getTableNames(db).filter(table => table !== 'schema_migrations')
+    for (const [i, table] of tables.entries()) {
+      yield `${i > 0 ? ',' : ''}${JSON.stringify(table)}:${JSON.stringify(getTableRows(db, table))}`
+    }
+    yield '}}'
+  },
+  // Validate a SQLite or JSON backup and swap it in for the current database
+  // Throws (leaving the current database untouched) if the backup is rejected
+  async restore(buffer) {
+    const isSqlite = buffer.subarray(0, 16).toString('latin1') === 'SQLite format 3\0'
+
+    let candidate
+    if (isSqlite) {
+      candidate = await prepareRestoredDb(new SQL.Database(buffer))
+    } else {
+      let archive
+      try {
+        archive = JSON.parse(buffer.toString('utf8'))
+      } catch (err) {
+        throw new Error('Backup is neither a SQLite database nor a JSON backup')
+      }
+      candidate = await openJsonBackup(archive)
+    }
+
+    const previous = db
+    db = candidate
+    previous.close()
+
+    dirty = true
+    saveDb()
+
+    return isSqlite ? 'sqlite' : 'json'
   }
 }
 
+export { dataDir, dbPath }
+
 export default dbWrapper
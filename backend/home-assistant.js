@@ -0,0 +1,166 @@
+// Home Assistant MQTT discovery
+// Every sensor, maintenance task and water parameter is announced as a Home Assistant entity with a
+// retained config message under the discovery prefix, and its state is published as JSON to a
+// retained state topic under the base topic. Entities are grouped into one device per tank.
+// Publishing happens in server.js over the MQTT bridge's client.
+
+export const DEFAULT_DISCOVERY_PREFIX = 'homeassistant'
+export const DEFAULT_BASE_TOPIC = 'deep-sea-observatory'
+
+const TOPIC_PATTERN = /^[\w-]+(\/[\w-]+)*$/
+const MAX_TOPIC_LENGTH = 100
+
+// Home Assistant device classes for common sensor units, anything else is a plain measurement
+const UNIT_DEVICE_CLASSES = {
+  '°C': 'temperature',
+  '°F': 'temperature',
+  C: 'temperature',
+  F: 'temperature',
+  pH: 'ph',
+  W: 'power',
+  V: 'voltage',
+  mV: 'voltage',
+  A: 'current',
+  L: 'volume',
+  gal: 'volume'
+}
+
+// Validate discovery settings from a request body merged over the stored ones
+// Returns { settings } or { error }
+export function validateHomeAssistantSettings(body, existing) {
+  const settings = { ...existing }
+  if (body.enabled !== undefined) settings.enabled = Boolean(body.enabled)
+
+  for (const key of ['discovery_prefix', 'base_topic']) {
+    if (body[key] === undefined) continue
+    const topic = typeof body[key] === 'string' ? body[key].trim() : ''
+    if (!topic || topic.length > MAX_TOPIC_LENGTH || !TOPIC_PATTERN.test(topic)) {
+      return { error: `${key === 'base_topic' ? 'Base topic' : 'Discovery prefix'} must be letters, numbers, - and _ separated by /` }
+    }
+    settings[key] = topic
+  }
+
+  return { settings }
+}
+
+// Topic the bridge publishes online/offline to, also used as the MQTT last will
+export function getStatusTopic(settings) {
+  return `${settings.base_topic}/status`
+}
+
+// Retained JSON state of one entity, kind is 'sensor', 'task' or 'parameter'
+export function getStateTopic(settings, kind, id) {
+  return `${settings.base_topic}/${kind}/${id}`
+}
+
+// Discovery node ID, so two installations on one broker keep separate entities
+function getNodeId(settings) {
+  return settings.base_topic.replace(/\//g, '_')
+}
+
+function getDevice(tank, settings) {
+  return {
+    identifiers: [`${getNodeId(settings)}_tank_${tank.id}`],
+    name: tank.name,
+    manufacturer: 'Deep Sea Observatory',
+    model: 'Aquarium'
+  }
+}
+
+// The discovery config and topics shared by every entity kind
+function buildEntity(kind, component, row, tank, settings, config) {
+  const objectId = `${kind}_${row.id}`
+  const stateTopic = getStateTopic(settings, kind, row.id)
+
+  return {
+    configTopic: `${settings.discovery_prefix}/${component}/${getNodeId(settings)}/${objectId}/config`,
+    stateTopic,
+    config: {
+      unique_id: `${getNodeId(settings)}_${objectId}`,
+      object_id: `${getNodeId(settings)}_${objectId}`,
+      state_topic: stateTopic,
+      json_attributes_topic: stateTopic,
+      availability: [{ topic: getStatusTopic(settings) }],
+      device: getDevice(tank, settings),
+      ...config
+    }
+  }
+}
+
+// Value sensors become sensors, float switches binary sensors that are on while the switch is in alert
+// Both are unavailable while the sensor is offline
+export function buildSensorEntity(sensor, tank, settings) {
+  const isFloat = sensor.sensor_type === 'float'
+  const entity = buildEntity('sensor', isFloat ? 'binary_sensor' : 'sensor', sensor, tank, settings, isFloat
+    ? {
+        name: sensor.name,
+        device_class: 'problem',
+        value_template: "{{ 'ON' if value_json.state == 'alert' else 'OFF' }}"
+      }
+    : {
+        name: sensor.name,
+        unit_of_measurement: sensor.unit || undefined,
+        device_class: UNIT_DEVICE_CLASSES[sensor.unit] || undefined,
+        state_class: 'measurement',
+        value_template: '{{ value_json.value }}'
+      })
+
+  entity.config.availability.push({
+    topic: entity.stateTopic,
+    value_template: "{{ 'online' if value_json.online else 'offline' }}"
+  })
+  entity.config.availability_mode = 'all'
+  return entity
+}
+
+// Sensor state: latest value, range state ('normal', 'high', 'alert', ...) and whether it reports
+// Timestamps are passed in as ISO strings
+export function buildSensorState({ value, rangeState, isDown, lastReadingAt }) {
+  return {
+    value: value ?? null,
+    state: value === null || value === undefined ? null : rangeState || 'normal',
+    online: !isDown,
+    last_reading_at: lastReadingAt
+  }
+}
+
+// Maintenance tasks are binary sensors that are on while the task is due
+export function buildTaskEntity(task, tank, settings) {
+  return buildEntity('task', 'binary_sensor', task, tank, settings, {
+    name: `${task.name} Due`,
+    device_class: 'problem',
+    icon: 'mdi:wrench-clock',
+    value_template: "{{ 'ON' if value_json.due else 'OFF' }}"
+  })
+}
+
+export function buildTaskState(task, status, lastCompletedAt) {
+  return {
+    due: status.isDue,
+    days_until_due: status.daysUntilDue,
+    interval_days: task.interval_days,
+    last_completed_at: lastCompletedAt
+  }
+}
+
+// Water parameters are sensors holding the latest test result, with the testing schedule as attributes
+export function buildParameterEntity(param, tank, settings) {
+  return buildEntity('parameter', 'sensor', param, tank, settings, {
+    name: param.name,
+    unit_of_measurement: param.unit || undefined,
+    state_class: 'measurement',
+    icon: 'mdi:test-tube',
+    value_template: '{{ value_json.value }}'
+  })
+}
+
+export function buildParameterState(param, lastReading, status) {
+  return {
+    value: lastReading?.value ?? null,
+    tested_on: lastReading?.reading_date ?? null,
+    due: status.isDue,
+    days_until_due: status.daysUntilDue,
+    interval_days: param.interval_days,
+    target: param.target_value
+  }
+}
@@ -0,0 +1,42 @@
+// Prometheus metrics
+// Renders metric families in the Prometheus text exposition format (version 0.0.4), which is all
+// /metrics needs, so there is no client library. The values themselves are collected in server.js.
+//
+// Family: { name, help, type: 'gauge' | 'counter', samples: [{ labels: { name: value }, value }] }
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+function escapeHelp(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+}
+
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatValue(value) {
+  if (typeof value === 'boolean') return value ? '1' : '0'
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN'
+  return String(value)
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+// Render metric families, samples with a null or undefined value are left out
+export function renderMetrics(families) {
+  const lines = []
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${escapeHelp(family.help)}`)
+    lines.push(`# TYPE ${family.name} ${family.type}`)
+    for (const sample of family.samples) {
+      if (sample.value === null || sample.value === undefined) continue
+      lines.push(`${family.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`)
+    }
+  }
+  return lines.join('\n') + '\n'
+}
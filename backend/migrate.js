@@ -0,0 +1,84 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const migrationsDir = path.join(__dirname, 'migrations')
+
+// Migration files are named NNN_description.js and export an up(db) function
+// that receives the raw sql.js database (db.run / db.exec)
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.js$/
+
+// Load migration modules in version order
+async function loadMigrations() {
+  const files = fs.readdirSync(migrationsDir)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+
+  const migrations = []
+  for (const file of files) {
+    const version = parseInt(file.match(MIGRATION_FILE_PATTERN)[1], 10)
+    if (migrations.some(m => m.version === version)) {
+      throw new Error(`Duplicate migration version ${version} (${file})`)
+    }
+    const module = await import(pathToFileURL(path.join(migrationsDir, file)).href)
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration ${file} does not export an up() function`)
+    }
+    migrations.push({ version, name: file.replace(/\.js$/, ''), up: module.up })
+  }
+  return migrations
+}
+
+// Apply every migration not yet recorded in schema_migrations, each in its own transaction
+// Any error rolls that migration back and is rethrown so startup fails
+// upTo stops after that version (used to rebuild the schema a backup was taken with)
+export async function runMigrations(db, { upTo = Infinity } = {}) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  const applied = new Set(
+    (db.exec('SELECT version FROM schema_migrations')[0]?.values || []).map(row => row[0])
+  )
+  const migrations = await loadMigrations()
+
+  // Refuse databases written by a newer version of the app
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0
+  const unknown = [...applied].filter(version => version > latest)
+  if (unknown.length > 0) {
+    throw new Error(`Database has migrations newer than this version of the app (${unknown.join(', ')})`)
+  }
+
+  const pending = migrations.filter(m => !applied.has(m.version) && m.version <= upTo)
+
+  for (const migration of pending) {
+    db.run('BEGIN')
+    try {
+      migration.up(db)
+      db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name])
+      db.run('COMMIT')
+    } catch (err) {
+      db.run('ROLLBACK')
+      throw new Error(`Migration ${migration.name} failed: ${err.message}`)
+    }
+    console.log(`Applied migration ${migration.name}`)
+  }
+
+  if (pending.length === 0) {
+    console.log(`Database schema up to date (${applied.size} migrations applied)`)
+  }
+
+  return pending.map(m => m.name)
+}
+
+// Get the highest migration version applied to a database
+export function getSchemaVersion(db) {
+  return db.exec('SELECT MAX(version) FROM schema_migrations')[0]?.values[0][0] || 0
+}
@@ -0,0 +1,15 @@
+// Float switch settings, offline tracking, disabling sensors and parameter testing intervals
+
+import { addColumnIfMissing } from './helpers.js'
+
+export function up(db) {
+  addColumnIfMissing(db, 'sensors', 'min_value', 'REAL')
+  addColumnIfMissing(db, 'sensors', 'max_value', 'REAL')
+  addColumnIfMissing(db, 'sensors', 'sensor_type', "TEXT DEFAULT 'value'")
+  addColumnIfMissing(db, 'sensors', 'float_ok_value', 'INTEGER DEFAULT 1')
+  addColumnIfMissing(db, 'sensors', 'alerts_enabled', 'INTEGER DEFAULT 1')
+  addColumnIfMissing(db, 'sensors', 'last_reading_at', 'TEXT')
+  addColumnIfMissing(db, 'sensors', 'disabled', 'INTEGER DEFAULT 0')
+  addColumnIfMissing(db, 'water_parameters', 'interval_days', 'INTEGER DEFAULT 0')
+  addColumnIfMissing(db, 'water_parameters', 'target_value', 'TEXT')
+}
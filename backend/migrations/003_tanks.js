@@ -0,0 +1,31 @@
+// Multi-tank support: tanks table, tank_id on scoped tables, default tank for existing rows
+
+import { addColumnIfMissing } from './helpers.js'
+
+export function up(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS tanks (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      volume REAL,
+      notes TEXT,
+      sort_order INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  const tables = ['sensors', 'specimens', 'maintenance_tasks', 'water_parameters']
+  for (const table of tables) {
+    addColumnIfMissing(db, table, 'tank_id', 'TEXT REFERENCES tanks(id)')
+  }
+
+  // Create a default tank and assign any rows from before multi-tank support to it
+  const tankCount = db.exec('SELECT COUNT(*) FROM tanks')[0].values[0][0]
+  if (tankCount === 0) {
+    db.run(`INSERT INTO tanks (id, name, sort_order) VALUES ('main', 'Main Tank', 1)`)
+  }
+  const defaultTankId = db.exec('SELECT id FROM tanks ORDER BY sort_order ASC, created_at ASC LIMIT 1')[0].values[0][0]
+  for (const table of tables) {
+    db.run(`UPDATE ${table} SET tank_id = ? WHERE tank_id IS NULL`, [defaultTankId])
+  }
+}
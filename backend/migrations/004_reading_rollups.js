@@ -0,0 +1,36 @@
+// Hourly and daily reading rollups, kept longer than raw readings (see retention settings)
+// Buckets are UTC: 'YYYY-MM-DD HH:00:00' for hourly, 'YYYY-MM-DD' for daily
+
+export function up(db) {
+  for (const table of ['readings_hourly', 'readings_daily']) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        sensor_id TEXT NOT NULL,
+        bucket TEXT NOT NULL,
+        min_value REAL NOT NULL,
+        max_value REAL NOT NULL,
+        sum_value REAL NOT NULL,
+        count INTEGER NOT NULL,
+        PRIMARY KEY (sensor_id, bucket),
+        FOREIGN KEY (sensor_id) REFERENCES sensors(id) ON DELETE CASCADE
+      )
+    `)
+  }
+
+  // Build rollups from raw readings stored before they existed
+  const hourlyCount = db.exec('SELECT COUNT(*) FROM readings_hourly')[0].values[0][0]
+  if (hourlyCount === 0) {
+    db.run(`
+      INSERT INTO readings_hourly (sensor_id, bucket, min_value, max_value, sum_value, count)
+      SELECT sensor_id, strftime('%Y-%m-%d %H:00:00', recorded_at), MIN(value), MAX(value), SUM(value), COUNT(*)
+      FROM readings
+      GROUP BY sensor_id, strftime('%Y-%m-%d %H:00:00', recorded_at)
+    `)
+    db.run(`
+      INSERT INTO readings_daily (sensor_id, bucket, min_value, max_value, sum_value, count)
+      SELECT sensor_id, strftime('%Y-%m-%d', recorded_at), MIN(value), MAX(value), SUM(value), COUNT(*)
+      FROM readings
+      GROUP BY sensor_id, strftime('%Y-%m-%d', recorded_at)
+    `)
+  }
+}
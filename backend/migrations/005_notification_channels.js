@@ -0,0 +1,43 @@
+// Notification channels with per-category routing
+// Moves the Pushover settings into a Pushover channel
+
+import crypto from 'crypto'
+
+export function up(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS notification_channels (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL,
+      config TEXT NOT NULL DEFAULT '{}',
+      categories TEXT NOT NULL DEFAULT '[]',
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  const getSetting = (key) => db.exec('SELECT value FROM app_settings WHERE key = ?', [key])[0]?.values[0][0]
+
+  const token = getSetting('pushover_token')
+  const user = getSetting('pushover_user')
+  if (token && user) {
+    const categories = []
+    if (getSetting('pushover_alerts') !== '0') categories.push('sensor_alerts', 'sensor_offline')
+    if (getSetting('pushover_maintenance') !== '0') categories.push('maintenance', 'testing')
+    db.run(
+      'INSERT INTO notification_channels (id, name, type, config, categories) VALUES (?, ?, ?, ?, ?)',
+      [crypto.randomUUID(), 'Pushover', 'pushover', JSON.stringify({ token, user }), JSON.stringify(categories)]
+    )
+  }
+
+  // The repeat interval applies to every channel now
+  const repeat = getSetting('pushover_alert_repeat')
+  if (repeat !== undefined) {
+    db.run(`INSERT OR REPLACE INTO app_settings (key, value) VALUES ('alert_repeat_minutes', ?)`, [repeat])
+  }
+
+  db.run(`
+    DELETE FROM app_settings
+    WHERE key IN ('pushover_token', 'pushover_user', 'pushover_alerts', 'pushover_maintenance', 'pushover_alert_repeat')
+  `)
+}
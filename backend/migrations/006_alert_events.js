@@ -0,0 +1,29 @@
+// Alert history: one row per alert transition (opened, repeated, acknowledged, resolved)
+// Rows of one alert share an alert_id; alerts without a 'resolved' row are still active
+// kind is 'range' (reading out of range) or 'offline' (sensor stopped reporting)
+// The history outlives its sensor, so sensor_id has no foreign key and the name and tank are copied
+
+export function up(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS alert_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_id TEXT NOT NULL,
+      sensor_id TEXT NOT NULL,
+      sensor_name TEXT,
+      tank_id TEXT,
+      kind TEXT NOT NULL,
+      event TEXT NOT NULL,
+      value REAL,
+      min_value REAL,
+      max_value REAL,
+      message TEXT,
+      channels_sent INTEGER DEFAULT 0,
+      channels_failed INTEGER DEFAULT 0,
+      notification_error TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+  db.run('CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alert_id)')
+  db.run('CREATE INDEX IF NOT EXISTS idx_alert_events_sensor ON alert_events(sensor_id, id)')
+  db.run('CREATE INDEX IF NOT EXISTS idx_alert_events_tank ON alert_events(tank_id, id)')
+}
@@ -0,0 +1,9 @@
+// Snoozing sensor and maintenance task alerts, and recording why a notification was held back
+
+import { addColumnIfMissing } from './helpers.js'
+
+export function up(db) {
+  addColumnIfMissing(db, 'sensors', 'snoozed_until', 'TEXT')
+  addColumnIfMissing(db, 'maintenance_tasks', 'snoozed_until', 'TEXT')
+  addColumnIfMissing(db, 'alert_events', 'suppressed_by', 'TEXT')
+}
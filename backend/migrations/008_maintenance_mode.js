@@ -0,0 +1,7 @@
+// Maintenance tasks can pause alert notifications (maintenance mode) when they are completed
+
+import { addColumnIfMissing } from './helpers.js'
+
+export function up(db) {
+  addColumnIfMissing(db, 'maintenance_tasks', 'pause_alerts_minutes', 'INTEGER DEFAULT 0')
+}
@@ -0,0 +1,7 @@
+// Per-sensor offline timeout, so slow-reporting sensors aren't permanently flagged as down
+
+import { addColumnIfMissing } from './helpers.js'
+
+export function up(db) {
+  addColumnIfMissing(db, 'sensors', 'offline_timeout_minutes', 'INTEGER DEFAULT 10')
+}
@@ -0,0 +1,13 @@
+// Hysteresis and debounce for range alerts, with the debounced range state kept on the sensor
+
+import { addColumnIfMissing } from './helpers.js'
+
+export function up(db) {
+  addColumnIfMissing(db, 'sensors', 'hysteresis', 'REAL DEFAULT 0')
+  addColumnIfMissing(db, 'sensors', 'debounce_readings', 'INTEGER DEFAULT 0')
+  addColumnIfMissing(db, 'sensors', 'debounce_minutes', 'INTEGER DEFAULT 0')
+  addColumnIfMissing(db, 'sensors', 'range_state', 'TEXT')
+  addColumnIfMissing(db, 'sensors', 'pending_range_state', 'TEXT')
+  addColumnIfMissing(db, 'sensors', 'pending_range_count', 'INTEGER DEFAULT 0')
+  addColumnIfMissing(db, 'sensors', 'pending_range_since', 'TEXT')
+}
@@ -0,0 +1,9 @@
+// Critical threshold tier per sensor (min_value/max_value remain the warning band)
+
+import { addColumnIfMissing } from './helpers.js'
+
+export function up(db) {
+  addColumnIfMissing(db, 'sensors', 'critical_min_value', 'REAL')
+  addColumnIfMissing(db, 'sensors', 'critical_max_value', 'REAL')
+  addColumnIfMissing(db, 'alert_events', 'severity', 'TEXT')
+}
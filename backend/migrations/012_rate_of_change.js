@@ -0,0 +1,8 @@
+// Rate-of-change alert rule per sensor (alert when the value moves too far within a window)
+
+import { addColumnIfMissing } from './helpers.js'
+
+export function up(db) {
+  addColumnIfMissing(db, 'sensors', 'rate_change_limit', 'REAL')
+  addColumnIfMissing(db, 'sensors', 'rate_window_minutes', 'INTEGER DEFAULT 60')
+}
@@ -0,0 +1,23 @@
+// Composite rules: conditions over several sensors combined with AND/OR, with actions
+// conditions and actions are JSON arrays (see rules.js), condition_state holds when each
+// condition started matching so duration conditions survive a restart
+
+export function up(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS rules (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      logic TEXT NOT NULL DEFAULT 'and',
+      conditions TEXT NOT NULL DEFAULT '[]',
+      actions TEXT NOT NULL DEFAULT '[]',
+      enabled INTEGER DEFAULT 1,
+      tank_id TEXT,
+      active INTEGER DEFAULT 0,
+      active_since TEXT,
+      condition_state TEXT NOT NULL DEFAULT '[]',
+      last_triggered_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+  db.run('CREATE INDEX IF NOT EXISTS idx_rules_tank ON rules(tank_id)')
+}
@@ -0,0 +1,45 @@
+// Control actions: HTTP requests to devices (relay boards, auto top-off) triggered by sensor states
+// engaged is set while the trigger state holds so an action starts once per transition,
+// running_since is set while a started action waits for its stop request
+
+export function up(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS control_actions (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      sensor_id TEXT NOT NULL,
+      trigger_state TEXT NOT NULL,
+      method TEXT NOT NULL DEFAULT 'POST',
+      url TEXT NOT NULL,
+      body TEXT,
+      stop_method TEXT,
+      stop_url TEXT,
+      stop_body TEXT,
+      max_run_seconds INTEGER DEFAULT 300,
+      cooldown_minutes INTEGER DEFAULT 0,
+      max_per_day INTEGER DEFAULT 10,
+      enabled INTEGER DEFAULT 1,
+      engaged INTEGER DEFAULT 0,
+      running_since TEXT,
+      last_started_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+  db.run('CREATE INDEX IF NOT EXISTS idx_control_actions_sensor ON control_actions(sensor_id)')
+
+  // request is 'start' or 'stop', outcome is 'sent', 'failed' or 'skipped'
+  // source is what caused it: 'sensor', 'manual' or 'max_run_time'
+  db.run(`
+    CREATE TABLE IF NOT EXISTS control_action_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      action_id TEXT NOT NULL,
+      action_name TEXT NOT NULL,
+      request TEXT NOT NULL,
+      outcome TEXT NOT NULL,
+      source TEXT NOT NULL,
+      detail TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+  db.run('CREATE INDEX IF NOT EXISTS idx_control_action_log_action ON control_action_log(action_id, created_at)')
+}
@@ -0,0 +1,8 @@
+// MQTT topic and JSON value path per sensor, for readings that arrive through the MQTT bridge
+
+import { addColumnIfMissing } from './helpers.js'
+
+export function up(db) {
+  addColumnIfMissing(db, 'sensors', 'mqtt_topic', 'TEXT')
+  addColumnIfMissing(db, 'sensors', 'mqtt_value_path', 'TEXT')
+}
@@ -0,0 +1,8 @@
+// Calibration per sensor (JSON, see calibration.js) and the raw value next to each calibrated reading
+
+import { addColumnIfMissing } from './helpers.js'
+
+export function up(db) {
+  addColumnIfMissing(db, 'sensors', 'calibration', 'TEXT')
+  addColumnIfMissing(db, 'readings', 'raw_value', 'REAL')
+}
@@ -0,0 +1,22 @@
+// Storage unit from the unit catalogue (see units.js) for sensors and water parameters,
+// recognized from the free-text units they already have. The free text is kept as it was written,
+// values in a catalogue unit are shown with the catalogue symbol
+
+import { addColumnIfMissing } from './helpers.js'
+import { inferStorageUnit } from '../units.js'
+
+export function up(db) {
+  addColumnIfMissing(db, 'sensors', 'storage_unit', 'TEXT')
+  addColumnIfMissing(db, 'water_parameters', 'storage_unit', 'TEXT')
+
+  const rows = [
+    ...(db.exec("SELECT 'sensors', id, unit, type || ' ' || name FROM sensors WHERE sensor_type != 'float'")[0]?.values || []),
+    ...(db.exec("SELECT 'water_parameters', id, unit, name FROM water_parameters")[0]?.values || [])
+  ]
+  for (const [table, id, unit, name] of rows) {
+    const storageUnit = inferStorageUnit(unit, name)
+    if (storageUnit) {
+      db.run(`UPDATE ${table} SET storage_unit = ? WHERE id = ?`, [storageUnit, id])
+    }
+  }
+}
@@ -0,0 +1,10 @@
+// Shared helpers for migrations
+
+// Add a column unless it is already there
+// Databases created before the migration runner existed may already have these columns
+export function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.exec(`PRAGMA table_info(${table})`)[0]?.values.map(row => row[1]) || []
+  if (!columns.includes(column)) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+  }
+}
@@ -0,0 +1,117 @@
+// MQTT bridge helpers
+// Sensors can take their readings from an MQTT broker instead of the HTTP endpoints. Each sensor
+// subscribes to a topic (wildcards allowed) and reads either the whole payload as a number or, with
+// a value path, one field of a JSON payload: "ENERGY.Power" reads {"ENERGY": {"Power": 42}}.
+// The client itself lives in server.js, next to the ingestion pipeline it feeds.
+
+const BROKER_PROTOCOLS = ['mqtt:', 'mqtts:', 'ws:', 'wss:']
+const MAX_TOPIC_LENGTH = 200
+const MAX_VALUE_PATH_LENGTH = 100
+const VALUE_PATH_PATTERN = /^[\w-]+(\.[\w-]+)*$/
+
+// Switch states published by Tasmota and ESPHome, so float switches work without a value mapping
+const SWITCH_VALUES = { on: 1, off: 0, true: 1, false: 0 }
+
+function cleanString(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : ''
+}
+
+// Brokers are usually on the local network, so private addresses are allowed here
+function isBrokerUrl(str) {
+  if (typeof str !== 'string' || str.length > 500) return false
+  try {
+    const url = new URL(str)
+    return BROKER_PROTOCOLS.includes(url.protocol) && Boolean(url.hostname)
+  } catch {
+    return false
+  }
+}
+
+// Topic filters may use + for one level and # for the remaining levels
+function isValidTopicFilter(topic) {
+  if (!topic || topic.length > MAX_TOPIC_LENGTH || topic.includes('\0')) return false
+  const levels = topic.split('/')
+  return levels.every((level, i) => {
+    if (level.includes('#')) return level === '#' && i === levels.length - 1
+    if (level.includes('+')) return level === '+'
+    return true
+  })
+}
+
+// Validate broker settings from a request body merged over the stored ones
+// password undefined keeps the stored password, returns { settings } or { error }
+export function validateBrokerSettings(body, existing) {
+  const enabled = body.enabled !== undefined ? Boolean(body.enabled) : existing.enabled
+  const url = body.url !== undefined ? cleanString(body.url, 500) : existing.url
+  if (url && !isBrokerUrl(url)) {
+    return { error: 'Broker URL must start with mqtt://, mqtts://, ws:// or wss://' }
+  }
+  if (enabled && !url) {
+    return { error: 'Broker URL is required' }
+  }
+
+  return {
+    settings: {
+      enabled,
+      url,
+      username: body.username !== undefined ? cleanString(body.username, 200) : existing.username,
+      password: body.password !== undefined ? cleanString(body.password, 200) : existing.password
+    }
+  }
+}
+
+// Validate a sensor's topic and value path, empty values turn MQTT off for the sensor
+// Returns { topic, valuePath } or { error }
+export function validateSensorMqtt(topic, valuePath) {
+  const cleanTopic = cleanString(topic, MAX_TOPIC_LENGTH + 1)
+  const cleanPath = cleanString(valuePath, MAX_VALUE_PATH_LENGTH + 1)
+  if (cleanTopic && !isValidTopicFilter(cleanTopic)) {
+    return { error: 'Invalid MQTT topic' }
+  }
+  if (cleanPath && (cleanPath.length > MAX_VALUE_PATH_LENGTH || !VALUE_PATH_PATTERN.test(cleanPath))) {
+    return { error: 'Value path must be field names separated by dots, e.g. ENERGY.Power' }
+  }
+  return { topic: cleanTopic || null, valuePath: cleanTopic && cleanPath ? cleanPath : null }
+}
+
+// Whether a topic a message arrived on matches a subscription filter
+export function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/')
+  const topicLevels = topic.split('/')
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') return true
+    if (i >= topicLevels.length) return false
+    if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false
+  }
+  return filterLevels.length === topicLevels.length
+}
+
+function toNumber(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  if (typeof value !== 'string') return null
+
+  const text = value.trim().toLowerCase()
+  if (Object.hasOwn(SWITCH_VALUES, text)) return SWITCH_VALUES[text]
+  if (!text) return null
+  const num = Number(text)
+  return Number.isFinite(num) ? num : null
+}
+
+// Read the numeric value from a message payload (a Buffer), null if there is none
+export function extractValue(payload, valuePath) {
+  const text = payload.toString('utf8').trim()
+  if (!valuePath) return toNumber(text)
+
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    return null
+  }
+  for (const key of valuePath.split('.')) {
+    if (data === null || typeof data !== 'object' || !Object.hasOwn(data, key)) return null
+    data = data[key]
+  }
+  return toNumber(data)
+}
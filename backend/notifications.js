@@ -0,0 +1,237 @@
+import nodemailer from 'nodemailer'
+
+// Notification providers
+// Each provider describes its config fields (rendered by the Settings page), validates a config
+// and sends a notification: { title, message, priority (0 normal, 1 high, 2 emergency), category }
+// Adding a provider here makes it available as a channel type
+
+// Alert categories that can be routed to channels
+export const NOTIFICATION_CATEGORIES = [
+  { id: 'sensor_alerts', label: 'Sensor Alerts', description: 'Readings out of range and back to normal' },
+  { id: 'sensor_offline', label: 'Sensor Offline', description: 'Sensors that stop reporting and come back' },
+  { id: 'maintenance', label: 'Maintenance Reminders', description: 'Tasks that are due' },
+  { id: 'testing', label: 'Testing Reminders', description: 'Water parameters due for testing' }
+]
+
+const REQUEST_TIMEOUT_MS = 10000
+
+// Pushover emergency priority re-sends every `retry` seconds until acknowledged or `expire` seconds pass
+const PUSHOVER_DEFAULT_RETRY = 60
+const PUSHOVER_DEFAULT_EXPIRE = 3600
+
+// Self-hosted servers are often on the local network, so private addresses are allowed here
+function isHttpUrl(str) {
+  if (typeof str !== 'string' || str.length > 500) return false
+  try {
+    return ['http:', 'https:'].includes(new URL(str).protocol)
+  } catch {
+    return false
+  }
+}
+
+// Trim a config string, returns '' for anything else
+function cleanString(value, maxLength = 200) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : ''
+}
+
+// POST JSON and throw with the response text if the server rejects it
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  })
+  if (!response.ok) {
+    const text = await response.text().catch(() => '')
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`)
+  }
+  return response
+}
+
+export const providers = {
+  pushover: {
+    label: 'Pushover',
+    fields: [
+      { key: 'token', label: 'API Token (Application Key)', secret: true, required: true },
+      { key: 'user', label: 'User Key', secret: true, required: true },
+      { key: 'retry', label: 'Emergency Retry (seconds)', placeholder: String(PUSHOVER_DEFAULT_RETRY) },
+      { key: 'expire', label: 'Emergency Expire (seconds)', placeholder: String(PUSHOVER_DEFAULT_EXPIRE) }
+    ],
+    validate(config) {
+      const token = cleanString(config.token, 50)
+      const user = cleanString(config.user, 50)
+      if (!token || !user) return { error: 'API token and user key are required' }
+
+      // Pushover requires a retry of at least 30 seconds and an expire of at most 3 hours
+      const retry = cleanString(String(config.retry ?? ''), 10)
+      const expire = cleanString(String(config.expire ?? ''), 10)
+      if (retry && !(Number.isInteger(Number(retry)) && Number(retry) >= 30 && Number(retry) <= 10800)) {
+        return { error: 'Emergency retry must be between 30 and 10800 seconds' }
+      }
+      if (expire && !(Number.isInteger(Number(expire)) && Number(expire) >= 30 && Number(expire) <= 10800)) {
+        return { error: 'Emergency expire must be between 30 and 10800 seconds' }
+      }
+      return { config: { token, user, retry, expire } }
+    },
+    async send(config, notification) {
+      const params = new URLSearchParams({
+        token: config.token,
+        user: config.user,
+        title: notification.title,
+        message: notification.message,
+        priority: String(notification.priority)
+      })
+      if (notification.priority >= 2) {
+        params.set('retry', config.retry || String(PUSHOVER_DEFAULT_RETRY))
+        params.set('expire', config.expire || String(PUSHOVER_DEFAULT_EXPIRE))
+      }
+      const response = await fetch('https://api.pushover.net/1/messages.json', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: params.toString(),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      })
+      const data = await response.json()
+      if (data.status !== 1) {
+        throw new Error(data.errors?.join(', ') || 'Unknown error')
+      }
+    }
+  },
+
+  ntfy: {
+    label: 'ntfy',
+    fields: [
+      { key: 'server', label: 'Server', placeholder: 'https://ntfy.sh' },
+      { key: 'topic', label: 'Topic', required: true },
+      { key: 'token', label: 'Access Token (optional)', secret: true }
+    ],
+    validate(config) {
+      const server = cleanString(config.server) || 'https://ntfy.sh'
+      const topic = cleanString(config.topic, 64)
+      if (!isHttpUrl(server)) return { error: 'Server must be an http(s) URL' }
+      if (!/^[\w-]+$/.test(topic)) return { error: 'Topic may only contain letters, numbers, _ and -' }
+      return { config: { server: server.replace(/\/+$/, ''), topic, token: cleanString(config.token) } }
+    },
+    async send(config, notification) {
+      // JSON publishing (rather than headers) so titles can contain emoji
+      await postJson(config.server, {
+        topic: config.topic,
+        title: notification.title,
+        message: notification.message,
+        priority: notification.priority >= 2 ? 5 : notification.priority > 0 ? 4 : 3,
+        tags: [notification.category]
+      }, config.token ? { Authorization: `Bearer ${config.token}` } : {})
+    }
+  },
+
+  gotify: {
+    label: 'Gotify',
+    fields: [
+      { key: 'server', label: 'Server', placeholder: 'https://gotify.example.com', required: true },
+      { key: 'token', label: 'Application Token', secret: true, required: true }
+    ],
+    validate(config) {
+      const server = cleanString(config.server)
+      const token = cleanString(config.token, 100)
+      if (!isHttpUrl(server)) return { error: 'Server must be an http(s) URL' }
+      if (!token) return { error: 'Application token is required' }
+      return { config: { server: server.replace(/\/+$/, ''), token } }
+    },
+    async send(config, notification) {
+      await postJson(`${config.server}/message`, {
+        title: notification.title,
+        message: notification.message,
+        priority: notification.priority >= 2 ? 10 : notification.priority > 0 ? 8 : 5
+      }, { 'X-Gotify-Key': config.token })
+    }
+  },
+
+  webhook: {
+    label: 'Webhook',
+    fields: [
+      { key: 'url', label: 'URL', placeholder: 'https://example.com/hooks/aquarium', required: true }
+    ],
+    validate(config) {
+      const url = cleanString(config.url, 500)
+      if (!isHttpUrl(url)) return { error: 'URL must be an http(s) URL' }
+      return { config: { url } }
+    },
+    async send(config, notification) {
+      await postJson(config.url, {
+        title: notification.title,
+        message: notification.message,
+        priority: notification.priority,
+        category: notification.category,
+        timestamp: new Date().toISOString()
+      })
+    }
+  },
+
+  smtp: {
+    label: 'Email (SMTP)',
+    fields: [
+      { key: 'host', label: 'SMTP Host', placeholder: 'smtp.example.com', required: true },
+      { key: 'port', label: 'Port', placeholder: '587', type: 'number' },
+      { key: 'secure', label: 'Use TLS (port 465)', type: 'checkbox' },
+      { key: 'username', label: 'Username' },
+      { key: 'password', label: 'Password', secret: true },
+      { key: 'from', label: 'From Address', placeholder: 'aquarium@example.com', required: true },
+      { key: 'to', label: 'To Address', placeholder: 'you@example.com', required: true }
+    ],
+    validate(config) {
+      const host = cleanString(config.host)
+      const port = parseInt(config.port || '587', 10)
+      const from = cleanString(config.from)
+      const to = cleanString(config.to, 500)
+      const isEmail = (str) => /^[^\s@]+@[^\s@]+$/.test(str)
+      if (!/^[\w.-]+$/.test(host)) return { error: 'SMTP host is required' }
+      if (!Number.isInteger(port) || port < 1 || port > 65535) return { error: 'Invalid port' }
+      if (!isEmail(from)) return { error: 'Invalid from address' }
+      if (!to.split(',').every(addr => isEmail(addr.trim()))) return { error: 'Invalid to address' }
+      return {
+        config: {
+          host,
+          port,
+          secure: config.secure === true || config.secure === '1',
+          username: cleanString(config.username),
+          password: typeof config.password === 'string' ? config.password.slice(0, 200) : '',
+          from,
+          to
+        }
+      }
+    },
+    async send(config, notification) {
+      const transport = nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: config.username ? { user: config.username, pass: config.password } : undefined,
+        connectionTimeout: REQUEST_TIMEOUT_MS,
+        greetingTimeout: REQUEST_TIMEOUT_MS,
+        socketTimeout: REQUEST_TIMEOUT_MS
+      })
+      await transport.sendMail({
+        from: config.from,
+        to: config.to,
+        subject: notification.title,
+        text: notification.message,
+        priority: notification.priority > 0 ? 'high' : 'normal'
+      })
+    }
+  }
+}
+
+// Send a notification through one channel, never throws
+export async function sendToChannel(channel, notification) {
+  const provider = providers[channel.type]
+  if (!provider) {
+    return { success: false, error: `Unknown channel type: ${channel.type}` }
+  }
+  try {
+    await provider.send(channel.config, notification)
+    return { success: true }
+  } catch (err) {
+    return { success: false, error: err.message }
+  }
+}
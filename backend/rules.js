@@ -0,0 +1,158 @@
+// Composite rules
+// A rule combines conditions over several sensors with AND/OR logic and runs its actions when the
+// combination starts matching. Each condition can require that it has held for a number of minutes.
+//
+// Condition: { sensor_id, type: 'value', operator, value, for_minutes }
+//            { sensor_id, type: 'state', state, for_minutes }
+// Action:    { type: 'notify', channel_ids, priority }  (empty channel_ids = sensor alert channels)
+//            { type: 'flag', label, level }             (shown on the dashboard while the rule matches)
+
+export const RULE_LOGIC = ['and', 'or']
+
+export const RULE_OPERATORS = ['>', '>=', '<', '<=', '=', '!=']
+
+// Sensor states a condition can test for
+export const RULE_STATES = [
+  { id: 'normal', label: 'Normal' },
+  { id: 'out_of_range', label: 'Out of Range' },
+  { id: 'critical', label: 'Critical' },
+  { id: 'offline', label: 'Offline' }
+]
+
+export const FLAG_LEVELS = ['warning', 'critical']
+
+const MAX_CONDITIONS = 10
+const MAX_ACTIONS = 5
+const MAX_FOR_MINUTES = 1440
+const STATE_IDS = RULE_STATES.map(s => s.id)
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+function cleanString(value, maxLength) {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : ''
+}
+
+function validateCondition(condition, sensorIds) {
+  if (!condition || typeof condition !== 'object') return { error: 'Invalid condition' }
+  if (!sensorIds.includes(condition.sensor_id)) return { error: 'Condition sensor not found' }
+
+  const forMinutes = condition.for_minutes === undefined || condition.for_minutes === null ? 0 : Number(condition.for_minutes)
+  if (!Number.isInteger(forMinutes) || forMinutes < 0 || forMinutes > MAX_FOR_MINUTES) {
+    return { error: `Duration must be between 0 and ${MAX_FOR_MINUTES} minutes` }
+  }
+
+  if (condition.type === 'value') {
+    if (!RULE_OPERATORS.includes(condition.operator)) return { error: 'Invalid condition operator' }
+    const value = Number(condition.value)
+    if (condition.value === '' || condition.value === null || !Number.isFinite(value)) {
+      return { error: 'Condition value must be a number' }
+    }
+    return { condition: { sensor_id: condition.sensor_id, type: 'value', operator: condition.operator, value, for_minutes: forMinutes } }
+  }
+
+  if (condition.type === 'state') {
+    if (!STATE_IDS.includes(condition.state)) return { error: 'Invalid condition state' }
+    return { condition: { sensor_id: condition.sensor_id, type: 'state', state: condition.state, for_minutes: forMinutes } }
+  }
+
+  return { error: 'Invalid condition type' }
+}
+
+function validateAction(action, channelIds) {
+  if (!action || typeof action !== 'object') return { error: 'Invalid action' }
+
+  if (action.type === 'notify') {
+    const ids = Array.isArray(action.channel_ids) ? action.channel_ids : []
+    if (ids.some(id => !channelIds.includes(id))) return { error: 'Notification channel not found' }
+    const priority = Number(action.priority ?? 1)
+    if (![0, 1, 2].includes(priority)) return { error: 'Invalid notification priority' }
+    return { action: { type: 'notify', channel_ids: [...new Set(ids)], priority } }
+  }
+
+  if (action.type === 'flag') {
+    const label = cleanString(action.label, 100)
+    if (!label) return { error: 'Flag label is required' }
+    const level = FLAG_LEVELS.includes(action.level) ? action.level : 'warning'
+    return { action: { type: 'flag', label, level } }
+  }
+
+  return { error: 'Invalid action type' }
+}
+
+// Validate the conditions, actions and logic of a rule from a request body
+// sensorIds and channelIds are the IDs that exist, returns { rule } or { error }
+export function validateRule(body, sensorIds, channelIds) {
+  const logic = RULE_LOGIC.includes(body.logic) ? body.logic : 'and'
+
+  if (!Array.isArray(body.conditions) || body.conditions.length === 0) {
+    return { error: 'At least one condition is required' }
+  }
+  if (body.conditions.length > MAX_CONDITIONS) {
+    return { error: `A rule can have at most ${MAX_CONDITIONS} conditions` }
+  }
+  if (!Array.isArray(body.actions) || body.actions.length === 0) {
+    return { error: 'At least one action is required' }
+  }
+  if (body.actions.length > MAX_ACTIONS) {
+    return { error: `A rule can have at most ${MAX_ACTIONS} actions` }
+  }
+
+  const conditions = []
+  for (const item of body.conditions) {
+    const result = validateCondition(item, sensorIds)
+    if (result.error) return result
+    conditions.push(result.condition)
+  }
+
+  const actions = []
+  for (const item of body.actions) {
+    const result = validateAction(item, channelIds)
+    if (result.error) return result
+    actions.push(result.action)
+  }
+
+  return { rule: { logic, conditions, actions } }
+}
+
+function compare(left, operator, right) {
+  switch (operator) {
+    case '>': return left > right
+    case '>=': return left >= right
+    case '<': return left < right
+    case '<=': return left <= right
+    case '=': return left === right
+    case '!=': return left !== right
+    default: return false
+  }
+}
+
+// Whether a condition matches a sensor right now (ignoring for_minutes)
+// sensor: { latest_value, isDown, rangeState } - rangeState as in server.js ('normal', 'low', 'critical_high', ...)
+export function matchesCondition(condition, sensor) {
+  if (!sensor) return false
+
+  if (condition.type === 'value') {
+    if (sensor.isDown || !isFiniteNumber(sensor.latest_value)) return false
+    return compare(sensor.latest_value, condition.operator, condition.value)
+  }
+
+  switch (condition.state) {
+    case 'offline': return sensor.isDown
+    case 'normal': return !sensor.isDown && sensor.rangeState === 'normal'
+    case 'out_of_range': return !sensor.isDown && Boolean(sensor.rangeState) && sensor.rangeState !== 'normal'
+    case 'critical': return !sensor.isDown && Boolean(sensor.rangeState?.startsWith('critical'))
+    default: return false
+  }
+}
+
+// Human readable condition, used in notifications ("Sump Float = 0 for 5 min")
+export function describeCondition(condition, sensorName) {
+  const duration = condition.for_minutes > 0 ? ` for ${condition.for_minutes} min` : ''
+  if (condition.type === 'value') {
+    return `${sensorName} ${condition.operator} ${condition.value}${duration}`
+  }
+  const state = RULE_STATES.find(s => s.id === condition.state)
+  return `${sensorName} is ${state ? state.label.toLowerCase() : condition.state}${duration}`
+}
@@ -4,8 +4,21 @@ import path from 'path'
 import fs from 'fs'
 import { fileURLToPath } from 'url'
 import crypto from 'crypto'
+import mqtt from 'mqtt'
 import sharp from 'sharp'
-import db from './db.js'
+import db, { dataDir, dbPath } from './db.js'
+import { providers, sendToChannel, NOTIFICATION_CATEGORIES } from './notifications.js'
+import { renderMetrics, METRICS_CONTENT_TYPE } from './metrics.js'
+import { validateRule, matchesCondition, describeCondition, RULE_OPERATORS, RULE_STATES, RULE_LOGIC, FLAG_LEVELS } from './rules.js'
+import { validateControlAction, matchesTrigger, sendControlRequest, CONTROL_TRIGGERS, CONTROL_METHODS } from './controls.js'
+import { validateBrokerSettings, validateSensorMqtt, topicMatches, extractValue } from './mqtt-bridge.js'
+import { validateCalibration, applyCalibration, describeCalibration } from './calibration.js'
+import { getUnitCatalogue, getUnitDisplay, inferStorageUnit, validateStorageUnit, isValidDisplayUnit, QUANTITIES, UNITS } from './units.js'
+import {
+  validateHomeAssistantSettings, getStatusTopic, getStateTopic, buildSensorEntity, buildSensorState,
+  buildTaskEntity, buildTaskState, buildParameterEntity, buildParameterState,
+  DEFAULT_DISCOVERY_PREFIX, DEFAULT_BASE_TOPIC
+} from './home-assistant.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -98,15 +111,47 @@ function isValidUrl(str) {
   }
 }
 
-// Sensor down timeout (10 minutes in milliseconds)
-const SENSOR_DOWN_TIMEOUT_MS = 10 * 60 * 1000
+// Sensor down timeout, configurable per sensor (minutes)
+const DEFAULT_OFFLINE_TIMEOUT_MINUTES = 10
+const MAX_OFFLINE_TIMEOUT_MINUTES = 1440
 
-// Check if a sensor is down (no reading in 10 minutes)
-function isSensorDown(lastReadingAt) {
-  if (!lastReadingAt) return false // No readings yet, not considered "down"
-  const lastReading = new Date(lastReadingAt).getTime()
+function getOfflineTimeoutMinutes(sensor) {
+  return sensor.offline_timeout_minutes || DEFAULT_OFFLINE_TIMEOUT_MINUTES
+}
+
+// Check if a sensor is down (no reading within its offline timeout)
+function isSensorDown(sensor) {
+  if (!sensor.last_reading_at) return false // No readings yet, not considered "down"
+  const lastReading = new Date(sensor.last_reading_at).getTime()
   const now = Date.now()
-  return (now - lastReading) > SENSOR_DOWN_TIMEOUT_MS
+  return (now - lastReading) > getOfflineTimeoutMinutes(sensor) * 60 * 1000
+}
+
+// Human readable offline timeout for alert messages ("10 minutes", "2 hours")
+function formatOfflineTimeout(sensor) {
+  const minutes = getOfflineTimeoutMinutes(sensor)
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'}`
+  }
+  return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`
+}
+
+// Rate-of-change limit must be positive, null (or 0) turns the rule off
+function sanitizeRateChangeLimit(value, defaultVal) {
+  if (value === null || value === '' || Number(value) === 0) return null
+  return sanitizeNumber(value, 0, MAX_RATE_CHANGE_LIMIT, defaultVal)
+}
+
+// The critical band must sit outside the warning band, returns an error message or null
+function validateRangeLimits(minValue, maxValue, criticalMinValue, criticalMaxValue) {
+  if (criticalMinValue !== null && (criticalMinValue > (minValue ?? criticalMinValue) || criticalMinValue > (maxValue ?? criticalMinValue))) {
+    return 'Critical min must be at or below the warning range'
+  }
+  if (criticalMaxValue !== null && (criticalMaxValue < (maxValue ?? criticalMaxValue) || criticalMaxValue < (minValue ?? criticalMaxValue))) {
+    return 'Critical max must be at or above the warning range'
+  }
+  return null
 }
 
 // Validate base64 image data (basic check)
@@ -154,18 +199,20 @@ async function convertToWebP(base64DataUrl) {
 }
 
 // Validate date string format (YYYY-MM-DD)
+// Dates that don't exist (2024-02-30) roll over to another day, so they don't read back the same
 function isValidDateString(str) {
   if (typeof str !== 'string') return false
   if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) return false
   const date = new Date(str)
-  return !isNaN(date.getTime())
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === str
 }
 
 // ============ SECURITY: Rate Limiting ============
 
 const rateLimitStore = new Map()
 
-function rateLimit(windowMs, maxRequests) {
+// onLimited is called for every rejected request
+function rateLimit(windowMs, maxRequests, onLimited = null) {
   return (req, res, next) => {
     const key = req.ip || req.connection.remoteAddress || 'unknown'
     const now = Date.now()
@@ -186,6 +233,7 @@ function rateLimit(windowMs, maxRequests) {
     record.count++
 
     if (record.count > maxRequests) {
+      if (onLimited) onLimited(req)
       return res.status(429).json({ error: 'Too many requests, please try again later' })
     }
 
@@ -204,8 +252,8 @@ setInterval(() => {
 }, 60000) // Clean every minute
 
 // Rate limiters for different endpoint types
-const apiRateLimit = rateLimit(60000, 100)  // 100 requests per minute for general API
-const dataIngestionLimit = rateLimit(60000, 120)  // 120 requests per minute for sensor data
+const apiRateLimit = rateLimit(60000, 100, countRateLimitedIngestion)  // 100 requests per minute for general API
+const dataIngestionLimit = rateLimit(60000, 120, countRateLimitedIngestion)  // 120 requests per minute for sensor data
 const settingsRateLimit = rateLimit(60000, 20)  // 20 requests per minute for settings
 
 // ============ SECURITY: HTTP Headers ============
@@ -241,6 +289,27 @@ function getUserTimezone() {
   return setting?.value || 'UTC'
 }
 
+// Display unit per quantity from the unit_<quantity> settings ({ temperature: 'f', ... })
+// An empty or missing setting shows values in their storage unit
+function getDisplayUnits() {
+  const rows = db.prepare("SELECT key, value FROM app_settings WHERE key LIKE 'unit_%'").all()
+  const units = {}
+  for (const row of rows) units[row.key.slice('unit_'.length)] = row.value
+  return units
+}
+
+// Storage unit and unit text of a sensor or water parameter being saved
+// An explicit storage_unit wins, otherwise it is recognized from the unit text (name tells
+// alkalinity in ppm apart). Catalogue units store their symbol as the unit.
+// Returns { storageUnit, unit } or { error }
+function resolveStorageUnit(storageUnit, unit, name) {
+  const result = storageUnit !== undefined
+    ? validateStorageUnit(storageUnit)
+    : { storageUnit: inferStorageUnit(unit, name) }
+  if (result.error) return result
+  return { storageUnit: result.storageUnit, unit: result.storageUnit ? UNITS[result.storageUnit].symbol : unit }
+}
+
 // Parse a timestamp string as UTC (SQLite stores without timezone indicator)
 function parseAsUTC(dateStr) {
   if (!dateStr) return null
@@ -257,6 +326,11 @@ function parseAsUTC(dateStr) {
   return new Date(normalized + 'Z')
 }
 
+// Format a Date the way SQLite's CURRENT_TIMESTAMP does (UTC, 'YYYY-MM-DD HH:MM:SS')
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ')
+}
+
 // Convert a UTC date string to a YYYY-MM-DD string in the user's timezone
 function getDateInTimezone(dateStr, timezone) {
   const date = parseAsUTC(dateStr)
@@ -278,27 +352,235 @@ const corsOptions = {
 app.use(cors(corsOptions))
 
 // Parse JSON with size limit
-app.use(express.json({ limit: '5mb' }))  // Reduced from 10mb
+// Backups sent to /api/restore are read raw with their own limit, JSON ones included
+const jsonParser = express.json({ limit: '5mb' })  // Reduced from 10mb
+app.use((req, res, next) => req.path === '/api/restore' ? next() : jsonParser(req, res, next))
 
 // Apply general rate limiting to all API routes
 app.use('/api', apiRateLimit)
 
+// ============ LIVE EVENTS ============
+
+// Server-sent events stream for the frontend, so open pages update when something happens
+// instead of polling. Events: reading, sensor, alert, task, maintenance_mode, rule
+// Each event's data is JSON and carries a tank_id when it belongs to one tank
+
+const MAX_LIVE_CLIENTS = 50
+const LIVE_KEEPALIVE_MS = 30000
+
+const liveClients = new Set()
+
+// Send an event to every connected client
+function publishEvent(type, data) {
+  const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+  for (const res of liveClients) {
+    res.write(message)
+  }
+}
+
+// Comments keep idle connections open through proxies
+setInterval(() => {
+  for (const res of liveClients) {
+    res.write(': keepalive\n\n')
+  }
+}, LIVE_KEEPALIVE_MS)
+
+app.get('/api/events', (req, res) => {
+  if (liveClients.size >= MAX_LIVE_CLIENTS) {
+    return res.status(503).json({ error: 'Too many live connections' })
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies (nginx) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  })
+  res.write('retry: 5000\n\n')
+
+  liveClients.add(res)
+  req.on('close', () => liveClients.delete(res))
+})
+
+// ============ TANKS ============
+
+// Validate tank IDs (UUIDs or short alphanumeric for the default tank)
+function isValidTankId(id) {
+  return id && typeof id === 'string' && id.length <= 50 && /^[a-zA-Z0-9-]+$/.test(id)
+}
+
+// Get the first tank, used when no tank is specified on create
+function getDefaultTankId() {
+  const tank = db.prepare('SELECT id FROM tanks ORDER BY sort_order ASC, created_at ASC LIMIT 1').get()
+  return tank?.id || null
+}
+
+// Resolve a tank_id from a request body, returns undefined if it doesn't exist
+function resolveTankId(tankId, fallback = getDefaultTankId()) {
+  if (tankId === undefined || tankId === null || tankId === '') return fallback
+  if (!isValidTankId(tankId)) return undefined
+  const tank = db.prepare('SELECT id FROM tanks WHERE id = ?').get(tankId)
+  return tank ? tank.id : undefined
+}
+
+// Read the optional ?tank_id= filter, returns null for "all tanks" and undefined if invalid
+function getTankFilter(req) {
+  const tankId = req.query.tank_id
+  if (tankId === undefined || tankId === '') return null
+  return isValidTankId(tankId) ? tankId : undefined
+}
+
+// Get all tanks with item counts
+app.get('/api/tanks', (req, res) => {
+  const tanks = db.prepare(`
+    SELECT t.*,
+      (SELECT COUNT(*) FROM sensors WHERE tank_id = t.id) as sensor_count,
+      (SELECT COUNT(*) FROM specimens WHERE tank_id = t.id) as specimen_count,
+      (SELECT COUNT(*) FROM maintenance_tasks WHERE tank_id = t.id) as task_count,
+      (SELECT COUNT(*) FROM water_parameters WHERE tank_id = t.id) as parameter_count
+    FROM tanks t
+    ORDER BY t.sort_order ASC, t.created_at ASC
+  `).all()
+  res.json(tanks)
+})
+
+// Create a new tank
+app.post('/api/tanks', (req, res) => {
+  const { name, volume, notes } = req.body
+
+  // Validate required fields
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'Name is required' })
+  }
+
+  const id = generateId()
+  const maxOrder = db.prepare('SELECT MAX(sort_order) as max FROM tanks').get()
+  const sortOrder = (maxOrder?.max || 0) + 1
+
+  // Sanitize inputs
+  const sanitizedName = sanitizeString(name, 50)
+  const sanitizedVolume = sanitizeNumber(volume, 0, 100000, null)
+  const sanitizedNotes = notes ? sanitizeString(notes, 500) : null
+
+  db.prepare(`
+    INSERT INTO tanks (id, name, volume, notes, sort_order)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(id, sanitizedName, sanitizedVolume, sanitizedNotes, sortOrder)
+
+  const tank = db.prepare('SELECT * FROM tanks WHERE id = ?').get(id)
+  res.status(201).json(tank)
+})
+
+// Update a tank
+app.put('/api/tanks/:id', (req, res) => {
+  // Validate ID format
+  if (!isValidTankId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
+  const existing = db.prepare('SELECT * FROM tanks WHERE id = ?').get(req.params.id)
+  if (!existing) {
+    return res.status(404).json({ error: 'Tank not found' })
+  }
+
+  const { name, volume, notes } = req.body
+
+  // Sanitize inputs, keeping existing values if not provided
+  const sanitizedName = name ? sanitizeString(name, 50) : existing.name
+  const sanitizedVolume = volume !== undefined ? sanitizeNumber(volume, 0, 100000, null) : existing.volume
+  const sanitizedNotes = notes !== undefined ? (notes ? sanitizeString(notes, 500) : null) : existing.notes
+
+  db.prepare(`
+    UPDATE tanks SET name = ?, volume = ?, notes = ? WHERE id = ?
+  `).run(sanitizedName, sanitizedVolume, sanitizedNotes, req.params.id)
+
+  // Tanks are devices in Home Assistant, so a rename is republished
+  queueHomeAssistantDiscovery()
+
+  const tank = db.prepare('SELECT * FROM tanks WHERE id = ?').get(req.params.id)
+  res.json(tank)
+})
+
+// Delete a tank (only when it is empty and not the last one)
+app.delete('/api/tanks/:id', (req, res) => {
+  // Validate ID format
+  if (!isValidTankId(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
+  const existing = db.prepare('SELECT * FROM tanks WHERE id = ?').get(req.params.id)
+  if (!existing) {
+    return res.status(404).json({ error: 'Tank not found' })
+  }
+
+  const tankCount = db.prepare('SELECT COUNT(*) as count FROM tanks').get().count
+  if (tankCount <= 1) {
+    return res.status(400).json({ error: 'Cannot delete the only tank' })
+  }
+
+  const usage = db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM sensors WHERE tank_id = ?) +
+      (SELECT COUNT(*) FROM specimens WHERE tank_id = ?) +
+      (SELECT COUNT(*) FROM maintenance_tasks WHERE tank_id = ?) +
+      (SELECT COUNT(*) FROM water_parameters WHERE tank_id = ?) +
+      (SELECT COUNT(*) FROM rules WHERE tank_id = ?) as count
+  `).get(req.params.id, req.params.id, req.params.id, req.params.id, req.params.id)
+  if (usage.count > 0) {
+    return res.status(400).json({ error: 'Move or delete everything in this tank first' })
+  }
+
+  db.prepare('DELETE FROM tanks WHERE id = ?').run(req.params.id)
+  res.json({ success: true })
+})
+
 // ============ SENSOR CRUD ============
 
+// Calibration is stored as JSON, a broken value counts as uncalibrated
+function getSensorCalibration(sensor) {
+  if (!sensor.calibration) return null
+  try {
+    return JSON.parse(sensor.calibration)
+  } catch {
+    return null
+  }
+}
+
+// Sensor row as returned by the API, with its calibration parsed and described
+// unit is the storage unit of the values and thresholds, display_unit what the dashboard shows
+function formatSensor(sensor, displayUnits = getDisplayUnits()) {
+  const calibration = getSensorCalibration(sensor)
+  return {
+    ...sensor,
+    calibration,
+    calibration_description: describeCalibration(calibration),
+    display_unit: getUnitDisplay(sensor, displayUnits).unit
+  }
+}
+
 // Get all sensors with latest reading
 app.get('/api/sensors', (req, res) => {
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
   const sensors = db.prepare(`
     SELECT s.*,
       (SELECT value FROM readings WHERE sensor_id = s.id ORDER BY recorded_at DESC LIMIT 1) as latest_value,
       (SELECT recorded_at FROM readings WHERE sensor_id = s.id ORDER BY recorded_at DESC LIMIT 1) as latest_reading_at
     FROM sensors s
+    WHERE (? IS NULL OR s.tank_id = ?)
     ORDER BY s.created_at ASC
-  `).all()
+  `).all(tankId, tankId)
 
   // Add isDown status to each sensor
+  const displayUnits = getDisplayUnits()
   const sensorsWithStatus = sensors.map(sensor => ({
-    ...sensor,
-    isDown: isSensorDown(sensor.last_reading_at)
+    ...formatSensor(sensor, displayUnits),
+    isDown: isSensorDown(sensor),
+    active_alerts: getSensorAlerts(sensor.id)
   }))
 
   res.json(sensorsWithStatus)
@@ -318,19 +600,19 @@ app.get('/api/sensors/:id', (req, res) => {
   }
 
   const readings = db.prepare(`
-    SELECT value, recorded_at
+    SELECT value, raw_value, recorded_at
     FROM readings
     WHERE sensor_id = ?
     ORDER BY recorded_at DESC
     LIMIT 100
   `).all(req.params.id)
 
-  res.json({ ...sensor, readings })
+  res.json({ ...formatSensor(sensor), readings })
 })
 
 // Create new sensor
 app.post('/api/sensors', (req, res) => {
-  const { name, type, unit, color, icon, min_value, max_value, sensor_type, float_ok_value } = req.body
+  const { name, type, unit, color, icon, min_value, max_value, critical_min_value, critical_max_value, sensor_type, float_ok_value, offline_timeout_minutes, hysteresis, debounce_readings, debounce_minutes, rate_change_limit, rate_window_minutes, mqtt_topic, mqtt_value_path, calibration, storage_unit, tank_id } = req.body
 
   // Validate required fields
   if (!name || typeof name !== 'string' || !name.trim()) {
@@ -340,6 +622,11 @@ app.post('/api/sensors', (req, res) => {
     return res.status(400).json({ error: 'Type is required' })
   }
 
+  const resolvedTankId = resolveTankId(tank_id)
+  if (resolvedTankId === undefined) {
+    return res.status(400).json({ error: 'Tank not found' })
+  }
+
   const id = generateId()
   const api_key = generateApiKey()
 
@@ -352,27 +639,74 @@ app.post('/api/sensors', (req, res) => {
   const validatedSensorType = validateEnum(sensor_type, ALLOWED_SENSOR_TYPES, 'value')
   const sanitizedMinValue = sanitizeNumber(min_value, -10000, 10000, null)
   const sanitizedMaxValue = sanitizeNumber(max_value, -10000, 10000, null)
+  const sanitizedCriticalMinValue = sanitizeNumber(critical_min_value, -10000, 10000, null)
+  const sanitizedCriticalMaxValue = sanitizeNumber(critical_max_value, -10000, 10000, null)
+
+  const limitsError = validateRangeLimits(sanitizedMinValue, sanitizedMaxValue, sanitizedCriticalMinValue, sanitizedCriticalMaxValue)
+  if (limitsError) {
+    return res.status(400).json({ error: limitsError })
+  }
   const sanitizedFloatOkValue = sanitizeInteger(float_ok_value, 0, 1, 1)
+  const sanitizedOfflineTimeout = sanitizeInteger(offline_timeout_minutes, 1, MAX_OFFLINE_TIMEOUT_MINUTES, DEFAULT_OFFLINE_TIMEOUT_MINUTES)
+  const sanitizedHysteresis = sanitizeNumber(hysteresis, 0, MAX_HYSTERESIS, 0)
+  const sanitizedDebounceReadings = sanitizeInteger(debounce_readings, 0, MAX_DEBOUNCE_READINGS, 0)
+  const sanitizedDebounceMinutes = sanitizeInteger(debounce_minutes, 0, MAX_DEBOUNCE_MINUTES, 0)
+  const sanitizedRateChangeLimit = sanitizeRateChangeLimit(rate_change_limit, null)
+  const sanitizedRateWindow = sanitizeInteger(rate_window_minutes, 1, MAX_RATE_WINDOW_MINUTES, DEFAULT_RATE_WINDOW_MINUTES)
+
+  const mqttFields = validateSensorMqtt(mqtt_topic, mqtt_value_path)
+  if (mqttFields.error) {
+    return res.status(400).json({ error: mqttFields.error })
+  }
+
+  // Float switches send 0 or 1 and are never calibrated
+  const calibrationFields = validatedSensorType === 'float' ? { calibration: null } : validateCalibration(calibration)
+  if (calibrationFields.error) {
+    return res.status(400).json({ error: calibrationFields.error })
+  }
+
+  const unitFields = validatedSensorType === 'float'
+    ? { storageUnit: null, unit: '' }
+    : resolveStorageUnit(storage_unit, sanitizedUnit, `${sanitizedType} ${sanitizedName}`)
+  if (unitFields.error) {
+    return res.status(400).json({ error: unitFields.error })
+  }
 
   db.prepare(`
-    INSERT INTO sensors (id, name, type, unit, color, icon, api_key, min_value, max_value, sensor_type, float_ok_value)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO sensors (id, name, type, unit, color, icon, api_key, min_value, max_value, critical_min_value, critical_max_value, sensor_type, float_ok_value, offline_timeout_minutes, hysteresis, debounce_readings, debounce_minutes, rate_change_limit, rate_window_minutes, mqtt_topic, mqtt_value_path, calibration, storage_unit, tank_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     id,
     sanitizedName,
     sanitizedType,
-    validatedSensorType === 'float' ? '' : sanitizedUnit,
+    unitFields.unit,
     validatedColor,
     validatedIcon,
     api_key,
     sanitizedMinValue,
     sanitizedMaxValue,
+    sanitizedCriticalMinValue,
+    sanitizedCriticalMaxValue,
     validatedSensorType,
-    sanitizedFloatOkValue
+    sanitizedFloatOkValue,
+    sanitizedOfflineTimeout,
+    sanitizedHysteresis,
+    sanitizedDebounceReadings,
+    sanitizedDebounceMinutes,
+    sanitizedRateChangeLimit,
+    sanitizedRateWindow,
+    mqttFields.topic,
+    mqttFields.valuePath,
+    calibrationFields.calibration ? JSON.stringify(calibrationFields.calibration) : null,
+    unitFields.storageUnit,
+    resolvedTankId
   )
 
   const sensor = db.prepare('SELECT * FROM sensors WHERE id = ?').get(id)
-  res.status(201).json(sensor)
+  syncMqttSubscriptions()
+  queueHomeAssistantDiscovery()
+  publishEvent('sensor', { sensor_id: id, tank_id: sensor.tank_id, change: 'created' })
+  res.status(201).json(formatSensor(sensor))
 })
 
 // Update sensor
@@ -387,7 +721,12 @@ app.put('/api/sensors/:id', (req, res) => {
     return res.status(404).json({ error: 'Sensor not found' })
   }
 
-  const { name, type, unit, color, icon, min_value, max_value, sensor_type, float_ok_value, alerts_enabled, disabled } = req.body
+  const { name, type, unit, color, icon, min_value, max_value, critical_min_value, critical_max_value, sensor_type, float_ok_value, offline_timeout_minutes, hysteresis, debounce_readings, debounce_minutes, rate_change_limit, rate_window_minutes, mqtt_topic, mqtt_value_path, calibration, storage_unit, alerts_enabled, disabled, tank_id } = req.body
+
+  const resolvedTankId = resolveTankId(tank_id, existing.tank_id)
+  if (resolvedTankId === undefined) {
+    return res.status(400).json({ error: 'Tank not found' })
+  }
 
   // Sanitize inputs, keeping existing values if not provided
   const sanitizedName = name ? sanitizeString(name, 100) : existing.name
@@ -398,35 +737,109 @@ app.put('/api/sensors/:id', (req, res) => {
   const validatedSensorType = sensor_type ? validateEnum(sensor_type, ALLOWED_SENSOR_TYPES, existing.sensor_type) : existing.sensor_type
   const sanitizedMinValue = min_value !== undefined ? sanitizeNumber(min_value, -10000, 10000, null) : existing.min_value
   const sanitizedMaxValue = max_value !== undefined ? sanitizeNumber(max_value, -10000, 10000, null) : existing.max_value
+  const sanitizedCriticalMinValue = critical_min_value !== undefined ? sanitizeNumber(critical_min_value, -10000, 10000, null) : existing.critical_min_value
+  const sanitizedCriticalMaxValue = critical_max_value !== undefined ? sanitizeNumber(critical_max_value, -10000, 10000, null) : existing.critical_max_value
+
+  const limitsError = validateRangeLimits(sanitizedMinValue, sanitizedMaxValue, sanitizedCriticalMinValue, sanitizedCriticalMaxValue)
+  if (limitsError) {
+    return res.status(400).json({ error: limitsError })
+  }
   const sanitizedFloatOkValue = float_ok_value !== undefined ? sanitizeInteger(float_ok_value, 0, 1, existing.float_ok_value) : existing.float_ok_value
+  const sanitizedOfflineTimeout = offline_timeout_minutes !== undefined
+    ? sanitizeInteger(offline_timeout_minutes, 1, MAX_OFFLINE_TIMEOUT_MINUTES, existing.offline_timeout_minutes)
+    : existing.offline_timeout_minutes
+  const sanitizedHysteresis = hysteresis !== undefined ? sanitizeNumber(hysteresis, 0, MAX_HYSTERESIS, existing.hysteresis) : existing.hysteresis
+  const sanitizedDebounceReadings = debounce_readings !== undefined
+    ? sanitizeInteger(debounce_readings, 0, MAX_DEBOUNCE_READINGS, existing.debounce_readings)
+    : existing.debounce_readings
+  const sanitizedDebounceMinutes = debounce_minutes !== undefined
+    ? sanitizeInteger(debounce_minutes, 0, MAX_DEBOUNCE_MINUTES, existing.debounce_minutes)
+    : existing.debounce_minutes
+  const sanitizedRateChangeLimit = rate_change_limit !== undefined ? sanitizeRateChangeLimit(rate_change_limit, existing.rate_change_limit) : existing.rate_change_limit
+  const sanitizedRateWindow = rate_window_minutes !== undefined
+    ? sanitizeInteger(rate_window_minutes, 1, MAX_RATE_WINDOW_MINUTES, existing.rate_window_minutes)
+    : existing.rate_window_minutes
   const sanitizedAlertsEnabled = alerts_enabled !== undefined ? (alerts_enabled ? 1 : 0) : existing.alerts_enabled
   const sanitizedDisabled = disabled !== undefined ? (disabled ? 1 : 0) : existing.disabled
 
+  const mqttFields = validateSensorMqtt(
+    mqtt_topic !== undefined ? mqtt_topic : existing.mqtt_topic,
+    mqtt_value_path !== undefined ? mqtt_value_path : existing.mqtt_value_path
+  )
+  if (mqttFields.error) {
+    return res.status(400).json({ error: mqttFields.error })
+  }
+
+  const calibrationFields = validatedSensorType === 'float'
+    ? { calibration: null }
+    : calibration !== undefined ? validateCalibration(calibration) : { calibration: getSensorCalibration(existing) }
+  if (calibrationFields.error) {
+    return res.status(400).json({ error: calibrationFields.error })
+  }
+  const calibrationJson = calibrationFields.calibration ? JSON.stringify(calibrationFields.calibration) : null
+
+  // The storage unit is only recognized again when the unit text changes
+  const unitFields = validatedSensorType === 'float'
+    ? { storageUnit: null, unit: sanitizedUnit }
+    : storage_unit !== undefined || sanitizedUnit !== existing.unit
+      ? resolveStorageUnit(storage_unit, sanitizedUnit, `${sanitizedType} ${sanitizedName}`)
+      : { storageUnit: existing.storage_unit, unit: sanitizedUnit }
+  if (unitFields.error) {
+    return res.status(400).json({ error: unitFields.error })
+  }
+
   db.prepare(`
     UPDATE sensors
-    SET name = ?, type = ?, unit = ?, color = ?, icon = ?, min_value = ?, max_value = ?, sensor_type = ?, float_ok_value = ?, alerts_enabled = ?, disabled = ?
+    SET name = ?, type = ?, unit = ?, storage_unit = ?, color = ?, icon = ?, min_value = ?, max_value = ?, critical_min_value = ?, critical_max_value = ?, sensor_type = ?, float_ok_value = ?, offline_timeout_minutes = ?, hysteresis = ?, debounce_readings = ?, debounce_minutes = ?, rate_change_limit = ?, rate_window_minutes = ?, mqtt_topic = ?, mqtt_value_path = ?, calibration = ?, alerts_enabled = ?, disabled = ?, tank_id = ?
     WHERE id = ?
   `).run(
     sanitizedName,
     sanitizedType,
-    sanitizedUnit,
+    unitFields.unit,
+    unitFields.storageUnit,
     validatedColor,
     validatedIcon,
     sanitizedMinValue,
     sanitizedMaxValue,
+    sanitizedCriticalMinValue,
+    sanitizedCriticalMaxValue,
     validatedSensorType,
     sanitizedFloatOkValue,
+    sanitizedOfflineTimeout,
+    sanitizedHysteresis,
+    sanitizedDebounceReadings,
+    sanitizedDebounceMinutes,
+    sanitizedRateChangeLimit,
+    sanitizedRateWindow,
+    mqttFields.topic,
+    mqttFields.valuePath,
+    calibrationJson,
     sanitizedAlertsEnabled,
     sanitizedDisabled,
+    resolvedTankId,
     req.params.id
   )
 
+  // New thresholds or a new calibration start a fresh range state from the next reading
+  if (calibrationJson !== existing.calibration || sanitizedMinValue !== existing.min_value || sanitizedMaxValue !== existing.max_value ||
+      sanitizedCriticalMinValue !== existing.critical_min_value || sanitizedCriticalMaxValue !== existing.critical_max_value ||
+      validatedSensorType !== existing.sensor_type || sanitizedFloatOkValue !== existing.float_ok_value) {
+    db.prepare(`
+      UPDATE sensors SET range_state = NULL, pending_range_state = NULL, pending_range_count = 0, pending_range_since = NULL WHERE id = ?
+    `).run(req.params.id)
+  }
+
+  // A sensor moved to another tank concerns both, so the event goes out without a tank
   const sensor = db.prepare('SELECT * FROM sensors WHERE id = ?').get(req.params.id)
-  res.json(sensor)
+  syncMqttSubscriptions()
+  queueHomeAssistantDiscovery()
+  publishEvent('sensor', { sensor_id: sensor.id, tank_id: sensor.tank_id === existing.tank_id ? sensor.tank_id : null, change: 'updated' })
+  res.json(formatSensor(sensor))
 })
 
 // Delete sensor
-app.delete('/api/sensors/:id', (req, res) => {
+// Its readings and control actions go with it, the alert history is kept
+app.delete('/api/sensors/:id', async (req, res) => {
   // Validate ID format
   if (!isValidUUID(req.params.id)) {
     return res.status(400).json({ error: 'Invalid sensor ID format' })
@@ -437,8 +850,39 @@ app.delete('/api/sensors/:id', (req, res) => {
     return res.status(404).json({ error: 'Sensor not found' })
   }
 
-  db.prepare('DELETE FROM readings WHERE sensor_id = ?').run(req.params.id)
-  db.prepare('DELETE FROM sensors WHERE id = ?').run(req.params.id)
+  const controlActions = db.prepare('SELECT * FROM control_actions WHERE sensor_id = ?').all(req.params.id)
+  // Rules with a condition on the sensor can't match as written anymore, they're switched off
+  // until their conditions are edited
+  const rules = db.prepare('SELECT * FROM rules WHERE enabled = 1').all().map(parseRule)
+    .filter(rule => rule.conditions.some(c => c.sensor_id === req.params.id))
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM readings WHERE sensor_id = ?').run(req.params.id)
+    db.prepare('DELETE FROM readings_hourly WHERE sensor_id = ?').run(req.params.id)
+    db.prepare('DELETE FROM readings_daily WHERE sensor_id = ?').run(req.params.id)
+    db.prepare('DELETE FROM control_actions WHERE sensor_id = ?').run(req.params.id)
+    for (const rule of rules) {
+      db.prepare("UPDATE rules SET enabled = 0, active = 0, active_since = NULL, condition_state = '[]' WHERE id = ?").run(rule.id)
+    }
+    db.prepare('DELETE FROM sensors WHERE id = ?').run(req.params.id)
+  })
+
+  sensorDownState.delete(req.params.id)
+  syncMqttSubscriptions()
+  queueHomeAssistantDiscovery()
+  publishEvent('sensor', { sensor_id: req.params.id, tank_id: existing.tank_id, change: 'deleted' })
+  rules.forEach(rule => publishEvent('rule', { rule_id: rule.id, tank_id: rule.tank_id, active: false }))
+
+  // Running control actions are sent their stop request
+  controlActions.filter(a => a.running_since).forEach(a => stopControlAction(a, 'manual'))
+
+  // Alerts still open are resolved so they aren't loaded again after a restart
+  for (const kind of ALERT_KINDS) {
+    const alert = activeAlerts.get(alertKey(kind, req.params.id))
+    if (!alert) continue
+    activeAlerts.delete(alertKey(kind, req.params.id))
+    await recordAlertEvent(alert, 'resolved', existing, { message: `${existing.name} was deleted` })
+  }
 
   res.json({ success: true })
 })
@@ -459,16 +903,49 @@ app.post('/api/sensors/:id/regenerate-key', (req, res) => {
   db.prepare('UPDATE sensors SET api_key = ? WHERE id = ?').run(new_api_key, req.params.id)
 
   const sensor = db.prepare('SELECT * FROM sensors WHERE id = ?').get(req.params.id)
-  res.json(sensor)
+  res.json(formatSensor(sensor))
+})
+
+// Snooze a sensor's alerts for a number of minutes (0 ends the snooze)
+app.post('/api/sensors/:id/snooze', async (req, res) => {
+  if (!isValidUUID(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid sensor ID format' })
+  }
+
+  const existing = db.prepare('SELECT * FROM sensors WHERE id = ?').get(req.params.id)
+  if (!existing) {
+    return res.status(404).json({ error: 'Sensor not found' })
+  }
+
+  const snoozedUntil = getSnoozeUntil(req.body?.minutes)
+  if (snoozedUntil === undefined) {
+    return res.status(400).json({ error: `Minutes must be between 0 and ${MAX_SNOOZE_MINUTES}` })
+  }
+
+  if (snoozedUntil === null && isSnoozed(existing)) {
+    // Ending a snooze early notifies the alerts it held back, like one that runs out
+    await endSnooze(existing)
+  } else {
+    db.prepare('UPDATE sensors SET snoozed_until = ? WHERE id = ?').run(snoozedUntil, req.params.id)
+    publishEvent('sensor', { sensor_id: req.params.id, tank_id: existing.tank_id, change: 'updated' })
+  }
+  res.json({ success: true, snoozed_until: snoozedUntil })
 })
 
 // ============ SPECIMENS CRUD ============
 
 // Get all specimens
 app.get('/api/specimens', (req, res) => {
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
   const specimens = db.prepare(`
-    SELECT * FROM specimens ORDER BY created_at DESC
-  `).all()
+    SELECT * FROM specimens
+    WHERE (? IS NULL OR tank_id = ?)
+    ORDER BY created_at DESC
+  `).all(tankId, tankId)
   res.json(specimens)
 })
 
@@ -488,13 +965,18 @@ app.get('/api/specimens/:id', (req, res) => {
 
 // Create new specimen
 app.post('/api/specimens', async (req, res) => {
-  const { name, species, health, acquired_at, notes, image } = req.body
+  const { name, species, health, acquired_at, notes, image, tank_id } = req.body
 
   // Validate required fields
   if (!name || typeof name !== 'string' || !name.trim()) {
     return res.status(400).json({ error: 'Name is required' })
   }
 
+  const resolvedTankId = resolveTankId(tank_id)
+  if (resolvedTankId === undefined) {
+    return res.status(400).json({ error: 'Tank not found' })
+  }
+
   // Validate image if provided
   if (image && !isValidBase64Image(image)) {
     return res.status(400).json({ error: 'Invalid image format or size (max 10MB)' })
@@ -517,8 +999,8 @@ app.post('/api/specimens', async (req, res) => {
   const processedImage = image ? await convertToWebP(image) : null
 
   db.prepare(`
-    INSERT INTO specimens (id, name, species, health, acquired_at, notes, image)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO specimens (id, name, species, health, acquired_at, notes, image, tank_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     id,
     sanitizedName,
@@ -526,7 +1008,8 @@ app.post('/api/specimens', async (req, res) => {
     validatedHealth,
     acquired_at || getDateInTimezone(new Date().toISOString(), getUserTimezone()),
     sanitizedNotes,
-    processedImage
+    processedImage,
+    resolvedTankId
   )
 
   const specimen = db.prepare('SELECT * FROM specimens WHERE id = ?').get(id)
@@ -545,7 +1028,12 @@ app.put('/api/specimens/:id', async (req, res) => {
     return res.status(404).json({ error: 'Specimen not found' })
   }
 
-  const { name, species, health, acquired_at, notes, image } = req.body
+  const { name, species, health, acquired_at, notes, image, tank_id } = req.body
+
+  const resolvedTankId = resolveTankId(tank_id, existing.tank_id)
+  if (resolvedTankId === undefined) {
+    return res.status(400).json({ error: 'Tank not found' })
+  }
 
   // Validate image if provided
   if (image && !isValidBase64Image(image)) {
@@ -571,7 +1059,7 @@ app.put('/api/specimens/:id', async (req, res) => {
 
   db.prepare(`
     UPDATE specimens
-    SET name = ?, species = ?, health = ?, acquired_at = ?, notes = ?, image = ?
+    SET name = ?, species = ?, health = ?, acquired_at = ?, notes = ?, image = ?, tank_id = ?
     WHERE id = ?
   `).run(
     sanitizedName,
@@ -580,6 +1068,7 @@ app.put('/api/specimens/:id', async (req, res) => {
     acquired_at ?? existing.acquired_at,
     sanitizedNotes,
     processedImage,
+    resolvedTankId,
     req.params.id
   )
 
@@ -691,8 +1180,7 @@ let lastMaintenanceNotificationDate = null
 
 // Check and send maintenance reminder notifications
 async function checkMaintenanceReminders() {
-  const pushoverSettings = getPushoverSettings()
-  if (!pushoverSettings.maintenanceEnabled || !pushoverSettings.token || !pushoverSettings.user) {
+  if (!hasChannelsFor('maintenance')) {
     return
   }
 
@@ -708,8 +1196,8 @@ async function checkMaintenanceReminders() {
   const tasks = db.prepare('SELECT * FROM maintenance_tasks').all()
 
   for (const task of tasks) {
-    // Skip if already notified today
-    if (maintenanceNotificationsSent[task.id]) continue
+    // Skip if already notified today or snoozed
+    if (maintenanceNotificationsSent[task.id] || isSnoozed(task)) continue
 
     const lastCompletion = db.prepare(`
       SELECT * FROM maintenance_completions
@@ -730,7 +1218,8 @@ async function checkMaintenanceReminders() {
 
     if (isDue) {
       maintenanceNotificationsSent[task.id] = true
-      await sendPushoverNotification(
+      await notify(
+        'maintenance',
         '🔧 Maintenance Due',
         `${task.name} is due for maintenance`,
         0
@@ -739,75 +1228,87 @@ async function checkMaintenanceReminders() {
   }
 }
 
+// Last completion and due status of a task, with days counted in the user's timezone
+function getTaskStatus(task, timezone = getUserTimezone()) {
+  const lastCompletion = db.prepare(`
+    SELECT * FROM maintenance_completions
+    WHERE task_id = ?
+    ORDER BY completed_at DESC LIMIT 1
+  `).get(task.id)
+
+  let isDue = true
+  let daysSinceLast = null
+  let daysUntilDue = null
+
+  if (lastCompletion) {
+    // Calculate days difference using the user's timezone
+    const lastDateStr = getDateInTimezone(lastCompletion.completed_at, timezone)
+    const nowDateStr = getDateInTimezone(new Date().toISOString(), timezone)
+
+    // Parse the YYYY-MM-DD strings to calculate day difference
+    const lastDate = new Date(lastDateStr + 'T00:00:00')
+    const nowDate = new Date(nowDateStr + 'T00:00:00')
+    const diffMs = nowDate - lastDate
+    daysSinceLast = Math.floor(diffMs / (1000 * 60 * 60 * 24))
+    daysUntilDue = task.interval_days - daysSinceLast
+    isDue = daysSinceLast >= task.interval_days
+  }
+
+  return { lastCompletion, isDue, daysSinceLast, daysUntilDue }
+}
+
 // Get all maintenance tasks with their status
 app.get('/api/maintenance/tasks', (req, res) => {
   // Check for maintenance reminders on each request
   checkMaintenanceReminders()
 
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
   const tasks = db.prepare(`
-    SELECT * FROM maintenance_tasks ORDER BY created_at ASC
-  `).all()
+    SELECT * FROM maintenance_tasks
+    WHERE (? IS NULL OR tank_id = ?)
+    ORDER BY created_at ASC
+  `).all(tankId, tankId)
 
   // Add status info to each task
   const timezone = getUserTimezone()
 
-  const tasksWithStatus = tasks.map(task => {
-    const lastCompletion = db.prepare(`
-      SELECT * FROM maintenance_completions
-      WHERE task_id = ?
-      ORDER BY completed_at DESC LIMIT 1
-    `).get(task.id)
-
-    let isDue = true
-    let daysSinceLast = null
-    let daysUntilDue = null
-
-    if (lastCompletion) {
-      // Calculate days difference using the user's timezone
-      const lastDateStr = getDateInTimezone(lastCompletion.completed_at, timezone)
-      const nowDateStr = getDateInTimezone(new Date().toISOString(), timezone)
-
-      // Parse the YYYY-MM-DD strings to calculate day difference
-      const lastDate = new Date(lastDateStr + 'T00:00:00')
-      const nowDate = new Date(nowDateStr + 'T00:00:00')
-      const diffMs = nowDate - lastDate
-      daysSinceLast = Math.floor(diffMs / (1000 * 60 * 60 * 24))
-      daysUntilDue = task.interval_days - daysSinceLast
-      isDue = daysSinceLast >= task.interval_days
-    }
-
-    return {
-      ...task,
-      lastCompletion,
-      isDue,
-      daysSinceLast,
-      daysUntilDue
-    }
-  })
+  const tasksWithStatus = tasks.map(task => ({ ...task, ...getTaskStatus(task, timezone) }))
 
   res.json(tasksWithStatus)
 })
 
 // Create a new maintenance task
 app.post('/api/maintenance/tasks', (req, res) => {
-  const { name, icon, interval_days, show_percentage } = req.body
+  const { name, icon, interval_days, show_percentage, pause_alerts_minutes, tank_id } = req.body
 
   // Validate required fields
   if (!name || typeof name !== 'string' || !name.trim()) {
     return res.status(400).json({ error: 'Name is required' })
   }
 
+  const resolvedTankId = resolveTankId(tank_id)
+  if (resolvedTankId === undefined) {
+    return res.status(400).json({ error: 'Tank not found' })
+  }
+
   const id = generateId()
 
   // Sanitize inputs
   const sanitizedName = sanitizeString(name, 100)
   const validatedIcon = validateEnum(icon, ALLOWED_ICONS, 'build')
   const sanitizedInterval = sanitizeInteger(interval_days, 1, 365, 7)
+  const sanitizedPause = sanitizeInteger(pause_alerts_minutes, 0, MAX_MAINTENANCE_MODE_MINUTES, 0)
 
   db.prepare(`
-    INSERT INTO maintenance_tasks (id, name, icon, interval_days, show_percentage)
-    VALUES (?, ?, ?, ?, ?)
-  `).run(id, sanitizedName, validatedIcon, sanitizedInterval, show_percentage ? 1 : 0)
+    INSERT INTO maintenance_tasks (id, name, icon, interval_days, show_percentage, pause_alerts_minutes, tank_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, sanitizedName, validatedIcon, sanitizedInterval, show_percentage ? 1 : 0, sanitizedPause, resolvedTankId)
+
+  queueHomeAssistantDiscovery()
 
   const task = db.prepare('SELECT * FROM maintenance_tasks WHERE id = ?').get(id)
   res.status(201).json(task)
@@ -825,28 +1326,42 @@ app.put('/api/maintenance/tasks/:id', (req, res) => {
     return res.status(404).json({ error: 'Task not found' })
   }
 
-  const { name, icon, interval_days, show_percentage } = req.body
+  const { name, icon, interval_days, show_percentage, pause_alerts_minutes, tank_id } = req.body
+
+  const resolvedTankId = resolveTankId(tank_id, existing.tank_id)
+  if (resolvedTankId === undefined) {
+    return res.status(400).json({ error: 'Tank not found' })
+  }
 
   // Sanitize inputs
   const sanitizedName = name ? sanitizeString(name, 100) : existing.name
   const validatedIcon = icon ? validateEnum(icon, ALLOWED_ICONS, existing.icon) : existing.icon
   const sanitizedInterval = interval_days !== undefined ? sanitizeInteger(interval_days, 1, 365, existing.interval_days) : existing.interval_days
+  const sanitizedPause = pause_alerts_minutes !== undefined
+    ? sanitizeInteger(pause_alerts_minutes, 0, MAX_MAINTENANCE_MODE_MINUTES, existing.pause_alerts_minutes)
+    : existing.pause_alerts_minutes
 
   db.prepare(`
     UPDATE maintenance_tasks SET
       name = ?,
       icon = ?,
       interval_days = ?,
-      show_percentage = ?
+      show_percentage = ?,
+      pause_alerts_minutes = ?,
+      tank_id = ?
     WHERE id = ?
   `).run(
     sanitizedName,
     validatedIcon,
     sanitizedInterval,
     show_percentage !== undefined ? (show_percentage ? 1 : 0) : existing.show_percentage,
+    sanitizedPause,
+    resolvedTankId,
     req.params.id
   )
 
+  queueHomeAssistantDiscovery()
+
   const task = db.prepare('SELECT * FROM maintenance_tasks WHERE id = ?').get(req.params.id)
   res.json(task)
 })
@@ -865,6 +1380,7 @@ app.delete('/api/maintenance/tasks/:id', (req, res) => {
 
   db.prepare('DELETE FROM maintenance_completions WHERE task_id = ?').run(req.params.id)
   db.prepare('DELETE FROM maintenance_tasks WHERE id = ?').run(req.params.id)
+  queueHomeAssistantDiscovery()
 
   res.json({ success: true })
 })
@@ -910,10 +1426,41 @@ app.post('/api/maintenance/tasks/:id/completions', (req, res) => {
     VALUES (?, ?, ?, ?)
   `).run(id, req.params.id, sanitizedPercentage, sanitizedNotes)
 
+  // Tasks like water changes pause alerts for the tank's sensors while the water settles
+  if (task.pause_alerts_minutes > 0) {
+    const sensorIds = db.prepare('SELECT id FROM sensors WHERE tank_id = ?').all(task.tank_id).map(s => s.id)
+    if (sensorIds.length > 0) {
+      extendMaintenanceMode(task.pause_alerts_minutes, sensorIds)
+    }
+  }
+
+  publishEvent('task', { task_id: task.id, tank_id: task.tank_id, change: 'completed' })
+  queueHomeAssistantState('task', task.id)
+
   const completion = db.prepare('SELECT * FROM maintenance_completions WHERE id = ?').get(id)
   res.status(201).json(completion)
 })
 
+// Snooze a task's reminders for a number of minutes (0 ends the snooze)
+app.post('/api/maintenance/tasks/:id/snooze', (req, res) => {
+  if (!isValidUUID(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid task ID format' })
+  }
+
+  const task = db.prepare('SELECT * FROM maintenance_tasks WHERE id = ?').get(req.params.id)
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' })
+  }
+
+  const snoozedUntil = getSnoozeUntil(req.body?.minutes)
+  if (snoozedUntil === undefined) {
+    return res.status(400).json({ error: `Minutes must be between 0 and ${MAX_SNOOZE_MINUTES}` })
+  }
+
+  db.prepare('UPDATE maintenance_tasks SET snoozed_until = ? WHERE id = ?').run(snoozedUntil, req.params.id)
+  res.json({ success: true, snoozed_until: snoozedUntil })
+})
+
 // Delete a completion
 app.delete('/api/maintenance/tasks/:id/completions/:completionId', (req, res) => {
   // Validate ID formats
@@ -927,6 +1474,7 @@ app.delete('/api/maintenance/tasks/:id/completions/:completionId', (req, res) =>
   }
 
   db.prepare('DELETE FROM maintenance_completions WHERE id = ?').run(req.params.completionId)
+  queueHomeAssistantState('task', existing.task_id)
   res.json({ success: true })
 })
 
@@ -938,8 +1486,7 @@ let lastWaterParamNotificationDate = null
 
 // Check and send water parameter testing reminders
 async function checkWaterParamReminders() {
-  const pushoverSettings = getPushoverSettings()
-  if (!pushoverSettings.maintenanceEnabled || !pushoverSettings.token || !pushoverSettings.user) {
+  if (!hasChannelsFor('testing')) {
     return
   }
 
@@ -977,7 +1524,8 @@ async function checkWaterParamReminders() {
 
     if (isDue) {
       waterParamNotificationsSent[param.id] = true
-      await sendPushoverNotification(
+      await notify(
+        'testing',
         '🧪 Testing Reminder',
         `${param.name} is due for testing`,
         0
@@ -986,17 +1534,47 @@ async function checkWaterParamReminders() {
   }
 }
 
+// Whether a parameter is due for testing given its latest reading, dates are YYYY-MM-DD in the user's timezone
+function getParameterDueStatus(param, lastReading, todayStr) {
+  let isDue = false
+  let daysSinceLast = null
+  let daysUntilDue = null
+
+  if (param.interval_days > 0) {
+    if (lastReading) {
+      const lastDate = new Date(lastReading.reading_date + 'T00:00:00')
+      const nowDate = new Date(todayStr + 'T00:00:00')
+      const diffMs = nowDate - lastDate
+      daysSinceLast = Math.floor(diffMs / (1000 * 60 * 60 * 24))
+      daysUntilDue = param.interval_days - daysSinceLast
+      isDue = daysSinceLast >= param.interval_days
+    } else {
+      isDue = true
+    }
+  }
+
+  return { isDue, daysSinceLast, daysUntilDue }
+}
+
 // Get all water parameters with latest reading
 app.get('/api/water-parameters', (req, res) => {
   // Check for water parameter reminders on each request
   checkWaterParamReminders()
 
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
   const timezone = getUserTimezone()
   const todayStr = getDateInTimezone(new Date().toISOString(), timezone)
 
   const params = db.prepare(`
-    SELECT * FROM water_parameters ORDER BY sort_order ASC
-  `).all()
+    SELECT * FROM water_parameters
+    WHERE (? IS NULL OR tank_id = ?)
+    ORDER BY sort_order ASC
+  `).all(tankId, tankId)
+  const displayUnits = getDisplayUnits()
 
   const paramsWithData = params.map(param => {
     // Get today's reading
@@ -1017,29 +1595,19 @@ app.get('/api/water-parameters', (req, res) => {
     `).all(param.id, oneMonthAgoStr)
 
     // Calculate if testing is due
-    let isDue = false
-    let daysSinceLast = null
-    let daysUntilDue = null
-
-    if (param.interval_days > 0) {
-      const lastReading = readings[0]
-      if (lastReading) {
-        const lastDate = new Date(lastReading.reading_date + 'T00:00:00')
-        const nowDate = new Date(todayStr + 'T00:00:00')
-        const diffMs = nowDate - lastDate
-        daysSinceLast = Math.floor(diffMs / (1000 * 60 * 60 * 24))
-        daysUntilDue = param.interval_days - daysSinceLast
-        isDue = daysSinceLast >= param.interval_days
-      } else {
-        isDue = true
-      }
-    }
+    const { isDue, daysSinceLast, daysUntilDue } = getParameterDueStatus(param, readings[0], todayStr)
+
+    // Results and the target are shown in the display unit, stored_unit is the unit they are kept in
+    const display = getUnitDisplay(param, displayUnits)
 
     return {
       ...param,
-      todayValue: todayReading?.value ?? null,
+      unit: display.unit,
+      stored_unit: param.unit,
+      target_value: display.formatText(param.target_value),
+      todayValue: display.toDisplay(todayReading?.value ?? null),
       todayReadingId: todayReading?.id ?? null,
-      readings,
+      readings: readings.map(r => ({ ...r, value: display.toDisplay(r.value) })),
       isDue,
       daysSinceLast,
       daysUntilDue
@@ -1051,7 +1619,7 @@ app.get('/api/water-parameters', (req, res) => {
 
 // Create a new water parameter
 app.post('/api/water-parameters', (req, res) => {
-  const { name, unit, color, interval_days, target_value } = req.body
+  const { name, unit, color, interval_days, target_value, storage_unit, tank_id } = req.body
 
   // Validate required fields
   if (!name || typeof name !== 'string' || !name.trim()) {
@@ -1061,6 +1629,11 @@ app.post('/api/water-parameters', (req, res) => {
     return res.status(400).json({ error: 'Unit is required' })
   }
 
+  const resolvedTankId = resolveTankId(tank_id)
+  if (resolvedTankId === undefined) {
+    return res.status(400).json({ error: 'Tank not found' })
+  }
+
   const id = generateId()
   const maxOrder = db.prepare('SELECT MAX(sort_order) as max FROM water_parameters').get()
   const sortOrder = (maxOrder?.max || 0) + 1
@@ -1072,10 +1645,18 @@ app.post('/api/water-parameters', (req, res) => {
   const sanitizedInterval = sanitizeInteger(interval_days, 0, 365, 0)
   const sanitizedTarget = target_value ? sanitizeString(target_value, 50) : null
 
+  // The target of a new parameter is in the unit it is created with
+  const unitFields = resolveStorageUnit(storage_unit, sanitizedUnit, sanitizedName)
+  if (unitFields.error) {
+    return res.status(400).json({ error: unitFields.error })
+  }
+
   db.prepare(`
-    INSERT INTO water_parameters (id, name, unit, color, sort_order, interval_days, target_value)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `).run(id, sanitizedName, sanitizedUnit, validatedColor, sortOrder, sanitizedInterval, sanitizedTarget)
+    INSERT INTO water_parameters (id, name, unit, storage_unit, color, sort_order, interval_days, target_value, tank_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, sanitizedName, unitFields.unit, unitFields.storageUnit, validatedColor, sortOrder, sanitizedInterval, sanitizedTarget, resolvedTankId)
+
+  queueHomeAssistantDiscovery()
 
   const param = db.prepare('SELECT * FROM water_parameters WHERE id = ?').get(id)
   res.status(201).json(param)
@@ -1098,18 +1679,37 @@ app.put('/api/water-parameters/:id', (req, res) => {
     return res.status(404).json({ error: 'Parameter not found' })
   }
 
-  const { name, unit, color, interval_days, target_value } = req.body
+  const { name, unit, color, interval_days, target_value, storage_unit, tank_id } = req.body
+
+  const resolvedTankId = resolveTankId(tank_id, existing.tank_id)
+  if (resolvedTankId === undefined) {
+    return res.status(400).json({ error: 'Tank not found' })
+  }
 
   // Sanitize inputs
   const sanitizedName = name ? sanitizeString(name, 50) : existing.name
   const sanitizedUnit = unit ? sanitizeString(unit, 20) : existing.unit
   const validatedColor = color ? validateEnum(color, ALLOWED_COLORS, existing.color) : existing.color
   const sanitizedInterval = interval_days !== undefined ? sanitizeInteger(interval_days, 0, 365, existing.interval_days) : existing.interval_days
-  const sanitizedTarget = target_value !== undefined ? (target_value ? sanitizeString(target_value, 50) : null) : existing.target_value
+  // The target comes in the display unit, an unchanged one keeps its stored value so it doesn't drift
+  const display = getUnitDisplay(existing, getDisplayUnits())
+  const sanitizedTarget = target_value === undefined || target_value === display.formatText(existing.target_value)
+    ? existing.target_value
+    : (target_value ? display.parseText(sanitizeString(target_value, 50)) : null)
+
+  // The storage unit is only recognized again when the unit text changes
+  const unitFields = storage_unit !== undefined || sanitizedUnit !== existing.unit
+    ? resolveStorageUnit(storage_unit, sanitizedUnit, sanitizedName)
+    : { storageUnit: existing.storage_unit, unit: sanitizedUnit }
+  if (unitFields.error) {
+    return res.status(400).json({ error: unitFields.error })
+  }
 
   db.prepare(`
-    UPDATE water_parameters SET name = ?, unit = ?, color = ?, interval_days = ?, target_value = ? WHERE id = ?
-  `).run(sanitizedName, sanitizedUnit, validatedColor, sanitizedInterval, sanitizedTarget, req.params.id)
+    UPDATE water_parameters SET name = ?, unit = ?, storage_unit = ?, color = ?, interval_days = ?, target_value = ?, tank_id = ? WHERE id = ?
+  `).run(sanitizedName, unitFields.unit, unitFields.storageUnit, validatedColor, sanitizedInterval, sanitizedTarget, resolvedTankId, req.params.id)
+
+  queueHomeAssistantDiscovery()
 
   const param = db.prepare('SELECT * FROM water_parameters WHERE id = ?').get(req.params.id)
   res.json(param)
@@ -1129,6 +1729,7 @@ app.delete('/api/water-parameters/:id', (req, res) => {
 
   db.prepare('DELETE FROM water_parameter_readings WHERE parameter_id = ?').run(req.params.id)
   db.prepare('DELETE FROM water_parameters WHERE id = ?').run(req.params.id)
+  queueHomeAssistantDiscovery()
 
   res.json({ success: true })
 })
@@ -1153,6 +1754,9 @@ app.post('/api/water-parameters/:id/readings', (req, res) => {
     return res.status(404).json({ error: 'Parameter not found' })
   }
 
+  // Results are entered in the display unit
+  const storedValue = getUnitDisplay(param, getDisplayUnits()).toStorage(sanitizedValue)
+
   const timezone = getUserTimezone()
   const todayStr = getDateInTimezone(new Date().toISOString(), timezone)
 
@@ -1166,16 +1770,17 @@ app.post('/api/water-parameters/:id/readings', (req, res) => {
     // Update existing reading
     db.prepare(`
       UPDATE water_parameter_readings SET value = ? WHERE id = ?
-    `).run(sanitizedValue, existing.id)
+    `).run(storedValue, existing.id)
   } else {
     // Insert new reading
     const id = generateId()
     db.prepare(`
       INSERT INTO water_parameter_readings (id, parameter_id, value, reading_date)
       VALUES (?, ?, ?, ?)
-    `).run(id, req.params.id, sanitizedValue, todayStr)
+    `).run(id, req.params.id, storedValue, todayStr)
   }
 
+  queueHomeAssistantState('parameter', req.params.id)
   res.json({ success: true, date: todayStr, value: sanitizedValue })
 })
 
@@ -1197,7 +1802,8 @@ app.get('/api/water-parameters/:id/readings', (req, res) => {
     ORDER BY reading_date DESC
   `).all(req.params.id)
 
-  res.json(readings)
+  const display = getUnitDisplay(param, getDisplayUnits())
+  res.json(readings.map(r => ({ ...r, value: display.toDisplay(r.value) })))
 })
 
 // Delete a specific reading
@@ -1213,6 +1819,7 @@ app.delete('/api/water-parameters/:id/readings/:readingId', (req, res) => {
   }
 
   db.prepare('DELETE FROM water_parameter_readings WHERE id = ?').run(req.params.readingId)
+  queueHomeAssistantState('parameter', existing.parameter_id)
   res.json({ success: true })
 })
 
@@ -1236,295 +1843,2330 @@ app.put('/api/water-parameters/:id/readings/:readingId', (req, res) => {
     return res.status(404).json({ error: 'Reading not found' })
   }
 
-  db.prepare('UPDATE water_parameter_readings SET value = ? WHERE id = ?').run(sanitizedValue, req.params.readingId)
+  const param = db.prepare('SELECT * FROM water_parameters WHERE id = ?').get(existing.parameter_id)
+  const storedValue = param ? getUnitDisplay(param, getDisplayUnits()).toStorage(sanitizedValue) : sanitizedValue
+  db.prepare('UPDATE water_parameter_readings SET value = ? WHERE id = ?').run(storedValue, req.params.readingId)
+  queueHomeAssistantState('parameter', existing.parameter_id)
   res.json({ success: true })
 })
 
-// ============ DATA INGESTION (for microcontrollers) ============
-
-// Track last alert state per sensor to prevent spam
-const lastAlertState = {}
-// Track when the last alert was sent for each sensor (for repeat notifications)
-const lastAlertSentTime = {}
-// Track down state per sensor
-const lastDownState = {}
-// Track when last down alert was sent
-const lastDownAlertTime = {}
+// Most values (one per filled cell of the CSV) and new parameters accepted by one import
+// 40,000 values (ten columns of daily tests for ten years) stay well under the JSON body limit
+const MAX_IMPORT_VALUES = 40000
+const MAX_IMPORT_NEW_PARAMETERS = 20
+
+// Import historical test results (e.g. from a spreadsheet)
+// readings: [{ parameter_id or new_parameter (a key from new_parameters), date: 'YYYY-MM-DD', value, row }]
+// new_parameters: [{ key, name, unit }] are created by the import
+// mode decides what happens when a parameter already has a different result on that date:
+// insert refuses the import, skip keeps the existing result, overwrite replaces it
+// dry_run returns the preview without changing anything
+app.post('/api/water-parameters/import', (req, res) => {
+  const { readings, new_parameters = [], mode, dry_run, tank_id } = req.body
+
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return res.status(400).json({ error: 'No readings to import' })
+  }
+  if (readings.length > MAX_IMPORT_VALUES) {
+    return res.status(400).json({ error: `Too many values (max ${MAX_IMPORT_VALUES}), split the file` })
+  }
+  if (!Array.isArray(new_parameters) || new_parameters.length > MAX_IMPORT_NEW_PARAMETERS) {
+    return res.status(400).json({ error: `Too many new parameters (max ${MAX_IMPORT_NEW_PARAMETERS})` })
+  }
 
-// Clear down state when a reading comes in
-function clearSensorDownState(sensorId) {
-  if (lastDownState[sensorId]) {
-    lastDownState[sensorId] = false
-    delete lastDownAlertTime[sensorId]
+  const importMode = validateEnum(mode, ['insert', 'skip', 'overwrite'], null)
+  if (!importMode) {
+    return res.status(400).json({ error: 'Mode must be insert, skip or overwrite' })
   }
-}
 
-// Check all sensors for down status and send alerts
-async function checkSensorsDownStatus() {
-  const pushoverSettings = getPushoverSettings()
-  if (!pushoverSettings.alertsEnabled || !pushoverSettings.token || !pushoverSettings.user) {
-    return
+  const resolvedTankId = resolveTankId(tank_id)
+  if (resolvedTankId === undefined) {
+    return res.status(400).json({ error: 'Tank not found' })
   }
 
+  // Validate parameters to create
+  const newParams = {}
+  for (const p of new_parameters) {
+    if (!p || typeof p.key !== 'string' || !p.key || p.key.length > 50) {
+      return res.status(400).json({ error: 'Invalid new parameter key' })
+    }
+    if (typeof p.name !== 'string' || !p.name.trim() || typeof p.unit !== 'string' || !p.unit.trim()) {
+      return res.status(400).json({ error: 'New parameters need a name and unit' })
+    }
+    const name = sanitizeString(p.name, 50)
+    const { storageUnit, unit } = resolveStorageUnit(undefined, sanitizeString(p.unit, 20), name)
+    newParams[p.key] = { id: generateId(), name, unit, storageUnit }
+  }
+
+  const timezone = getUserTimezone()
+  const todayStr = getDateInTimezone(new Date().toISOString(), timezone)
+  const displayUnits = getDisplayUnits()
+  const existingParams = {}
+
+  // Validate rows, collapsing duplicates (the last value for a parameter and date wins)
+  const invalid = []
+  const rows = new Map()
+  readings.forEach((r, index) => {
+    const row = Number.isInteger(r?.row) ? r.row : index + 1
+    const value = sanitizeNumber(r?.value, -10000, 100000, null)
+
+    let param = null
+    let paramId = null
+    if (r?.new_parameter !== undefined) {
+      param = newParams[r.new_parameter]
+      paramId = param?.id
+    } else if (isValidParamId(r?.parameter_id)) {
+      if (!(r.parameter_id in existingParams)) {
+        // Existing parameters are listed in the wizard with their display unit, so their values are too
+        const row = db.prepare('SELECT * FROM water_parameters WHERE id = ?').get(r.parameter_id)
+        existingParams[r.parameter_id] = row ? { ...row, display: getUnitDisplay(row, displayUnits) } : null
+      }
+      param = existingParams[r.parameter_id]
+      paramId = r.parameter_id
+    }
+
+    if (!param) {
+      invalid.push({ row, error: 'Unknown parameter' })
+    } else if (!isValidDateString(r.date)) {
+      invalid.push({ row, error: 'Invalid date' })
+    } else if (r.date > todayStr) {
+      invalid.push({ row, error: 'Date is in the future' })
+    } else if (value === null) {
+      invalid.push({ row, error: 'Invalid value' })
+    } else {
+      const isNew = r.new_parameter !== undefined
+      rows.set(`${paramId}|${r.date}`, { paramId, param, date: r.date, value: isNew ? value : param.display.toStorage(value), isNew })
+    }
+  })
+
+  // Compare against results already stored for those dates
+  const summary = {}
+  const conflicts = []
+  const plan = []
+  for (const entry of rows.values()) {
+    if (!summary[entry.paramId]) {
+      const unit = entry.isNew ? entry.param.unit : entry.param.display.unit
+      summary[entry.paramId] = { name: entry.param.name, unit, is_new: entry.isNew, new: 0, conflicts: 0, unchanged: 0 }
+    }
+    const existing = entry.isNew ? null : db.prepare(`
+      SELECT id, value FROM water_parameter_readings
+      WHERE parameter_id = ? AND reading_date = ?
+    `).get(entry.paramId, entry.date)
+
+    if (!existing) {
+      summary[entry.paramId].new++
+      plan.push({ ...entry, action: 'insert' })
+    } else if (entry.param.display.format(existing.value) === entry.param.display.format(entry.value)) {
+      // Compared at the precision they're shown in, a converted value rarely converts back exactly
+      summary[entry.paramId].unchanged++
+    } else {
+      summary[entry.paramId].conflicts++
+      conflicts.push({
+        parameter: entry.param.name,
+        date: entry.date,
+        existing_value: Number(entry.param.display.format(existing.value)),
+        value: Number(entry.param.display.format(entry.value))
+      })
+      plan.push({ ...entry, action: 'conflict', existingId: existing.id })
+    }
+  }
+
+  const preview = {
+    mode: importMode,
+    total: readings.length,
+    valid: rows.size,
+    duplicates: readings.length - invalid.length - rows.size,
+    invalid_count: invalid.length,
+    invalid: invalid.slice(0, 100),
+    conflict_count: conflicts.length,
+    conflicts: conflicts.slice(0, 100),
+    parameters: Object.values(summary)
+  }
+
+  if (dry_run) {
+    return res.json(preview)
+  }
+
+  if (importMode === 'insert' && conflicts.length > 0) {
+    return res.status(409).json({ ...preview, error: `${conflicts.length} results already exist for those dates, choose skip or overwrite` })
+  }
+
+  // New parameters whose rows were all invalid aren't created
+  const createdParams = Object.values(newParams).filter(p => plan.some(entry => entry.paramId === p.id))
+
+  let inserted = 0
+  let updated = 0
+  db.transaction(() => {
+    const maxOrder = db.prepare('SELECT MAX(sort_order) as max FROM water_parameters').get()
+    let sortOrder = maxOrder?.max || 0
+    for (const p of createdParams) {
+      db.prepare(`
+        INSERT INTO water_parameters (id, name, unit, storage_unit, sort_order, tank_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(p.id, p.name, p.unit, p.storageUnit, ++sortOrder, resolvedTankId)
+    }
+
+    for (const entry of plan) {
+      if (entry.action === 'insert') {
+        db.prepare(`
+          INSERT INTO water_parameter_readings (id, parameter_id, value, reading_date)
+          VALUES (?, ?, ?, ?)
+        `).run(generateId(), entry.paramId, entry.value, entry.date)
+        inserted++
+      } else if (importMode === 'overwrite') {
+        db.prepare('UPDATE water_parameter_readings SET value = ? WHERE id = ?').run(entry.value, entry.existingId)
+        updated++
+      }
+    }
+  })
+
+  // New parameters need discovery, and the full publish updates every parameter's state
+  queueHomeAssistantDiscovery()
+
+  res.json({
+    ...preview,
+    success: true,
+    inserted,
+    updated,
+    skipped: conflicts.length - updated,
+    created_parameters: createdParams.map(p => ({ id: p.id, name: p.name, unit: p.unit }))
+  })
+})
+
+// ============ DATA INGESTION (for microcontrollers) ============
+
+// Active alerts keyed by kind and sensor: { alertId, sensorId, kind, lastNotifiedAt, acknowledged }
+// kind is 'range' (reading out of range) or 'offline' (sensor stopped reporting)
+// alert_events is the source of truth, this is rebuilt from it at startup and after a restore
+const activeAlerts = new Map()
+
+const ALERT_KINDS = ['range', 'offline', 'rate']
+const ALERT_EVENTS = ['opened', 'repeated', 'escalated', 'deescalated', 'acknowledged', 'resolved']
+const ALERT_SEVERITIES = ['warning', 'critical']
+
+function alertKey(kind, sensorId) {
+  return `${kind}:${sensorId}`
+}
+
+// Rebuild active alerts from alerts that were opened but never resolved
+function loadActiveAlerts() {
+  activeAlerts.clear()
+  const rows = db.prepare(`
+    SELECT alert_id, sensor_id, kind,
+      MAX(CASE WHEN event IN ('opened', 'repeated', 'escalated', 'deescalated') THEN created_at END) as last_notified_at,
+      COALESCE(MAX(CASE WHEN event = 'acknowledged' THEN id END), 0) >
+        COALESCE(MAX(CASE WHEN event = 'escalated' THEN id END), 0) as acknowledged,
+      (SELECT severity FROM alert_events latest
+        WHERE latest.alert_id = alert_events.alert_id AND latest.severity IS NOT NULL
+        ORDER BY latest.id DESC LIMIT 1) as severity
+    FROM alert_events
+    GROUP BY alert_id
+    HAVING SUM(event = 'resolved') = 0
+  `).all()
+
+  for (const row of rows) {
+    activeAlerts.set(alertKey(row.kind, row.sensor_id), {
+      alertId: row.alert_id,
+      sensorId: row.sensor_id,
+      kind: row.kind,
+      lastNotifiedAt: parseAsUTC(row.last_notified_at)?.getTime() || 0,
+      acknowledged: row.acknowledged === 1,
+      severity: row.severity
+    })
+  }
+}
+
+loadActiveAlerts()
+
+// Active alerts for a sensor, as returned with sensors and parameters
+function getSensorAlerts(sensorId) {
+  return ALERT_KINDS
+    .map(kind => activeAlerts.get(alertKey(kind, sensorId)))
+    .filter(Boolean)
+    .map(alert => ({ alert_id: alert.alertId, kind: alert.kind, severity: alert.severity, acknowledged: alert.acknowledged }))
+}
+
+// Whether a sensor's or task's alerts are snoozed right now
+function isSnoozed(row) {
+  return Boolean(row.snoozed_until) && parseAsUTC(row.snoozed_until).getTime() > Date.now()
+}
+
+// Longest snooze allowed (one week)
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60
+
+// Turn a snooze length in minutes into a snoozed_until timestamp
+// Returns null for 0 (no snooze) and undefined if invalid
+function getSnoozeUntil(minutes) {
+  const num = Number(minutes)
+  if (!Number.isInteger(num) || num < 0 || num > MAX_SNOOZE_MINUTES) return undefined
+  return num === 0 ? null : toSqlTimestamp(new Date(Date.now() + num * 60 * 1000))
+}
+
+// Why notifications for a sensor are held back right now, or null
+function getSuppression(sensor) {
+  if (isInMaintenanceMode(sensor.id)) return 'maintenance_mode'
+  return isSnoozed(sensor) ? 'snooze' : null
+}
+
+// severity is 'warning' or 'critical' for range alerts, null for offline alerts
+function openAlert(kind, sensor, severity = null) {
+  const alert = { alertId: generateId(), sensorId: sensor.id, kind, lastNotifiedAt: Date.now(), acknowledged: false, severity }
+  activeAlerts.set(alertKey(kind, sensor.id), alert)
+  return alert
+}
+
+// Record an alert transition, then send its notification and store the outcome
+// The event is written before notifying so the alert state survives a restart mid-send
+// suppressedBy records why the notification was held back (e.g. 'snooze') instead of sending it
+async function recordAlertEvent(alert, event, sensor, { value = null, message, notification, suppressedBy = null }) {
+  db.prepare(`
+    INSERT INTO alert_events (alert_id, sensor_id, sensor_name, tank_id, kind, event, severity, value, min_value, max_value, message, suppressed_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    alert.alertId, sensor.id, sensor.name, sensor.tank_id, alert.kind, event, alert.severity ?? null, value,
+    // The limits of the band that was breached
+    alert.kind === 'range' ? (alert.severity === 'critical' ? sensor.critical_min_value : sensor.min_value) ?? null : null,
+    alert.kind === 'range' ? (alert.severity === 'critical' ? sensor.critical_max_value : sensor.max_value) ?? null : null,
+    message,
+    notification ? suppressedBy : null
+  )
+  const { id } = db.prepare('SELECT last_insert_rowid() as id').get()
+  publishEvent('alert', { alert_id: alert.alertId, sensor_id: sensor.id, tank_id: sensor.tank_id, kind: alert.kind, event, severity: alert.severity ?? null })
+
+  if (!notification || suppressedBy) return
+  const results = await notify(notification.category, notification.title, message, notification.priority)
+  if (results.length === 0) return
+
+  const failures = results.filter(r => !r.success)
+  db.prepare(`
+    UPDATE alert_events SET channels_sent = ?, channels_failed = ?, notification_error = ? WHERE id = ?
+  `).run(results.length - failures.length, failures.length, failures.map(f => f.error).join('; ') || null, id)
+}
+
+// Resolve a sensor's offline alert when a reading comes in
+async function clearSensorDownState(sensor) {
+  const alert = activeAlerts.get(alertKey('offline', sensor.id))
+  if (!alert) return
+
+  activeAlerts.delete(alertKey('offline', sensor.id))
+  await recordAlertEvent(alert, 'resolved', sensor, {
+    message: `${sensor.name} is reporting again`,
+    notification: { category: 'sensor_offline', title: '✓ Sensor Back Online', priority: 0 },
+    suppressedBy: getSuppression(sensor)
+  })
+}
+
+// Open, repeat or resolve a sensor's offline alert
+// reevaluate sends a reminder for an ongoing alert regardless of the repeat interval (after a snooze or maintenance mode)
+async function checkSensorDown(sensor, { reevaluate = false } = {}) {
+  const isDown = isSensorDown(sensor)
+  const alert = activeAlerts.get(alertKey('offline', sensor.id))
+  const message = `${sensor.name} has not reported in over ${formatOfflineTimeout(sensor)}`
+  const suppressedBy = getSuppression(sensor)
+
+  if (isDown && !alert) {
+    // Just went down - send alert
+    await recordAlertEvent(openAlert('offline', sensor), 'opened', sensor, {
+      message,
+      notification: { category: 'sensor_offline', title: '🔴 Sensor Down', priority: 1 }, // High priority
+      suppressedBy
+    })
+  } else if (isDown && alert) {
+    // Still down - check repeat interval (acknowledged and suppressed alerts don't repeat)
+    const now = Date.now()
+    const repeatMinutes = getAlertRepeatMinutes()
+    if (!alert.acknowledged && !suppressedBy &&
+        (reevaluate || (repeatMinutes > 0 && now - alert.lastNotifiedAt >= repeatMinutes * 60 * 1000))) {
+      alert.lastNotifiedAt = now
+      await recordAlertEvent(alert, 'repeated', sensor, {
+        message,
+        notification: { category: 'sensor_offline', title: '🔴 Sensor Still Down', priority: 1 }
+      })
+    }
+  } else if (!isDown && alert) {
+    // Was down, now back up - send recovery
+    await clearSensorDownState(sensor)
+  }
+}
+
+// Clear a sensor's snooze and re-evaluate its alerts that were held back by it
+async function endSnooze(sensor) {
+  db.prepare('UPDATE sensors SET snoozed_until = NULL WHERE id = ?').run(sensor.id)
+  publishEvent('sensor', { sensor_id: sensor.id, tank_id: sensor.tank_id, change: 'updated' })
+  await reevaluateActiveAlerts([sensor.id])
+}
+
+// Whether each sensor was down at the last check, to publish up/down transitions
+const sensorDownState = new Map()
+
+// Check all sensors for down status and send alerts
+async function checkSensorsDownStatus() {
   const sensors = db.prepare('SELECT * FROM sensors WHERE last_reading_at IS NOT NULL').all()
+
+  for (const sensor of sensors) {
+    // A snooze that ran out is cleared, and alerts opened or repeated during it are notified now
+    if (sensor.snoozed_until && !isSnoozed(sensor)) {
+      await endSnooze(sensor)
+      sensor.snoozed_until = null
+    }
+
+    if (sensor.disabled === 1) continue
+
+    const isDown = isSensorDown(sensor)
+    if (sensorDownState.has(sensor.id) && sensorDownState.get(sensor.id) !== isDown) {
+      publishEvent('sensor', { sensor_id: sensor.id, tank_id: sensor.tank_id, change: isDown ? 'offline' : 'online' })
+      queueHomeAssistantState('sensor', sensor.id)
+    }
+    sensorDownState.set(sensor.id, isDown)
+
+    // Skip if sensor has alerts disabled
+    if (sensor.alerts_enabled === 0) continue
+
+    await checkSensorDown(sensor)
+  }
+}
+
+// Check sensors every minute for down status
+setInterval(checkSensorsDownStatus, 60000)
+
+// Check if a reading is out of range and send notification
+// reevaluate sends a reminder for an ongoing alert regardless of the repeat interval (after a snooze or maintenance mode)
+async function checkAndNotifyAlert(sensor, value, { reevaluate = false } = {}) {
+  // Alerts follow the debounced range state rather than the raw reading
+  const state = sensor.range_state || getRawRangeState(sensor, value)
+
+  // Control actions follow the state even when notifications are off, without holding them up
+  runControlActions(sensor, state)
+
+  // Skip if sensor has alerts disabled
+  if (sensor.alerts_enabled === 0) {
+    return
+  }
+
+  const isAlert = state !== 'normal'
+  let alertMessage = ''
+
+  // Messages show values in the display unit
+  const display = getUnitDisplay(sensor, getDisplayUnits())
+  const format = (v) => `${display.format(v)}${display.unit}`
+
+  if (state === 'alert') {
+    alertMessage = `${sensor.name} is in ALERT state (reading: ${value})`
+  } else if (state === 'low') {
+    alertMessage = `${sensor.name} is TOO LOW: ${format(value)} (min: ${format(sensor.min_value)})`
+  } else if (state === 'high') {
+    alertMessage = `${sensor.name} is TOO HIGH: ${format(value)} (max: ${format(sensor.max_value)})`
+  } else if (state === 'critical_low') {
+    alertMessage = `${sensor.name} is CRITICALLY LOW: ${format(value)} (critical min: ${format(sensor.critical_min_value)})`
+  } else if (state === 'critical_high') {
+    alertMessage = `${sensor.name} is CRITICALLY HIGH: ${format(value)} (critical max: ${format(sensor.critical_max_value)})`
+  }
+
+  const alert = activeAlerts.get(alertKey('range', sensor.id))
+  const now = Date.now()
+  const suppressedBy = getSuppression(sensor)
+
+  if (isAlert) {
+    const severity = getRangeSeverity(state)
+    const notification = {
+      category: 'sensor_alerts',
+      title: severity === 'critical' ? `🚨 ${sensor.type} Critical` : `⚠️ ${sensor.type} Alert`,
+      priority: getAlertPriority(severity)
+    }
+
+    if (!alert) {
+      // State just changed to alert - always notify
+      await recordAlertEvent(openAlert('range', sensor, severity), 'opened', sensor, { value, message: alertMessage, notification, suppressedBy })
+    } else if (alert.severity !== severity) {
+      // Moved between the warning and critical tiers - escalating clears an acknowledgement
+      const escalated = severity === 'critical'
+      alert.severity = severity
+      alert.lastNotifiedAt = now
+      if (escalated) alert.acknowledged = false
+      await recordAlertEvent(alert, escalated ? 'escalated' : 'deescalated', sensor, {
+        value,
+        message: alertMessage,
+        notification: alert.acknowledged ? null : notification,
+        suppressedBy
+      })
+    } else {
+      // Already in alert state - check repeat interval (acknowledged and suppressed alerts don't repeat)
+      const repeatMinutes = getAlertRepeatMinutes()
+      if (!alert.acknowledged && !suppressedBy &&
+          (reevaluate || (repeatMinutes > 0 && now - alert.lastNotifiedAt >= repeatMinutes * 60 * 1000))) {
+        alert.lastNotifiedAt = now
+        await recordAlertEvent(alert, 'repeated', sensor, { value, message: alertMessage, notification })
+      }
+    }
+  } else if (alert) {
+    // Was in alert, now normal - send recovery notification
+    activeAlerts.delete(alertKey('range', sensor.id))
+    await recordAlertEvent(alert, 'resolved', sensor, {
+      value,
+      message: `${sensor.name} is back within normal range: ${format(value)}`,
+      notification: { category: 'sensor_alerts', title: `✓ ${sensor.type} Normal`, priority: 0 },
+      suppressedBy
+    })
+  }
+}
+
+// Re-check the alerts still active on sensorIds (empty for every sensor) once their
+// notifications are no longer held back, so a problem that outlasted the hold is notified
+async function reevaluateActiveAlerts(sensorIds) {
+  for (const alert of [...activeAlerts.values()]) {
+    if (sensorIds.length > 0 && !sensorIds.includes(alert.sensorId)) continue
+
+    const sensor = db.prepare('SELECT * FROM sensors WHERE id = ?').get(alert.sensorId)
+    if (!sensor || sensor.disabled === 1 || sensor.alerts_enabled === 0) continue
+
+    if (alert.kind === 'offline') {
+      await checkSensorDown(sensor, { reevaluate: true })
+    } else {
+      const latest = db.prepare(`
+        SELECT value FROM readings WHERE sensor_id = ? ORDER BY recorded_at DESC, id DESC LIMIT 1
+      `).get(sensor.id)
+      if (latest && alert.kind === 'rate') {
+        await checkRateOfChange(sensor, latest.value, { reevaluate: true })
+      } else if (latest) {
+        await checkAndNotifyAlert(sensor, latest.value, { reevaluate: true })
+      }
+    }
+  }
+}
+
+// ============ RATE OF CHANGE ============
+
+// Rate-of-change rule: alert when a value sensor moves more than rate_change_limit units
+// within the last rate_window_minutes (null limit = off)
+const MAX_RATE_CHANGE_LIMIT = 10000
+const DEFAULT_RATE_WINDOW_MINUTES = 60
+const MAX_RATE_WINDOW_MINUTES = 1440
+
+// How far the value has risen and fallen over the window, ending at the current value
+function getRateOfChange(sensor, value) {
+  const windowMinutes = sensor.rate_window_minutes || DEFAULT_RATE_WINDOW_MINUTES
+  const since = toSqlTimestamp(new Date(Date.now() - windowMinutes * 60 * 1000))
+  const range = db.prepare(`
+    SELECT MIN(value) as min_value, MAX(value) as max_value FROM readings WHERE sensor_id = ? AND recorded_at >= ?
+  `).get(sensor.id, since)
+  return {
+    rise: range?.min_value !== null && range?.min_value !== undefined ? value - range.min_value : 0,
+    fall: range?.max_value !== null && range?.max_value !== undefined ? range.max_value - value : 0,
+    windowMinutes
+  }
+}
+
+// Open, repeat or resolve a sensor's rate-of-change alert (call after the reading is stored)
+// reevaluate sends a reminder for an ongoing alert regardless of the repeat interval (after a snooze or maintenance mode)
+async function checkRateOfChange(sensor, value, { reevaluate = false } = {}) {
+  if (sensor.alerts_enabled === 0 || sensor.sensor_type === 'float') return
+
+  const alert = activeAlerts.get(alertKey('rate', sensor.id))
+  const limit = sensor.rate_change_limit
+  const { rise, fall, windowMinutes } = limit ? getRateOfChange(sensor, value) : { rise: 0, fall: 0 }
+  const display = getUnitDisplay(sensor, getDisplayUnits())
+  const unit = display.unit
+  const suppressedBy = getSuppression(sensor)
+
+  if (limit && (rise > limit || fall > limit)) {
+    const change = rise >= fall
+      ? `RISING FAST: +${display.toDisplayDelta(rise).toFixed(2)}${unit}`
+      : `FALLING FAST: -${display.toDisplayDelta(fall).toFixed(2)}${unit}`
+    const message = `${sensor.name} is ${change} in ${windowMinutes} ${windowMinutes === 1 ? 'minute' : 'minutes'}, now ${display.format(value)}${unit} (limit: ${display.toDisplayDelta(limit)}${unit})`
+    const notification = { category: 'sensor_alerts', title: `📈 ${sensor.type} Changing Fast`, priority: getAlertPriority('warning') }
+
+    if (!alert) {
+      await recordAlertEvent(openAlert('rate', sensor, 'warning'), 'opened', sensor, { value, message, notification, suppressedBy })
+    } else {
+      // Still changing fast - check repeat interval (acknowledged and suppressed alerts don't repeat)
+      const now = Date.now()
+      const repeatMinutes = getAlertRepeatMinutes()
+      if (!alert.acknowledged && !suppressedBy &&
+          (reevaluate || (repeatMinutes > 0 && now - alert.lastNotifiedAt >= repeatMinutes * 60 * 1000))) {
+        alert.lastNotifiedAt = now
+        await recordAlertEvent(alert, 'repeated', sensor, { value, message, notification })
+      }
+    }
+  } else if (alert) {
+    // Back within the allowed rate (or the rule was turned off) - send recovery
+    activeAlerts.delete(alertKey('rate', sensor.id))
+    await recordAlertEvent(alert, 'resolved', sensor, {
+      value,
+      message: `${sensor.name} has stopped changing fast: ${display.format(value)}${unit}`,
+      notification: { category: 'sensor_alerts', title: `✓ ${sensor.type} Steady`, priority: 0 },
+      suppressedBy
+    })
+  }
+}
+
+// ============ RANGE STATE ============
+
+// Range states: 'normal', 'low', 'high', 'critical_low' or 'critical_high' for value sensors,
+// 'normal' or 'alert' for float switches
+// min_value/max_value are the warning band, critical_min_value/critical_max_value the critical band
+const MAX_HYSTERESIS = 10000
+const MAX_DEBOUNCE_READINGS = 100
+const MAX_DEBOUNCE_MINUTES = 1440
+
+const RANGE_STATE_LEVELS = { normal: 0, alert: 1, low: 1, high: 1, critical_low: 2, critical_high: 2 }
+
+// Status shown on the dashboard for each range state
+const RANGE_STATUS_LABELS = {
+  normal: 'Normal',
+  low: 'Too Low',
+  high: 'Too High',
+  critical_low: 'Critical Low',
+  critical_high: 'Critical High'
+}
+
+// Alert severity of an out-of-range state
+function getRangeSeverity(state) {
+  return RANGE_STATE_LEVELS[state] === 2 ? 'critical' : 'warning'
+}
+
+function hasRangeLimits(sensor) {
+  return [sensor.min_value, sensor.max_value, sensor.critical_min_value, sensor.critical_max_value]
+    .some(limit => limit !== null && limit !== undefined)
+}
+
+// Which band a value falls in, by the limits alone
+function getThresholdState(sensor, value) {
+  if (sensor.critical_min_value !== null && sensor.critical_min_value !== undefined && value < sensor.critical_min_value) return 'critical_low'
+  if (sensor.critical_max_value !== null && sensor.critical_max_value !== undefined && value > sensor.critical_max_value) return 'critical_high'
+  if (sensor.min_value !== null && value < sensor.min_value) return 'low'
+  if (sensor.max_value !== null && value > sensor.max_value) return 'high'
+  return 'normal'
+}
+
+// State of a single reading, ignoring debounce
+// Hysteresis keeps an out-of-range state until the value is back past that limit by the margin
+// (it only holds a state back, never escalates one)
+function getRawRangeState(sensor, value, currentState = null) {
+  if (sensor.sensor_type === 'float') {
+    return value === (sensor.float_ok_value ?? 1) ? 'normal' : 'alert'
+  }
+
+  const state = getThresholdState(sensor, value)
+  const hysteresis = sensor.hysteresis || 0
+  if (!hysteresis || !RANGE_STATE_LEVELS[currentState]) return state
+
+  const held = getThresholdState(sensor, currentState.endsWith('low') ? value - hysteresis : value + hysteresis)
+  if (RANGE_STATE_LEVELS[held] > RANGE_STATE_LEVELS[state] && RANGE_STATE_LEVELS[held] <= RANGE_STATE_LEVELS[currentState]) {
+    return held
+  }
+  return state
+}
+
+// Whether a pending state change has been sustained long enough to take effect
+function isDebounced(sensor, count, since) {
+  const readings = sensor.debounce_readings || 0
+  const minutes = sensor.debounce_minutes || 0
+  if (readings === 0 && minutes === 0) return true
+  if (readings > 0 && count >= readings) return true
+  if (minutes > 0 && Date.now() - parseAsUTC(since).getTime() >= minutes * 60 * 1000) return true
+  return false
+}
+
+// Apply a live reading to the sensor's debounced range state
+// Sets sensor.range_state so checkAndNotifyAlert sees the new state
+function updateRangeState(sensor, value) {
+  // Re-read the state, a batch can carry several readings for the same sensor
+  const stored = db.prepare(`
+    SELECT range_state, pending_range_state, pending_range_count, pending_range_since FROM sensors WHERE id = ?
+  `).get(sensor.id)
+  if (!stored) return
+
+  const current = stored.range_state
+  const next = getRawRangeState(sensor, value, current)
+  let rangeState = current
+  let pending = null
+
+  if (!current) {
+    // First reading sets the state directly
+    rangeState = next
+  } else if (next !== current) {
+    const isSamePending = stored.pending_range_state === next
+    pending = {
+      state: next,
+      count: isSamePending ? stored.pending_range_count + 1 : 1,
+      since: isSamePending ? stored.pending_range_since : toSqlTimestamp(new Date())
+    }
+    if (isDebounced(sensor, pending.count, pending.since)) {
+      rangeState = next
+      pending = null
+    }
+  }
+
+  db.prepare(`
+    UPDATE sensors SET range_state = ?, pending_range_state = ?, pending_range_count = ?, pending_range_since = ? WHERE id = ?
+  `).run(rangeState, pending?.state ?? null, pending?.count ?? 0, pending?.since ?? null, sensor.id)
+  sensor.range_state = rangeState
+}
+
+// Maximum number of readings accepted in a single batch request
+const MAX_BATCH_SIZE = 100
+
+// Readings older than this or this far in the future are rejected
+const MAX_READING_AGE_MS = 7 * 24 * 60 * 60 * 1000
+const MAX_READING_CLOCK_SKEW_MS = 5 * 60 * 1000
+
+// Parse a device-reported timestamp (ISO string or epoch seconds/milliseconds)
+// Returns a SQLite-style UTC timestamp string, or null if invalid or outside the allowed window
+// Callers pass any timestamp that was sent, so 0 from a clock that never synced is rejected
+function parseDeviceTimestamp(timestamp) {
+  let date
+  if (typeof timestamp === 'number' || (typeof timestamp === 'string' && /^\d+(\.\d+)?$/.test(timestamp))) {
+    const num = Number(timestamp)
+    // Treat small numbers as epoch seconds, large ones as milliseconds
+    date = new Date(num < 1e12 ? num * 1000 : num)
+  } else if (typeof timestamp === 'string' && timestamp.length <= 40) {
+    date = parseAsUTC(timestamp)
+  } else {
+    return null
+  }
+
+  if (!date || isNaN(date.getTime())) return null
+
   const now = Date.now()
+  if (date.getTime() > now + MAX_READING_CLOCK_SKEW_MS) return null
+  if (date.getTime() < now - MAX_READING_AGE_MS) return null
+
+  // Match the CURRENT_TIMESTAMP format so readings sort correctly
+  return toSqlTimestamp(date)
+}
+
+// Store a reading for a sensor, update its rollups and last_reading_at, returns the stored value
+// The number as the sensor sent it is kept as raw_value
+function storeReading(sensor, numValue, recordedAt = null) {
+  // For float switches, normalize to 0 or 1, value sensors go through their calibration
+  let finalValue = applyCalibration(getSensorCalibration(sensor), numValue)
+  if (sensor.sensor_type === 'float') {
+    finalValue = numValue ? 1 : 0
+  }
+
+  const timestamp = recordedAt || toSqlTimestamp(new Date())
+
+  db.transaction(() => {
+    db.prepare('INSERT INTO readings (sensor_id, value, raw_value, recorded_at) VALUES (?, ?, ?, ?)').run(sensor.id, finalValue, numValue, timestamp)
+
+    // Keep the hourly and daily rollups current so every tier includes the latest reading
+    db.prepare(`
+      INSERT INTO readings_hourly (sensor_id, bucket, min_value, max_value, sum_value, count)
+      VALUES (?, strftime('%Y-%m-%d %H:00:00', ?), ?, ?, ?, 1)
+      ON CONFLICT(sensor_id, bucket) DO UPDATE SET
+        min_value = MIN(min_value, excluded.min_value),
+        max_value = MAX(max_value, excluded.max_value),
+        sum_value = sum_value + excluded.sum_value,
+        count = count + 1
+    `).run(sensor.id, timestamp, finalValue, finalValue, finalValue)
+    db.prepare(`
+      INSERT INTO readings_daily (sensor_id, bucket, min_value, max_value, sum_value, count)
+      VALUES (?, strftime('%Y-%m-%d', ?), ?, ?, ?, 1)
+      ON CONFLICT(sensor_id, bucket) DO UPDATE SET
+        min_value = MIN(min_value, excluded.min_value),
+        max_value = MAX(max_value, excluded.max_value),
+        sum_value = sum_value + excluded.sum_value,
+        count = count + 1
+    `).run(sensor.id, timestamp, finalValue, finalValue, finalValue)
+
+    // Update last_reading_at timestamp
+    db.prepare('UPDATE sensors SET last_reading_at = CURRENT_TIMESTAMP WHERE id = ?').run(sensor.id)
+  })
+
+  publishEvent('reading', { sensor_id: sensor.id, tank_id: sensor.tank_id, value: finalValue, raw_value: numValue, recorded_at: timestamp })
+  countIngestedReading(sensor.id)
+  queueHomeAssistantState('sensor', sensor.id)
+  return finalValue
+}
+
+// Readings recorded this long before they arrive are backfill and don't trigger alerts
+const BACKFILL_ALERT_THRESHOLD_MS = 2 * 60 * 1000
+
+// Check whether a device-timestamped reading is buffered backfill rather than a live value
+// (must be called before the reading is stored)
+function isBackfilledReading(sensor, recordedAt) {
+  if (!recordedAt) return false
+  if (Date.now() - parseAsUTC(recordedAt).getTime() > BACKFILL_ALERT_THRESHOLD_MS) return true
+
+  // Older than what we already have - the live state has moved on
+  const latest = db.prepare(`
+    SELECT recorded_at FROM readings WHERE sensor_id = ? ORDER BY recorded_at DESC LIMIT 1
+  `).get(sensor.id)
+  return latest ? recordedAt < latest.recorded_at : false
+}
+
+// Validate a single batch entry, returns either an error result or the parsed reading
+function validateBatchEntry(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { success: false, status: 400, error: 'Invalid entry' }
+  }
+
+  const { api_key, sensor_id, value, timestamp } = entry
+
+  let sensor
+  if (api_key !== undefined) {
+    if (!isValidApiKey(api_key)) {
+      return { success: false, status: 400, error: 'Invalid API key format' }
+    }
+    sensor = db.prepare('SELECT * FROM sensors WHERE api_key = ?').get(api_key)
+    if (!sensor) {
+      return { success: false, status: 404, error: 'Invalid API key' }
+    }
+  } else if (sensor_id !== undefined) {
+    if (!isValidUUID(sensor_id)) {
+      return { success: false, status: 400, error: 'Invalid sensor ID format' }
+    }
+    sensor = db.prepare('SELECT * FROM sensors WHERE id = ?').get(sensor_id)
+    if (!sensor) {
+      return { success: false, status: 404, error: 'Sensor not found' }
+    }
+  } else {
+    return { success: false, status: 400, error: 'api_key or sensor_id is required' }
+  }
+
+  // Validate value
+  const numValue = sanitizeNumber(value, -100000, 100000, null)
+  if (numValue === null) {
+    return { success: false, status: 400, error: 'Valid numeric value is required' }
+  }
+
+  // Validate optional device timestamp
+  const hasTimestamp = timestamp !== undefined && timestamp !== null
+  const recordedAt = hasTimestamp ? parseDeviceTimestamp(timestamp) : null
+  if (hasTimestamp && !recordedAt) {
+    return { success: false, status: 400, error: 'Invalid or out of range timestamp' }
+  }
+
+  return { success: true, sensor, numValue, recordedAt }
+}
+
+// Post several readings at once, e.g. from multi-channel controllers (with stricter rate limiting)
+// Must be registered before /api/data/:api_key so "batch" isn't treated as an API key
+app.post('/api/data/batch', dataIngestionLimit, (req, res) => {
+  const entries = Array.isArray(req.body) ? req.body : req.body?.readings
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: 'A non-empty readings array is required' })
+  }
+  if (entries.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ error: `Too many readings (max ${MAX_BATCH_SIZE} per batch)` })
+  }
+
+  const parsed = entries.map(entry => validateBatchEntry(entry))
+  const results = parsed.map(p => p.success
+    ? { success: true, sensor_name: p.sensor.name, ...(p.sensor.disabled ? { disabled: true } : {}) }
+    : p)
+
+  // Insert in chronological order so buffered backfill lands before live readings
+  // (entries without a timestamp count as "now"; sort is stable for equal times)
+  const toStore = parsed
+    .map((p, index) => ({ ...p, index }))
+    .filter(p => p.success && !p.sensor.disabled)
+    .sort((a, b) => (a.recordedAt || '9999').localeCompare(b.recordedAt || '9999'))
+
+  // Write all readings in one transaction
+  const stored = db.transaction(() => toStore.map(p => {
+    const backfilled = isBackfilledReading(p.sensor, p.recordedAt)
+    const value = storeReading(p.sensor, p.numValue, p.recordedAt)
+    results[p.index].value = value
+    if (backfilled) results[p.index].backfilled = true
+    return { sensor: p.sensor, value, backfilled }
+  }))
+
+  // Alerts run after the commit, in chronological order, skipping stale backfill
+  for (const { sensor, value, backfilled } of stored) {
+    if (!backfilled) {
+      updateRangeState(sensor, value)
+      checkAndNotifyAlert(sensor, value)
+      checkRateOfChange(sensor, value)
+    }
+    clearSensorDownState(sensor)
+  }
+  evaluateRules()
+
+  const accepted = results.filter(r => r.success).length
+
+  res.json({
+    success: accepted === results.length,
+    accepted,
+    rejected: results.length - accepted,
+    results: results.map((result, index) => ({ index, ...result }))
+  })
+})
+
+// Post reading via API key (with stricter rate limiting)
+// Store a single reading and run it through alerts, rate of change and rules
+// Used by the HTTP endpoints below and the MQTT bridge, returns { value, backfilled }
+function ingestReading(sensor, numValue, recordedAt = null) {
+  const backfilled = isBackfilledReading(sensor, recordedAt)
+  const value = storeReading(sensor, numValue, recordedAt)
+
+  // Check for alerts and send notification (not for stale backfilled readings)
+  if (!backfilled) {
+    updateRangeState(sensor, value)
+    checkAndNotifyAlert(sensor, value)
+    checkRateOfChange(sensor, value)
+  }
+
+  // Clear down state since we got a reading
+  clearSensorDownState(sensor)
+  evaluateRules()
+
+  return { value, backfilled }
+}
+
+app.post('/api/data/:api_key', dataIngestionLimit, async (req, res) => {
+  // Validate API key format
+  if (!isValidApiKey(req.params.api_key)) {
+    return res.status(400).json({ error: 'Invalid API key format' })
+  }
+
+  const { value, timestamp } = req.body
+
+  // Validate value
+  const numValue = sanitizeNumber(value, -100000, 100000, null)
+  if (numValue === null) {
+    return res.status(400).json({ error: 'Valid numeric value is required' })
+  }
+
+  // Validate optional device timestamp
+  const hasTimestamp = timestamp !== undefined && timestamp !== null
+  const recordedAt = hasTimestamp ? parseDeviceTimestamp(timestamp) : null
+  if (hasTimestamp && !recordedAt) {
+    return res.status(400).json({ error: 'Invalid or out of range timestamp' })
+  }
+
+  const sensor = db.prepare('SELECT * FROM sensors WHERE api_key = ?').get(req.params.api_key)
+  if (!sensor) {
+    return res.status(404).json({ error: 'Invalid API key' })
+  }
+
+  // Skip processing if sensor is disabled
+  if (sensor.disabled) {
+    return res.json({ success: true, sensor_name: sensor.name, disabled: true })
+  }
+
+  const { backfilled } = ingestReading(sensor, numValue, recordedAt)
+
+  res.json({ success: true, sensor_name: sensor.name, ...(backfilled ? { backfilled: true } : {}) })
+})
+
+// GET endpoint for simple microcontrollers that can't POST (with stricter rate limiting)
+app.get('/api/data/:api_key/:value', dataIngestionLimit, async (req, res) => {
+  const { api_key, value } = req.params
+
+  // Validate API key format
+  if (!isValidApiKey(api_key)) {
+    return res.status(400).json({ error: 'Invalid API key format' })
+  }
+
+  // Validate value
+  const numValue = sanitizeNumber(value, -100000, 100000, null)
+  if (numValue === null) {
+    return res.status(400).json({ error: 'Invalid value' })
+  }
+
+  // Validate optional device timestamp (?timestamp=)
+  const { timestamp } = req.query
+  const hasTimestamp = timestamp !== undefined && timestamp !== null
+  const recordedAt = hasTimestamp ? parseDeviceTimestamp(timestamp) : null
+  if (hasTimestamp && !recordedAt) {
+    return res.status(400).json({ error: 'Invalid or out of range timestamp' })
+  }
+
+  const sensor = db.prepare('SELECT * FROM sensors WHERE api_key = ?').get(api_key)
+  if (!sensor) {
+    return res.status(404).json({ error: 'Invalid API key' })
+  }
+
+  // Skip processing if sensor is disabled
+  if (sensor.disabled) {
+    return res.json({ success: true, sensor_name: sensor.name, disabled: true })
+  }
+
+  const { backfilled } = ingestReading(sensor, numValue, recordedAt)
+
+  res.json({ success: true, sensor_name: sensor.name, ...(backfilled ? { backfilled: true } : {}) })
+})
+
+// ============ MQTT BRIDGE ============
+
+// Sensors with an MQTT topic take readings from the configured broker (Tasmota, ESPHome, Node-RED)
+// and run them through the same pipeline as the HTTP endpoints
+
+const MQTT_CONNECT_TIMEOUT_MS = 10000
+const MQTT_RECONNECT_MS = 10000
+
+let mqttClient = null
+let mqttSubscriptions = new Set()
+let mqttStatus = { connected: false, error: null, last_message_at: null, payload_error: null }
+// Topics that delivered a message to the current client. The broker re-sends retained messages
+// on every reconnect, which would be stored again as new readings
+let mqttSeenTopics = new Set()
+
+function getMqttSettings() {
+  const rows = db.prepare("SELECT key, value FROM app_settings WHERE key LIKE 'mqtt_%'").all()
+  const values = Object.fromEntries(rows.map(r => [r.key, r.value]))
+
+  return {
+    enabled: values.mqtt_enabled === '1',
+    url: values.mqtt_url || '',
+    username: values.mqtt_username || '',
+    password: values.mqtt_password || ''
+  }
+}
+
+function saveMqttSettings(settings) {
+  const save = db.prepare('INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)')
+  save.run('mqtt_enabled', settings.enabled ? '1' : '0')
+  save.run('mqtt_url', settings.url)
+  save.run('mqtt_username', settings.username)
+  save.run('mqtt_password', settings.password)
+}
+
+// Broker settings and connection status for the Settings page, without the password
+function getMqttStatus() {
+  const settings = getMqttSettings()
+  const topics = db.prepare("SELECT COUNT(*) as count FROM sensors WHERE mqtt_topic IS NOT NULL AND disabled = 0").get()
+
+  return {
+    enabled: settings.enabled,
+    url: settings.url,
+    username: settings.username,
+    has_password: Boolean(settings.password),
+    sensors: topics.count,
+    ...mqttStatus
+  }
+}
+
+function getMqttClientOptions(settings) {
+  return {
+    clientId: `deep-sea-observatory-${crypto.randomBytes(4).toString('hex')}`,
+    username: settings.username || undefined,
+    password: settings.password || undefined,
+    connectTimeout: MQTT_CONNECT_TIMEOUT_MS
+  }
+}
+
+// Subscribe to the topics of enabled sensors and drop topics no sensor uses anymore
+// Called on connect and whenever a sensor changes
+function syncMqttSubscriptions() {
+  if (!mqttClient?.connected) return
+
+  const rows = db.prepare('SELECT DISTINCT mqtt_topic FROM sensors WHERE mqtt_topic IS NOT NULL AND disabled = 0').all()
+  const topics = new Set(rows.map(r => r.mqtt_topic))
+  const added = [...topics].filter(t => !mqttSubscriptions.has(t))
+  const removed = [...mqttSubscriptions].filter(t => !topics.has(t))
+
+  if (added.length > 0) mqttClient.subscribe(added)
+  if (removed.length > 0) mqttClient.unsubscribe(removed)
+  mqttSubscriptions = topics
+}
+
+// Feed a message to every enabled sensor whose topic matches
+function handleMqttMessage(topic, payload, packet) {
+  if (packet?.retain && mqttSeenTopics.has(topic)) return
+  mqttSeenTopics.add(topic)
+
+  const sensors = db.prepare('SELECT * FROM sensors WHERE mqtt_topic IS NOT NULL AND disabled = 0').all()
+    .filter(sensor => topicMatches(sensor.mqtt_topic, topic))
+  if (sensors.length === 0) return
+
+  mqttStatus.last_message_at = new Date().toISOString()
+  for (const sensor of sensors) {
+    const value = extractValue(payload, sensor.mqtt_value_path)
+    if (value === null || value < -100000 || value > 100000) {
+      mqttStatus.payload_error = `${sensor.name}: no numeric value${sensor.mqtt_value_path ? ` at ${sensor.mqtt_value_path}` : ''} in message on ${topic}`
+      continue
+    }
+    try {
+      ingestReading(sensor, value)
+    } catch (err) {
+      mqttStatus.payload_error = `${sensor.name}: reading not stored (${err.message})`
+    }
+  }
+}
+
+// (Re)connect with the stored settings, the client keeps reconnecting until the settings change
+function connectMqtt() {
+  if (mqttClient) {
+    // Not forced, so Home Assistant messages queued before a reconnect still go out
+    mqttClient.end()
+    mqttClient = null
+  }
+  mqttSubscriptions = new Set()
+  mqttSeenTopics = new Set()
+  mqttStatus = { connected: false, error: null, last_message_at: null, payload_error: null }
+
+  const settings = getMqttSettings()
+  if (!settings.enabled || !settings.url) return
+
+  // Home Assistant shows every entity as unavailable once the app drops off the broker
+  const haSettings = getHomeAssistantSettings()
+  const will = haSettings.enabled ? { will: { topic: getStatusTopic(haSettings), payload: 'offline', retain: true } } : {}
+
+  const client = mqtt.connect(settings.url, {
+    ...getMqttClientOptions(settings),
+    ...will,
+    reconnectPeriod: MQTT_RECONNECT_MS,
+    // Subscriptions are restored by syncMqttSubscriptions so they follow sensor changes
+    resubscribe: false
+  })
+  mqttClient = client
+
+  client.on('connect', () => {
+    if (client !== mqttClient) return
+    console.log(`MQTT connected to ${settings.url}`)
+    mqttStatus.connected = true
+    mqttStatus.error = null
+    mqttSubscriptions = new Set()
+    syncMqttSubscriptions()
+    publishHomeAssistantDiscovery()
+  })
+  client.on('close', () => {
+    if (client === mqttClient) mqttStatus.connected = false
+  })
+  client.on('error', (err) => {
+    if (client === mqttClient) mqttStatus.error = err.message
+  })
+  client.on('message', (topic, payload, packet) => {
+    if (client === mqttClient) handleMqttMessage(topic, payload, packet)
+  })
+}
+
+connectMqtt()
+
+// Try the given broker settings with a one-off connection, returns { success, error }
+function testMqttConnection(settings) {
+  return new Promise((resolve) => {
+    const client = mqtt.connect(settings.url, { ...getMqttClientOptions(settings), reconnectPeriod: 0 })
+    const finish = (result) => {
+      clearTimeout(timer)
+      client.end(true)
+      resolve(result)
+    }
+    const timer = setTimeout(() => finish({ success: false, error: 'Connection timed out' }), MQTT_CONNECT_TIMEOUT_MS + 1000)
+    client.on('connect', () => finish({ success: true }))
+    client.on('error', (err) => finish({ success: false, error: err.message }))
+  })
+}
+
+app.get('/api/mqtt', (req, res) => {
+  res.json(getMqttStatus())
+})
+
+// Save broker settings and reconnect. A missing password keeps the stored one, '' clears it
+app.put('/api/mqtt', settingsRateLimit, (req, res) => {
+  const result = validateBrokerSettings(req.body || {}, getMqttSettings())
+  if (result.error) {
+    return res.status(400).json({ error: result.error })
+  }
+
+  saveMqttSettings(result.settings)
+  connectMqtt()
+  res.json(getMqttStatus())
+})
+
+// Test broker settings (the stored ones, with any fields from the body) without saving them
+app.post('/api/mqtt/test', settingsRateLimit, async (req, res) => {
+  const result = validateBrokerSettings({ ...req.body, enabled: true }, getMqttSettings())
+  if (result.error) {
+    return res.status(400).json({ error: result.error })
+  }
+
+  const test = await testMqttConnection(result.settings)
+  if (test.success) {
+    res.json({ success: true })
+  } else {
+    res.status(400).json({ error: test.error })
+  }
+})
+
+// ============ HOME ASSISTANT ============
+
+// Sensors, maintenance tasks and water parameters are published as Home Assistant entities over
+// the MQTT bridge's connection (see home-assistant.js for the entities and topics)
+
+// Due states change with the date, so every state is republished on this interval too
+const HA_STATE_REFRESH_MS = 10 * 60 * 1000
+
+// Config and state topics published so far (also stored), so entities that no longer exist can be removed
+let haPublishedTopics = new Set()
+let haLastPublishedAt = null
+let haDiscoveryQueued = false
+let haFlushQueued = false
+const haQueuedStates = new Set()
+
+function getHomeAssistantSettings() {
+  const rows = db.prepare("SELECT key, value FROM app_settings WHERE key LIKE 'ha_%'").all()
+  const values = Object.fromEntries(rows.map(r => [r.key, r.value]))
+
+  return {
+    enabled: values.ha_enabled === '1',
+    discovery_prefix: values.ha_discovery_prefix || DEFAULT_DISCOVERY_PREFIX,
+    base_topic: values.ha_base_topic || DEFAULT_BASE_TOPIC
+  }
+}
+
+function saveHomeAssistantSettings(settings) {
+  const save = db.prepare('INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)')
+  save.run('ha_enabled', settings.enabled ? '1' : '0')
+  save.run('ha_discovery_prefix', settings.discovery_prefix)
+  save.run('ha_base_topic', settings.base_topic)
+}
+
+// Published topics from this run and from the database, which may be from before a restart or restore
+function getKnownDiscoveryTopics() {
+  const row = db.prepare("SELECT value FROM app_settings WHERE key = 'ha_discovery_topics'").get()
+  let stored = []
+  try {
+    stored = JSON.parse(row?.value || '[]')
+  } catch {
+    // Ignore a corrupt list, entities are still removed from this run on
+  }
+  return new Set([...haPublishedTopics, ...stored])
+}
+
+function saveDiscoveryTopics(topics) {
+  haPublishedTopics = topics
+  db.prepare('INSERT OR REPLACE INTO app_settings (key, value) VALUES (?, ?)')
+    .run('ha_discovery_topics', JSON.stringify([...topics]))
+}
+
+function isHomeAssistantActive() {
+  return Boolean(mqttClient?.connected) && getHomeAssistantSettings().enabled
+}
+
+function publishRetained(topic, payload) {
+  mqttClient.publish(topic, typeof payload === 'string' ? payload : JSON.stringify(payload), { retain: true })
+}
+
+// Discovery entities for every enabled sensor, task and parameter: [{ kind, id, configTopic, stateTopic, config }]
+function getHomeAssistantEntities(settings) {
+  const tanks = new Map(db.prepare('SELECT id, name FROM tanks').all().map(t => [t.id, t]))
+  const tankOf = (row) => tanks.get(row.tank_id) || { id: row.tank_id, name: 'Aquarium' }
+
+  return [
+    ...db.prepare('SELECT * FROM sensors WHERE disabled = 0').all()
+      .map(sensor => ({ kind: 'sensor', id: sensor.id, ...buildSensorEntity(sensor, tankOf(sensor), settings) })),
+    ...db.prepare('SELECT * FROM maintenance_tasks').all()
+      .map(task => ({ kind: 'task', id: task.id, ...buildTaskEntity(task, tankOf(task), settings) })),
+    ...db.prepare('SELECT * FROM water_parameters').all()
+      .map(param => ({ kind: 'parameter', id: param.id, ...buildParameterEntity(param, tankOf(param), settings) }))
+  ]
+}
+
+// Current state payload of one entity, null if it no longer exists
+function getHomeAssistantState(kind, id) {
+  if (kind === 'sensor') {
+    const sensor = db.prepare(`
+      SELECT s.*,
+        (SELECT value FROM readings WHERE sensor_id = s.id ORDER BY recorded_at DESC LIMIT 1) as latest_value
+      FROM sensors s WHERE s.id = ?
+    `).get(id)
+    if (!sensor) return null
+    return buildSensorState({
+      value: sensor.latest_value,
+      rangeState: sensor.latest_value === null ? null : sensor.range_state || getRawRangeState(sensor, sensor.latest_value),
+      isDown: isSensorDown(sensor),
+      lastReadingAt: parseAsUTC(sensor.last_reading_at)?.toISOString() ?? null
+    })
+  }
+
+  if (kind === 'task') {
+    const task = db.prepare('SELECT * FROM maintenance_tasks WHERE id = ?').get(id)
+    if (!task) return null
+    const status = getTaskStatus(task)
+    return buildTaskState(task, status, parseAsUTC(status.lastCompletion?.completed_at)?.toISOString() ?? null)
+  }
+
+  const param = db.prepare('SELECT * FROM water_parameters WHERE id = ?').get(id)
+  if (!param) return null
+  const lastReading = db.prepare(`
+    SELECT * FROM water_parameter_readings
+    WHERE parameter_id = ?
+    ORDER BY reading_date DESC LIMIT 1
+  `).get(id)
+  const todayStr = getDateInTimezone(new Date().toISOString(), getUserTimezone())
+  return buildParameterState(param, lastReading, getParameterDueStatus(param, lastReading, todayStr))
+}
+
+function publishHomeAssistantStates(entities) {
+  for (const entity of entities) {
+    const state = getHomeAssistantState(entity.kind, entity.id)
+    if (state) publishRetained(entity.stateTopic, state)
+  }
+}
+
+// Publish every entity's config and state, and remove entities that no longer exist
+function publishHomeAssistantDiscovery() {
+  if (!isHomeAssistantActive()) return
+
+  const settings = getHomeAssistantSettings()
+  const entities = getHomeAssistantEntities(settings)
+  const topics = new Set(entities.flatMap(e => [e.configTopic, e.stateTopic]))
+
+  // An empty retained config deletes the entity in Home Assistant, and an empty state the stored state
+  for (const topic of getKnownDiscoveryTopics()) {
+    if (!topics.has(topic)) publishRetained(topic, '')
+  }
+  publishRetained(getStatusTopic(settings), 'online')
+  for (const entity of entities) {
+    publishRetained(entity.configTopic, entity.config)
+  }
+  publishHomeAssistantStates(entities)
+
+  saveDiscoveryTopics(topics)
+  haLastPublishedAt = new Date().toISOString()
+}
+
+// Remove every published entity and mark the app offline, before discovery is turned off or moved
+function clearHomeAssistantDiscovery(settings) {
+  if (!mqttClient?.connected) return
+
+  for (const topic of getKnownDiscoveryTopics()) {
+    publishRetained(topic, '')
+  }
+  publishRetained(getStatusTopic(settings), 'offline')
+  saveDiscoveryTopics(new Set())
+}
+
+// Updates are queued until the current request or batch of readings is done, so each entity is
+// published once and range states are updated before they are read
+function flushHomeAssistantQueue() {
+  haFlushQueued = false
+  const states = [...haQueuedStates]
+  haQueuedStates.clear()
+
+  if (haDiscoveryQueued) {
+    // A full publish includes every state
+    haDiscoveryQueued = false
+    publishHomeAssistantDiscovery()
+    return
+  }
+  if (!isHomeAssistantActive()) return
+
+  const settings = getHomeAssistantSettings()
+  for (const key of states) {
+    const [kind, id] = key.split(':')
+    const state = getHomeAssistantState(kind, id)
+    if (state) publishRetained(getStateTopic(settings, kind, id), state)
+  }
+}
+
+function queueHomeAssistantFlush() {
+  if (haFlushQueued) return
+  haFlushQueued = true
+  setImmediate(flushHomeAssistantQueue)
+}
+
+// Republish one entity's state ('sensor', 'task' or 'parameter')
+function queueHomeAssistantState(kind, id) {
+  if (!mqttClient?.connected) return
+  haQueuedStates.add(`${kind}:${id}`)
+  queueHomeAssistantFlush()
+}
+
+// Republish all entities, after one is created, renamed or deleted
+function queueHomeAssistantDiscovery() {
+  if (!mqttClient?.connected) return
+  haDiscoveryQueued = true
+  queueHomeAssistantFlush()
+}
+
+setInterval(() => {
+  if (isHomeAssistantActive()) {
+    publishHomeAssistantStates(getHomeAssistantEntities(getHomeAssistantSettings()))
+  }
+}, HA_STATE_REFRESH_MS)
+
+function getHomeAssistantStatus() {
+  const settings = getHomeAssistantSettings()
+  return {
+    ...settings,
+    mqtt_enabled: getMqttSettings().enabled,
+    connected: Boolean(mqttClient?.connected),
+    entities: settings.enabled ? [...haPublishedTopics].filter(t => t.endsWith('/config')).length : 0,
+    last_published_at: haLastPublishedAt
+  }
+}
+
+app.get('/api/home-assistant', (req, res) => {
+  res.json(getHomeAssistantStatus())
+})
+
+// Save discovery settings. Entities under the old topics are removed, and the broker connection is
+// restarted so its last will follows the status topic; entities are published once it is back
+app.put('/api/home-assistant', settingsRateLimit, (req, res) => {
+  const existing = getHomeAssistantSettings()
+  const result = validateHomeAssistantSettings(req.body || {}, existing)
+  if (result.error) {
+    return res.status(400).json({ error: result.error })
+  }
+
+  if (existing.enabled) clearHomeAssistantDiscovery(existing)
+  saveHomeAssistantSettings(result.settings)
+  haLastPublishedAt = null
+  connectMqtt()
+  res.json(getHomeAssistantStatus())
+})
+
+// ============ RULES ============
+
+// Parse a rules row
+function parseRule(row) {
+  return {
+    ...row,
+    conditions: JSON.parse(row.conditions || '[]'),
+    actions: JSON.parse(row.actions || '[]'),
+    condition_state: JSON.parse(row.condition_state || '[]'),
+    enabled: row.enabled === 1,
+    active: row.active === 1
+  }
+}
+
+// Latest value, offline and range state of every sensor, as rule conditions see them
+function getRuleSensors() {
+  const sensors = db.prepare(`
+    SELECT s.*,
+      (SELECT value FROM readings WHERE sensor_id = s.id ORDER BY recorded_at DESC LIMIT 1) as latest_value
+    FROM sensors s
+  `).all()
+
+  return new Map(sensors.map(sensor => [sensor.id, {
+    name: sensor.name,
+    disabled: sensor.disabled === 1,
+    latest_value: sensor.latest_value,
+    isDown: isSensorDown(sensor),
+    rangeState: sensor.latest_value === null ? null : sensor.range_state || getRawRangeState(sensor, sensor.latest_value),
+    inMaintenanceMode: isInMaintenanceMode(sensor.id)
+  }]))
+}
+
+// Re-check every enabled rule, called when readings arrive and once a minute (for durations and offline sensors)
+// State changes are written synchronously, so overlapping calls can't trigger a rule twice
+async function evaluateRules() {
+  const rules = db.prepare('SELECT * FROM rules WHERE enabled = 1').all().map(parseRule)
+  if (rules.length === 0) return
+
+  const sensors = getRuleSensors()
+  const now = Date.now()
+  const changed = []
+
+  for (const rule of rules) {
+    // When each condition started matching, for conditions with a duration
+    const since = rule.conditions.map((c, i) => rule.condition_state[i] || null)
+    const results = rule.conditions.map((condition, i) => {
+      const sensor = sensors.get(condition.sensor_id)
+      const matches = matchesCondition(condition, sensor?.disabled ? null : sensor)
+      since[i] = matches ? since[i] || toSqlTimestamp(new Date(now)) : null
+      return matches && now - parseAsUTC(since[i]).getTime() >= condition.for_minutes * 60 * 1000
+    })
+    const active = rule.logic === 'or' ? results.some(Boolean) : results.every(Boolean)
+
+    if (active !== rule.active) {
+      db.prepare(`
+        UPDATE rules SET active = ?, active_since = ?, condition_state = ?,
+          last_triggered_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE last_triggered_at END
+        WHERE id = ?
+      `).run(active ? 1 : 0, active ? toSqlTimestamp(new Date(now)) : null, JSON.stringify(since), active ? 1 : 0, rule.id)
+      publishEvent('rule', { rule_id: rule.id, tank_id: rule.tank_id, active })
+      changed.push({ rule, active })
+    } else if (JSON.stringify(since) !== JSON.stringify(rule.condition_state)) {
+      db.prepare('UPDATE rules SET condition_state = ? WHERE id = ?').run(JSON.stringify(since), rule.id)
+    }
+  }
+
+  for (const { rule, active } of changed) {
+    await runRuleActions(rule, active, sensors)
+  }
+}
+
+// Send a rule's notifications when it starts or stops matching
+// Held back while any of the rule's sensors is in maintenance mode
+async function runRuleActions(rule, active, sensors) {
+  const notifyActions = rule.actions.filter(a => a.type === 'notify')
+  if (notifyActions.length === 0) return
+  if (rule.conditions.some(c => sensors.get(c.sensor_id)?.inMaintenanceMode)) return
+
+  const summary = rule.conditions
+    .map(c => describeCondition(c, sensors.get(c.sensor_id)?.name || 'Unknown sensor'))
+    .join(rule.logic === 'or' ? ' OR ' : ' AND ')
+  const title = active ? `⚡ ${rule.name}` : `✓ ${rule.name} Cleared`
+  const message = active ? `Rule triggered: ${summary}` : `Rule no longer matches: ${summary}`
+
+  for (const action of notifyActions) {
+    // No chosen channels means the channels that receive sensor alerts
+    const channels = action.channel_ids.length > 0
+      ? getChannels().filter(c => c.enabled && action.channel_ids.includes(c.id))
+      : getChannelsFor('sensor_alerts')
+    await sendToChannels(channels, { title, message, priority: active ? action.priority : 0, category: 'sensor_alerts' })
+  }
+}
+
+setInterval(evaluateRules, 60000)
+
+// Validate a rule from a request body, existing is the stored rule when updating
+function validateRuleBody(body, existing) {
+  const name = sanitizeString(body.name ?? existing?.name, 100)
+  if (!name) {
+    return { error: 'Name is required' }
+  }
+
+  // Stored conditions are only checked against the sensors when they're replaced, so a rule whose
+  // sensor was deleted can still be renamed or switched off
+  const sensorIds = db.prepare('SELECT id FROM sensors').all().map(s => s.id)
+  if (body.conditions === undefined && existing) {
+    sensorIds.push(...existing.conditions.map(c => c.sensor_id))
+  }
+  const channelIds = db.prepare('SELECT id FROM notification_channels').all().map(c => c.id)
+  const result = validateRule({
+    logic: body.logic ?? existing?.logic,
+    conditions: body.conditions ?? existing?.conditions,
+    actions: body.actions ?? existing?.actions
+  }, sensorIds, channelIds)
+  if (result.error) return result
+
+  const tankId = resolveTankId(body.tank_id, existing?.tank_id)
+  if (tankId === undefined) {
+    return { error: 'Tank not found' }
+  }
+
+  const enabled = body.enabled !== undefined ? Boolean(body.enabled) : existing ? existing.enabled : true
+  return { rule: { ...result.rule, name, enabled, tank_id: tankId } }
+}
+
+// List rules, with the operators, states and flag levels the rule builder offers
+app.get('/api/rules', (req, res) => {
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
+  const rules = db.prepare(`
+    SELECT * FROM rules WHERE (? IS NULL OR tank_id = ?) ORDER BY created_at
+  `).all(tankId, tankId).map(parseRule)
+
+  res.json({
+    rules,
+    logic: RULE_LOGIC,
+    operators: RULE_OPERATORS,
+    states: RULE_STATES,
+    flag_levels: FLAG_LEVELS
+  })
+})
+
+// Flags of rules that match right now, for the dashboard
+app.get('/api/rules/flags', (req, res) => {
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
+  const rules = db.prepare(`
+    SELECT * FROM rules WHERE enabled = 1 AND active = 1 AND (? IS NULL OR tank_id = ?) ORDER BY active_since
+  `).all(tankId, tankId).map(parseRule)
+
+  const flags = rules.flatMap(rule => rule.actions
+    .filter(a => a.type === 'flag')
+    .map(a => ({ rule_id: rule.id, rule_name: rule.name, label: a.label, level: a.level, since: rule.active_since })))
+
+  res.json(flags)
+})
+
+app.post('/api/rules', (req, res) => {
+  const result = validateRuleBody(req.body || {})
+  if (result.error) {
+    return res.status(400).json({ error: result.error })
+  }
+
+  const { rule } = result
+  const id = generateId()
+  db.prepare(`
+    INSERT INTO rules (id, name, logic, conditions, actions, enabled, tank_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, rule.name, rule.logic, JSON.stringify(rule.conditions), JSON.stringify(rule.actions), rule.enabled ? 1 : 0, rule.tank_id)
+
+  evaluateRules()
+  res.status(201).json(parseRule(db.prepare('SELECT * FROM rules WHERE id = ?').get(id)))
+})
+
+app.put('/api/rules/:id', (req, res) => {
+  if (!isValidUUID(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid rule ID format' })
+  }
+
+  const row = db.prepare('SELECT * FROM rules WHERE id = ?').get(req.params.id)
+  if (!row) {
+    return res.status(404).json({ error: 'Rule not found' })
+  }
+
+  const existing = parseRule(row)
+  const result = validateRuleBody(req.body || {}, existing)
+  if (result.error) {
+    return res.status(400).json({ error: result.error })
+  }
+
+  // Durations restart when the conditions change, a disabled rule stops matching (without notifying)
+  const { rule } = result
+  const conditionsChanged = JSON.stringify(rule.conditions) !== JSON.stringify(existing.conditions)
+  db.prepare(`
+    UPDATE rules SET name = ?, logic = ?, conditions = ?, actions = ?, enabled = ?, tank_id = ?,
+      condition_state = ?, active = ?, active_since = ?
+    WHERE id = ?
+  `).run(
+    rule.name, rule.logic, JSON.stringify(rule.conditions), JSON.stringify(rule.actions), rule.enabled ? 1 : 0, rule.tank_id,
+    conditionsChanged || !rule.enabled ? '[]' : row.condition_state,
+    rule.enabled ? row.active : 0,
+    rule.enabled ? row.active_since : null,
+    req.params.id
+  )
 
-  for (const sensor of sensors) {
-    // Skip if sensor is disabled or has alerts disabled
-    if (sensor.disabled === 1 || sensor.alerts_enabled === 0) continue
-
-    const isDown = isSensorDown(sensor.last_reading_at)
-    const wasDown = lastDownState[sensor.id] || false
-
-    if (isDown && !wasDown) {
-      // Just went down - send alert
-      lastDownState[sensor.id] = true
-      lastDownAlertTime[sensor.id] = now
-      await sendPushoverNotification(
-        `🔴 Sensor Down`,
-        `${sensor.name} has not reported in over 10 minutes`,
-        1 // High priority
-      )
-    } else if (isDown && wasDown) {
-      // Still down - check repeat interval
-      const repeatMinutes = pushoverSettings.alertRepeat || 0
-      if (repeatMinutes > 0) {
-        const lastSent = lastDownAlertTime[sensor.id] || 0
-        const repeatMs = repeatMinutes * 60 * 1000
-        if (now - lastSent >= repeatMs) {
-          lastDownAlertTime[sensor.id] = now
-          await sendPushoverNotification(
-            `🔴 Sensor Still Down`,
-            `${sensor.name} has not reported in over 10 minutes`,
-            1
-          )
-        }
+  evaluateRules()
+  res.json(parseRule(db.prepare('SELECT * FROM rules WHERE id = ?').get(req.params.id)))
+})
+
+app.delete('/api/rules/:id', (req, res) => {
+  if (!isValidUUID(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid rule ID format' })
+  }
+
+  const existing = db.prepare('SELECT id FROM rules WHERE id = ?').get(req.params.id)
+  if (!existing) {
+    return res.status(404).json({ error: 'Rule not found' })
+  }
+
+  db.prepare('DELETE FROM rules WHERE id = ?').run(req.params.id)
+  res.json({ success: true })
+})
+
+// ============ CONTROL ACTIONS ============
+
+const CONTROL_LOG_PAGE_SIZE = 50
+
+// Timers that send the stop request of running actions once their max run time has passed
+const controlStopTimers = new Map()
+
+// Parse a control_actions row
+function parseControlAction(row) {
+  return {
+    ...row,
+    enabled: row.enabled === 1,
+    engaged: row.engaged === 1,
+    running: Boolean(row.running_since)
+  }
+}
+
+// Record a start or stop request in the action log, returns the log entry id
+function logControlAction(action, request, outcome, source, detail = null) {
+  db.prepare(`
+    INSERT INTO control_action_log (action_id, action_name, request, outcome, source, detail)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(action.id, action.name, request, outcome, source, detail)
+  return db.prepare('SELECT last_insert_rowid() as id').get().id
+}
+
+// Start requests sent in the last 24 hours, skipped starts don't count
+function getControlActivations(actionId) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM control_action_log
+    WHERE action_id = ? AND request = 'start' AND outcome != 'skipped' AND created_at >= datetime('now', '-1 day')
+  `).get(actionId).count
+}
+
+// Why an action can't start right now (for the log), null if it can
+function getControlBlock(action, { ignoreCooldown = false } = {}) {
+  if (action.running_since) {
+    return 'already running'
+  }
+  if (!ignoreCooldown && action.cooldown_minutes > 0 && action.last_started_at &&
+      Date.now() - parseAsUTC(action.last_started_at).getTime() < action.cooldown_minutes * 60 * 1000) {
+    return `cooldown of ${action.cooldown_minutes} min`
+  }
+  if (getControlActivations(action.id) >= action.max_per_day) {
+    return `daily limit of ${action.max_per_day} reached`
+  }
+  return null
+}
+
+function scheduleControlStop(actionId, delayMs) {
+  clearTimeout(controlStopTimers.get(actionId))
+  controlStopTimers.set(actionId, setTimeout(() => {
+    controlStopTimers.delete(actionId)
+    const row = db.prepare('SELECT * FROM control_actions WHERE id = ?').get(actionId)
+    if (row?.running_since) stopControlAction(row, 'max_run_time')
+  }, Math.max(delayMs, 0)))
+}
+
+// Send a request and store its outcome on the log entry written before sending
+async function sendLoggedControlRequest(logId, request) {
+  const result = await sendControlRequest(request)
+  db.prepare('UPDATE control_action_log SET outcome = ?, detail = ? WHERE id = ?')
+    .run(result.success ? 'sent' : 'failed', result.error || `HTTP ${result.status}`, logId)
+  return result
+}
+
+// Send an action's start request
+// Actions with a stop request are marked running before sending, and stopped after their max run
+// time even if the start request fails, in case the device acted on it anyway
+async function startControlAction(action, source) {
+  const now = toSqlTimestamp(new Date())
+  const running = Boolean(action.stop_url)
+  db.prepare('UPDATE control_actions SET last_started_at = ?, running_since = ? WHERE id = ?')
+    .run(now, running ? now : null, action.id)
+  if (running) scheduleControlStop(action.id, action.max_run_seconds * 1000)
+
+  const logId = logControlAction(action, 'start', 'sent', source)
+  return sendLoggedControlRequest(logId, { method: action.method, url: action.url, body: action.body })
+}
+
+// Send a running action's stop request
+async function stopControlAction(action, source) {
+  clearTimeout(controlStopTimers.get(action.id))
+  controlStopTimers.delete(action.id)
+  db.prepare('UPDATE control_actions SET running_since = NULL WHERE id = ?').run(action.id)
+
+  const logId = logControlAction(action, 'stop', 'sent', source)
+  return sendLoggedControlRequest(logId, { method: action.stop_method, url: action.stop_url, body: action.stop_body })
+}
+
+// Start or stop a sensor's control actions as its range state enters or leaves their trigger state
+// An action starts once per transition (engaged stays set while the state holds), so a cooldown or
+// the daily limit skips that transition instead of retrying on every reading
+// State changes are written before any request is sent, so overlapping readings can't start an action twice
+async function runControlActions(sensor, state) {
+  const actions = db.prepare('SELECT * FROM control_actions WHERE sensor_id = ? AND enabled = 1').all(sensor.id)
+  const requests = []
+
+  for (const action of actions) {
+    const matches = matchesTrigger(action.trigger_state, state)
+
+    if (matches && action.engaged === 0) {
+      // Devices aren't driven during maintenance, the action starts on the first reading after it ends
+      if (isInMaintenanceMode(sensor.id)) continue
+
+      db.prepare('UPDATE control_actions SET engaged = 1 WHERE id = ?').run(action.id)
+      const block = getControlBlock(action)
+      if (block) {
+        logControlAction(action, 'start', 'skipped', 'sensor', block)
+      } else {
+        requests.push(startControlAction(action, 'sensor'))
       }
-    } else if (!isDown && wasDown) {
-      // Was down, now back up - send recovery
-      lastDownState[sensor.id] = false
-      delete lastDownAlertTime[sensor.id]
-      await sendPushoverNotification(
-        `✓ Sensor Back Online`,
-        `${sensor.name} is reporting again`,
-        0
-      )
+    } else if (!matches && action.engaged === 1) {
+      db.prepare('UPDATE control_actions SET engaged = 0 WHERE id = ?').run(action.id)
+      if (action.running_since) requests.push(stopControlAction(action, 'sensor'))
     }
   }
+
+  await Promise.all(requests)
 }
 
-// Check sensors every minute for down status
-setInterval(checkSensorsDownStatus, 60000)
+// Re-arm the max run time of actions that were running when the server stopped
+function loadControlActions() {
+  controlStopTimers.forEach(timer => clearTimeout(timer))
+  controlStopTimers.clear()
 
-// Check if a reading is out of range and send notification
-async function checkAndNotifyAlert(sensor, value) {
-  // Skip if sensor has alerts disabled
-  if (sensor.alerts_enabled === 0) {
-    return
+  const running = db.prepare('SELECT * FROM control_actions WHERE running_since IS NOT NULL').all()
+  for (const action of running) {
+    const elapsed = Date.now() - parseAsUTC(action.running_since).getTime()
+    scheduleControlStop(action.id, action.max_run_seconds * 1000 - elapsed)
   }
+}
 
-  const pushoverSettings = getPushoverSettings()
-  if (!pushoverSettings.alertsEnabled || !pushoverSettings.token || !pushoverSettings.user) {
-    return
+loadControlActions()
+
+// Validate a control action from a request body, existing is the stored action when updating
+function validateControlActionBody(body, existing) {
+  const fields = ['name', 'sensor_id', 'trigger_state', 'method', 'url', 'body', 'stop_method', 'stop_url', 'stop_body',
+    'max_run_seconds', 'cooldown_minutes', 'max_per_day']
+  const merged = Object.fromEntries(fields.map(key => [key, body[key] !== undefined ? body[key] : existing?.[key]]))
+  const sensorIds = db.prepare('SELECT id FROM sensors').all().map(s => s.id)
+  const result = validateControlAction(merged, sensorIds)
+  if (result.error) return result
+
+  const enabled = body.enabled !== undefined ? Boolean(body.enabled) : existing ? existing.enabled : true
+  return { action: { ...result.action, enabled } }
+}
+
+function getControlActionRow(id) {
+  return db.prepare(`
+    SELECT a.*, s.name as sensor_name, s.tank_id,
+      (SELECT COUNT(*) FROM control_action_log l
+        WHERE l.action_id = a.id AND l.request = 'start' AND l.outcome != 'skipped'
+          AND l.created_at >= datetime('now', '-1 day')) as activations_today
+    FROM control_actions a
+    JOIN sensors s ON s.id = a.sensor_id
+    WHERE a.id = ?
+  `).get(id)
+}
+
+// List control actions, with the triggers and methods the form offers
+app.get('/api/control-actions', (req, res) => {
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
   }
 
-  let isAlert = false
-  let alertMessage = ''
+  const actions = db.prepare(`
+    SELECT a.id FROM control_actions a
+    JOIN sensors s ON s.id = a.sensor_id
+    WHERE (? IS NULL OR s.tank_id = ?)
+    ORDER BY a.created_at
+  `).all(tankId, tankId)
 
-  if (sensor.sensor_type === 'float') {
-    const okValue = sensor.float_ok_value ?? 1
-    isAlert = value !== okValue
-    alertMessage = isAlert
-      ? `${sensor.name} is in ALERT state (reading: ${value})`
-      : `${sensor.name} is back to normal`
-  } else {
-    // Value sensor
-    if (sensor.min_value !== null && value < sensor.min_value) {
-      isAlert = true
-      alertMessage = `${sensor.name} is TOO LOW: ${value}${sensor.unit} (min: ${sensor.min_value}${sensor.unit})`
-    } else if (sensor.max_value !== null && value > sensor.max_value) {
-      isAlert = true
-      alertMessage = `${sensor.name} is TOO HIGH: ${value}${sensor.unit} (max: ${sensor.max_value}${sensor.unit})`
-    }
+  res.json({
+    actions: actions.map(a => parseControlAction(getControlActionRow(a.id))),
+    triggers: CONTROL_TRIGGERS,
+    methods: CONTROL_METHODS
+  })
+})
+
+// Action log, newest first
+// Filter with action_id; page with before (the id of the last entry received)
+app.get('/api/control-actions/log', (req, res) => {
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
   }
 
-  const prevState = lastAlertState[sensor.id]
-  const now = Date.now()
+  const { action_id } = req.query
+  if (action_id && !isValidUUID(action_id)) {
+    return res.status(400).json({ error: 'Invalid action ID format' })
+  }
 
-  if (isAlert) {
-    // Check if we should send a notification
-    let shouldNotify = false
+  const before = sanitizeInteger(req.query.before, 1, Number.MAX_SAFE_INTEGER, null)
+  const limit = sanitizeInteger(req.query.limit, 1, 200, CONTROL_LOG_PAGE_SIZE)
+
+  // Entries of deleted actions are only listed without a tank filter
+  const entries = db.prepare(`
+    SELECT l.* FROM control_action_log l
+    LEFT JOIN control_actions a ON a.id = l.action_id
+    LEFT JOIN sensors s ON s.id = a.sensor_id
+    WHERE (? IS NULL OR s.tank_id = ?)
+      AND (? IS NULL OR l.action_id = ?)
+      AND (? IS NULL OR l.id < ?)
+    ORDER BY l.id DESC
+    LIMIT ?
+  `).all(tankId, tankId, action_id || null, action_id || null, before, before, limit)
 
-    if (prevState !== true) {
-      // State just changed to alert - always notify
-      shouldNotify = true
-      lastAlertState[sensor.id] = true
-    } else {
-      // Already in alert state - check repeat interval
-      const repeatMinutes = pushoverSettings.alertRepeat || 0
-      if (repeatMinutes > 0) {
-        const lastSent = lastAlertSentTime[sensor.id] || 0
-        const repeatMs = repeatMinutes * 60 * 1000
-        if (now - lastSent >= repeatMs) {
-          shouldNotify = true
-        }
-      }
-    }
+  res.json({
+    entries,
+    next_before: entries.length === limit ? entries[entries.length - 1].id : null
+  })
+})
 
-    if (shouldNotify) {
-      lastAlertSentTime[sensor.id] = now
-      await sendPushoverNotification(
-        `⚠️ ${sensor.type} Alert`,
-        alertMessage,
-        1 // High priority
-      )
-    }
+app.post('/api/control-actions', (req, res) => {
+  const result = validateControlActionBody(req.body || {})
+  if (result.error) {
+    return res.status(400).json({ error: result.error })
+  }
+
+  const { action } = result
+  const id = generateId()
+  db.prepare(`
+    INSERT INTO control_actions (id, name, sensor_id, trigger_state, method, url, body, stop_method, stop_url, stop_body,
+      max_run_seconds, cooldown_minutes, max_per_day, enabled)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id, action.name, action.sensor_id, action.trigger_state, action.method, action.url, action.body,
+    action.stop_method, action.stop_url, action.stop_body,
+    action.max_run_seconds, action.cooldown_minutes, action.max_per_day, action.enabled ? 1 : 0
+  )
+
+  res.status(201).json(parseControlAction(getControlActionRow(id)))
+})
+
+app.put('/api/control-actions/:id', async (req, res) => {
+  if (!isValidUUID(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid action ID format' })
+  }
+
+  const row = db.prepare('SELECT * FROM control_actions WHERE id = ?').get(req.params.id)
+  if (!row) {
+    return res.status(404).json({ error: 'Action not found' })
+  }
+
+  const existing = parseControlAction(row)
+  const result = validateControlActionBody(req.body || {}, existing)
+  if (result.error) {
+    return res.status(400).json({ error: result.error })
+  }
+
+  // A new sensor or trigger starts on its next transition, disabling stops a running action
+  const { action } = result
+  const triggerChanged = action.sensor_id !== row.sensor_id || action.trigger_state !== row.trigger_state
+  db.prepare(`
+    UPDATE control_actions SET name = ?, sensor_id = ?, trigger_state = ?, method = ?, url = ?, body = ?,
+      stop_method = ?, stop_url = ?, stop_body = ?, max_run_seconds = ?, cooldown_minutes = ?, max_per_day = ?,
+      enabled = ?, engaged = ?
+    WHERE id = ?
+  `).run(
+    action.name, action.sensor_id, action.trigger_state, action.method, action.url, action.body,
+    action.stop_method, action.stop_url, action.stop_body,
+    action.max_run_seconds, action.cooldown_minutes, action.max_per_day,
+    action.enabled ? 1 : 0, triggerChanged || !action.enabled ? 0 : row.engaged,
+    req.params.id
+  )
+
+  if (row.running_since && !action.enabled) {
+    await stopControlAction(row, 'manual')
+  }
+
+  res.json(parseControlAction(getControlActionRow(req.params.id)))
+})
+
+// Deleting a running action sends its stop request first
+app.delete('/api/control-actions/:id', async (req, res) => {
+  if (!isValidUUID(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid action ID format' })
+  }
+
+  const existing = db.prepare('SELECT * FROM control_actions WHERE id = ?').get(req.params.id)
+  if (!existing) {
+    return res.status(404).json({ error: 'Action not found' })
+  }
+
+  db.prepare('DELETE FROM control_actions WHERE id = ?').run(req.params.id)
+  if (existing.running_since) {
+    await stopControlAction(existing, 'manual')
+  }
+
+  res.json({ success: true })
+})
+
+// Run an action now, skipping its cooldown but not the daily limit or max run time
+app.post('/api/control-actions/:id/run', settingsRateLimit, async (req, res) => {
+  if (!isValidUUID(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid action ID format' })
+  }
+
+  const action = db.prepare('SELECT * FROM control_actions WHERE id = ?').get(req.params.id)
+  if (!action) {
+    return res.status(404).json({ error: 'Action not found' })
+  }
+  if (action.enabled === 0) {
+    return res.status(400).json({ error: 'Action is disabled' })
+  }
+
+  const block = getControlBlock(action, { ignoreCooldown: true })
+  if (block) {
+    return res.status(409).json({ error: `Not started: ${block}` })
+  }
+
+  const result = await startControlAction(action, 'manual')
+  if (result.success) {
+    res.json({ success: true })
   } else {
-    // Not in alert
-    if (prevState === true) {
-      // Was in alert, now normal - send recovery notification
-      lastAlertState[sensor.id] = false
-      delete lastAlertSentTime[sensor.id]
-      await sendPushoverNotification(
-        `✓ ${sensor.type} Normal`,
-        `${sensor.name} is back within normal range: ${value}${sensor.unit || ''}`,
-        0
-      )
-    }
+    res.status(400).json({ error: result.error })
   }
-}
+})
 
-// Post reading via API key (with stricter rate limiting)
-app.post('/api/data/:api_key', dataIngestionLimit, async (req, res) => {
-  // Validate API key format
-  if (!isValidApiKey(req.params.api_key)) {
-    return res.status(400).json({ error: 'Invalid API key format' })
+// Stop a running action now
+app.post('/api/control-actions/:id/stop', settingsRateLimit, async (req, res) => {
+  if (!isValidUUID(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid action ID format' })
   }
 
-  const { value } = req.body
+  const action = db.prepare('SELECT * FROM control_actions WHERE id = ?').get(req.params.id)
+  if (!action) {
+    return res.status(404).json({ error: 'Action not found' })
+  }
+  if (!action.running_since) {
+    return res.status(409).json({ error: 'Action is not running' })
+  }
 
-  // Validate value
-  const numValue = sanitizeNumber(value, -100000, 100000, null)
-  if (numValue === null) {
-    return res.status(400).json({ error: 'Valid numeric value is required' })
+  const result = await stopControlAction(action, 'manual')
+  if (result.success) {
+    res.json({ success: true })
+  } else {
+    res.status(400).json({ error: result.error })
   }
+})
 
-  const sensor = db.prepare('SELECT * FROM sensors WHERE api_key = ?').get(req.params.api_key)
-  if (!sensor) {
-    return res.status(404).json({ error: 'Invalid API key' })
+// ============ MAINTENANCE MODE ============
+
+// Longest maintenance mode allowed
+const MAX_MAINTENANCE_MODE_MINUTES = 24 * 60
+
+// While active, alert notifications are held back for every sensor (or only sensorIds)
+// until is a timestamp in ms, null when off. Kept in app_settings so it survives a restart
+let maintenanceMode = { until: null, sensorIds: [] }
+let maintenanceModeTimer = null
+
+function loadMaintenanceMode() {
+  const until = db.prepare("SELECT value FROM app_settings WHERE key = 'maintenance_mode_until'").get()
+  const sensorIds = db.prepare("SELECT value FROM app_settings WHERE key = 'maintenance_mode_sensors'").get()
+
+  maintenanceMode = {
+    until: until?.value ? parseAsUTC(until.value).getTime() : null,
+    sensorIds: sensorIds?.value ? JSON.parse(sensorIds.value) : []
   }
+  scheduleMaintenanceModeEnd()
+}
 
-  // Skip processing if sensor is disabled
-  if (sensor.disabled) {
-    return res.json({ success: true, sensor_name: sensor.name, disabled: true })
+function saveMaintenanceMode() {
+  const until = maintenanceMode.until ? toSqlTimestamp(new Date(maintenanceMode.until)) : ''
+  db.prepare("INSERT OR REPLACE INTO app_settings (key, value) VALUES ('maintenance_mode_until', ?)").run(until)
+  db.prepare("INSERT OR REPLACE INTO app_settings (key, value) VALUES ('maintenance_mode_sensors', ?)").run(JSON.stringify(maintenanceMode.sensorIds))
+}
+
+function isMaintenanceModeActive() {
+  return maintenanceMode.until !== null && maintenanceMode.until > Date.now()
+}
+
+// Whether maintenance mode covers a sensor right now
+function isInMaintenanceMode(sensorId) {
+  return isMaintenanceModeActive() &&
+    (maintenanceMode.sensorIds.length === 0 || maintenanceMode.sensorIds.includes(sensorId))
+}
+
+// Maintenance mode as returned by the API
+function getMaintenanceModeStatus() {
+  const active = isMaintenanceModeActive()
+  return {
+    active,
+    until: active ? new Date(maintenanceMode.until).toISOString() : null,
+    sensor_ids: active ? maintenanceMode.sensorIds : []
   }
+}
 
-  // For float switches, normalize to 0 or 1
-  let finalValue = numValue
-  if (sensor.sensor_type === 'float') {
-    finalValue = numValue ? 1 : 0
+function scheduleMaintenanceModeEnd() {
+  clearTimeout(maintenanceModeTimer)
+  maintenanceModeTimer = null
+  if (maintenanceMode.until === null) return
+
+  // An end time that passed while the server was down fires straight away
+  maintenanceModeTimer = setTimeout(() => {
+    endMaintenanceMode().catch(err => console.error('Maintenance mode error:', err.message))
+  }, Math.max(0, maintenanceMode.until - Date.now()))
+}
+
+// Start (or restart) maintenance mode, sensorIds empty means every sensor
+function startMaintenanceMode(minutes, sensorIds = []) {
+  maintenanceMode = { until: Date.now() + minutes * 60 * 1000, sensorIds }
+  saveMaintenanceMode()
+  scheduleMaintenanceModeEnd()
+  publishEvent('maintenance_mode', getMaintenanceModeStatus())
+  console.log(`Maintenance mode started for ${minutes} minutes`)
+}
+
+// Extend maintenance mode to cover sensorIds for at least minutes, without cutting short or
+// narrowing a mode that is already active: the later end time is kept, and a mode covering every
+// sensor stays that way
+function extendMaintenanceMode(minutes, sensorIds) {
+  if (!isMaintenanceModeActive()) {
+    startMaintenanceMode(minutes, sensorIds)
+    return
   }
 
-  db.prepare('INSERT INTO readings (sensor_id, value) VALUES (?, ?)').run(sensor.id, finalValue)
+  const until = Math.max(maintenanceMode.until, Date.now() + minutes * 60 * 1000)
+  const merged = maintenanceMode.sensorIds.length === 0
+    ? []
+    : [...new Set([...maintenanceMode.sensorIds, ...sensorIds])]
+  maintenanceMode = { until, sensorIds: merged }
+  saveMaintenanceMode()
+  scheduleMaintenanceModeEnd()
+  publishEvent('maintenance_mode', getMaintenanceModeStatus())
+  console.log(`Maintenance mode extended until ${new Date(until).toISOString()}`)
+}
 
-  // Update last_reading_at timestamp
-  db.prepare('UPDATE sensors SET last_reading_at = CURRENT_TIMESTAMP WHERE id = ?').run(sensor.id)
+// End maintenance mode and re-evaluate alerts still active on the sensors it covered
+async function endMaintenanceMode() {
+  const { sensorIds } = maintenanceMode
+  maintenanceMode = { until: null, sensorIds: [] }
+  saveMaintenanceMode()
+  scheduleMaintenanceModeEnd()
+  publishEvent('maintenance_mode', getMaintenanceModeStatus())
+  console.log('Maintenance mode ended')
 
-  // Check for alerts and send notification
-  checkAndNotifyAlert(sensor, finalValue)
+  await reevaluateActiveAlerts(sensorIds)
+}
 
-  // Clear down state since we got a reading
-  clearSensorDownState(sensor.id)
+loadMaintenanceMode()
 
-  res.json({ success: true, sensor_name: sensor.name })
+app.get('/api/maintenance-mode', (req, res) => {
+  res.json(getMaintenanceModeStatus())
 })
 
-// GET endpoint for simple microcontrollers that can't POST (with stricter rate limiting)
-app.get('/api/data/:api_key/:value', dataIngestionLimit, async (req, res) => {
-  const { api_key, value } = req.params
+// Start maintenance mode. Body: { minutes, sensor_ids (optional, default every sensor) }
+app.post('/api/maintenance-mode', (req, res) => {
+  const minutes = Number(req.body?.minutes)
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MAINTENANCE_MODE_MINUTES) {
+    return res.status(400).json({ error: `Minutes must be between 1 and ${MAX_MAINTENANCE_MODE_MINUTES}` })
+  }
 
-  // Validate API key format
-  if (!isValidApiKey(api_key)) {
-    return res.status(400).json({ error: 'Invalid API key format' })
+  const requested = req.body.sensor_ids
+  if (requested !== undefined && (!Array.isArray(requested) || !requested.every(isValidUUID))) {
+    return res.status(400).json({ error: 'sensor_ids must be a list of sensor IDs' })
   }
 
-  // Validate value
-  const numValue = sanitizeNumber(value, -100000, 100000, null)
-  if (numValue === null) {
-    return res.status(400).json({ error: 'Invalid value' })
+  let sensorIds = []
+  if (requested?.length > 0) {
+    sensorIds = requested.filter(id => db.prepare('SELECT id FROM sensors WHERE id = ?').get(id))
+    if (sensorIds.length === 0) {
+      return res.status(400).json({ error: 'No matching sensors' })
+    }
   }
 
-  const sensor = db.prepare('SELECT * FROM sensors WHERE api_key = ?').get(api_key)
-  if (!sensor) {
-    return res.status(404).json({ error: 'Invalid API key' })
+  startMaintenanceMode(minutes, sensorIds)
+  res.json(getMaintenanceModeStatus())
+})
+
+// End maintenance mode now
+app.delete('/api/maintenance-mode', async (req, res) => {
+  if (isMaintenanceModeActive()) {
+    await endMaintenanceMode()
   }
+  res.json(getMaintenanceModeStatus())
+})
 
-  // Skip processing if sensor is disabled
-  if (sensor.disabled) {
-    return res.json({ success: true, sensor_name: sensor.name, disabled: true })
+// ============ ALERT HISTORY ============
+
+const ALERT_HISTORY_PAGE_SIZE = 50
+
+// Alerts that are still open, with when they were opened and the latest event
+app.get('/api/alerts/active', (req, res) => {
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
   }
 
-  // For float switches, normalize to 0 or 1
-  let finalValue = numValue
-  if (sensor.sensor_type === 'float') {
-    finalValue = numValue ? 1 : 0
+  const alerts = db.prepare(`
+    SELECT o.alert_id, o.sensor_id, s.name as sensor_name, s.tank_id, o.kind, o.value, o.message,
+      o.created_at as opened_at, s.snoozed_until,
+      (SELECT COUNT(*) FROM alert_events WHERE alert_id = o.alert_id AND event = 'repeated') as repeat_count,
+      (SELECT MAX(created_at) FROM alert_events WHERE alert_id = o.alert_id) as last_event_at
+    FROM alert_events o
+    JOIN sensors s ON s.id = o.sensor_id
+    WHERE o.event = 'opened'
+      AND NOT EXISTS (SELECT 1 FROM alert_events r WHERE r.alert_id = o.alert_id AND r.event = 'resolved')
+      AND (? IS NULL OR s.tank_id = ?)
+    ORDER BY o.id DESC
+  `).all(tankId, tankId)
+
+  // Severity and acknowledgement change over an alert's life, take them from the live state
+  res.json(alerts.map(alert => {
+    const live = activeAlerts.get(alertKey(alert.kind, alert.sensor_id))
+    return { ...alert, severity: live?.severity ?? null, acknowledged: live?.acknowledged ? 1 : 0 }
+  }))
+})
+
+// Acknowledge an active alert, which stops repeat notifications until it resolves
+app.post('/api/alerts/:alertId/acknowledge', async (req, res) => {
+  const { alertId } = req.params
+  if (!isValidUUID(alertId)) {
+    return res.status(400).json({ error: 'Invalid alert ID format' })
   }
 
-  db.prepare('INSERT INTO readings (sensor_id, value) VALUES (?, ?)').run(sensor.id, finalValue)
+  const alert = [...activeAlerts.values()].find(a => a.alertId === alertId)
+  if (!alert) {
+    return res.status(404).json({ error: 'Alert not found or already resolved' })
+  }
 
-  // Update last_reading_at timestamp
-  db.prepare('UPDATE sensors SET last_reading_at = CURRENT_TIMESTAMP WHERE id = ?').run(sensor.id)
+  if (!alert.acknowledged) {
+    const sensor = db.prepare('SELECT * FROM sensors WHERE id = ?').get(alert.sensorId)
+    alert.acknowledged = true
+    await recordAlertEvent(alert, 'acknowledged', sensor, { message: `${sensor.name} alert acknowledged` })
+  }
 
-  // Check for alerts and send notification
-  checkAndNotifyAlert(sensor, finalValue)
+  res.json({ success: true })
+})
 
-  // Clear down state since we got a reading
-  clearSensorDownState(sensor.id)
+// Alert events, newest first
+// Filter with sensor_id, kind and event; page with before (the id of the last event received)
+app.get('/api/alerts/history', (req, res) => {
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
+  const { sensor_id, kind, event } = req.query
+  if (sensor_id && !isValidUUID(sensor_id)) {
+    return res.status(400).json({ error: 'Invalid sensor ID format' })
+  }
+  if (kind && !ALERT_KINDS.includes(kind)) {
+    return res.status(400).json({ error: 'Invalid alert kind' })
+  }
+  if (event && !ALERT_EVENTS.includes(event)) {
+    return res.status(400).json({ error: 'Invalid alert event' })
+  }
+
+  const before = sanitizeInteger(req.query.before, 1, Number.MAX_SAFE_INTEGER, null)
+  const limit = sanitizeInteger(req.query.limit, 1, 200, ALERT_HISTORY_PAGE_SIZE)
+
+  const events = db.prepare(`
+    SELECT e.*
+    FROM alert_events e
+    WHERE (? IS NULL OR e.tank_id = ?)
+      AND (? IS NULL OR e.sensor_id = ?)
+      AND (? IS NULL OR e.kind = ?)
+      AND (? IS NULL OR e.event = ?)
+      AND (? IS NULL OR e.id < ?)
+    ORDER BY e.id DESC
+    LIMIT ?
+  `).all(
+    tankId, tankId,
+    sensor_id || null, sensor_id || null,
+    kind || null, kind || null,
+    event || null, event || null,
+    before, before,
+    limit
+  )
 
-  res.json({ success: true, sensor_name: sensor.name })
+  res.json({
+    events,
+    next_before: events.length === limit ? events[events.length - 1].id : null
+  })
 })
 
+// ============ READING RETENTION ============
+
+// Default retention windows in days (0 = keep forever)
+const DEFAULT_RETENTION = { rawDays: 7, hourlyDays: 90, dailyDays: 0 }
+
+// Get retention windows from settings
+function getRetentionSettings() {
+  const raw = db.prepare("SELECT value FROM app_settings WHERE key = 'retention_raw_days'").get()
+  const hourly = db.prepare("SELECT value FROM app_settings WHERE key = 'retention_hourly_days'").get()
+  const daily = db.prepare("SELECT value FROM app_settings WHERE key = 'retention_daily_days'").get()
+
+  return {
+    rawDays: parseInt(raw?.value || DEFAULT_RETENTION.rawDays, 10),
+    hourlyDays: parseInt(hourly?.value || DEFAULT_RETENTION.hourlyDays, 10),
+    dailyDays: parseInt(daily?.value || DEFAULT_RETENTION.dailyDays, 10)
+  }
+}
+
+// Delete raw readings and rollups older than their retention windows
+// Rollups are updated on every insert, so nothing is lost when raw readings are pruned
+// The newest raw reading of each sensor is kept, it is the latest value of a sensor that went quiet
+function pruneReadings() {
+  const retention = getRetentionSettings()
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+
+  try {
+    db.transaction(() => {
+      db.prepare(`
+        DELETE FROM readings WHERE recorded_at < ?
+          AND recorded_at < (SELECT MAX(recorded_at) FROM readings latest WHERE latest.sensor_id = readings.sensor_id)
+      `).run(toSqlTimestamp(daysAgo(retention.rawDays)))
+      db.prepare('DELETE FROM readings_hourly WHERE bucket < ?').run(toSqlTimestamp(daysAgo(retention.hourlyDays)))
+      if (retention.dailyDays > 0) {
+        db.prepare('DELETE FROM readings_daily WHERE bucket < ?').run(toSqlTimestamp(daysAgo(retention.dailyDays)).slice(0, 10))
+      }
+    })
+  } catch (err) {
+    console.error('Reading retention error:', err.message)
+  }
+}
+
+// Prune at startup and then every hour
+pruneReadings()
+setInterval(pruneReadings, 60 * 60 * 1000)
+
+// Chart ranges (in hours) accepted by /api/telemetry/:type
+const TELEMETRY_RANGES = {
+  '1h': 1,
+  '6h': 6,
+  '24h': 24,
+  '7d': 24 * 7,
+  '30d': 24 * 30,
+  '1y': 24 * 365
+}
+
+// Longest range each tier is used for, and the most raw points returned
+const RAW_TIER_MAX_HOURS = 6
+const HOURLY_TIER_MAX_HOURS = 24 * 30
+const MAX_RAW_CHART_POINTS = 2000
+
+// Pick the finest tier that is still retained for the whole range and not too dense
+function selectReadingTier(rangeHours, retention) {
+  if (rangeHours <= RAW_TIER_MAX_HOURS && rangeHours <= retention.rawDays * 24) return 'raw'
+  if (rangeHours <= HOURLY_TIER_MAX_HOURS && rangeHours <= retention.hourlyDays * 24) return 'hourly'
+  return 'daily'
+}
+
+// Get readings for a sensor since a date from the given tier (oldest first)
+// Rolled-up rows use the bucket start as recorded_at and the average as value
+function getTieredReadings(sensorId, tier, since) {
+  if (tier === 'raw') {
+    return db.prepare(`
+      SELECT value, recorded_at
+      FROM readings
+      WHERE sensor_id = ? AND recorded_at >= ?
+      ORDER BY recorded_at DESC, id DESC
+      LIMIT ?
+    `).all(sensorId, toSqlTimestamp(since), MAX_RAW_CHART_POINTS).reverse()
+  }
+
+  const table = tier === 'hourly' ? 'readings_hourly' : 'readings_daily'
+  const sinceBucket = tier === 'hourly' ? toSqlTimestamp(since).slice(0, 13) + ':00:00' : toSqlTimestamp(since).slice(0, 10)
+
+  return db.prepare(`
+    SELECT bucket as recorded_at, sum_value / count as value, min_value as min, max_value as max, count
+    FROM ${table}
+    WHERE sensor_id = ? AND bucket >= ?
+    ORDER BY bucket ASC
+  `).all(sensorId, sinceBucket)
+}
+
 // ============ DASHBOARD DATA ============
 
 // Get parameters for dashboard (latest readings from all sensors)
 app.get('/api/parameters', (req, res) => {
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
   const sensors = db.prepare(`
     SELECT s.*,
       (SELECT value FROM readings WHERE sensor_id = s.id ORDER BY recorded_at DESC LIMIT 1) as latest_value
     FROM sensors s
+    WHERE (? IS NULL OR s.tank_id = ?)
     ORDER BY s.created_at ASC
-  `).all()
+  `).all(tankId, tankId)
+  const displayUnits = getDisplayUnits()
 
   const parameters = sensors.map(sensor => {
     const isDisabled = sensor.disabled === 1
-    const isDown = !isDisabled && isSensorDown(sensor.last_reading_at)
+    const isDown = !isDisabled && isSensorDown(sensor)
 
     if (sensor.sensor_type === 'float') {
       // Float switch sensor
-      const isOk = sensor.latest_value === sensor.float_ok_value
+      const isOk = sensor.range_state ? sensor.range_state === 'normal' : sensor.latest_value === sensor.float_ok_value
       return {
         icon: sensor.icon,
         label: sensor.type,
         value: isDisabled ? '--' : (isDown ? 'DOWN' : (sensor.latest_value !== null ? (isOk ? 'OK' : 'ALERT') : '--')),
         unit: '',
-        status: isDisabled ? 'disabled' : (isDown ? 'down' : getFloatStatus(sensor.latest_value, sensor.float_ok_value)),
+        status: isDisabled ? 'disabled' : (isDown ? 'down' : getFloatStatus(sensor.latest_value, sensor.float_ok_value, sensor.range_state)),
         color: sensor.color,
         sensor_type: 'float',
         isDown,
-        isDisabled
+        isDisabled,
+        sensor_id: sensor.id,
+        active_alerts: getSensorAlerts(sensor.id),
+        snoozed_until: isSnoozed(sensor) ? sensor.snoozed_until : null,
+        offline_timeout_minutes: getOfflineTimeoutMinutes(sensor)
       }
     } else {
-      // Value-based sensor
+      // Value-based sensor, shown in the display unit
+      const display = getUnitDisplay(sensor, displayUnits)
       return {
         icon: sensor.icon,
         label: sensor.type,
-        value: isDisabled ? '--' : (isDown ? 'DOWN' : (sensor.latest_value?.toFixed(1) || '--')),
-        unit: isDisabled ? '' : (isDown ? '' : sensor.unit),
-        status: isDisabled ? 'disabled' : (isDown ? 'down' : getValueStatus(sensor.latest_value, sensor.min_value, sensor.max_value)),
+        value: isDisabled ? '--' : (isDown ? 'DOWN' : (display.toDisplay(sensor.latest_value)?.toFixed(display.decimals) || '--')),
+        unit: isDisabled ? '' : (isDown ? '' : display.unit),
+        status: isDisabled ? 'disabled' : (isDown ? 'down' : getValueStatus(sensor.latest_value, sensor)),
         color: sensor.color,
         sensor_type: 'value',
         isDown,
-        isDisabled
+        isDisabled,
+        sensor_id: sensor.id,
+        active_alerts: getSensorAlerts(sensor.id),
+        snoozed_until: isSnoozed(sensor) ? sensor.snoozed_until : null,
+        offline_timeout_minutes: getOfflineTimeoutMinutes(sensor)
       }
     }
   })
@@ -1540,119 +4182,441 @@ app.get('/api/telemetry/:type', (req, res) => {
     return res.json({ readings: [], dailySummary: [], sensor: null })
   }
 
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) {
+    return res.status(400).json({ error: 'Invalid tank ID format' })
+  }
+
   const sensor = db.prepare(`
-    SELECT * FROM sensors WHERE LOWER(type) = LOWER(?) LIMIT 1
-  `).get(sanitizedType)
+    SELECT * FROM sensors
+    WHERE LOWER(type) = LOWER(?) AND (? IS NULL OR tank_id = ?)
+    ORDER BY created_at ASC
+    LIMIT 1
+  `).get(sanitizedType, tankId, tankId)
 
   if (!sensor) {
     return res.json({ readings: [], dailySummary: [], sensor: null })
   }
 
-  // Get readings from the past month
+  // Chart readings come from the tier that suits the requested range
+  const range = TELEMETRY_RANGES[req.query.range] ? req.query.range : '24h'
+  const rangeHours = TELEMETRY_RANGES[range]
+  const tier = selectReadingTier(rangeHours, getRetentionSettings())
+  const readings = getTieredReadings(sensor.id, tier, new Date(Date.now() - rangeHours * 60 * 60 * 1000))
+
+  // Check if a value is out of range for this sensor
+  const isOutOfRange = (value) => {
+    if (sensor.sensor_type === 'float') {
+      const okValue = sensor.float_ok_value ?? 1
+      return value !== okValue
+    }
+    // Value sensor
+    if (sensor.min_value !== null && value < sensor.min_value) return true
+    if (sensor.max_value !== null && value > sensor.max_value) return true
+    return false
+  }
+
+  // Create daily summary for the past month from the hourly rollups
   const oneMonthAgo = new Date()
   oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1)
-  const oneMonthAgoStr = oneMonthAgo.toISOString()
+  const hourlyBuckets = getTieredReadings(sensor.id, 'hourly', oneMonthAgo)
 
-  const readings = db.prepare(`
-    SELECT value, recorded_at
-    FROM readings
-    WHERE sensor_id = ? AND recorded_at >= ?
-    ORDER BY recorded_at ASC
-  `).all(sensor.id, oneMonthAgoStr)
-
-  // Create daily summary with out-of-range detection
   const dailySummary = {}
   const timezone = getUserTimezone()
 
-  readings.forEach(r => {
+  hourlyBuckets.forEach(b => {
     // Convert to user's timezone before extracting date
-    const date = getDateInTimezone(r.recorded_at, timezone)
+    const date = getDateInTimezone(b.recorded_at, timezone)
 
     if (!dailySummary[date]) {
       dailySummary[date] = {
         date,
         hasData: true,
         hasAlert: false,
-        readings: [],
-        min: r.value,
-        max: r.value,
-        avg: 0
+        min: b.min,
+        max: b.max,
+        sum: 0,
+        count: 0
       }
     }
 
-    dailySummary[date].readings.push(r.value)
-    dailySummary[date].min = Math.min(dailySummary[date].min, r.value)
-    dailySummary[date].max = Math.max(dailySummary[date].max, r.value)
-
-    // Check if this reading is out of range
-    let isOutOfRange = false
-    if (sensor.sensor_type === 'float') {
-      const okValue = sensor.float_ok_value ?? 1
-      isOutOfRange = r.value !== okValue
-    } else {
-      // Value sensor
-      if (sensor.min_value !== null && r.value < sensor.min_value) isOutOfRange = true
-      if (sensor.max_value !== null && r.value > sensor.max_value) isOutOfRange = true
-    }
+    const day = dailySummary[date]
+    day.min = Math.min(day.min, b.min)
+    day.max = Math.max(day.max, b.max)
+    day.sum += b.value * b.count
+    day.count += b.count
 
-    if (isOutOfRange) {
-      dailySummary[date].hasAlert = true
+    // The bucket had an out-of-range reading if its min or max was out of range
+    if (isOutOfRange(b.min) || isOutOfRange(b.max)) {
+      day.hasAlert = true
     }
   })
 
   // Calculate averages
   Object.values(dailySummary).forEach(day => {
-    day.avg = day.readings.reduce((a, b) => a + b, 0) / day.readings.length
-    day.count = day.readings.length
-    delete day.readings // Don't send all readings, just the summary
+    day.avg = day.sum / day.count
+    delete day.sum
   })
 
+  // Values go out in the display unit, the sensor keeps its stored thresholds
+  const displayUnits = getDisplayUnits()
+  const display = getUnitDisplay(sensor, displayUnits)
+  const toDisplay = (row, keys) => ({ ...row, ...Object.fromEntries(keys.map(key => [key, display.toDisplay(row[key])])) })
+
   res.json({
-    sensor,
-    readings: readings.slice(-50), // Last 50 readings for the chart
-    dailySummary: Object.values(dailySummary).sort((a, b) => a.date.localeCompare(b.date))
+    sensor: formatSensor(sensor, displayUnits),
+    unit: display.unit,
+    decimals: display.decimals,
+    range,
+    tier,
+    readings: readings.map(r => toDisplay(r, ['value', 'min', 'max'])),
+    dailySummary: Object.values(dailySummary)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => toDisplay(day, ['min', 'max', 'avg']))
   })
 })
 
 // Helper to determine status for value-based sensors
-function getValueStatus(value, minValue, maxValue) {
+function getValueStatus(value, sensor) {
   if (value === null || value === undefined) return 'No Data'
 
   // If no ranges configured, just show "Active"
-  if (minValue === null && maxValue === null) return 'Active'
-
-  // Check against configured ranges
-  if (minValue !== null && value < minValue) return 'Too Low'
-  if (maxValue !== null && value > maxValue) return 'Too High'
+  if (!hasRangeLimits(sensor)) return 'Active'
 
-  return 'Normal'
+  // Use the debounced state when there is one, so the status matches alerts
+  const state = RANGE_STATUS_LABELS[sensor.range_state] ? sensor.range_state : getThresholdState(sensor, value)
+  return RANGE_STATUS_LABELS[state]
 }
 
 // Helper to determine status for float switch sensors
-function getFloatStatus(value, okValue = 1) {
+function getFloatStatus(value, okValue = 1, rangeState = null) {
   if (value === null || value === undefined) return 'No Data'
-  const isOk = value === okValue
+  const isOk = rangeState ? rangeState === 'normal' : value === okValue
   return isOk ? 'OK' : 'Alert'
 }
 
+// ============ EXPORTS ============
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson']
+const EXPORT_RESOLUTIONS = ['raw', 'hourly', 'daily']
+const EXPORT_PAGE_SIZE = 1000
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json',
+  ndjson: 'application/x-ndjson'
+}
+
+// Format a UTC timestamp as 'YYYY-MM-DD HH:MM:SS' in the given timezone
+function formatInTimezone(dateStr, timezone) {
+  // sv-SE formats as YYYY-MM-DD HH:MM:SS
+  return parseAsUTC(dateStr).toLocaleString('sv-SE', { timeZone: timezone })
+}
+
+// Get midnight of a YYYY-MM-DD date in the given timezone as a UTC SQL timestamp
+function startOfDayInTimezone(dateStr, timezone) {
+  const guess = new Date(`${dateStr}T00:00:00Z`)
+  const local = new Date(guess.toLocaleString('sv-SE', { timeZone: timezone }).replace(' ', 'T') + 'Z')
+  return toSqlTimestamp(new Date(guess.getTime() - (local.getTime() - guess.getTime())))
+}
+
+// Get the day after a YYYY-MM-DD date
+function nextDate(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + 1)
+  return date.toISOString().slice(0, 10)
+}
+
+// Parse the shared export query parameters (from/to are inclusive dates in the user's timezone)
+function parseExportQuery(req) {
+  const { from, to } = req.query
+  if (from && !isValidDateString(from)) return { error: 'Invalid from date (use YYYY-MM-DD)' }
+  if (to && !isValidDateString(to)) return { error: 'Invalid to date (use YYYY-MM-DD)' }
+
+  const tankId = getTankFilter(req)
+  if (tankId === undefined) return { error: 'Invalid tank ID format' }
+
+  const timezone = getUserTimezone()
+  return {
+    format: validateEnum(req.query.format, EXPORT_FORMATS, 'csv'),
+    tankId,
+    timezone,
+    fromDate: from || null,
+    toDate: to || null,
+    // UTC bounds for timestamp columns, the end is exclusive
+    fromUtc: from ? startOfDayInTimezone(from, timezone) : null,
+    toUtc: to ? startOfDayInTimezone(nextDate(to), timezone) : null
+  }
+}
+
+// Quote a CSV field when needed
+// Text starting with =, +, - or @ is prefixed so spreadsheets don't run it as a formula
+function toCsvValue(value) {
+  if (value === null || value === undefined) return ''
+  let str = String(value)
+  if (typeof value === 'string' && /^[=+\-@]/.test(str)) str = `'${str}`
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+// Stream an export page by page (keyset pagination), waiting for the client between pages
+// fetchPage(lastRow) returns the rows after lastRow, toRecord maps a row to the output columns
+function streamExport(res, options) {
+  writeExport(res, options).catch(err => {
+    console.error('Export error:', err.message)
+    // Once rows have been sent the status can't change, cutting the connection marks the file incomplete
+    if (res.headersSent) {
+      res.destroy(err)
+    } else {
+      res.status(500).json({ error: 'Export failed' })
+    }
+  })
+}
+
+async function writeExport(res, { format, filename, columns, fetchPage, toRecord }) {
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format])
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${new Date().toISOString().slice(0, 10)}.${format}"`)
+
+  let closed = false
+  res.on('close', () => { closed = true })
+
+  if (format === 'csv') res.write(columns.join(',') + '\n')
+  if (format === 'json') res.write('[')
+
+  let lastRow = null
+  let first = true
+  while (!closed) {
+    const rows = fetchPage(lastRow)
+
+    const chunk = rows.map(row => {
+      const record = toRecord(row)
+      if (format === 'csv') return columns.map(column => toCsvValue(record[column])).join(',') + '\n'
+      if (format === 'json') {
+        const separator = first ? '' : ','
+        first = false
+        return separator + JSON.stringify(record)
+      }
+      return JSON.stringify(record) + '\n'
+    }).join('')
+    if (chunk) res.write(chunk)
+
+    if (rows.length < EXPORT_PAGE_SIZE) break
+    lastRow = rows[rows.length - 1]
+
+    // Wait for the client to catch up (or at least let other requests run) before the next page
+    await new Promise(resolve => {
+      if (!res.writableNeedDrain) return setImmediate(resolve)
+      const done = () => {
+        res.off('drain', done)
+        res.off('close', done)
+        resolve()
+      }
+      res.once('drain', done)
+      res.once('close', done)
+    })
+  }
+
+  if (closed) return
+  if (format === 'json') res.write(']')
+  res.end()
+}
+
+// Export sensor readings
+// resolution=raw (default) is every stored reading, hourly/daily are the rollups (daily buckets are UTC days)
+app.get('/api/export/readings', (req, res) => {
+  const query = parseExportQuery(req)
+  if (query.error) {
+    return res.status(400).json({ error: query.error })
+  }
+
+  const sensorId = req.query.sensor_id || null
+  if (sensorId && !isValidUUID(sensorId)) {
+    return res.status(400).json({ error: 'Invalid sensor ID format' })
+  }
+
+  const resolution = validateEnum(req.query.resolution, EXPORT_RESOLUTIONS, 'raw')
+  const { tankId, timezone } = query
+
+  if (resolution === 'raw') {
+    return streamExport(res, {
+      format: query.format,
+      filename: 'sensor-readings',
+      columns: ['sensor', 'type', 'unit', 'recorded_at', 'recorded_at_utc', 'value', 'raw_value'],
+      fetchPage: (last) => db.prepare(`
+        SELECT r.id, r.value, r.raw_value, r.recorded_at, s.name as sensor_name, s.type, s.unit
+        FROM readings r
+        JOIN sensors s ON s.id = r.sensor_id
+        WHERE (? IS NULL OR r.sensor_id = ?)
+          AND (? IS NULL OR s.tank_id = ?)
+          AND (? IS NULL OR r.recorded_at >= ?)
+          AND (? IS NULL OR r.recorded_at < ?)
+          AND (? IS NULL OR r.recorded_at > ? OR (r.recorded_at = ? AND r.id > ?))
+        ORDER BY r.recorded_at ASC, r.id ASC
+        LIMIT ?
+      `).all(
+        sensorId, sensorId, tankId, tankId,
+        query.fromUtc, query.fromUtc, query.toUtc, query.toUtc,
+        last?.recorded_at ?? null, last?.recorded_at ?? null, last?.recorded_at ?? null, last?.id ?? null,
+        EXPORT_PAGE_SIZE
+      ),
+      toRecord: (row) => ({
+        sensor: row.sensor_name,
+        type: row.type,
+        unit: row.unit,
+        recorded_at: formatInTimezone(row.recorded_at, timezone),
+        recorded_at_utc: row.recorded_at,
+        value: row.value,
+        raw_value: row.raw_value
+      })
+    })
+  }
+
+  // Hourly buckets compare against UTC timestamps, daily buckets against dates
+  const table = resolution === 'hourly' ? 'readings_hourly' : 'readings_daily'
+  const from = resolution === 'hourly' ? query.fromUtc : query.fromDate
+  const to = resolution === 'hourly' ? query.toUtc : (query.toDate ? nextDate(query.toDate) : null)
+
+  streamExport(res, {
+    format: query.format,
+    filename: `sensor-readings-${resolution}`,
+    columns: ['sensor', 'type', 'unit', 'recorded_at', 'recorded_at_utc', 'value', 'min', 'max', 'count'],
+    fetchPage: (last) => db.prepare(`
+      SELECT b.sensor_id, b.bucket, b.min_value, b.max_value, b.sum_value, b.count, s.name as sensor_name, s.type, s.unit
+      FROM ${table} b
+      JOIN sensors s ON s.id = b.sensor_id
+      WHERE (? IS NULL OR b.sensor_id = ?)
+        AND (? IS NULL OR s.tank_id = ?)
+        AND (? IS NULL OR b.bucket >= ?)
+        AND (? IS NULL OR b.bucket < ?)
+        AND (? IS NULL OR b.bucket > ? OR (b.bucket = ? AND b.sensor_id > ?))
+      ORDER BY b.bucket ASC, b.sensor_id ASC
+      LIMIT ?
+    `).all(
+      sensorId, sensorId, tankId, tankId,
+      from, from, to, to,
+      last?.bucket ?? null, last?.bucket ?? null, last?.bucket ?? null, last?.sensor_id ?? null,
+      EXPORT_PAGE_SIZE
+    ),
+    toRecord: (row) => ({
+      sensor: row.sensor_name,
+      type: row.type,
+      unit: row.unit,
+      recorded_at: resolution === 'hourly' ? formatInTimezone(row.bucket, timezone) : row.bucket,
+      recorded_at_utc: row.bucket,
+      value: row.sum_value / row.count,
+      min: row.min_value,
+      max: row.max_value,
+      count: row.count
+    })
+  })
+})
+
+// Export water parameter test results
+app.get('/api/export/water-parameters', (req, res) => {
+  const query = parseExportQuery(req)
+  if (query.error) {
+    return res.status(400).json({ error: query.error })
+  }
+
+  const parameterId = req.query.parameter_id || null
+  if (parameterId && !isValidParamId(parameterId)) {
+    return res.status(400).json({ error: 'Invalid parameter ID format' })
+  }
+
+  const { tankId, timezone } = query
+
+  streamExport(res, {
+    format: query.format,
+    filename: 'water-parameters',
+    columns: ['parameter', 'unit', 'date', 'value', 'logged_at'],
+    fetchPage: (last) => db.prepare(`
+      SELECT r.id, r.value, r.reading_date, r.created_at, p.name as parameter_name, p.unit
+      FROM water_parameter_readings r
+      JOIN water_parameters p ON p.id = r.parameter_id
+      WHERE (? IS NULL OR r.parameter_id = ?)
+        AND (? IS NULL OR p.tank_id = ?)
+        AND (? IS NULL OR r.reading_date >= ?)
+        AND (? IS NULL OR r.reading_date <= ?)
+        AND (? IS NULL OR r.reading_date > ? OR (r.reading_date = ? AND r.id > ?))
+      ORDER BY r.reading_date ASC, r.id ASC
+      LIMIT ?
+    `).all(
+      parameterId, parameterId, tankId, tankId,
+      query.fromDate, query.fromDate, query.toDate, query.toDate,
+      last?.reading_date ?? null, last?.reading_date ?? null, last?.reading_date ?? null, last?.id ?? null,
+      EXPORT_PAGE_SIZE
+    ),
+    toRecord: (row) => ({
+      parameter: row.parameter_name,
+      unit: row.unit,
+      // Test dates are already stored in the user's timezone
+      date: row.reading_date,
+      value: row.value,
+      logged_at: formatInTimezone(row.created_at, timezone)
+    })
+  })
+})
+
+// Export maintenance task completions
+app.get('/api/export/maintenance', (req, res) => {
+  const query = parseExportQuery(req)
+  if (query.error) {
+    return res.status(400).json({ error: query.error })
+  }
+
+  const taskId = req.query.task_id || null
+  if (taskId && !isValidUUID(taskId)) {
+    return res.status(400).json({ error: 'Invalid task ID format' })
+  }
+
+  const { tankId, timezone } = query
+
+  streamExport(res, {
+    format: query.format,
+    filename: 'maintenance-log',
+    columns: ['task', 'completed_at', 'completed_at_utc', 'percentage', 'notes'],
+    fetchPage: (last) => db.prepare(`
+      SELECT c.id, c.completed_at, c.percentage, c.notes, t.name as task_name
+      FROM maintenance_completions c
+      JOIN maintenance_tasks t ON t.id = c.task_id
+      WHERE (? IS NULL OR c.task_id = ?)
+        AND (? IS NULL OR t.tank_id = ?)
+        AND (? IS NULL OR c.completed_at >= ?)
+        AND (? IS NULL OR c.completed_at < ?)
+        AND (? IS NULL OR c.completed_at > ? OR (c.completed_at = ? AND c.id > ?))
+      ORDER BY c.completed_at ASC, c.id ASC
+      LIMIT ?
+    `).all(
+      taskId, taskId, tankId, tankId,
+      query.fromUtc, query.fromUtc, query.toUtc, query.toUtc,
+      last?.completed_at ?? null, last?.completed_at ?? null, last?.completed_at ?? null, last?.id ?? null,
+      EXPORT_PAGE_SIZE
+    ),
+    toRecord: (row) => ({
+      task: row.task_name,
+      completed_at: formatInTimezone(row.completed_at, timezone),
+      completed_at_utc: row.completed_at,
+      percentage: row.percentage,
+      notes: row.notes
+    })
+  })
+})
+
 // ============ APP SETTINGS ============
 
 // Allowed settings keys (whitelist to prevent arbitrary key injection)
 const ALLOWED_SETTINGS_KEYS = [
   'timezone',
-  'pushover_token',
-  'pushover_user',
-  'pushover_alerts',
-  'pushover_maintenance',
-  'pushover_alert_repeat'
+  'alert_repeat_minutes',
+  'alert_warning_priority',
+  'alert_critical_priority',
+  'retention_raw_days',
+  'retention_hourly_days',
+  'retention_daily_days',
+  'backup_interval_hours',
+  'backup_keep',
+  ...QUANTITIES.map(q => `unit_${q.id}`)
 ]
 
-// Redact sensitive values for display (show last 4 chars)
-function redactValue(value) {
-  if (!value || value.length <= 4) return '••••••••'
-  return '••••••••' + value.slice(-4)
-}
-
 // Get all settings
 app.get('/api/settings', (req, res) => {
   const settings = db.prepare('SELECT key, value FROM app_settings').all()
@@ -1660,17 +4624,16 @@ app.get('/api/settings', (req, res) => {
   settings.forEach(s => {
     // Only include allowed settings
     if (!ALLOWED_SETTINGS_KEYS.includes(s.key)) return
-
-    // Redact sensitive Pushover keys
-    if ((s.key === 'pushover_token' || s.key === 'pushover_user') && s.value) {
-      settingsObj[s.key] = redactValue(s.value)
-    } else {
-      settingsObj[s.key] = s.value
-    }
+    settingsObj[s.key] = s.value
   })
   res.json(settingsObj)
 })
 
+// Unit catalogue for the display unit settings and unit pickers
+app.get('/api/units', (req, res) => {
+  res.json(getUnitCatalogue())
+})
+
 // Update a setting (with rate limiting)
 app.put('/api/settings/:key', settingsRateLimit, (req, res) => {
   const { key } = req.params
@@ -1681,11 +4644,6 @@ app.put('/api/settings/:key', settingsRateLimit, (req, res) => {
     return res.status(400).json({ error: 'Invalid setting key' })
   }
 
-  // Don't update if value is redacted (starts with •) - user didn't change it
-  if (value && typeof value === 'string' && value.startsWith('••••')) {
-    return res.json({ success: true, key, value, skipped: true })
-  }
-
   // Sanitize value based on key type
   let sanitizedValue = value
   if (key === 'timezone') {
@@ -1694,20 +4652,34 @@ app.put('/api/settings/:key', settingsRateLimit, (req, res) => {
       return res.status(400).json({ error: 'Invalid timezone' })
     }
     sanitizedValue = sanitizeString(value, 50)
-  } else if (key === 'pushover_token' || key === 'pushover_user') {
-    // API keys should be alphanumeric, max 50 chars
-    if (typeof value !== 'string' || value.length > 50) {
-      return res.status(400).json({ error: 'Invalid API key format' })
-    }
-    sanitizedValue = value.trim().slice(0, 50)
-  } else if (key === 'pushover_alerts' || key === 'pushover_maintenance') {
-    // Boolean-like values, should be '0' or '1'
-    sanitizedValue = value === '1' || value === 1 || value === true ? '1' : '0'
-  } else if (key === 'pushover_alert_repeat') {
+  } else if (key === 'alert_repeat_minutes') {
     // Numeric value for minutes (0, 5, 30, 60, 1440)
     const numVal = parseInt(value, 10)
-    const allowedIntervals = [0, 5, 30, 60, 1440]
-    sanitizedValue = allowedIntervals.includes(numVal) ? String(numVal) : '0'
+    sanitizedValue = ALERT_REPEAT_INTERVALS.includes(numVal) ? String(numVal) : '0'
+  } else if (key === 'alert_warning_priority' || key === 'alert_critical_priority') {
+    const numVal = parseInt(value, 10)
+    const severity = key === 'alert_warning_priority' ? 'warning' : 'critical'
+    sanitizedValue = String(ALERT_PRIORITIES.includes(numVal) ? numVal : DEFAULT_ALERT_PRIORITIES[severity])
+  } else if (key === 'retention_raw_days') {
+    sanitizedValue = String(sanitizeInteger(value, 1, 365, DEFAULT_RETENTION.rawDays))
+  } else if (key === 'retention_hourly_days') {
+    // At least a month so the telemetry calendar always has data
+    sanitizedValue = String(sanitizeInteger(value, 31, 3650, DEFAULT_RETENTION.hourlyDays))
+  } else if (key === 'retention_daily_days') {
+    // 0 keeps daily rollups forever
+    sanitizedValue = String(sanitizeInteger(value, 0, 36500, DEFAULT_RETENTION.dailyDays))
+  } else if (key === 'backup_interval_hours') {
+    // Hours between scheduled backups (0 = off)
+    const numVal = parseInt(value, 10)
+    sanitizedValue = BACKUP_INTERVALS.includes(numVal) ? String(numVal) : '0'
+  } else if (key === 'backup_keep') {
+    sanitizedValue = String(sanitizeInteger(value, 1, 60, DEFAULT_BACKUP_KEEP))
+  } else if (key.startsWith('unit_')) {
+    // Display unit of a quantity, '' shows values in their storage unit
+    if (!isValidDisplayUnit(key.slice('unit_'.length), value)) {
+      return res.status(400).json({ error: 'Invalid display unit' })
+    }
+    sanitizedValue = value
   }
 
   db.prepare(`
@@ -1717,66 +4689,377 @@ app.put('/api/settings/:key', settingsRateLimit, (req, res) => {
   res.json({ success: true, key, value: sanitizedValue })
 })
 
-// ============ PUSHOVER NOTIFICATIONS ============
+// ============ BACKUP & RESTORE ============
+
+const backupDir = path.join(dataDir, 'backups')
+
+// Allowed hours between scheduled backups (0 = off) and default number kept
+const BACKUP_INTERVALS = [0, 6, 12, 24, 168]
+const DEFAULT_BACKUP_KEEP = 7
+const MAX_RESTORE_SIZE = '200mb'
 
-// Helper function to get Pushover settings
-function getPushoverSettings() {
-  const token = db.prepare("SELECT value FROM app_settings WHERE key = 'pushover_token'").get()
-  const user = db.prepare("SELECT value FROM app_settings WHERE key = 'pushover_user'").get()
-  const alerts = db.prepare("SELECT value FROM app_settings WHERE key = 'pushover_alerts'").get()
-  const maintenance = db.prepare("SELECT value FROM app_settings WHERE key = 'pushover_maintenance'").get()
-  const alertRepeat = db.prepare("SELECT value FROM app_settings WHERE key = 'pushover_alert_repeat'").get()
+// Local backup files are named <kind>-<timestamp>.db
+const BACKUP_FILE_PATTERN = /^(scheduled|manual|pre-restore)-[0-9TZ-]+\.db$/
+
+// Get scheduled backup settings
+function getBackupSettings() {
+  const interval = db.prepare("SELECT value FROM app_settings WHERE key = 'backup_interval_hours'").get()
+  const keep = db.prepare("SELECT value FROM app_settings WHERE key = 'backup_keep'").get()
 
   return {
-    token: token?.value || '',
-    user: user?.value || '',
-    alertsEnabled: alerts?.value !== '0',
-    maintenanceEnabled: maintenance?.value !== '0',
-    alertRepeat: parseInt(alertRepeat?.value || '0', 10)
+    intervalHours: parseInt(interval?.value || '0', 10),
+    keep: parseInt(keep?.value || DEFAULT_BACKUP_KEEP, 10)
+  }
+}
+
+// List local backups, newest first
+function listBackups() {
+  if (!fs.existsSync(backupDir)) return []
+
+  return fs.readdirSync(backupDir)
+    .filter(name => BACKUP_FILE_PATTERN.test(name))
+    .map(name => {
+      const stat = fs.statSync(path.join(backupDir, name))
+      return {
+        name,
+        kind: name.match(BACKUP_FILE_PATTERN)[1],
+        size: stat.size,
+        created_at: stat.mtime.toISOString()
+      }
+    })
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+}
+
+// Write a snapshot to the backups directory and drop the oldest of that kind beyond the keep limit
+function writeLocalBackup(kind) {
+  fs.mkdirSync(backupDir, { recursive: true })
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+  const name = `${kind}-${stamp}.db`
+  const tmpPath = path.join(backupDir, `${name}.tmp`)
+  fs.writeFileSync(tmpPath, db.snapshot())
+  fs.renameSync(tmpPath, path.join(backupDir, name))
+
+  const { keep } = getBackupSettings()
+  listBackups()
+    .filter(b => b.kind === kind)
+    .slice(keep)
+    .forEach(b => fs.unlinkSync(path.join(backupDir, b.name)))
+
+  return name
+}
+
+// Take a scheduled backup when the newest one is older than the configured interval
+function checkScheduledBackup() {
+  const { intervalHours } = getBackupSettings()
+  if (!intervalHours) return
+
+  try {
+    const latest = listBackups().find(b => b.kind === 'scheduled')
+    if (latest && Date.now() - new Date(latest.created_at).getTime() < intervalHours * 60 * 60 * 1000) return
+
+    const name = writeLocalBackup('scheduled')
+    console.log(`Scheduled backup written: ${name}`)
+  } catch (err) {
+    console.error('Scheduled backup error:', err.message)
   }
 }
 
-// Send a Pushover notification
-async function sendPushoverNotification(title, message, priority = 0) {
-  const settings = getPushoverSettings()
+// Check at startup and then every 10 minutes
+checkScheduledBackup()
+setInterval(checkScheduledBackup, 10 * 60 * 1000)
+
+// Download a backup of the whole database
+// format=sqlite (default) is the database file, format=json is every table including specimen images
+app.get('/api/backup', (req, res) => {
+  const format = validateEnum(req.query.format, ['sqlite', 'json'], 'sqlite')
+  const stamp = new Date().toISOString().slice(0, 10)
+
+  if (format === 'json') {
+    res.setHeader('Content-Type', 'application/json')
+    res.setHeader('Content-Disposition', `attachment; filename="observatory-backup-${stamp}.json"`)
+    // Written synchronously so the snapshot stays consistent
+    for (const chunk of db.jsonBackupChunks()) {
+      res.write(chunk)
+    }
+    return res.end()
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.sqlite3')
+  res.setHeader('Content-Disposition', `attachment; filename="observatory-backup-${stamp}.db"`)
+  res.end(db.snapshot())
+})
 
-  if (!settings.token || !settings.user) {
-    return { success: false, error: 'Pushover not configured' }
+// Restore from an uploaded SQLite or JSON backup (sent as the raw request body)
+// The current database is saved to the backups directory first
+app.post('/api/restore', settingsRateLimit, express.raw({ type: () => true, limit: MAX_RESTORE_SIZE }), async (req, res) => {
+  const body = req.body
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    return res.status(400).json({ error: 'No backup file uploaded' })
   }
 
+  let safetyBackup
   try {
-    const params = new URLSearchParams({
-      token: settings.token,
-      user: settings.user,
-      title: title,
-      message: message,
-      priority: priority.toString()
-    })
+    safetyBackup = writeLocalBackup('pre-restore')
+  } catch (err) {
+    return res.status(500).json({ error: 'Failed to back up the current database before restoring' })
+  }
 
-    const response = await fetch('https://api.pushover.net/1/messages.json', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: params.toString()
-    })
+  // Actions running now that aren't running in the backup still need their stop request
+  const running = db.prepare('SELECT * FROM control_actions WHERE running_since IS NOT NULL').all()
 
-    const data = await response.json()
+  try {
+    const format = await db.restore(body)
+
+    // Alert state comes from the restored database's alert history, down state from its readings
+    loadActiveAlerts()
+    sensorDownState.clear()
+    loadMaintenanceMode()
+    const stillRunning = new Set(
+      db.prepare('SELECT id FROM control_actions WHERE running_since IS NOT NULL').all().map(row => row.id)
+    )
+    await Promise.all(running.filter(action => !stillRunning.has(action.id))
+      .map(action => stopControlAction(action, 'manual')))
+    loadControlActions()
+    connectMqtt()
+
+    console.log(`Database restored from ${format} backup (previous database saved as ${safetyBackup})`)
+    res.json({ success: true, format, previous_backup: safetyBackup })
+  } catch (err) {
+    res.status(400).json({ error: `Backup rejected: ${err.message}` })
+  }
+})
 
-    if (data.status === 1) {
-      return { success: true }
-    } else {
-      return { success: false, error: data.errors?.join(', ') || 'Unknown error' }
-    }
+// List local backups
+app.get('/api/backups', (req, res) => {
+  res.json({ ...getBackupSettings(), backups: listBackups() })
+})
+
+// Take a local backup now
+app.post('/api/backups', settingsRateLimit, (req, res) => {
+  try {
+    const name = writeLocalBackup('manual')
+    res.status(201).json({ success: true, name })
   } catch (err) {
-    return { success: false, error: err.message }
+    res.status(500).json({ error: 'Failed to write backup' })
+  }
+})
+
+// Download a local backup
+app.get('/api/backups/:name', (req, res) => {
+  const { name } = req.params
+  if (!BACKUP_FILE_PATTERN.test(name)) {
+    return res.status(400).json({ error: 'Invalid backup name' })
+  }
+
+  const filePath = path.join(backupDir, name)
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Backup not found' })
   }
+
+  res.download(filePath, name)
+})
+
+// ============ NOTIFICATIONS ============
+
+// Allowed minutes between repeat notifications for ongoing alerts (0 = never repeat)
+const ALERT_REPEAT_INTERVALS = [0, 5, 30, 60, 1440]
+
+const CATEGORY_IDS = NOTIFICATION_CATEGORIES.map(c => c.id)
+
+// Redact sensitive values for display (show last 4 chars)
+function redactValue(value) {
+  if (!value || value.length <= 4) return '••••••••'
+  return '••••••••' + value.slice(-4)
 }
 
-// Test Pushover notification
-app.post('/api/pushover/test', async (req, res) => {
-  const result = await sendPushoverNotification(
-    'Deep Sea Observatory',
-    'Test notification - Pushover is configured correctly!'
-  )
+function getAlertRepeatMinutes() {
+  const setting = db.prepare("SELECT value FROM app_settings WHERE key = 'alert_repeat_minutes'").get()
+  return parseInt(setting?.value || '0', 10)
+}
+
+// Notification priority per alert severity (0 normal, 1 high, 2 emergency)
+// Critical alerts default to emergency, which Pushover repeats until acknowledged in the app
+const ALERT_PRIORITIES = [0, 1, 2]
+const DEFAULT_ALERT_PRIORITIES = { warning: 1, critical: 2 }
+
+function getAlertPriority(severity) {
+  const setting = db.prepare('SELECT value FROM app_settings WHERE key = ?').get(`alert_${severity}_priority`)
+  const priority = parseInt(setting?.value, 10)
+  return ALERT_PRIORITIES.includes(priority) ? priority : DEFAULT_ALERT_PRIORITIES[severity]
+}
+
+// Parse a notification_channels row
+function parseChannel(row) {
+  return {
+    ...row,
+    config: JSON.parse(row.config || '{}'),
+    categories: JSON.parse(row.categories || '[]'),
+    enabled: row.enabled === 1
+  }
+}
+
+function getChannels() {
+  return db.prepare('SELECT * FROM notification_channels ORDER BY created_at').all().map(parseChannel)
+}
+
+// Enabled channels that receive a category
+function getChannelsFor(category) {
+  return getChannels().filter(c => c.enabled && c.categories.includes(category))
+}
+
+function hasChannelsFor(category) {
+  return getChannelsFor(category).length > 0
+}
+
+// Channel as returned by the API, with secret fields redacted
+function redactChannel(channel) {
+  const config = { ...channel.config }
+  for (const field of providers[channel.type]?.fields || []) {
+    if (field.secret && config[field.key]) {
+      config[field.key] = redactValue(String(config[field.key]))
+    }
+  }
+  return { ...channel, config }
+}
+
+// Send a notification to every enabled channel routed to the category
+async function notify(category, title, message, priority = 0) {
+  return sendToChannels(getChannelsFor(category), { title, message, priority, category })
+}
+
+// Send one notification through several channels, logging failures
+async function sendToChannels(channels, notification) {
+  const results = await Promise.all(channels.map(channel => sendToChannel(channel, notification)))
+  results.forEach((result, i) => {
+    countNotification(channels[i], result.success)
+    if (!result.success) {
+      console.error(`Notification to ${channels[i].name} failed:`, result.error)
+    }
+  })
+  return results
+}
+
+// Validate a channel from a request body
+// existing is the stored channel when updating, its secrets are kept when the body sends them back redacted
+function validateChannelBody(body, existing) {
+  const type = existing ? existing.type : body.type
+  const provider = providers[type]
+  if (!provider) {
+    return { error: 'Invalid channel type' }
+  }
+
+  const name = sanitizeString(body.name ?? existing?.name, 100)
+  if (!name) {
+    return { error: 'Name is required' }
+  }
+
+  const config = { ...(body.config && typeof body.config === 'object' ? body.config : existing?.config || {}) }
+  for (const field of provider.fields) {
+    if (field.secret && typeof config[field.key] === 'string' && config[field.key].startsWith('••••')) {
+      config[field.key] = existing?.config[field.key] || ''
+    }
+  }
+  const validated = provider.validate(config)
+  if (validated.error) {
+    return { error: validated.error }
+  }
+
+  const categories = Array.isArray(body.categories)
+    ? CATEGORY_IDS.filter(id => body.categories.includes(id))
+    : existing?.categories || CATEGORY_IDS
+
+  const enabled = body.enabled === undefined ? (existing ? existing.enabled : true) : Boolean(body.enabled)
+
+  return { channel: { name, type, config: validated.config, categories, enabled } }
+}
+
+// List channels along with the available channel types and alert categories
+app.get('/api/notification-channels', (req, res) => {
+  const types = Object.entries(providers).map(([id, provider]) => ({
+    id,
+    label: provider.label,
+    fields: provider.fields
+  }))
+  res.json({
+    channels: getChannels().map(redactChannel),
+    types,
+    categories: NOTIFICATION_CATEGORIES
+  })
+})
+
+// Add a channel
+app.post('/api/notification-channels', settingsRateLimit, (req, res) => {
+  const { channel, error } = validateChannelBody(req.body || {})
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  const id = generateId()
+  db.prepare(`
+    INSERT INTO notification_channels (id, name, type, config, categories, enabled)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, channel.name, channel.type, JSON.stringify(channel.config), JSON.stringify(channel.categories), channel.enabled ? 1 : 0)
+
+  const row = db.prepare('SELECT * FROM notification_channels WHERE id = ?').get(id)
+  res.status(201).json(redactChannel(parseChannel(row)))
+})
+
+// Update a channel (its type can't change)
+app.put('/api/notification-channels/:id', settingsRateLimit, (req, res) => {
+  const { id } = req.params
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid channel ID format' })
+  }
+
+  const row = db.prepare('SELECT * FROM notification_channels WHERE id = ?').get(id)
+  if (!row) {
+    return res.status(404).json({ error: 'Channel not found' })
+  }
+
+  const { channel, error } = validateChannelBody(req.body || {}, parseChannel(row))
+  if (error) {
+    return res.status(400).json({ error })
+  }
+
+  db.prepare(`
+    UPDATE notification_channels SET name = ?, config = ?, categories = ?, enabled = ? WHERE id = ?
+  `).run(channel.name, JSON.stringify(channel.config), JSON.stringify(channel.categories), channel.enabled ? 1 : 0, id)
+
+  const updated = db.prepare('SELECT * FROM notification_channels WHERE id = ?').get(id)
+  res.json(redactChannel(parseChannel(updated)))
+})
+
+// Delete a channel
+app.delete('/api/notification-channels/:id', settingsRateLimit, (req, res) => {
+  const { id } = req.params
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid channel ID format' })
+  }
+
+  db.prepare('DELETE FROM notification_channels WHERE id = ?').run(id)
+  res.json({ success: true })
+})
+
+// Send a test notification through one channel
+app.post('/api/notification-channels/:id/test', settingsRateLimit, async (req, res) => {
+  const { id } = req.params
+  if (!isValidUUID(id)) {
+    return res.status(400).json({ error: 'Invalid channel ID format' })
+  }
+
+  const row = db.prepare('SELECT * FROM notification_channels WHERE id = ?').get(id)
+  if (!row) {
+    return res.status(404).json({ error: 'Channel not found' })
+  }
+
+  const channel = parseChannel(row)
+  const result = await sendToChannel(channel, {
+    title: 'Deep Sea Observatory',
+    message: `Test notification - ${channel.name} is configured correctly!`,
+    priority: 0,
+    category: 'test'
+  })
 
   if (result.success) {
     res.json({ success: true })
@@ -1790,6 +5073,162 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() })
 })
 
+// ============ METRICS ============
+
+// Counters since the server started, Prometheus handles the reset on restart
+const ingestedReadings = new Map()
+const notificationCounts = new Map()
+let rateLimitedIngestion = 0
+
+function countIngestedReading(sensorId) {
+  ingestedReadings.set(sensorId, (ingestedReadings.get(sensorId) || 0) + 1)
+}
+
+// Called by every rate limiter, only sensor data requests are counted
+function countRateLimitedIngestion(req) {
+  if (req.originalUrl.startsWith('/api/data/')) rateLimitedIngestion++
+}
+
+function countNotification(channel, success) {
+  const counts = notificationCounts.get(channel.id) || { success: 0, failure: 0 }
+  counts[success ? 'success' : 'failure']++
+  notificationCounts.set(channel.id, counts)
+}
+
+// Range states as a number so they can be alerted on: 0 normal, 1 warning, 2 critical
+function getAlertLevel(rangeState) {
+  if (!rangeState || rangeState === 'normal') return 0
+  return rangeState.startsWith('critical') ? 2 : 1
+}
+
+function collectMetrics() {
+  const now = Date.now()
+  const sensors = db.prepare(`
+    SELECT s.*,
+      (SELECT value FROM readings WHERE sensor_id = s.id ORDER BY recorded_at DESC LIMIT 1) as latest_value
+    FROM sensors s
+    ORDER BY s.created_at ASC
+  `).all()
+  const sensorLabels = (sensor) => ({ sensor_id: sensor.id, name: sensor.name, tank_id: sensor.tank_id })
+  const sensorSamples = (getValue) => sensors.map(sensor => ({ labels: sensorLabels(sensor), value: getValue(sensor) }))
+
+  const tasks = db.prepare('SELECT * FROM maintenance_tasks ORDER BY created_at ASC').all()
+  const params = db.prepare('SELECT * FROM water_parameters WHERE interval_days > 0 ORDER BY sort_order ASC').all()
+  const todayStr = getDateInTimezone(new Date().toISOString(), getUserTimezone())
+  const channels = db.prepare('SELECT id, name, type FROM notification_channels ORDER BY created_at ASC').all()
+
+  let dbSize = null
+  try {
+    dbSize = fs.statSync(dbPath).size
+  } catch {
+    // Not saved to disk yet
+  }
+
+  return [
+    {
+      name: 'aquarium_sensor_value',
+      help: 'Latest reading of the sensor',
+      type: 'gauge',
+      samples: sensors.map(sensor => ({ labels: { ...sensorLabels(sensor), unit: sensor.unit || '' }, value: sensor.latest_value }))
+    },
+    {
+      name: 'aquarium_sensor_alert_level',
+      help: 'Range state of the sensor: 0 normal, 1 warning, 2 critical',
+      type: 'gauge',
+      samples: sensorSamples(sensor => sensor.latest_value === null
+        ? null
+        : getAlertLevel(sensor.range_state || getRawRangeState(sensor, sensor.latest_value)))
+    },
+    {
+      name: 'aquarium_sensor_alert_open',
+      help: 'Whether the sensor has an open alert of the kind (range, offline or rate)',
+      type: 'gauge',
+      samples: sensors.flatMap(sensor => ALERT_KINDS.map(kind => ({
+        labels: { ...sensorLabels(sensor), kind },
+        value: activeAlerts.has(alertKey(kind, sensor.id))
+      })))
+    },
+    {
+      name: 'aquarium_sensor_down',
+      help: 'Whether the sensor has not reported within its offline timeout',
+      type: 'gauge',
+      samples: sensorSamples(sensor => sensor.disabled === 1 ? null : isSensorDown(sensor))
+    },
+    {
+      name: 'aquarium_sensor_disabled',
+      help: 'Whether the sensor is disabled',
+      type: 'gauge',
+      samples: sensorSamples(sensor => sensor.disabled === 1)
+    },
+    {
+      name: 'aquarium_sensor_last_reading_age_seconds',
+      help: 'Seconds since the sensor last reported',
+      type: 'gauge',
+      samples: sensorSamples(sensor => sensor.last_reading_at
+        ? Math.max(0, Math.round((now - parseAsUTC(sensor.last_reading_at).getTime()) / 1000))
+        : null)
+    },
+    {
+      name: 'aquarium_sensor_readings_ingested_total',
+      help: 'Readings stored for the sensor since the server started',
+      type: 'counter',
+      samples: sensorSamples(sensor => ingestedReadings.get(sensor.id) || 0)
+    },
+    {
+      name: 'aquarium_ingestion_rate_limited_total',
+      help: 'Sensor data requests rejected by a rate limit since the server started',
+      type: 'counter',
+      samples: [{ value: rateLimitedIngestion }]
+    },
+    {
+      name: 'aquarium_maintenance_task_days_until_due',
+      help: 'Days until the maintenance task is due, 0 or less when due',
+      type: 'gauge',
+      samples: tasks.map(task => ({
+        labels: { task_id: task.id, name: task.name, tank_id: task.tank_id },
+        value: getTaskStatus(task).daysUntilDue ?? 0
+      }))
+    },
+    {
+      name: 'aquarium_water_parameter_days_until_due',
+      help: 'Days until the water parameter is due for testing, 0 or less when due',
+      type: 'gauge',
+      samples: params.map(param => {
+        const lastReading = db.prepare(`
+          SELECT * FROM water_parameter_readings
+          WHERE parameter_id = ?
+          ORDER BY reading_date DESC LIMIT 1
+        `).get(param.id)
+        return {
+          labels: { parameter_id: param.id, name: param.name, tank_id: param.tank_id },
+          value: getParameterDueStatus(param, lastReading, todayStr).daysUntilDue ?? 0
+        }
+      })
+    },
+    {
+      name: 'aquarium_notifications_sent_total',
+      help: 'Notifications sent through the channel since the server started, by result',
+      type: 'counter',
+      samples: channels.flatMap(channel => ['success', 'failure'].map(result => ({
+        labels: { channel_id: channel.id, name: channel.name, type: channel.type, result },
+        value: notificationCounts.get(channel.id)?.[result] || 0
+      })))
+    },
+    {
+      name: 'aquarium_database_size_bytes',
+      help: 'Size of the database file',
+      type: 'gauge',
+      samples: [{ value: dbSize }]
+    }
+  ]
+}
+
+// Prometheus scrape endpoint, outside /api so scrapes don't count towards the API rate limit
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE)
+  res.send(renderMetrics(collectMetrics()))
+})
+
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
   // In Docker, frontend is at ./frontend/dist relative to backend
@@ -0,0 +1,118 @@
+// Unit catalogue
+// Sensors and water parameters keep their values in one storage unit from this catalogue (or a
+// free-text unit that is never converted). Each quantity has a display unit picked under
+// Settings → Units, and values are converted through the first unit of their quantity.
+// Salinity conversions are approximations for natural seawater at 25°C.
+
+const SG_PER_PPT = 0.000754 // 35 ppt ≈ 1.0264 SG
+const US_CM_PER_PPT = 1514 // 35 ppt ≈ 53,000 µS/cm
+const DKH_PER_MEQ = 2.8
+const PPM_PER_MEQ = 50 // ppm as CaCO3
+const LITERS_PER_GALLON = 3.785411784
+
+export const QUANTITIES = [
+  { id: 'temperature', label: 'Temperature' },
+  { id: 'salinity', label: 'Salinity' },
+  { id: 'alkalinity', label: 'Alkalinity' },
+  { id: 'volume', label: 'Volume' }
+]
+
+const same = (v) => v
+
+// Aliases are matched lowercased without spaces; 'ppm' alone is only alkalinity for parameters
+// named like it (calcium and nitrate are ppm too), see inferStorageUnit
+export const UNITS = {
+  c: { symbol: '°C', quantity: 'temperature', decimals: 1, aliases: ['c', '°c', 'degc', 'celsius', '℃'], toBase: same, fromBase: same },
+  f: { symbol: '°F', quantity: 'temperature', decimals: 1, aliases: ['f', '°f', 'degf', 'fahrenheit', '℉'], toBase: v => (v - 32) * 5 / 9, fromBase: v => v * 9 / 5 + 32 },
+  ppt: { symbol: 'ppt', quantity: 'salinity', decimals: 1, aliases: ['ppt', '‰', 'psu', 'g/kg'], toBase: same, fromBase: same },
+  sg: { symbol: 'SG', quantity: 'salinity', decimals: 3, aliases: ['sg', 's.g.'], toBase: v => (v - 1) / SG_PER_PPT, fromBase: v => 1 + v * SG_PER_PPT },
+  us_cm: { symbol: 'µS/cm', quantity: 'salinity', decimals: 0, aliases: ['µs/cm', 'μs/cm', 'us/cm', 'µs', 'μs'], toBase: v => v / US_CM_PER_PPT, fromBase: v => v * US_CM_PER_PPT },
+  dkh: { symbol: 'dKH', quantity: 'alkalinity', decimals: 1, aliases: ['dkh', '°dkh', 'kh'], toBase: same, fromBase: same },
+  meq_l: { symbol: 'meq/L', quantity: 'alkalinity', decimals: 2, aliases: ['meq/l', 'meq'], toBase: v => v * DKH_PER_MEQ, fromBase: v => v / DKH_PER_MEQ },
+  ppm_caco3: { symbol: 'ppm', quantity: 'alkalinity', decimals: 0, aliases: ['ppmcaco3'], toBase: v => v / PPM_PER_MEQ * DKH_PER_MEQ, fromBase: v => v / DKH_PER_MEQ * PPM_PER_MEQ },
+  l: { symbol: 'L', quantity: 'volume', decimals: 1, aliases: ['l', 'liter', 'litre', 'liters', 'litres'], toBase: same, fromBase: same },
+  ml: { symbol: 'mL', quantity: 'volume', decimals: 0, aliases: ['ml'], toBase: v => v / 1000, fromBase: v => v * 1000 },
+  gal: { symbol: 'gal', quantity: 'volume', decimals: 1, aliases: ['gal', 'gallon', 'gallons'], toBase: v => v * LITERS_PER_GALLON, fromBase: v => v / LITERS_PER_GALLON }
+}
+
+// Decimals shown for free-text units, as the dashboard always did
+const DEFAULT_DECIMALS = 1
+
+// Catalogue for the API: quantities with their units
+export function getUnitCatalogue() {
+  return QUANTITIES.map(q => ({
+    ...q,
+    units: Object.entries(UNITS)
+      .filter(([, unit]) => unit.quantity === q.id)
+      .map(([id, unit]) => ({ id, symbol: unit.symbol }))
+  }))
+}
+
+// Storage unit for a free-text unit, null if it isn't one the catalogue can convert
+// name (sensor type or parameter name) tells alkalinity in ppm apart from other ppm values
+export function inferStorageUnit(unit, name = '') {
+  const normalized = String(unit ?? '').toLowerCase().replace(/\s+/g, '')
+  if (!normalized) return null
+  if (normalized === 'ppm') return /alk|kh/i.test(name) ? 'ppm_caco3' : null
+  const match = Object.entries(UNITS).find(([, u]) => u.aliases.includes(normalized))
+  return match ? match[0] : null
+}
+
+// Validate a storage unit from a request body, '' or null means a free-text unit
+// Returns { storageUnit } or { error }
+export function validateStorageUnit(value) {
+  if (value === null || value === '') return { storageUnit: null }
+  if (typeof value !== 'string' || !Object.hasOwn(UNITS, value)) return { error: 'Unknown unit' }
+  return { storageUnit: value }
+}
+
+// Whether a display unit setting value is valid for a quantity ('' shows values as stored)
+export function isValidDisplayUnit(quantity, value) {
+  return value === '' || (Object.hasOwn(UNITS, value) && UNITS[value].quantity === quantity)
+}
+
+// Convert a value between two units of the same quantity, rounded to 6 decimals against float noise
+// Values with no storage unit, or units of different quantities, are returned unchanged
+export function convertValue(value, fromId, toId) {
+  if (value === null || value === undefined || !fromId || !toId || fromId === toId) return value
+  const from = UNITS[fromId]
+  const to = UNITS[toId]
+  if (!from || !to || from.quantity !== to.quantity) return value
+  return Math.round(to.fromBase(from.toBase(value)) * 1000000) / 1000000
+}
+
+// Display unit of a storage unit under the display preferences ({ temperature: 'f', ... })
+function getDisplayUnitId(storageUnit, preferences) {
+  if (!storageUnit || !UNITS[storageUnit]) return null
+  const preferred = preferences[UNITS[storageUnit].quantity]
+  return preferred && isValidDisplayUnit(UNITS[storageUnit].quantity, preferred) ? preferred : storageUnit
+}
+
+// How the values of a sensor or water parameter are shown: the unit symbol, decimals and
+// conversions between the storage and display unit. Rows without a storage unit show as stored.
+export function getUnitDisplay(row, preferences) {
+  const from = row.storage_unit
+  const to = getDisplayUnitId(from, preferences)
+  const decimals = to ? UNITS[to].decimals : DEFAULT_DECIMALS
+  const toDisplay = (value) => convertValue(value, from, to)
+  const toStorage = (value) => convertValue(value, to, from)
+  // A minus is a sign at the start or after a space or separator, so "-1.5" is negative and "8-9" is a range
+  const replaceNumbers = (text, convert) => !text || from === to
+    ? text
+    : text.replace(/(^|[^\d.])(-?\d+(?:\.\d+)?)/g, (match, before, n) => before + String(convert(Number(n))))
+
+  return {
+    unit: to ? UNITS[to].symbol : (row.unit || ''),
+    decimals,
+    converted: from !== to,
+    toDisplay,
+    toStorage,
+    // Differences (rate-of-change limits) scale without the offset of °C and °F
+    toDisplayDelta: (delta) => Math.round((toDisplay(delta) - toDisplay(0)) * 1000000) / 1000000,
+    // Converted values are rounded to the unit's decimals, values shown as stored keep theirs
+    format: (value) => from === to ? String(value) : String(Number(toDisplay(value).toFixed(decimals))),
+    // Numbers inside a free-text target ("8.0-9.0") are converted one by one, in both directions
+    formatText: (text) => replaceNumbers(text, n => Number(toDisplay(n).toFixed(decimals))),
+    parseText: (text) => replaceNumbers(text, n => Number(toStorage(n).toFixed(UNITS[from].decimals + 1)))
+  }
+}
@@ -9,6 +9,7 @@
  * - Watchdog timer to prevent hangs
  * - Debounced float switch reading
  * - Automatic recovery from WiFi failures
+ * - Buffers readings in RTC memory while offline and backfills them on reconnect
  *
  * Hardware: ESP32-WROOM-32 or similar
  *
@@ -21,6 +22,7 @@
 #include <WiFi.h>
 #include <HTTPClient.h>
 #include <esp_task_wdt.h>
+#include <time.h>
 
 // ============ CONFIGURATION ============
 // WiFi credentials
@@ -44,12 +46,30 @@ const int MAX_RETRIES = 1;                        // No retries - next cycle wil
 const unsigned long WDT_TIMEOUT = 30;             // Watchdog timeout in seconds
 const int MAX_CONSECUTIVE_FAILURES = 5;           // Failures before WiFi reset
 const unsigned long WIFI_RESET_COOLDOWN = 30000;  // 30s between full WiFi resets
+const time_t MIN_VALID_TIME = 1700000000;         // Clock is considered synced after this (Nov 2023)
+
+// Offline buffer - readings taken while WiFi is down are kept here and sent
+// with their timestamps once we reconnect. RTC_NOINIT_ATTR keeps the buffer
+// across watchdog and software resets (it is only lost on power loss).
+const int BUFFER_SIZE = 64;
+const uint32_t BUFFER_MAGIC = 0xF10A7B0F;
+
+struct BufferedReading {
+  uint32_t timestamp;  // Epoch seconds (UTC)
+  uint8_t state;
+};
+
+RTC_NOINIT_ATTR uint32_t bufferMagic;
+RTC_NOINIT_ATTR BufferedReading readingBuffer[BUFFER_SIZE];
+RTC_NOINIT_ATTR int bufferHead;   // Index of the oldest reading
+RTC_NOINIT_ATTR int bufferCount;  // Number of buffered readings
 
 // State variables
 unsigned long lastReportTime = 0;
 unsigned long lastWiFiAttempt = 0;
 unsigned long lastDebounceTime = 0;
 unsigned long lastWiFiReset = 0;
+unsigned long lastFlushAttempt = 0;
 int lastState = -1;
 int lastRawState = -1;
 int debouncedState = -1;
@@ -64,6 +84,8 @@ void WiFiEvent(WiFiEvent_t event) {
       Serial.print("WiFi connected. IP: ");
       Serial.println(WiFi.localIP());
       wifiConnected = true;
+      // Sync the clock so buffered readings can be timestamped
+      configTime(0, 0, "pool.ntp.org", "time.nist.gov");
       break;
     case ARDUINO_EVENT_WIFI_STA_DISCONNECTED:
       Serial.println("WiFi disconnected");
@@ -94,6 +116,18 @@ void setup() {
   esp_task_wdt_reconfigure(&wdt_config);
   esp_task_wdt_add(NULL);
 
+  // RTC memory is random after power-on - reset the buffer unless it survived a reset
+  if (bufferMagic != BUFFER_MAGIC || bufferHead < 0 || bufferHead >= BUFFER_SIZE ||
+      bufferCount < 0 || bufferCount > BUFFER_SIZE) {
+    bufferMagic = BUFFER_MAGIC;
+    bufferHead = 0;
+    bufferCount = 0;
+  } else if (bufferCount > 0) {
+    Serial.print("Recovered ");
+    Serial.print(bufferCount);
+    Serial.println(" buffered readings from RTC memory");
+  }
+
   // Configure float sensor pin with internal pull-up
   pinMode(FLOAT_PIN, INPUT_PULLUP);
 
@@ -156,13 +190,31 @@ void loop() {
     shouldSend = true;
   }
 
-  if (shouldSend && wifiConnected) {
+  // Flush anything buffered while offline before sending live readings
+  if (wifiConnected && bufferCount > 0 &&
+      (lastFlushAttempt == 0 || now - lastFlushAttempt >= REPORT_INTERVAL)) {
+    if (!flushBuffer()) {
+      lastFlushAttempt = now;
+    } else {
+      lastFlushAttempt = 0;
+    }
+  }
+
+  if (shouldSend && !wifiConnected) {
+    // Offline - keep the reading to backfill later
+    bufferReading(stateToSend);
+    lastReportTime = now;
+    pendingState = -1;
+  } else if (shouldSend && wifiConnected) {
     if (sendReading(stateToSend)) {
       lastReportTime = now;
       pendingState = -1;  // Clear pending
       lastState = stateToSend;
       consecutiveFailures = 0;  // Reset failure counter on success
     } else {
+      bufferReading(stateToSend);
+      lastReportTime = now;
+      pendingState = -1;
       consecutiveFailures++;
       Serial.print("Send failed (");
       Serial.print(consecutiveFailures);
@@ -190,6 +242,103 @@ void loop() {
   delay(10);  // Short delay for stability
 }
 
+// Current UTC epoch time, or 0 if the clock hasn't been synced yet
+time_t currentEpoch() {
+  time_t nowEpoch = time(nullptr);
+  return nowEpoch >= MIN_VALID_TIME ? nowEpoch : 0;
+}
+
+void bufferReading(int state) {
+  time_t timestamp = currentEpoch();
+  if (timestamp == 0) {
+    // Without a synced clock the server can't place the reading - drop it
+    Serial.println("Clock not synced, dropping offline reading");
+    return;
+  }
+
+  // Ring buffer - overwrite the oldest reading when full
+  int index = (bufferHead + bufferCount) % BUFFER_SIZE;
+  if (bufferCount == BUFFER_SIZE) {
+    bufferHead = (bufferHead + 1) % BUFFER_SIZE;
+  } else {
+    bufferCount++;
+  }
+  readingBuffer[index].timestamp = (uint32_t)timestamp;
+  readingBuffer[index].state = (uint8_t)state;
+
+  Serial.print("Buffered ");
+  Serial.print(state);
+  Serial.print(" (");
+  Serial.print(bufferCount);
+  Serial.println(" waiting)");
+}
+
+// Send all buffered readings in one request to the batch endpoint
+// serverUrl is ".../api/data/API_KEY/", so the batch URL and API key are derived from it
+bool flushBuffer() {
+  if (WiFi.status() != WL_CONNECTED) {
+    wifiConnected = false;
+    return false;
+  }
+
+  String url = String(serverUrl);
+  int dataIndex = url.indexOf("/api/data/");
+  if (dataIndex < 0) {
+    Serial.println("serverUrl doesn't look like an API endpoint, discarding buffer");
+    bufferCount = 0;
+    return false;
+  }
+  String apiKey = url.substring(dataIndex + 10);
+  apiKey.replace("/", "");
+  String batchUrl = url.substring(0, dataIndex) + "/api/data/batch";
+
+  String body = "{\"readings\":[";
+  for (int i = 0; i < bufferCount; i++) {
+    BufferedReading &reading = readingBuffer[(bufferHead + i) % BUFFER_SIZE];
+    if (i > 0) body += ",";
+    body += "{\"api_key\":\"" + apiKey + "\",\"value\":" + String(reading.state) +
+            ",\"timestamp\":" + String(reading.timestamp) + "}";
+  }
+  body += "]}";
+
+  esp_task_wdt_reset();
+  Serial.print("Flushing ");
+  Serial.print(bufferCount);
+  Serial.println(" buffered readings");
+
+  HTTPClient http;
+  http.begin(batchUrl);
+  http.setTimeout(HTTP_TIMEOUT);
+  http.setConnectTimeout(HTTP_TIMEOUT);
+  http.addHeader("Content-Type", "application/json");
+  int httpCode = http.POST(body);
+  http.end();
+
+  if (httpCode >= 200 && httpCode < 300) {
+    // Server got it (readings too old are rejected individually) - clear the buffer
+    Serial.print("Flush complete: ");
+    Serial.println(httpCode);
+    bufferHead = 0;
+    bufferCount = 0;
+    return true;
+  }
+
+  if (httpCode >= 400 && httpCode < 500 && httpCode != 429) {
+    // Rejected outright (bad API key, malformed batch) - retrying won't help
+    Serial.print("Flush rejected: ");
+    Serial.print(httpCode);
+    Serial.println(", discarding buffer");
+    bufferHead = 0;
+    bufferCount = 0;
+    return false;
+  }
+
+  // Connection errors, rate limiting (429) and server errors (5xx) are retried later
+  Serial.print("Flush failed: ");
+  Serial.println(httpCode > 0 ? String(httpCode) : http.errorToString(httpCode));
+  return false;
+}
+
 void resetWiFi() {
   Serial.println("Resetting WiFi...");
 
@@ -5,6 +5,9 @@ import Specimens from './pages/Specimens'
 import LabLogs from './pages/LabLogs'
 import Hardware from './pages/Hardware'
 import Settings from './pages/Settings'
+import AlertHistory from './pages/AlertHistory'
+import Rules from './pages/Rules'
+import Controls from './pages/Controls'
 
 function App() {
   return (
@@ -15,6 +18,9 @@ function App() {
         <Route path="logs" element={<LabLogs />} />
         <Route path="hardware" element={<Hardware />} />
         <Route path="settings" element={<Settings />} />
+        <Route path="alerts" element={<AlertHistory />} />
+        <Route path="rules" element={<Rules />} />
+        <Route path="controls" element={<Controls />} />
       </Route>
     </Routes>
   )
@@ -0,0 +1,124 @@
+import { useState } from 'react'
+import { useSettings } from '../context/SettingsContext'
+
+const SNOOZE_OPTIONS = [
+  { minutes: 30, label: '30m' },
+  { minutes: 60, label: '1h' },
+  { minutes: 240, label: '4h' },
+  { minutes: 1440, label: '1d' }
+]
+
+// Acknowledge and snooze buttons for a sensor's or task's alerts
+// snoozeUrl is the POST endpoint that takes { minutes }; compact renders small icon buttons for ParameterCard
+function AlertControls({ snoozeUrl, activeAlerts = [], snoozedUntil, onChange, compact = false }) {
+  const { formatTime } = useSettings()
+  const [showSnooze, setShowSnooze] = useState(false)
+  const [busy, setBusy] = useState(false)
+
+  const unacknowledged = activeAlerts.filter(a => !a.acknowledged)
+  // snoozed_until is a UTC SQLite timestamp and may already be in the past
+  const isSnoozed = Boolean(snoozedUntil) && new Date(snoozedUntil.replace(' ', 'T') + 'Z') > new Date()
+
+  const post = async (url, body) => {
+    setBusy(true)
+    try {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+      })
+      if (res.ok && onChange) onChange()
+    } catch (err) {
+      // Silently ignore update errors
+    } finally {
+      setBusy(false)
+      setShowSnooze(false)
+    }
+  }
+
+  const acknowledgeAll = () => {
+    unacknowledged.forEach(alert => post(`/api/alerts/${alert.alert_id}/acknowledge`))
+  }
+
+  const snooze = (minutes) => post(snoozeUrl, { minutes })
+
+  if (compact) {
+    const buttonClass = 'h-5 px-1 bg-kurz-dark text-white flex items-center justify-center text-[7px] font-black uppercase'
+    return (
+      <div className="flex gap-1 mt-2 relative z-10" onClick={(e) => e.stopPropagation()}>
+        {showSnooze ? (
+          SNOOZE_OPTIONS.map(opt => (
+            <button key={opt.minutes} onClick={() => snooze(opt.minutes)} disabled={busy} className={buttonClass}>
+              {opt.label}
+            </button>
+          ))
+        ) : (
+          <>
+            {unacknowledged.length > 0 && (
+              <button onClick={acknowledgeAll} disabled={busy} className={buttonClass} title="Acknowledge">
+                <span className="material-symbols-outlined text-xs">done_all</span>
+              </button>
+            )}
+            {isSnoozed ? (
+              <button onClick={() => snooze(0)} disabled={busy} className={buttonClass} title="End snooze">
+                <span className="material-symbols-outlined text-xs">notifications_paused</span>
+                {formatTime(snoozedUntil)}
+              </button>
+            ) : (
+              <button onClick={() => setShowSnooze(true)} disabled={busy} className={buttonClass} title="Snooze">
+                <span className="material-symbols-outlined text-xs">snooze</span>
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-2" onClick={(e) => e.stopPropagation()}>
+      {unacknowledged.length > 0 && (
+        <button
+          onClick={acknowledgeAll}
+          disabled={busy}
+          className="w-full bg-kurz-yellow kurz-border kurz-shadow-sm p-2 font-bold uppercase text-[10px] text-kurz-dark flex items-center justify-center gap-2"
+        >
+          <span className="material-symbols-outlined text-sm">done_all</span>
+          Acknowledge Alert
+        </button>
+      )}
+
+      {isSnoozed ? (
+        <div className="flex items-center gap-2">
+          <span className="flex-1 text-[10px] font-bold text-slate-500 flex items-center gap-1">
+            <span className="material-symbols-outlined text-sm">notifications_paused</span>
+            Alerts snoozed until {formatTime(snoozedUntil)}
+          </span>
+          <button
+            onClick={() => snooze(0)}
+            disabled={busy}
+            className="px-3 py-1.5 kurz-border text-[9px] font-bold uppercase bg-white text-slate-500"
+          >
+            End Snooze
+          </button>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2">
+          <span className="text-[10px] font-bold uppercase tracking-wider text-slate-400">Snooze</span>
+          {SNOOZE_OPTIONS.map(opt => (
+            <button
+              key={opt.minutes}
+              onClick={() => snooze(opt.minutes)}
+              disabled={busy}
+              className="flex-1 px-3 py-1.5 kurz-border text-[9px] font-bold uppercase bg-white text-slate-500"
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AlertControls
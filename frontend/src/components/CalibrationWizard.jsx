@@ -0,0 +1,316 @@
+import { useState } from 'react'
+import { useSettings } from '../context/SettingsContext'
+import { useLiveRefresh } from '../context/LiveContext'
+
+const TYPES = [
+  { value: 'offset', label: 'Offset', minPoints: 1, maxPoints: 1, description: 'Shift every reading by a fixed amount, measured against one reference' },
+  { value: 'two_point', label: 'Two-Point', minPoints: 2, maxPoints: 2, description: 'Two reference solutions (e.g. pH 7 and pH 4) set scale and offset' },
+  { value: 'table', label: 'Lookup Table', minPoints: 2, maxPoints: 20, description: 'Interpolate between several references, for probes that are not linear' },
+  { value: 'linear', label: 'Scale & Offset', minPoints: 0, maxPoints: 0, description: 'Enter a known scale and offset: value = raw × scale + offset' }
+]
+
+const RECENT_READINGS = 5
+
+// Calibration wizard for a value sensor on the Hardware page
+// Reference points pair the raw reading the sensor is sending right now with the value measured
+// with a reference (calibration fluid, a trusted thermometer)
+function CalibrationWizard({ sensor, onClose, onSaved }) {
+  const { formatTime } = useSettings()
+  const existing = sensor.calibration
+  const [step, setStep] = useState('type')
+  const [type, setType] = useState(existing?.type || 'offset')
+  const [points, setPoints] = useState(existing?.points || [])
+  const [linear, setLinear] = useState({
+    scale: existing?.type === 'linear' ? String(existing.scale) : '1',
+    offset: existing?.type === 'linear' ? String(existing.offset) : '0'
+  })
+  const [reference, setReference] = useState('')
+  const [readings, setReadings] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchReadings = async () => {
+    try {
+      const res = await fetch(`/api/sensors/${sensor.id}`)
+      if (res.ok) {
+        const data = await res.json()
+        setReadings(data.readings.slice(0, RECENT_READINGS))
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    }
+  }
+
+  useLiveRefresh(['reading'], fetchReadings, 5000, [sensor.id])
+
+  const typeInfo = TYPES.find(t => t.value === type)
+  // Readings stored before calibration existed have no raw value, they were stored as sent
+  const rawOf = (reading) => reading.raw_value ?? reading.value
+  const latest = readings[0]
+
+  const chooseType = (value) => {
+    if (value !== type) setPoints([])
+    setType(value)
+    setError(null)
+  }
+
+  const handleCapture = () => {
+    const actual = parseFloat(reference)
+    if (isNaN(actual)) {
+      setError('Enter the reference value first')
+      return
+    }
+    if (points.some(p => p.raw === rawOf(latest))) {
+      setError('This raw reading is already a point, wait for the sensor to settle on the next reference')
+      return
+    }
+    setPoints([...points, { raw: rawOf(latest), actual }].sort((a, b) => a.raw - b.raw))
+    setReference('')
+    setError(null)
+  }
+
+  const buildCalibration = () => {
+    if (type === 'linear') {
+      return { type, scale: parseFloat(linear.scale), offset: parseFloat(linear.offset) }
+    }
+    if (type === 'offset') {
+      return { type, offset: Math.round((points[0].actual - points[0].raw) * 10000) / 10000 }
+    }
+    return { type, points }
+  }
+
+  const saveCalibration = async (calibration) => {
+    setSaving(true)
+    setError(null)
+    try {
+      const res = await fetch(`/api/sensors/${sensor.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ calibration })
+      })
+      const data = await res.json()
+      if (res.ok) {
+        onSaved()
+        onClose()
+      } else {
+        setError(data.error || 'Failed to save calibration')
+      }
+    } catch (err) {
+      setError('Connection error')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRemove = () => {
+    if (!confirm(`Remove the calibration of ${sensor.name}? New readings are stored as the sensor sends them.`)) return
+    saveCalibration(null)
+  }
+
+  const canSave = type === 'linear'
+    ? linear.scale !== '' && linear.offset !== '' && parseFloat(linear.scale) !== 0
+    : points.length >= typeInfo.minPoints
+
+  return (
+    <div className="mb-4 p-3 bg-slate-50 kurz-border">
+      <div className="flex items-center justify-between mb-3">
+        <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400">
+          Calibrate {sensor.name}
+        </label>
+        <span className="text-[9px] font-bold uppercase tracking-wider text-slate-400">
+          {step === 'type' ? '1' : '2'} / 2
+        </span>
+      </div>
+
+      {/* Step 1: choose calibration type */}
+      {step === 'type' && (
+        <div className="space-y-2">
+          {TYPES.map(t => (
+            <button
+              key={t.value}
+              onClick={() => chooseType(t.value)}
+              className={`w-full p-2 kurz-border text-left ${type === t.value ? 'bg-kurz-blue text-white' : 'bg-white text-kurz-dark'}`}
+            >
+              <span className="block text-[10px] font-bold uppercase">{t.label}</span>
+              <span className={`block text-[9px] ${type === t.value ? 'text-white/80' : 'text-slate-400'}`}>{t.description}</span>
+            </button>
+          ))}
+
+          {existing && (
+            <p className="text-[10px] text-slate-500">
+              Current calibration: <span className="font-bold text-kurz-dark">{sensor.calibration_description}</span>
+            </p>
+          )}
+          {error && <p className="text-[10px] font-bold text-kurz-pink">{error}</p>}
+
+          <div className="flex gap-2 pt-2">
+            <button
+              onClick={() => setStep(type === 'linear' ? 'manual' : 'capture')}
+              className="flex-1 bg-kurz-green kurz-border p-2 font-bold uppercase text-[10px] text-kurz-dark"
+            >
+              Next
+            </button>
+            {existing && (
+              <button
+                onClick={handleRemove}
+                disabled={saving}
+                className="flex-1 bg-kurz-pink kurz-border p-2 font-bold uppercase text-[10px] text-white"
+              >
+                Remove
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="flex-1 bg-slate-200 kurz-border p-2 font-bold uppercase text-[10px] text-kurz-dark"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Step 2: capture reference points from the live readings */}
+      {step === 'capture' && (
+        <div className="space-y-3">
+          <div className="p-2 bg-kurz-dark kurz-border">
+            <p className="text-[9px] font-bold uppercase tracking-wider text-slate-400">Live Raw Reading</p>
+            {latest ? (
+              <>
+                <p className="font-mono text-lg font-bold text-kurz-cyan">{rawOf(latest)}</p>
+                <p className="text-[9px] text-slate-400">
+                  {formatTime(latest.recorded_at)} • before: {readings.slice(1).map(rawOf).join(', ') || '--'}
+                </p>
+              </>
+            ) : (
+              <p className="text-[10px] text-slate-400">Waiting for the sensor to send a reading</p>
+            )}
+          </div>
+
+          <p className="text-[10px] text-slate-500">
+            Put the probe in the reference, wait until the raw reading settles, then enter the reference value and capture it.
+          </p>
+
+          {points.length < typeInfo.maxPoints && (
+            <div className="flex gap-2">
+              <input
+                type="number"
+                step="any"
+                value={reference}
+                onChange={(e) => setReference(e.target.value)}
+                placeholder={`Reference value${sensor.unit ? ` (${sensor.unit})` : ''}`}
+                className="flex-1 p-2 kurz-border bg-white text-kurz-dark font-bold text-sm placeholder:text-slate-300 placeholder:font-normal"
+              />
+              <button
+                onClick={handleCapture}
+                disabled={!latest || reference === ''}
+                className="px-3 bg-kurz-cyan kurz-border text-[10px] font-bold uppercase text-kurz-dark disabled:opacity-50"
+              >
+                Capture
+              </button>
+            </div>
+          )}
+
+          {points.length > 0 && (
+            <div className="space-y-1">
+              {points.map(p => (
+                <div key={p.raw} className="flex items-center justify-between p-2 bg-white border-2 border-slate-100">
+                  <span className="text-xs font-mono text-kurz-dark">
+                    {p.raw} → <span className="font-bold">{p.actual}{sensor.unit}</span>
+                  </span>
+                  <button
+                    onClick={() => setPoints(points.filter(other => other !== p))}
+                    className="text-slate-400 hover:text-kurz-pink"
+                  >
+                    <span className="material-symbols-outlined text-sm">close</span>
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <p className="text-[9px] text-slate-400">
+            {typeInfo.minPoints === typeInfo.maxPoints
+              ? `${points.length} of ${typeInfo.minPoints} point${typeInfo.minPoints !== 1 ? 's' : ''} captured`
+              : `${points.length} points captured • ${typeInfo.minPoints} to ${typeInfo.maxPoints}`}
+          </p>
+          {error && <p className="text-[10px] font-bold text-kurz-pink">{error}</p>}
+
+          <div className="flex gap-2">
+            <button
+              onClick={() => { setStep('type'); setError(null) }}
+              className="flex-1 bg-white kurz-border p-2 font-bold uppercase text-[10px] text-kurz-dark"
+            >
+              Back
+            </button>
+            <button
+              onClick={() => saveCalibration(buildCalibration())}
+              disabled={saving || !canSave}
+              className="flex-1 bg-kurz-green kurz-border p-2 font-bold uppercase text-[10px] text-kurz-dark disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Calibration'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Step 2: known scale and offset */}
+      {step === 'manual' && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                Scale
+              </label>
+              <input
+                type="number"
+                step="any"
+                value={linear.scale}
+                onChange={(e) => setLinear({ ...linear, scale: e.target.value })}
+                className="w-full p-2 kurz-border bg-white text-kurz-dark font-bold text-sm"
+              />
+            </div>
+            <div>
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                Offset
+              </label>
+              <input
+                type="number"
+                step="any"
+                value={linear.offset}
+                onChange={(e) => setLinear({ ...linear, offset: e.target.value })}
+                className="w-full p-2 kurz-border bg-white text-kurz-dark font-bold text-sm"
+              />
+            </div>
+          </div>
+          {latest && canSave && (
+            <p className="text-[10px] text-slate-500">
+              Latest raw reading {rawOf(latest)} becomes{' '}
+              <span className="font-bold text-kurz-dark">
+                {Math.round((rawOf(latest) * parseFloat(linear.scale) + parseFloat(linear.offset)) * 10000) / 10000}{sensor.unit}
+              </span>
+            </p>
+          )}
+          {error && <p className="text-[10px] font-bold text-kurz-pink">{error}</p>}
+
+          <div className="flex gap-2">
+            <button
+              onClick={() => { setStep('type'); setError(null) }}
+              className="flex-1 bg-white kurz-border p-2 font-bold uppercase text-[10px] text-kurz-dark"
+            >
+              Back
+            </button>
+            <button
+              onClick={() => saveCalibration(buildCalibration())}
+              disabled={saving || !canSave}
+              className="flex-1 bg-kurz-green kurz-border p-2 font-bold uppercase text-[10px] text-kurz-dark disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Calibration'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CalibrationWizard
@@ -0,0 +1,133 @@
+import { useState } from 'react'
+import { useTank } from '../context/TankContext'
+
+const FORMATS = ['csv', 'json', 'ndjson']
+
+// Download form for the /api/export endpoints
+// filter is { param, label, options: [{ value, label }] } for narrowing to one sensor/parameter/task
+function ExportPanel({ title, endpoint, filter, showResolution = false }) {
+  const { tankQuery } = useTank()
+  const [filterValue, setFilterValue] = useState('')
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [format, setFormat] = useState('csv')
+  const [resolution, setResolution] = useState('raw')
+
+  // Build the download URL from the selected options
+  const getExportUrl = () => {
+    const params = new URLSearchParams({ format })
+    if (filter && filterValue) params.set(filter.param, filterValue)
+    if (from) params.set('from', from)
+    if (to) params.set('to', to)
+    if (showResolution) params.set('resolution', resolution)
+    return `${endpoint}?${params.toString()}${tankQuery('&')}`
+  }
+
+  return (
+    <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
+      <h3 className="font-display font-bold text-sm uppercase mb-4 text-kurz-dark">
+        {title}
+      </h3>
+
+      <div className="space-y-3">
+        {filter && (
+          <div>
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+              {filter.label}
+            </label>
+            <select
+              value={filterValue}
+              onChange={(e) => setFilterValue(e.target.value)}
+              className="w-full p-2 kurz-border bg-white text-kurz-dark font-bold text-sm"
+            >
+              <option value="">All</option>
+              {filter.options.map(opt => (
+                <option key={opt.value} value={opt.value}>{opt.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+              From
+            </label>
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="w-full p-2 kurz-border bg-white text-kurz-dark text-sm"
+            />
+          </div>
+          <div>
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+              To
+            </label>
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="w-full p-2 kurz-border bg-white text-kurz-dark text-sm"
+            />
+          </div>
+        </div>
+
+        {showResolution && (
+          <div>
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+              Resolution
+            </label>
+            <div className="flex gap-2">
+              {['raw', 'hourly', 'daily'].map(r => (
+                <button
+                  key={r}
+                  type="button"
+                  onClick={() => setResolution(r)}
+                  className={`flex-1 px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+                    resolution === r ? 'bg-kurz-blue text-white' : 'bg-white text-slate-500'
+                  }`}
+                >
+                  {r}
+                </button>
+              ))}
+            </div>
+            <p className="text-[8px] text-slate-400 mt-1">
+              Raw readings only go back as far as the retention setting
+            </p>
+          </div>
+        )}
+
+        <div>
+          <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+            Format
+          </label>
+          <div className="flex gap-2">
+            {FORMATS.map(f => (
+              <button
+                key={f}
+                type="button"
+                onClick={() => setFormat(f)}
+                className={`flex-1 px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+                  format === f ? 'bg-kurz-blue text-white' : 'bg-white text-slate-500'
+                }`}
+              >
+                {f}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <a
+          href={getExportUrl()}
+          className="w-full bg-kurz-green kurz-border kurz-shadow-sm p-3 font-bold uppercase text-sm text-kurz-dark flex items-center justify-center gap-2"
+        >
+          <span className="material-symbols-outlined text-lg">download</span>
+          Download
+        </a>
+      </div>
+    </div>
+  )
+}
+
+export default ExportPanel
@@ -1,32 +1,54 @@
-import { useState, useEffect } from 'react'
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useSettings } from '../context/SettingsContext'
+import { useTank } from '../context/TankContext'
+import { useLiveRefresh } from '../context/LiveContext'
 
 function Header() {
   const [systemStatus, setSystemStatus] = useState({ ok: true, loading: true })
+  const [maintenanceMode, setMaintenanceMode] = useState(null)
+  const { formatTime } = useSettings()
+  const { tanks, selectedTankId, setSelectedTankId, tankQuery } = useTank()
 
   // Check system status
-  useEffect(() => {
-    const checkStatus = async () => {
-      try {
-        const res = await fetch('/api/parameters')
-        if (res.ok) {
-          const data = await res.json()
-          if (data.length === 0) {
-            setSystemStatus({ ok: true, loading: false, noSensors: true })
-          } else {
-            const goodStatuses = ['Normal', 'OK', 'Active', 'Water OK']
-            const allGood = data.every(p => goodStatuses.includes(p.status))
-            setSystemStatus({ ok: allGood, loading: false })
+  const checkStatus = async () => {
+    try {
+      const res = await fetch(`/api/parameters${tankQuery()}`)
+      if (res.ok) {
+        const data = await res.json()
+        if (data.length === 0) {
+          setSystemStatus({ ok: true, loading: false, noSensors: true })
+        } else {
+          const goodStatuses = ['Normal', 'OK', 'Active', 'Water OK']
+          const criticalStatuses = ['Critical', 'Critical Low', 'Critical High']
+          const allGood = data.every(p => goodStatuses.includes(p.status))
+          const critical = data.some(p => criticalStatuses.includes(p.status))
+
+          // Flags raised by matching rules count like sensor states
+          let flags = []
+          const flagsRes = await fetch(`/api/rules/flags${tankQuery()}`)
+          if (flagsRes.ok) {
+            flags = await flagsRes.json()
           }
+          setSystemStatus({
+            ok: allGood && flags.length === 0,
+            critical: critical || flags.some(f => f.level === 'critical'),
+            loading: false
+          })
         }
-      } catch (err) {
-        setSystemStatus({ ok: false, loading: false })
       }
+
+      const modeRes = await fetch('/api/maintenance-mode')
+      if (modeRes.ok) {
+        setMaintenanceMode(await modeRes.json())
+      }
+    } catch (err) {
+      setSystemStatus({ ok: false, loading: false })
     }
+  }
 
-    checkStatus()
-    const interval = setInterval(checkStatus, 5000)
-    return () => clearInterval(interval)
-  }, [])
+  // Live updates, polling every 5 seconds when the event stream is unavailable
+  useLiveRefresh(['reading', 'sensor', 'alert', 'rule', 'maintenance_mode'], checkStatus, 5000)
 
   return (
     <header className="bg-kurz-dark h-20 px-4 py-3 flex items-center justify-between">
@@ -34,12 +56,31 @@ function Header() {
         <div className="w-10 h-10 bg-kurz-yellow kurz-border rounded-lg flex items-center justify-center">
           <span className="material-symbols-outlined text-kurz-dark font-black text-xl">water_drop</span>
         </div>
-        <h1 className="font-display font-black text-sm tracking-tight uppercase italic text-white">
-          Deep Sea Observatory
-        </h1>
+        <div>
+          <h1 className="font-display font-black text-sm tracking-tight uppercase italic text-white">
+            Deep Sea Observatory
+          </h1>
+          {tanks.length > 1 ? (
+            <select
+              value={selectedTankId || ''}
+              onChange={(e) => setSelectedTankId(e.target.value)}
+              className="mt-0.5 bg-transparent text-kurz-cyan font-bold uppercase tracking-wider text-[9px] cursor-pointer focus:outline-none"
+            >
+              {tanks.map(tank => (
+                <option key={tank.id} value={tank.id} className="text-kurz-dark">
+                  {tank.name}
+                </option>
+              ))}
+            </select>
+          ) : tanks.length === 1 ? (
+            <p className="mt-0.5 text-kurz-cyan font-bold uppercase tracking-wider text-[9px]">
+              {tanks[0].name}
+            </p>
+          ) : null}
+        </div>
       </div>
 
-      <div className="flex items-center gap-2">
+      <Link to="/alerts" className="flex items-center gap-2" title="Alert log">
         {systemStatus.loading ? (
           <>
             <span className="w-2.5 h-2.5 bg-slate-400 rounded-full animate-pulse"></span>
@@ -47,6 +88,13 @@ function Header() {
               Checking...
             </span>
           </>
+        ) : maintenanceMode?.active ? (
+          <>
+            <span className="material-symbols-outlined text-kurz-yellow text-base">engineering</span>
+            <span className="text-kurz-yellow font-bold uppercase tracking-wider text-[9px]">
+              Maintenance • {formatTime(maintenanceMode.until)}
+            </span>
+          </>
         ) : systemStatus.noSensors ? (
           <>
             <span className="w-2.5 h-2.5 bg-kurz-yellow rounded-full"></span>
@@ -61,15 +109,22 @@ function Header() {
               Optimal
             </span>
           </>
-        ) : (
+        ) : systemStatus.critical ? (
           <>
             <span className="w-2.5 h-2.5 bg-kurz-pink rounded-full animate-pulse"></span>
             <span className="text-kurz-pink font-bold uppercase tracking-wider text-[9px]">
+              Critical
+            </span>
+          </>
+        ) : (
+          <>
+            <span className="w-2.5 h-2.5 bg-kurz-orange rounded-full"></span>
+            <span className="text-kurz-orange font-bold uppercase tracking-wider text-[9px]">
               Attention
             </span>
           </>
         )}
-      </div>
+      </Link>
     </header>
   )
 }
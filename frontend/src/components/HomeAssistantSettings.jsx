@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react'
+import { useSettings } from '../context/SettingsContext'
+
+// Home Assistant discovery card for the Settings page
+// Entities are published over the broker connection of the MQTT bridge card
+function HomeAssistantSettings() {
+  const { formatDateTime } = useSettings()
+  const [status, setStatus] = useState(null)
+  const [form, setForm] = useState({ discovery_prefix: '', base_topic: '' })
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const fetchStatus = async (resetForm = false) => {
+    try {
+      const res = await fetch('/api/home-assistant')
+      if (res.ok) {
+        const data = await res.json()
+        setStatus(data)
+        if (resetForm) {
+          setForm({ discovery_prefix: data.discovery_prefix, base_topic: data.base_topic })
+        }
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    }
+  }
+
+  useEffect(() => {
+    fetchStatus(true)
+    const interval = setInterval(() => fetchStatus(), 10000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const handleSave = async (enabled = status.enabled) => {
+    setSaving(true)
+    try {
+      const res = await fetch('/api/home-assistant', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, enabled })
+      })
+      const data = await res.json()
+      if (res.ok) {
+        setStatus(data)
+        setMessage({ success: true, text: enabled ? 'Publishing to Home Assistant' : 'Entities removed from Home Assistant' })
+        // Entities are published once the broker connection is back
+        setTimeout(() => fetchStatus(), 2000)
+      } else {
+        setMessage({ success: false, text: data.error || 'Failed to save' })
+      }
+    } catch (err) {
+      setMessage({ success: false, text: 'Connection error' })
+    } finally {
+      setSaving(false)
+      setTimeout(() => setMessage(null), 5000)
+    }
+  }
+
+  if (!status) return null
+
+  return (
+    <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
+      <div className="flex items-start gap-4">
+        <div className="w-12 h-12 bg-kurz-cyan kurz-border flex items-center justify-center flex-shrink-0">
+          <span className="material-symbols-outlined text-kurz-dark text-xl">home</span>
+        </div>
+        <div className="flex-1">
+          <h3 className="font-display font-bold text-sm uppercase text-kurz-dark">
+            Home Assistant
+          </h3>
+          <p className="text-[10px] text-slate-400 mt-1">
+            Publish sensors, maintenance tasks and water parameters with MQTT discovery
+          </p>
+        </div>
+        <button
+          onClick={() => handleSave(!status.enabled)}
+          disabled={saving}
+          className={`px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+            status.enabled ? 'bg-kurz-green text-kurz-dark' : 'bg-white text-slate-500'
+          }`}
+        >
+          {status.enabled ? 'On' : 'Off'}
+        </button>
+      </div>
+
+      <div className="mt-4 pt-4 border-t-2 border-slate-100 space-y-3">
+        {status.enabled && !status.mqtt_enabled && (
+          <p className="text-[10px] font-bold text-kurz-orange">
+            Turn on the MQTT bridge above to connect to a broker
+          </p>
+        )}
+        {status.enabled && status.mqtt_enabled && (
+          <p className="text-[10px] text-slate-500">
+            {status.connected
+              ? `${status.entities} entities published${status.last_published_at ? ` • ${formatDateTime(status.last_published_at)}` : ''}`
+              : 'Waiting for the broker connection'}
+          </p>
+        )}
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+              Discovery Prefix
+            </label>
+            <input
+              type="text"
+              value={form.discovery_prefix}
+              onChange={(e) => setForm({ ...form, discovery_prefix: e.target.value })}
+              className="w-full p-2 kurz-border bg-white text-kurz-dark font-mono text-sm"
+            />
+          </div>
+          <div>
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+              Base Topic
+            </label>
+            <input
+              type="text"
+              value={form.base_topic}
+              onChange={(e) => setForm({ ...form, base_topic: e.target.value })}
+              className="w-full p-2 kurz-border bg-white text-kurz-dark font-mono text-sm"
+            />
+          </div>
+        </div>
+        <p className="text-[9px] text-slate-400">
+          Home Assistant listens on <code>homeassistant</code> unless its discovery prefix was changed
+        </p>
+
+        {message && (
+          <p className={`text-[10px] font-bold ${message.success ? 'text-kurz-green' : 'text-kurz-pink'}`}>
+            {message.text}
+          </p>
+        )}
+
+        <button
+          onClick={() => handleSave()}
+          disabled={saving || (form.discovery_prefix === status.discovery_prefix && form.base_topic === status.base_topic)}
+          className="w-full px-3 py-2 bg-kurz-green kurz-border text-[10px] font-bold uppercase text-kurz-dark disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Topics'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default HomeAssistantSettings
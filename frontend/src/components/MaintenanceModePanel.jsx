@@ -0,0 +1,141 @@
+import { useState } from 'react'
+import { useSettings } from '../context/SettingsContext'
+import { useLiveRefresh } from '../context/LiveContext'
+
+const DURATIONS = [
+  { minutes: 30, label: '30 Min' },
+  { minutes: 60, label: '1 Hour' },
+  { minutes: 120, label: '2 Hours' }
+]
+
+// Dashboard card for pausing alert notifications during water changes and other maintenance
+// sensors is the list of { sensor_id, label } from /api/parameters
+function MaintenanceModePanel({ sensors }) {
+  const { formatTime } = useSettings()
+  const [status, setStatus] = useState(null)
+  const [selectedSensors, setSelectedSensors] = useState([])
+  const [showSensors, setShowSensors] = useState(false)
+  const [error, setError] = useState(null)
+
+  const fetchStatus = async () => {
+    try {
+      const res = await fetch('/api/maintenance-mode')
+      if (res.ok) {
+        setStatus(await res.json())
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    }
+  }
+
+  useLiveRefresh(['maintenance_mode'], fetchStatus, 30000)
+
+  const start = async (minutes) => {
+    setError(null)
+    try {
+      const res = await fetch('/api/maintenance-mode', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ minutes, sensor_ids: selectedSensors })
+      })
+      const data = await res.json()
+      if (res.ok) {
+        setStatus(data)
+        setShowSensors(false)
+      } else {
+        setError(data.error || 'Failed to start maintenance mode')
+      }
+    } catch (err) {
+      setError('Connection error')
+    }
+  }
+
+  const stop = async () => {
+    try {
+      const res = await fetch('/api/maintenance-mode', { method: 'DELETE' })
+      if (res.ok) {
+        setStatus(await res.json())
+      }
+    } catch (err) {
+      // Silently ignore update errors
+    }
+  }
+
+  const toggleSensor = (id) => {
+    setSelectedSensors(prev => prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id])
+  }
+
+  if (!status) return null
+
+  if (status.active) {
+    const covered = sensors.filter(s => status.sensor_ids.includes(s.sensor_id))
+    return (
+      <div className="bg-kurz-yellow kurz-border kurz-card-shadow p-4 mb-4 flex items-center gap-3">
+        <span className="material-symbols-outlined text-kurz-dark text-2xl">engineering</span>
+        <div className="flex-1 min-w-0">
+          <p className="font-display font-bold text-sm uppercase text-kurz-dark">Maintenance Mode</p>
+          <p className="text-[10px] text-kurz-dark">
+            Alerts paused until {formatTime(status.until)}
+            {status.sensor_ids.length > 0 && ` • ${covered.length > 0 ? covered.map(s => s.label).join(', ') : `${status.sensor_ids.length} sensors`}`}
+          </p>
+        </div>
+        <button
+          onClick={stop}
+          className="px-3 py-2 bg-white kurz-border text-[10px] font-bold uppercase text-kurz-dark"
+        >
+          End Now
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
+      <div className="flex items-center gap-3">
+        <span className="material-symbols-outlined text-slate-400 text-xl">engineering</span>
+        <span className="flex-1 text-[10px] font-bold uppercase tracking-wider text-slate-400">
+          Pause Alerts
+        </span>
+        {DURATIONS.map(d => (
+          <button
+            key={d.minutes}
+            onClick={() => start(d.minutes)}
+            className="px-3 py-1.5 kurz-border text-[9px] font-bold uppercase bg-white text-slate-500"
+          >
+            {d.label}
+          </button>
+        ))}
+      </div>
+
+      <button
+        onClick={() => setShowSensors(!showSensors)}
+        className="mt-2 text-[9px] font-bold uppercase text-slate-400 flex items-center gap-1"
+      >
+        {selectedSensors.length > 0 ? `${selectedSensors.length} sensors selected` : 'All sensors'}
+        <span className="material-symbols-outlined text-sm">{showSensors ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {showSensors && (
+        <div className="mt-2 flex gap-2 flex-wrap">
+          {sensors.map(sensor => (
+            <button
+              key={sensor.sensor_id}
+              onClick={() => toggleSensor(sensor.sensor_id)}
+              className={`px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+                selectedSensors.includes(sensor.sensor_id) ? 'bg-kurz-blue text-white' : 'bg-white text-slate-500'
+              }`}
+            >
+              {sensor.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <p className="text-[10px] font-bold text-kurz-pink mt-2">{error}</p>
+      )}
+    </div>
+  )
+}
+
+export default MaintenanceModePanel
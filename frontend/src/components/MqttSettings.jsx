@@ -0,0 +1,223 @@
+import { useState, useEffect } from 'react'
+import { useSettings } from '../context/SettingsContext'
+
+// MQTT broker card for the Settings page
+// Sensors pick their topic on the Hardware page, this only holds the broker connection
+function MqttSettings() {
+  const { formatDateTime } = useSettings()
+  const [status, setStatus] = useState(null)
+  const [form, setForm] = useState({ enabled: false, url: '', username: '', password: '' })
+  const [saving, setSaving] = useState(false)
+  const [testing, setTesting] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const fetchStatus = async (resetForm = false) => {
+    try {
+      const res = await fetch('/api/mqtt')
+      if (res.ok) {
+        const data = await res.json()
+        setStatus(data)
+        if (resetForm) {
+          setForm({ enabled: data.enabled, url: data.url, username: data.username, password: '' })
+        }
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    }
+  }
+
+  useEffect(() => {
+    fetchStatus(true)
+    const interval = setInterval(() => fetchStatus(), 10000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const showMessage = (success, text) => {
+    setMessage({ success, text })
+    setTimeout(() => setMessage(null), 5000)
+  }
+
+  // An empty password field keeps the stored password
+  const getBody = (enabled) => ({
+    enabled,
+    url: form.url,
+    username: form.username,
+    ...(form.password ? { password: form.password } : {})
+  })
+
+  const handleSave = async (enabled = form.enabled) => {
+    setSaving(true)
+    try {
+      const res = await fetch('/api/mqtt', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(getBody(enabled))
+      })
+      const data = await res.json()
+      if (res.ok) {
+        setStatus(data)
+        setForm({ enabled: data.enabled, url: data.url, username: data.username, password: '' })
+        showMessage(true, 'Broker settings saved')
+        // The connection is made in the background, pick up its result
+        setTimeout(() => fetchStatus(), 2000)
+      } else {
+        showMessage(false, data.error || 'Failed to save broker settings')
+      }
+    } catch (err) {
+      showMessage(false, 'Connection error')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleTest = async () => {
+    setTesting(true)
+    try {
+      const res = await fetch('/api/mqtt/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(getBody(true))
+      })
+      const data = await res.json()
+      showMessage(res.ok, res.ok ? 'Connected to broker!' : data.error || 'Connection failed')
+    } catch (err) {
+      showMessage(false, 'Connection error')
+    } finally {
+      setTesting(false)
+    }
+  }
+
+  const handleClearPassword = async () => {
+    if (!confirm('Remove the saved broker password?')) return
+    try {
+      const res = await fetch('/api/mqtt', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: '' })
+      })
+      if (res.ok) setStatus(await res.json())
+    } catch (err) {
+      // Silently ignore update errors
+    }
+  }
+
+  if (!status) return null
+
+  return (
+    <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
+      <div className="flex items-start gap-4">
+        <div className="w-12 h-12 bg-kurz-blue kurz-border flex items-center justify-center flex-shrink-0">
+          <span className="material-symbols-outlined text-white text-xl">hub</span>
+        </div>
+        <div className="flex-1">
+          <h3 className="font-display font-bold text-sm uppercase text-kurz-dark">
+            MQTT Bridge
+          </h3>
+          <p className="text-[10px] text-slate-400 mt-1">
+            Take sensor readings from an MQTT broker (Tasmota, ESPHome, Zigbee2MQTT)
+          </p>
+        </div>
+        <button
+          onClick={() => handleSave(!form.enabled)}
+          disabled={saving || (!form.enabled && !form.url)}
+          className={`px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+            form.enabled ? 'bg-kurz-green text-kurz-dark' : 'bg-white text-slate-500'
+          }`}
+        >
+          {form.enabled ? 'On' : 'Off'}
+        </button>
+      </div>
+
+      <div className="mt-4 pt-4 border-t-2 border-slate-100 space-y-3">
+        {status.enabled && (
+          <div className={`p-2 kurz-border ${status.connected ? 'bg-kurz-green/20' : 'bg-kurz-pink/10'}`}>
+            <p className="text-[10px] font-bold uppercase text-kurz-dark">
+              {status.connected ? 'Connected' : 'Not connected'}
+              <span className="font-normal normal-case text-slate-500 ml-2">
+                {status.sensors} sensor{status.sensors === 1 ? '' : 's'} subscribed
+              </span>
+            </p>
+            {status.error && (
+              <p className="text-[9px] text-kurz-pink mt-1">{status.error}</p>
+            )}
+            {status.last_message_at && (
+              <p className="text-[9px] text-slate-400 mt-1">Last message {formatDateTime(status.last_message_at)}</p>
+            )}
+            {status.payload_error && (
+              <p className="text-[9px] text-kurz-orange mt-1">{status.payload_error}</p>
+            )}
+          </div>
+        )}
+
+        <div>
+          <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+            Broker URL
+          </label>
+          <input
+            type="text"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="mqtt://192.168.1.10:1883"
+            className="w-full p-2 kurz-border bg-white text-kurz-dark font-mono text-sm placeholder:text-slate-300"
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+              Username
+            </label>
+            <input
+              type="text"
+              value={form.username}
+              onChange={(e) => setForm({ ...form, username: e.target.value })}
+              className="w-full p-2 kurz-border bg-white text-kurz-dark font-mono text-sm"
+            />
+          </div>
+          <div>
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+              Password
+            </label>
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              placeholder={status.has_password ? '••••••••' : ''}
+              className="w-full p-2 kurz-border bg-white text-kurz-dark font-mono text-sm placeholder:text-slate-300"
+            />
+          </div>
+        </div>
+        {status.has_password && (
+          <p className="text-[9px] text-slate-400">
+            Saved • Leave empty to keep it or{' '}
+            <button onClick={handleClearPassword} className="underline">remove it</button>
+          </p>
+        )}
+
+        {message && (
+          <p className={`text-[10px] font-bold ${message.success ? 'text-kurz-green' : 'text-kurz-pink'}`}>
+            {message.text}
+          </p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => handleSave()}
+            disabled={saving}
+            className="flex-1 px-3 py-2 bg-kurz-green kurz-border text-[10px] font-bold uppercase text-kurz-dark"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            onClick={handleTest}
+            disabled={testing || !form.url}
+            className="px-3 py-2 bg-kurz-cyan kurz-border text-[10px] font-bold uppercase text-kurz-dark"
+          >
+            {testing ? 'Testing...' : 'Test Connection'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MqttSettings
@@ -0,0 +1,393 @@
+import { useState, useEffect } from 'react'
+
+const REPEAT_OPTIONS = [
+  { value: '0', label: 'Never' },
+  { value: '5', label: '5 Min' },
+  { value: '30', label: '30 Min' },
+  { value: '60', label: '1 Hour' },
+  { value: '1440', label: '1 Day' }
+]
+
+// Notification priority for each alert tier (Pushover scale, mapped per channel type)
+const PRIORITY_TIERS = [
+  {
+    key: 'alert_warning_priority',
+    label: 'Warning Priority',
+    fallback: '1',
+    options: [{ value: '0', label: 'Normal' }, { value: '1', label: 'High' }]
+  },
+  {
+    key: 'alert_critical_priority',
+    label: 'Critical Priority',
+    fallback: '2',
+    options: [{ value: '0', label: 'Normal' }, { value: '1', label: 'High' }, { value: '2', label: 'Emergency' }]
+  }
+]
+
+// Notification channels card for the Settings page
+// Channel types and their config fields come from the backend so new providers need no UI changes
+function NotificationChannels({ settings, onSettingChange, saving }) {
+  const [channels, setChannels] = useState([])
+  const [types, setTypes] = useState([])
+  const [categories, setCategories] = useState([])
+  const [form, setForm] = useState(null)
+  const [formError, setFormError] = useState(null)
+  const [testStatus, setTestStatus] = useState({})
+
+  const fetchChannels = async () => {
+    try {
+      const res = await fetch('/api/notification-channels')
+      if (res.ok) {
+        const data = await res.json()
+        setChannels(data.channels)
+        setTypes(data.types)
+        setCategories(data.categories)
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    }
+  }
+
+  useEffect(() => {
+    fetchChannels()
+  }, [])
+
+  const getType = (id) => types.find(t => t.id === id)
+
+  const startAdd = (typeId) => {
+    setFormError(null)
+    setForm({
+      type: typeId,
+      name: getType(typeId)?.label || '',
+      config: {},
+      categories: categories.map(c => c.id),
+      enabled: true
+    })
+  }
+
+  const startEdit = (channel) => {
+    setFormError(null)
+    setForm({ ...channel })
+  }
+
+  const updateConfig = (key, value) => {
+    setForm(prev => ({ ...prev, config: { ...prev.config, [key]: value } }))
+  }
+
+  const toggleCategory = (id) => {
+    setForm(prev => ({
+      ...prev,
+      categories: prev.categories.includes(id)
+        ? prev.categories.filter(c => c !== id)
+        : [...prev.categories, id]
+    }))
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setFormError(null)
+    try {
+      const res = await fetch(form.id ? `/api/notification-channels/${form.id}` : '/api/notification-channels', {
+        method: form.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form)
+      })
+      const data = await res.json()
+      if (res.ok) {
+        setForm(null)
+        fetchChannels()
+      } else {
+        setFormError(data.error || 'Failed to save channel')
+      }
+    } catch (err) {
+      setFormError('Connection error')
+    }
+  }
+
+  const handleToggle = async (channel) => {
+    try {
+      const res = await fetch(`/api/notification-channels/${channel.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !channel.enabled })
+      })
+      if (res.ok) fetchChannels()
+    } catch (err) {
+      // Silently ignore update errors
+    }
+  }
+
+  const handleDelete = async (channel) => {
+    if (!confirm(`Delete the "${channel.name}" channel?`)) return
+    try {
+      const res = await fetch(`/api/notification-channels/${channel.id}`, { method: 'DELETE' })
+      if (res.ok) fetchChannels()
+    } catch (err) {
+      // Silently ignore delete errors
+    }
+  }
+
+  const handleTest = async (channel) => {
+    setTestStatus(prev => ({ ...prev, [channel.id]: { sending: true } }))
+    let status
+    try {
+      const res = await fetch(`/api/notification-channels/${channel.id}/test`, { method: 'POST' })
+      const data = await res.json()
+      status = res.ok
+        ? { success: true, message: 'Test notification sent!' }
+        : { success: false, message: data.error || 'Failed to send' }
+    } catch (err) {
+      status = { success: false, message: 'Connection error' }
+    }
+    setTestStatus(prev => ({ ...prev, [channel.id]: status }))
+    setTimeout(() => setTestStatus(prev => ({ ...prev, [channel.id]: null })), 5000)
+  }
+
+  const renderField = (field) => {
+    const value = form.config[field.key]
+
+    if (field.type === 'checkbox') {
+      return (
+        <label key={field.key} className="flex items-center gap-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={value === true}
+            onChange={(e) => updateConfig(field.key, e.target.checked)}
+            className="w-5 h-5 kurz-border rounded-none accent-kurz-blue"
+          />
+          <span className="text-sm font-bold text-kurz-dark">{field.label}</span>
+        </label>
+      )
+    }
+
+    const isSaved = field.secret && typeof value === 'string' && value.startsWith('••••')
+    return (
+      <div key={field.key}>
+        <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+          {field.label}{field.required && ' *'}
+        </label>
+        <input
+          type={field.type === 'number' ? 'number' : field.secret && !isSaved ? 'password' : 'text'}
+          value={value ?? ''}
+          onChange={(e) => updateConfig(field.key, e.target.value)}
+          onFocus={() => {
+            if (isSaved) updateConfig(field.key, '')
+          }}
+          placeholder={field.placeholder || ''}
+          className="w-full p-2 kurz-border bg-white text-kurz-dark font-mono text-sm placeholder:text-slate-300"
+        />
+        {isSaved && (
+          <p className="text-[9px] text-slate-400 mt-1">Saved • Click to enter a new one</p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
+      <div className="flex items-start gap-4">
+        <div className="w-12 h-12 bg-kurz-orange kurz-border flex items-center justify-center flex-shrink-0">
+          <span className="material-symbols-outlined text-white text-xl">notifications</span>
+        </div>
+        <div className="flex-1">
+          <h3 className="font-display font-bold text-sm uppercase text-kurz-dark">
+            Notifications
+          </h3>
+          <p className="text-[10px] text-slate-400 mt-1">
+            Send alerts and reminders to Pushover, ntfy, Gotify, webhooks or email
+          </p>
+        </div>
+      </div>
+
+      <div className="mt-4 pt-4 border-t-2 border-slate-100 space-y-2">
+        {channels.length === 0 && !form && (
+          <p className="text-[10px] text-slate-400">No channels yet. Add one below to start receiving notifications.</p>
+        )}
+
+        {channels.map(channel => (
+          <div key={channel.id} className={`p-2 kurz-border ${channel.enabled ? 'bg-slate-50' : 'bg-slate-100 opacity-60'}`}>
+            <div className="flex items-center gap-3">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-bold text-kurz-dark truncate">
+                  {channel.name}
+                  <span className="text-[10px] font-normal text-slate-400 ml-2">{getType(channel.type)?.label || channel.type}</span>
+                </p>
+                <p className="text-[9px] text-slate-400">
+                  {channel.categories.length > 0
+                    ? categories.filter(c => channel.categories.includes(c.id)).map(c => c.label).join(' • ')
+                    : 'No notification types selected'}
+                </p>
+              </div>
+              <button
+                onClick={() => handleTest(channel)}
+                disabled={testStatus[channel.id]?.sending}
+                className="px-2 py-1 bg-kurz-cyan kurz-border text-[8px] font-bold uppercase text-kurz-dark"
+              >
+                {testStatus[channel.id]?.sending ? 'Sending...' : 'Test'}
+              </button>
+              <button
+                onClick={() => handleToggle(channel)}
+                className="px-2 py-1 bg-white kurz-border text-[8px] font-bold uppercase text-slate-500"
+              >
+                {channel.enabled ? 'Disable' : 'Enable'}
+              </button>
+              <button
+                onClick={() => startEdit(channel)}
+                className="px-2 py-1 bg-kurz-blue kurz-border text-[8px] font-bold uppercase text-white"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => handleDelete(channel)}
+                className="px-2 py-1 bg-kurz-pink kurz-border text-[8px] font-bold uppercase text-white"
+              >
+                Delete
+              </button>
+            </div>
+            {testStatus[channel.id]?.message && (
+              <p className={`text-[10px] font-bold mt-1 ${testStatus[channel.id].success ? 'text-kurz-green' : 'text-kurz-pink'}`}>
+                {testStatus[channel.id].message}
+              </p>
+            )}
+          </div>
+        ))}
+
+        {form ? (
+          <form onSubmit={handleSave} className="p-3 kurz-border bg-white space-y-3">
+            <p className="text-[10px] font-bold uppercase tracking-wider text-kurz-blue">
+              {form.id ? 'Edit' : 'New'} {getType(form.type)?.label} Channel
+            </p>
+
+            <div>
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                Name *
+              </label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="w-full p-2 kurz-border bg-white text-kurz-dark text-sm"
+                required
+              />
+            </div>
+
+            {getType(form.type)?.fields.map(renderField)}
+
+            <div>
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
+                Notification Types
+              </label>
+              <div className="space-y-2">
+                {categories.map(category => (
+                  <label key={category.id} className="flex items-center gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={form.categories.includes(category.id)}
+                      onChange={() => toggleCategory(category.id)}
+                      className="w-5 h-5 kurz-border rounded-none accent-kurz-blue"
+                    />
+                    <div>
+                      <span className="text-sm font-bold text-kurz-dark">{category.label}</span>
+                      <p className="text-[9px] text-slate-400">{category.description}</p>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {formError && (
+              <p className="text-[10px] font-bold text-kurz-pink">{formError}</p>
+            )}
+
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                className="flex-1 px-3 py-2 bg-kurz-green kurz-border text-[10px] font-bold uppercase text-kurz-dark"
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-3 py-2 bg-slate-200 kurz-border text-[10px] font-bold uppercase text-kurz-dark"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="pt-2">
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
+              Add Channel
+            </label>
+            <div className="flex gap-2 flex-wrap">
+              {types.map(type => (
+                <button
+                  key={type.id}
+                  onClick={() => startAdd(type.id)}
+                  className="px-3 py-1.5 kurz-border text-[9px] font-bold uppercase bg-white text-slate-500"
+                >
+                  + {type.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="pt-4 mt-2 border-t-2 border-slate-100">
+          <label className="text-[9px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+            Repeat Alert Every
+          </label>
+          <div className="flex gap-2 flex-wrap">
+            {REPEAT_OPTIONS.map(opt => (
+              <button
+                key={opt.value}
+                onClick={() => onSettingChange('alert_repeat_minutes', opt.value)}
+                disabled={saving}
+                className={`px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+                  (settings.alert_repeat_minutes || '0') === opt.value
+                    ? 'bg-kurz-blue text-white'
+                    : 'bg-white text-slate-500'
+                }`}
+              >
+                {opt.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-[8px] text-slate-400 mt-1">
+            Re-notify while sensor remains out of range or offline
+          </p>
+        </div>
+
+        {PRIORITY_TIERS.map(tier => (
+          <div key={tier.key} className="pt-3">
+            <label className="text-[9px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+              {tier.label}
+            </label>
+            <div className="flex gap-2 flex-wrap">
+              {tier.options.map(opt => (
+                <button
+                  key={opt.value}
+                  onClick={() => onSettingChange(tier.key, opt.value)}
+                  disabled={saving}
+                  className={`px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+                    (settings[tier.key] || tier.fallback) === opt.value
+                      ? 'bg-kurz-blue text-white'
+                      : 'bg-white text-slate-500'
+                  }`}
+                >
+                  {opt.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+        <p className="text-[8px] text-slate-400 mt-1">
+          Emergency alerts repeat on Pushover until acknowledged in the app
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default NotificationChannels
@@ -1,14 +1,24 @@
-function ParameterCard({ icon, label, value, unit, status, isDown, isDisabled }) {
-  // Determine if status is good or bad
+import AlertControls from './AlertControls'
+
+function ParameterCard({ icon, label, value, unit, status, isDown, isDisabled, sensor_id, active_alerts = [], snoozed_until, onAlertChange }) {
+  // Determine if status is good, a warning or critical
   const isGood = ['Normal', 'OK', 'Active', 'Water OK'].includes(status)
-  const isBad = ['Too Low', 'Too High', 'Alert', 'Water Low', 'Critical', 'down'].includes(status) || isDown
+  const isWarning = ['Too Low', 'Too High', 'Alert', 'Water Low'].includes(status)
+  const isCritical = ['Critical', 'Critical Low', 'Critical High'].includes(status)
   const isNoData = status === 'No Data'
 
-  // Card background based on status - disabled grey, down red
-  const cardBg = isDisabled ? 'bg-slate-400' : isDown ? 'bg-red-500' : isNoData ? 'bg-slate-300' : isGood ? 'bg-kurz-green' : isBad ? 'bg-kurz-pink' : 'bg-kurz-yellow'
+  // Card background based on status - disabled grey, down red, warning orange, critical pulsing pink
+  const cardBg = isDisabled ? 'bg-slate-400'
+    : isDown ? 'bg-red-500'
+    : isNoData ? 'bg-slate-300'
+    : isGood ? 'bg-kurz-green'
+    : isCritical ? 'bg-kurz-pink animate-pulse'
+    : isWarning ? 'bg-kurz-orange'
+    : 'bg-kurz-yellow'
 
-  // Status text
-  const statusText = isDisabled ? 'DISABLED' : isDown ? 'OFFLINE' : status
+  // Status text, flagging a rate-of-change alert that the range status doesn't show
+  const isChangingFast = active_alerts.some(a => a.kind === 'rate')
+  const statusText = isDisabled ? 'DISABLED' : isDown ? 'OFFLINE' : isChangingFast ? `${status} • Changing Fast` : status
 
   return (
     <div className={`param-card ${cardBg}`}>
@@ -27,6 +37,15 @@ function ParameterCard({ icon, label, value, unit, status, isDown, isDisabled })
           {statusText}
         </p>
       </div>
+      {sensor_id && !isDisabled && (active_alerts.length > 0 || snoozed_until) && (
+        <AlertControls
+          snoozeUrl={`/api/sensors/${sensor_id}/snooze`}
+          activeAlerts={active_alerts}
+          snoozedUntil={snoozed_until}
+          onChange={onAlertChange}
+          compact
+        />
+      )}
     </div>
   )
 }
@@ -1,16 +1,23 @@
 import { useState, useEffect } from 'react'
 import { useSettings } from '../context/SettingsContext'
+import { useTank } from '../context/TankContext'
+
+// Chart ranges offered above the graph (longer ranges use hourly/daily rollups)
+const RANGES = ['1h', '6h', '24h', '7d', '30d', '1y']
 
 function TelemetryChart({ parameters }) {
   const { timezone, getCurrentDateParts } = useSettings()
+  const { selectedTankId, tankQuery } = useTank()
   const [activeTab, setActiveTab] = useState(null)
+  const [range, setRange] = useState('24h')
   const [readings, setReadings] = useState([])
   const [dailySummary, setDailySummary] = useState([])
   const [sensor, setSensor] = useState(null)
+  const [unit, setUnit] = useState({ symbol: '', decimals: 1 })
 
-  // Set first parameter as default tab
+  // Set first parameter as default tab (and reset it when switching tanks)
   useEffect(() => {
-    if (parameters?.length > 0 && !activeTab) {
+    if (parameters?.length > 0 && !parameters.some(p => p.label === activeTab)) {
       setActiveTab(parameters[0].label)
     }
   }, [parameters, activeTab])
@@ -21,12 +28,14 @@ function TelemetryChart({ parameters }) {
 
     const fetchTelemetry = async () => {
       try {
-        const res = await fetch(`/api/telemetry/${activeTab}`)
+        const res = await fetch(`/api/telemetry/${activeTab}?range=${range}${tankQuery('&')}`)
         if (res.ok) {
           const data = await res.json()
           setReadings(data.readings || [])
           setDailySummary(data.dailySummary || [])
           setSensor(data.sensor)
+          // Values arrive in the display unit
+          setUnit({ symbol: data.unit ?? '', decimals: data.decimals ?? 1 })
         }
       } catch (err) {
         // Silently ignore fetch errors
@@ -34,12 +43,11 @@ function TelemetryChart({ parameters }) {
     }
 
     fetchTelemetry()
-  }, [activeTab])
+  }, [activeTab, range, selectedTankId])
 
   if (!parameters || parameters.length === 0) return null
 
   const tabs = parameters.map(p => p.label)
-  const currentParam = parameters.find(p => p.label === activeTab)
   const isFloatSensor = sensor?.sensor_type === 'float'
 
   // Generate path from readings
@@ -60,9 +68,10 @@ function TelemetryChart({ parameters }) {
     return `M ${points.join(' L ')}`
   }
 
+  // Rolled-up readings carry the bucket max, raw readings only a value
   const getMaxReading = () => {
     if (readings.length === 0) return null
-    return readings.reduce((max, r) => r.value > max.value ? r : max, readings[0])
+    return readings.reduce((max, r) => Math.max(max, r.max ?? r.value), -Infinity)
   }
 
   // Generate calendar data for the current month
@@ -170,6 +179,19 @@ function TelemetryChart({ parameters }) {
       {/* Chart - only for value sensors (hide until sensor data is loaded) */}
       {sensor && !isFloatSensor && (
         <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
+          <div className="flex gap-1 mb-3">
+            {RANGES.map(r => (
+              <button
+                key={r}
+                onClick={() => setRange(r)}
+                className={`flex-1 py-1 text-[9px] font-black uppercase tracking-wider transition-colors ${
+                  range === r ? 'bg-kurz-blue text-white' : 'bg-slate-100 text-slate-500'
+                }`}
+              >
+                {r}
+              </button>
+            ))}
+          </div>
           <div className="h-32 w-full relative">
             {readings.length < 2 ? (
               <div className="flex items-center justify-center h-full">
@@ -194,11 +216,11 @@ function TelemetryChart({ parameters }) {
                 </svg>
 
                 {/* Peak info box */}
-                {maxReading && (
+                {maxReading !== null && (
                   <div className="absolute top-2 right-2 bg-kurz-dark text-white p-2 kurz-border">
                     <p className="text-[8px] font-black uppercase tracking-widest text-kurz-cyan mb-1">Peak</p>
                     <p className="text-lg font-black">
-                      {maxReading.value.toFixed(1)}{currentParam?.unit}
+                      {maxReading.toFixed(unit.decimals)}{unit.symbol}
                     </p>
                   </div>
                 )}
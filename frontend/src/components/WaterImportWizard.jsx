@@ -0,0 +1,469 @@
+import { useState } from 'react'
+import { useTank } from '../context/TankContext'
+
+const DATE_FORMATS = [
+  { value: 'YYYY-MM-DD', label: 'YYYY-MM-DD' },
+  { value: 'MM/DD/YYYY', label: 'MM/DD/YYYY' },
+  { value: 'DD/MM/YYYY', label: 'DD/MM/YYYY' },
+  { value: 'DD.MM.YYYY', label: 'DD.MM.YYYY' }
+]
+
+// Most values one import takes, as on the server (one per filled cell of a mapped column)
+const MAX_IMPORT_VALUES = 40000
+
+const MODES = [
+  { value: 'skip', label: 'Skip', description: 'Keep existing results' },
+  { value: 'overwrite', label: 'Overwrite', description: 'Replace existing results' },
+  { value: 'insert', label: 'Insert Only', description: 'Cancel if any date conflicts' }
+]
+
+// Parse CSV text into rows of cells (handles quoted fields, and ; or tab separated files)
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0]
+  const delimiter = [',', ';', '\t'].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best, ',')
+
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(cell.trim())
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell.trim())
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell.trim())
+    rows.push(row)
+  }
+
+  return rows.filter(r => r.some(c => c !== ''))
+}
+
+// Convert a date cell to YYYY-MM-DD using the chosen format, null if it doesn't match
+function normalizeDate(str, format) {
+  const parts = str.split(/[-/.\sT]/).filter(Boolean)
+  if (parts.length < 3) return null
+
+  let [year, month, day] = format === 'YYYY-MM-DD'
+    ? [parts[0], parts[1], parts[2]]
+    : format === 'MM/DD/YYYY'
+      ? [parts[2], parts[0], parts[1]]
+      : [parts[2], parts[1], parts[0]]
+
+  if (year.length === 2) year = `20${year}`
+  if (!/^\d{4}$/.test(year) || !/^\d{1,2}$/.test(month) || !/^\d{1,2}$/.test(day)) return null
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`
+}
+
+// Guess the date format from the first few date cells
+function guessDateFormat(values) {
+  if (values.some(v => /^\d{4}[-/.]/.test(v))) return 'YYYY-MM-DD'
+  if (values.some(v => v.includes('.'))) return 'DD.MM.YYYY'
+  // A first part over 12 can only be a day
+  if (values.some(v => parseInt(v.split('/')[0], 10) > 12)) return 'DD/MM/YYYY'
+  return 'MM/DD/YYYY'
+}
+
+// Parse a number cell, allowing a decimal comma
+function parseValue(str) {
+  const normalized = str.includes('.') ? str.replace(/,/g, '') : str.replace(',', '.')
+  return normalized === '' ? null : Number(normalized)
+}
+
+function WaterImportWizard({ params, onClose, onImported }) {
+  const { selectedTankId } = useTank()
+  const [step, setStep] = useState('upload')
+  const [fileName, setFileName] = useState('')
+  const [headers, setHeaders] = useState([])
+  const [dataRows, setDataRows] = useState([])
+  const [dateColumn, setDateColumn] = useState(0)
+  const [dateFormat, setDateFormat] = useState('YYYY-MM-DD')
+  const [mapping, setMapping] = useState({})
+  const [mode, setMode] = useState('skip')
+  const [preview, setPreview] = useState(null)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+  const [working, setWorking] = useState(false)
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    setError(null)
+
+    const rows = parseCsv(await file.text())
+    if (rows.length < 2) {
+      setError('The file needs a header row and at least one data row')
+      return
+    }
+
+    const [headerRow, ...body] = rows
+    const dateIndex = Math.max(0, headerRow.findIndex(h => /date|day|time/i.test(h)))
+
+    // Map columns to parameters with a matching name, ignore the rest
+    const initialMapping = {}
+    headerRow.forEach((header, i) => {
+      if (i === dateIndex) return
+      const match = params.find(p => header.toLowerCase().startsWith(p.name.toLowerCase()))
+      initialMapping[i] = match
+        ? { target: match.id }
+        : { target: '', name: header.slice(0, 50), unit: '' }
+    })
+
+    setFileName(file.name)
+    setHeaders(headerRow)
+    setDataRows(body)
+    setDateColumn(dateIndex)
+    setDateFormat(guessDateFormat(body.slice(0, 20).map(r => r[dateIndex] || '')))
+    setMapping(initialMapping)
+    setStep('map')
+  }
+
+  const updateMapping = (index, changes) => {
+    setMapping(prev => ({ ...prev, [index]: { ...prev[index], ...changes } }))
+  }
+
+  // Build the import request from the CSV and column mapping
+  const buildRequest = (dryRun) => {
+    const newParameters = []
+    const readings = []
+
+    Object.entries(mapping).forEach(([index, m]) => {
+      if (!m.target || Number(index) === dateColumn) return
+      if (m.target === 'new') {
+        newParameters.push({ key: index, name: m.name, unit: m.unit })
+      }
+    })
+
+    dataRows.forEach((row, rowIndex) => {
+      const date = normalizeDate(row[dateColumn] || '', dateFormat)
+      Object.entries(mapping).forEach(([index, m]) => {
+        if (!m.target || Number(index) === dateColumn) return
+        const cell = row[index] || ''
+        if (cell === '') return
+        const value = parseValue(cell)
+        readings.push({
+          ...(m.target === 'new' ? { new_parameter: index } : { parameter_id: m.target }),
+          date,
+          value: Number.isFinite(value) ? value : null,
+          // Line number in the file (after the header)
+          row: rowIndex + 2
+        })
+      })
+    })
+
+    return {
+      mode,
+      dry_run: dryRun,
+      tank_id: selectedTankId,
+      new_parameters: newParameters,
+      readings
+    }
+  }
+
+  const mappedColumns = Object.entries(mapping).filter(([i, m]) => m.target && Number(i) !== dateColumn).map(([i]) => i)
+  const mappedCount = mappedColumns.length
+  const valueCount = dataRows.reduce((count, row) => count + mappedColumns.filter(i => (row[i] || '') !== '').length, 0)
+  const tooManyValues = valueCount > MAX_IMPORT_VALUES
+  const newParamsIncomplete = Object.entries(mapping).some(([i, m]) =>
+    m.target === 'new' && Number(i) !== dateColumn && (!m.name?.trim() || !m.unit?.trim()))
+
+  const runImport = async (dryRun) => {
+    setWorking(true)
+    setError(null)
+    try {
+      const res = await fetch('/api/water-parameters/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildRequest(dryRun))
+      })
+      const data = await res.json()
+      if (res.ok) {
+        if (dryRun) {
+          setPreview(data)
+          setStep('preview')
+        } else {
+          setResult(data)
+          setStep('done')
+          onImported()
+        }
+      } else {
+        setError(data.error || 'Import failed')
+        if (data.parameters) setPreview(data)
+      }
+    } catch (err) {
+      setError('Connection error')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  return (
+    <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-display font-bold text-sm uppercase text-kurz-dark">
+          Import Test Results
+        </h3>
+        <span className="text-[9px] font-bold uppercase tracking-wider text-slate-400">
+          {{ upload: '1', map: '2', preview: '3', done: '4' }[step]} / 4
+        </span>
+      </div>
+
+      {/* Step 1: choose file */}
+      {step === 'upload' && (
+        <div className="space-y-3">
+          <p className="text-[10px] text-slate-500">
+            Upload a CSV with a date column and one column per parameter (e.g. Date, Alkalinity, Calcium).
+          </p>
+          <label className="w-full p-3 bg-kurz-cyan kurz-border kurz-shadow-sm font-bold uppercase text-sm text-kurz-dark flex items-center justify-center gap-2 cursor-pointer">
+            <span className="material-symbols-outlined text-lg">upload_file</span>
+            Choose CSV
+            <input type="file" accept=".csv,.txt,text/csv" onChange={handleFile} className="hidden" />
+          </label>
+          {error && <p className="text-[10px] font-bold text-kurz-pink">{error}</p>}
+        </div>
+      )}
+
+      {/* Step 2: map columns */}
+      {step === 'map' && (
+        <div className="space-y-3">
+          <p className="text-[10px] text-slate-500">
+            {fileName} • {dataRows.length} row{dataRows.length !== 1 ? 's' : ''}
+          </p>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                Date Column
+              </label>
+              <select
+                value={dateColumn}
+                onChange={(e) => setDateColumn(Number(e.target.value))}
+                className="w-full p-2 kurz-border bg-white text-kurz-dark font-bold text-sm"
+              >
+                {headers.map((h, i) => (
+                  <option key={i} value={i}>{h || `Column ${i + 1}`}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                Date Format
+              </label>
+              <select
+                value={dateFormat}
+                onChange={(e) => setDateFormat(e.target.value)}
+                className="w-full p-2 kurz-border bg-white text-kurz-dark font-bold text-sm"
+              >
+                {DATE_FORMATS.map(f => (
+                  <option key={f.value} value={f.value}>{f.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="text-[9px] text-slate-400">
+            First row: {dataRows[0]?.[dateColumn] || '--'} → {normalizeDate(dataRows[0]?.[dateColumn] || '', dateFormat) || 'not a date'}
+          </p>
+
+          <div className="pt-3 border-t-2 border-slate-100 space-y-2">
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block">
+              Columns
+            </label>
+            {headers.map((header, i) => {
+              if (i === dateColumn) return null
+              const m = mapping[i] || { target: '' }
+              return (
+                <div key={i} className="p-2 bg-slate-50 border-2 border-slate-100">
+                  <div className="flex items-center gap-2">
+                    <span className="flex-1 text-xs font-bold text-kurz-dark truncate">{header || `Column ${i + 1}`}</span>
+                    <select
+                      value={m.target}
+                      onChange={(e) => updateMapping(i, { target: e.target.value })}
+                      className="w-40 p-1.5 kurz-border bg-white text-kurz-dark font-bold text-xs"
+                    >
+                      <option value="">Ignore</option>
+                      {params.map(p => (
+                        <option key={p.id} value={p.id}>{p.name} ({p.unit})</option>
+                      ))}
+                      <option value="new">+ New Parameter</option>
+                    </select>
+                  </div>
+                  {m.target === 'new' && (
+                    <div className="grid grid-cols-3 gap-2 mt-2">
+                      <input
+                        type="text"
+                        value={m.name || ''}
+                        onChange={(e) => updateMapping(i, { name: e.target.value })}
+                        placeholder="Name"
+                        className="col-span-2 p-1.5 kurz-border bg-white text-kurz-dark text-xs"
+                      />
+                      <input
+                        type="text"
+                        value={m.unit || ''}
+                        onChange={(e) => updateMapping(i, { unit: e.target.value })}
+                        placeholder="Unit"
+                        className="p-1.5 kurz-border bg-white text-kurz-dark text-xs"
+                      />
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+
+          <p className={`text-[9px] ${tooManyValues ? 'font-bold text-kurz-pink' : 'text-slate-400'}`}>
+            {valueCount.toLocaleString()} value{valueCount !== 1 ? 's' : ''} to import
+            {tooManyValues && ` • one import takes up to ${MAX_IMPORT_VALUES.toLocaleString()}, split the file by date or ignore some columns`}
+          </p>
+          {error && <p className="text-[10px] font-bold text-kurz-pink">{error}</p>}
+
+          <div className="flex gap-2">
+            <button
+              onClick={() => setStep('upload')}
+              className="flex-1 bg-white kurz-border p-3 font-bold uppercase text-sm text-kurz-dark"
+            >
+              Back
+            </button>
+            <button
+              onClick={() => runImport(true)}
+              disabled={working || mappedCount === 0 || newParamsIncomplete || tooManyValues}
+              className={`flex-1 kurz-border kurz-shadow-sm p-3 font-bold uppercase text-sm ${
+                working || mappedCount === 0 || newParamsIncomplete || tooManyValues
+                  ? 'bg-slate-100 text-slate-400 cursor-not-allowed'
+                  : 'bg-kurz-cyan text-kurz-dark'
+              }`}
+            >
+              {working ? 'Checking...' : 'Preview'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Step 3: preview and conflict handling */}
+      {step === 'preview' && preview && (
+        <div className="space-y-3">
+          <div className="space-y-1">
+            {preview.parameters.map(p => (
+              <div key={p.name} className="flex items-center justify-between p-2 bg-slate-50 border-2 border-slate-100">
+                <span className="text-xs font-bold text-kurz-dark">
+                  {p.name} {p.is_new && <span className="text-[8px] text-kurz-blue uppercase">New</span>}
+                </span>
+                <span className="text-[9px] font-bold uppercase text-slate-500">
+                  {p.new} new • <span className={p.conflicts > 0 ? 'text-kurz-pink' : ''}>{p.conflicts} conflicts</span> • {p.unchanged} same
+                </span>
+              </div>
+            ))}
+          </div>
+
+          {preview.invalid_count > 0 && (
+            <div className="p-2 border-2 border-kurz-pink">
+              <p className="text-[10px] font-bold text-kurz-pink uppercase mb-1">
+                {preview.invalid_count} invalid value{preview.invalid_count !== 1 ? 's' : ''} will be left out
+              </p>
+              {preview.invalid.slice(0, 5).map((inv, i) => (
+                <p key={i} className="text-[9px] text-slate-500">Row {inv.row}: {inv.error}</p>
+              ))}
+            </div>
+          )}
+
+          {preview.conflict_count > 0 && (
+            <div>
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                {preview.conflict_count} Date{preview.conflict_count !== 1 ? 's' : ''} Already Logged
+              </label>
+              <div className="max-h-32 overflow-y-auto space-y-1 mb-2">
+                {preview.conflicts.map((c, i) => (
+                  <p key={i} className="text-[10px] text-slate-500">
+                    <span className="font-bold text-kurz-dark">{c.parameter}</span> {c.date}: {c.existing_value} → {c.value}
+                  </p>
+                ))}
+              </div>
+              <div className="flex gap-2">
+                {MODES.map(m => (
+                  <button
+                    key={m.value}
+                    onClick={() => setMode(m.value)}
+                    title={m.description}
+                    className={`flex-1 px-2 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+                      mode === m.value ? 'bg-kurz-blue text-white' : 'bg-white text-slate-500'
+                    }`}
+                  >
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-[8px] text-slate-400 mt-1">
+                {MODES.find(m => m.value === mode)?.description}
+              </p>
+            </div>
+          )}
+
+          {error && <p className="text-[10px] font-bold text-kurz-pink">{error}</p>}
+
+          <div className="flex gap-2">
+            <button
+              onClick={() => setStep('map')}
+              className="flex-1 bg-white kurz-border p-3 font-bold uppercase text-sm text-kurz-dark"
+            >
+              Back
+            </button>
+            <button
+              onClick={() => runImport(false)}
+              disabled={working || preview.valid === 0}
+              className={`flex-1 kurz-border kurz-shadow-sm p-3 font-bold uppercase text-sm ${
+                working || preview.valid === 0
+                  ? 'bg-slate-100 text-slate-400 cursor-not-allowed'
+                  : 'bg-kurz-green text-kurz-dark'
+              }`}
+            >
+              {working ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Step 4: result */}
+      {step === 'done' && result && (
+        <div className="space-y-3">
+          <div className="flex items-center gap-2">
+            <span className="material-symbols-outlined text-kurz-green">check_circle</span>
+            <p className="text-sm font-bold text-kurz-dark">Import complete</p>
+          </div>
+          <p className="text-[10px] text-slate-500">
+            {result.inserted} added • {result.updated} updated • {result.skipped} skipped
+            {result.created_parameters.length > 0 && ` • ${result.created_parameters.length} new parameter${result.created_parameters.length !== 1 ? 's' : ''}`}
+          </p>
+          <button
+            onClick={onClose}
+            className="w-full bg-kurz-green kurz-border kurz-shadow-sm p-3 font-bold uppercase text-sm text-kurz-dark"
+          >
+            Done
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default WaterImportWizard
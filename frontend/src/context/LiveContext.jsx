@@ -0,0 +1,102 @@
+import { createContext, useContext, useState, useEffect, useRef } from 'react'
+import { useTank } from './TankContext'
+
+// Event types published on /api/events (see the LIVE EVENTS section in server.js)
+const EVENT_TYPES = ['reading', 'sensor', 'alert', 'task', 'maintenance_mode', 'rule']
+
+// Bursts of events (a batch of readings) are folded into one refresh, and a steady stream of
+// readings refreshes at most once per REFRESH_INTERVAL_MS so pages stay under the API rate limit
+const REFRESH_DELAY_MS = 500
+const REFRESH_INTERVAL_MS = 5000
+
+const LiveContext = createContext({
+  connected: false,
+  subscribe: () => () => {}
+})
+
+// One event stream shared by every page and component
+export function LiveProvider({ children }) {
+  const [connected, setConnected] = useState(false)
+  const listeners = useRef(new Set())
+
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return
+
+    // EventSource reconnects by itself, polling covers the gap until it does
+    const source = new EventSource('/api/events')
+    source.onopen = () => setConnected(true)
+    source.onerror = () => setConnected(false)
+
+    EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (e) => {
+        let data
+        try {
+          data = JSON.parse(e.data)
+        } catch (err) {
+          return
+        }
+        listeners.current.forEach(listener => {
+          if (listener.types.includes(type)) listener.handler(data, type)
+        })
+      })
+    })
+
+    return () => source.close()
+  }, [])
+
+  const subscribe = (types, handler) => {
+    const listener = { types, handler }
+    listeners.current.add(listener)
+    return () => listeners.current.delete(listener)
+  }
+
+  return (
+    <LiveContext.Provider value={{ connected, subscribe }}>
+      {children}
+    </LiveContext.Provider>
+  )
+}
+
+export function useLive() {
+  return useContext(LiveContext)
+}
+
+// Run refresh now, then whenever one of the event types arrives for the selected tank
+// While the stream is unavailable it polls every fallbackMs instead (null to not poll)
+// deps work like useEffect dependencies, refresh runs again when they change
+export function useLiveRefresh(types, refresh, fallbackMs, deps = []) {
+  const { connected, subscribe } = useLive()
+  const { selectedTankId } = useTank()
+  const refreshRef = useRef(refresh)
+  refreshRef.current = refresh
+
+  useEffect(() => {
+    refreshRef.current()
+
+    if (!connected) {
+      if (!fallbackMs) return
+      const interval = setInterval(() => refreshRef.current(), fallbackMs)
+      return () => clearInterval(interval)
+    }
+
+    let timer = null
+    let lastRefresh = Date.now()
+    const unsubscribe = subscribe(types, (data) => {
+      // Events for another tank don't affect what's on screen
+      if (selectedTankId && data.tank_id && data.tank_id !== selectedTankId) return
+      // Events arriving while a refresh is scheduled are covered by it
+      if (timer) return
+      const wait = Math.max(REFRESH_DELAY_MS, lastRefresh + REFRESH_INTERVAL_MS - Date.now())
+      timer = setTimeout(() => {
+        timer = null
+        lastRefresh = Date.now()
+        refreshRef.current()
+      }, wait)
+    })
+
+    return () => {
+      unsubscribe()
+      clearTimeout(timer)
+    }
+  }, [connected, selectedTankId, ...deps])
+}
@@ -2,6 +2,8 @@ import { createContext, useContext, useState, useEffect } from 'react'
 
 const SettingsContext = createContext({
   timezone: 'UTC',
+  displayUnits: {},
+  unitCatalogue: [],
   formatDate: () => '--',
   formatDateTime: () => '--',
   formatTime: () => '--',
@@ -10,15 +12,18 @@ const SettingsContext = createContext({
 
 export function SettingsProvider({ children }) {
   const [settings, setSettings] = useState({ timezone: 'UTC' })
+  const [unitCatalogue, setUnitCatalogue] = useState([])
   const [loading, setLoading] = useState(true)
 
   useEffect(() => {
     const fetchSettings = async () => {
       try {
-        const res = await fetch('/api/settings')
-        if (res.ok) {
-          const data = await res.json()
-          setSettings(data)
+        const [settingsRes, unitsRes] = await Promise.all([fetch('/api/settings'), fetch('/api/units')])
+        if (settingsRes.ok) {
+          setSettings(await settingsRes.json())
+        }
+        if (unitsRes.ok) {
+          setUnitCatalogue(await unitsRes.json())
         }
       } catch (err) {
         // Silently ignore fetch errors
@@ -207,8 +212,16 @@ export function SettingsProvider({ children }) {
     }
   }
 
+  // Display unit per quantity ({ temperature: 'f' }), an empty one shows values as stored
+  // Conversion happens in the API, this is for pickers and labels
+  const displayUnits = Object.fromEntries(
+    unitCatalogue.map(q => [q.id, settings[`unit_${q.id}`] || ''])
+  )
+
   const value = {
     timezone: settings.timezone || 'UTC',
+    displayUnits,
+    unitCatalogue,
     loading,
     formatDate,
     formatDateOnly,
@@ -0,0 +1,78 @@
+import { createContext, useContext, useState, useEffect } from 'react'
+
+const STORAGE_KEY = 'selectedTankId'
+
+const TankContext = createContext({
+  tanks: [],
+  selectedTankId: null,
+  selectedTank: null,
+  setSelectedTankId: () => {},
+  tankQuery: () => '',
+  refreshTanks: async () => {}
+})
+
+export function TankProvider({ children }) {
+  const [tanks, setTanks] = useState([])
+  const [selectedTankId, setSelectedTankIdState] = useState(() => localStorage.getItem(STORAGE_KEY))
+  const [loading, setLoading] = useState(true)
+
+  const fetchTanks = async () => {
+    try {
+      const res = await fetch('/api/tanks')
+      if (res.ok) {
+        const data = await res.json()
+        setTanks(data)
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchTanks()
+  }, [])
+
+  // Fall back to the first tank if the stored selection no longer exists
+  useEffect(() => {
+    if (tanks.length === 0) return
+    if (!tanks.some(t => t.id === selectedTankId)) {
+      setSelectedTankId(tanks[0].id)
+    }
+  }, [tanks, selectedTankId])
+
+  const setSelectedTankId = (id) => {
+    setSelectedTankIdState(id)
+    if (id) {
+      localStorage.setItem(STORAGE_KEY, id)
+    } else {
+      localStorage.removeItem(STORAGE_KEY)
+    }
+  }
+
+  // Build a query string that scopes an API request to the selected tank
+  const tankQuery = (prefix = '?') => {
+    return selectedTankId ? `${prefix}tank_id=${encodeURIComponent(selectedTankId)}` : ''
+  }
+
+  const value = {
+    tanks,
+    loading,
+    selectedTankId,
+    selectedTank: tanks.find(t => t.id === selectedTankId) || null,
+    setSelectedTankId,
+    tankQuery,
+    refreshTanks: fetchTanks
+  }
+
+  return (
+    <TankContext.Provider value={value}>
+      {children}
+    </TankContext.Provider>
+  )
+}
+
+export function useTank() {
+  return useContext(TankContext)
+}
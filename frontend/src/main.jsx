@@ -2,6 +2,8 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
 import { SettingsProvider } from './context/SettingsContext'
+import { TankProvider } from './context/TankContext'
+import { LiveProvider } from './context/LiveContext'
 import App from './App'
 import './index.css'
 
@@ -9,7 +11,11 @@ ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
       <SettingsProvider>
-        <App />
+        <TankProvider>
+          <LiveProvider>
+            <App />
+          </LiveProvider>
+        </TankProvider>
       </SettingsProvider>
     </BrowserRouter>
   </React.StrictMode>
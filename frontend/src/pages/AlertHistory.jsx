@@ -0,0 +1,236 @@
+import { useState, useEffect } from 'react'
+import { useSettings } from '../context/SettingsContext'
+import { useTank } from '../context/TankContext'
+import { useLiveRefresh } from '../context/LiveContext'
+
+const KIND_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'range', label: 'Out of Range' },
+  { value: 'offline', label: 'Offline' },
+  { value: 'rate', label: 'Rate' }
+]
+
+const KIND_LABELS = { range: 'Out of Range', offline: 'Offline', rate: 'Rate of Change' }
+const KIND_ICONS = { range: 'warning', offline: 'signal_disconnected', rate: 'trending_up' }
+
+const EVENT_STYLES = {
+  opened: { icon: 'warning', bg: 'bg-kurz-pink', label: 'Opened' },
+  repeated: { icon: 'replay', bg: 'bg-kurz-orange', label: 'Repeated' },
+  escalated: { icon: 'priority_high', bg: 'bg-kurz-pink', label: 'Escalated' },
+  deescalated: { icon: 'south', bg: 'bg-kurz-orange', label: 'De-escalated' },
+  acknowledged: { icon: 'done', bg: 'bg-kurz-cyan', label: 'Acknowledged' },
+  resolved: { icon: 'check_circle', bg: 'bg-kurz-green', label: 'Resolved' }
+}
+
+// Why a notification was held back (alert_events.suppressed_by)
+const SUPPRESSION_LABELS = {
+  snooze: 'sensor snoozed',
+  maintenance_mode: 'maintenance mode'
+}
+
+function AlertHistory() {
+  const { formatDateTime } = useSettings()
+  const { selectedTankId, tankQuery } = useTank()
+  const [activeAlerts, setActiveAlerts] = useState([])
+  const [events, setEvents] = useState([])
+  const [nextBefore, setNextBefore] = useState(null)
+  const [sensors, setSensors] = useState([])
+  const [kind, setKind] = useState('')
+  const [sensorId, setSensorId] = useState('')
+  const [loading, setLoading] = useState(true)
+
+  const getHistoryUrl = (before) => {
+    const params = new URLSearchParams()
+    if (kind) params.set('kind', kind)
+    if (sensorId) params.set('sensor_id', sensorId)
+    if (before) params.set('before', before)
+    return `/api/alerts/history?${params.toString()}${tankQuery('&')}`
+  }
+
+  const fetchActive = async () => {
+    try {
+      const res = await fetch(`/api/alerts/active${tankQuery()}`)
+      if (res.ok) {
+        setActiveAlerts(await res.json())
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    }
+  }
+
+  const fetchHistory = async (before = null) => {
+    try {
+      const res = await fetch(getHistoryUrl(before))
+      if (res.ok) {
+        const data = await res.json()
+        setEvents(prev => before ? [...prev, ...data.events] : data.events)
+        setNextBefore(data.next_before)
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    const fetchSensors = async () => {
+      try {
+        const res = await fetch(`/api/sensors${tankQuery()}`)
+        if (res.ok) {
+          setSensors(await res.json())
+        }
+      } catch (err) {
+        // Silently ignore fetch errors
+      }
+    }
+    setSensorId('')
+    fetchSensors()
+  }, [selectedTankId])
+
+  useLiveRefresh(['alert'], fetchActive, 30000)
+
+  useEffect(() => {
+    fetchHistory()
+  }, [selectedTankId, kind, sensorId])
+
+  const getNotificationText = (event) => {
+    if (event.suppressed_by) {
+      return `Not sent: ${SUPPRESSION_LABELS[event.suppressed_by] || event.suppressed_by}`
+    }
+    if (event.channels_failed > 0) {
+      return `Sent to ${event.channels_sent}, failed on ${event.channels_failed}: ${event.notification_error}`
+    }
+    if (event.channels_sent > 0) {
+      return `Sent to ${event.channels_sent} channel${event.channels_sent === 1 ? '' : 's'}`
+    }
+    return null
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-center">
+          <span className="material-symbols-outlined text-4xl text-kurz-blue animate-spin">sync</span>
+          <p className="text-sm text-slate-400 mt-2">Loading...</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="pb-8">
+      <div className="mb-4">
+        <h2 className="font-display font-black text-xl uppercase italic tracking-tighter text-kurz-dark">
+          Alert Log
+        </h2>
+        <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">
+          {activeAlerts.length} Active {activeAlerts.length === 1 ? 'Alert' : 'Alerts'}
+        </p>
+      </div>
+
+      {/* Active Alerts */}
+      {activeAlerts.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {activeAlerts.map(alert => (
+            <div key={alert.alert_id} className="bg-white kurz-border kurz-card-shadow p-3 flex items-center gap-3">
+              <div className={`w-10 h-10 ${alert.severity === 'warning' ? 'bg-kurz-orange' : 'bg-kurz-pink'} kurz-border flex items-center justify-center flex-shrink-0`}>
+                <span className="material-symbols-outlined text-white">
+                  {KIND_ICONS[alert.kind] || 'warning'}
+                </span>
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-bold text-kurz-dark truncate">{alert.sensor_name}</p>
+                <p className="text-[10px] text-slate-500">{alert.message}</p>
+                <p className="text-[9px] text-slate-400 mt-0.5">
+                  Since {formatDateTime(alert.opened_at)}
+                  {alert.repeat_count > 0 && ` • Repeated ${alert.repeat_count}×`}
+                  {alert.severity === 'critical' && ' • Critical'}
+                  {alert.acknowledged === 1 && ' • Acknowledged'}
+                </p>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4 space-y-3">
+        <div className="flex gap-2">
+          {KIND_FILTERS.map(f => (
+            <button
+              key={f.value}
+              onClick={() => setKind(f.value)}
+              className={`flex-1 px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+                kind === f.value ? 'bg-kurz-blue text-white' : 'bg-white text-slate-500'
+              }`}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={sensorId}
+          onChange={(e) => setSensorId(e.target.value)}
+          className="w-full p-2 kurz-border bg-white text-kurz-dark font-bold text-sm"
+        >
+          <option value="">All Sensors</option>
+          {sensors.map(sensor => (
+            <option key={sensor.id} value={sensor.id}>{sensor.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* History */}
+      {events.length === 0 ? (
+        <div className="bg-white kurz-border kurz-card-shadow p-6 text-center">
+          <span className="material-symbols-outlined text-4xl text-slate-300">notifications_off</span>
+          <p className="text-sm text-slate-400 mt-2">No alerts recorded</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {events.map(event => {
+            const style = EVENT_STYLES[event.event] || EVENT_STYLES.opened
+            const notificationText = getNotificationText(event)
+            return (
+              <div key={event.id} className="bg-white kurz-border p-3 flex items-start gap-3">
+                <div className={`w-8 h-8 ${style.bg} kurz-border flex items-center justify-center flex-shrink-0`}>
+                  <span className="material-symbols-outlined text-white text-base">{style.icon}</span>
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-sm font-bold text-kurz-dark truncate">{event.sensor_name}</p>
+                    <span className="text-[9px] text-slate-400 flex-shrink-0">
+                      {formatDateTime(event.created_at)}
+                    </span>
+                  </div>
+                  <p className="text-[8px] font-bold uppercase tracking-widest text-slate-400">
+                    {style.label} • {KIND_LABELS[event.kind] || event.kind}
+                    {event.severity === 'critical' && ' • Critical'}
+                  </p>
+                  <p className="text-[10px] text-slate-500 mt-1">{event.message}</p>
+                  {notificationText && (
+                    <p className={`text-[9px] mt-1 ${event.channels_failed > 0 ? 'text-kurz-pink font-bold' : 'text-slate-400'}`}>
+                      {notificationText}
+                    </p>
+                  )}
+                </div>
+              </div>
+            )
+          })}
+
+          {nextBefore && (
+            <button
+              onClick={() => fetchHistory(nextBefore)}
+              className="w-full bg-white kurz-border kurz-shadow-sm p-3 font-bold uppercase text-[10px] text-kurz-dark"
+            >
+              Load More
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AlertHistory
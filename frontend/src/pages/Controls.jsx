@@ -0,0 +1,515 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useSettings } from '../context/SettingsContext'
+import { useTank } from '../context/TankContext'
+
+const LOG_STYLES = {
+  sent: { icon: 'check', bg: 'bg-kurz-green' },
+  failed: { icon: 'error', bg: 'bg-kurz-pink' },
+  skipped: { icon: 'block', bg: 'bg-kurz-orange' }
+}
+
+const SOURCE_LABELS = { sensor: 'Sensor', manual: 'Manual', max_run_time: 'Max Run Time' }
+
+const emptyAction = (sensorId) => ({
+  name: '',
+  sensor_id: sensorId,
+  trigger_state: 'out_of_range',
+  method: 'POST',
+  url: '',
+  body: '',
+  stop_method: 'POST',
+  stop_url: '',
+  stop_body: '',
+  max_run_seconds: 300,
+  cooldown_minutes: 0,
+  max_per_day: 10
+})
+
+function Controls() {
+  const { formatDateTime } = useSettings()
+  const { selectedTankId, tankQuery } = useTank()
+  const [actions, setActions] = useState([])
+  const [meta, setMeta] = useState({ triggers: [], methods: [] })
+  const [sensors, setSensors] = useState([])
+  const [log, setLog] = useState([])
+  const [nextBefore, setNextBefore] = useState(null)
+  const [form, setForm] = useState(null)
+  const [formError, setFormError] = useState(null)
+  const [runError, setRunError] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  const fetchActions = async () => {
+    try {
+      const res = await fetch(`/api/control-actions${tankQuery()}`)
+      if (res.ok) {
+        const data = await res.json()
+        setActions(data.actions)
+        setMeta({ triggers: data.triggers, methods: data.methods })
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchLog = async (before = null) => {
+    try {
+      const res = await fetch(`/api/control-actions/log${before ? `?before=${before}${tankQuery('&')}` : tankQuery()}`)
+      if (res.ok) {
+        const data = await res.json()
+        setLog(prev => before ? [...prev, ...data.entries] : data.entries)
+        setNextBefore(data.next_before)
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    }
+  }
+
+  const refresh = () => {
+    fetchActions()
+    fetchLog()
+  }
+
+  useEffect(() => {
+    const fetchSensors = async () => {
+      try {
+        const res = await fetch(`/api/sensors${tankQuery()}`)
+        if (res.ok) {
+          setSensors(await res.json())
+        }
+      } catch (err) {
+        // Silently ignore fetch errors
+      }
+    }
+    fetchSensors()
+    refresh()
+    const interval = setInterval(fetchActions, 10000)
+    return () => clearInterval(interval)
+  }, [selectedTankId])
+
+  const startAdd = () => {
+    setForm({ ...emptyAction(sensors[0]?.id || ''), id: null })
+    setFormError(null)
+  }
+
+  const startEdit = (action) => {
+    setForm({
+      ...action,
+      body: action.body || '',
+      stop_method: action.stop_method || 'POST',
+      stop_url: action.stop_url || '',
+      stop_body: action.stop_body || ''
+    })
+    setFormError(null)
+  }
+
+  const saveAction = async () => {
+    setFormError(null)
+    const body = {
+      name: form.name,
+      sensor_id: form.sensor_id,
+      trigger_state: form.trigger_state,
+      method: form.method,
+      url: form.url,
+      body: form.body,
+      stop_method: form.stop_method,
+      stop_url: form.stop_url,
+      stop_body: form.stop_body,
+      max_run_seconds: form.max_run_seconds,
+      cooldown_minutes: form.cooldown_minutes,
+      max_per_day: form.max_per_day
+    }
+    try {
+      const res = await fetch(form.id ? `/api/control-actions/${form.id}` : '/api/control-actions', {
+        method: form.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+      const data = await res.json()
+      if (res.ok) {
+        setForm(null)
+        fetchActions()
+      } else {
+        setFormError(data.error || 'Failed to save action')
+      }
+    } catch (err) {
+      setFormError('Connection error')
+    }
+  }
+
+  const toggleAction = async (action) => {
+    try {
+      const res = await fetch(`/api/control-actions/${action.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !action.enabled })
+      })
+      if (res.ok) refresh()
+    } catch (err) {
+      // Silently ignore update errors
+    }
+  }
+
+  const deleteAction = async (action) => {
+    if (!confirm(`Delete action "${action.name}"?${action.running ? ' Its stop request will be sent first.' : ''}`)) return
+    try {
+      const res = await fetch(`/api/control-actions/${action.id}`, { method: 'DELETE' })
+      if (res.ok) refresh()
+    } catch (err) {
+      // Silently ignore delete errors
+    }
+  }
+
+  // Run or stop an action by hand
+  const sendRequest = async (action, request) => {
+    if (request === 'run' && !confirm(`Run "${action.name}" now?`)) return
+    setRunError(null)
+    try {
+      const res = await fetch(`/api/control-actions/${action.id}/${request}`, { method: 'POST' })
+      if (!res.ok) {
+        const data = await res.json()
+        setRunError(`${action.name}: ${data.error || 'Request failed'}`)
+      }
+    } catch (err) {
+      setRunError('Connection error')
+    }
+    refresh()
+  }
+
+  const getTriggerLabel = (id) => meta.triggers.find(t => t.id === id)?.label || id
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-center">
+          <span className="material-symbols-outlined text-4xl text-kurz-blue animate-spin">sync</span>
+          <p className="text-sm text-slate-400 mt-2">Loading...</p>
+        </div>
+      </div>
+    )
+  }
+
+  const labelClass = 'text-[9px] font-bold uppercase tracking-wider text-slate-400 block mb-1'
+  const optionClass = (active) => `px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+    active ? 'bg-kurz-blue text-white' : 'bg-white text-slate-500'
+  }`
+
+  return (
+    <div className="pb-8">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="font-display font-black text-xl uppercase italic tracking-tighter text-kurz-dark">
+            Controls
+          </h2>
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">
+            {actions.filter(a => a.running).length} Running • {actions.length} Total
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Link
+            to="/hardware"
+            className="w-10 h-10 bg-white kurz-border kurz-shadow-sm flex items-center justify-center"
+          >
+            <span className="material-symbols-outlined text-kurz-dark">arrow_back</span>
+          </Link>
+          {!form && (
+            <button
+              onClick={startAdd}
+              disabled={sensors.length === 0}
+              className="w-10 h-10 bg-kurz-cyan kurz-border kurz-shadow-sm flex items-center justify-center"
+            >
+              <span className="material-symbols-outlined text-kurz-dark">add</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Action form */}
+      {form && (
+        <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4 space-y-4">
+          <div>
+            <label className={labelClass}>Action Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="e.g. Auto Top-Off"
+              className="w-full p-2 kurz-border text-sm"
+            />
+          </div>
+
+          <div>
+            <label className={labelClass}>When Sensor</label>
+            <select
+              value={form.sensor_id}
+              onChange={(e) => setForm({ ...form, sensor_id: e.target.value })}
+              className="w-full p-2 kurz-border bg-white text-sm"
+            >
+              {sensors.map(sensor => (
+                <option key={sensor.id} value={sensor.id}>{sensor.name}</option>
+              ))}
+            </select>
+            <div className="flex gap-2 mt-2">
+              {meta.triggers.map(trigger => (
+                <button
+                  key={trigger.id}
+                  onClick={() => setForm({ ...form, trigger_state: trigger.id })}
+                  className={`flex-1 ${optionClass(form.trigger_state === trigger.id)}`}
+                >
+                  {trigger.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-[8px] text-slate-400 mt-1">Float switches in alert count as out of range</p>
+          </div>
+
+          {/* Start request */}
+          <div className="p-3 bg-slate-50 kurz-border space-y-2">
+            <label className={labelClass}>Send Request</label>
+            <div className="flex gap-2">
+              <select
+                value={form.method}
+                onChange={(e) => setForm({ ...form, method: e.target.value })}
+                className="w-24 p-2 kurz-border bg-white text-sm font-bold"
+              >
+                {meta.methods.map(method => (
+                  <option key={method} value={method}>{method}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={form.url}
+                onChange={(e) => setForm({ ...form, url: e.target.value })}
+                placeholder="http://192.168.1.50/relay/1/on"
+                className="flex-1 min-w-0 p-2 kurz-border text-sm font-mono"
+              />
+            </div>
+            {form.method !== 'GET' && (
+              <textarea
+                value={form.body}
+                onChange={(e) => setForm({ ...form, body: e.target.value })}
+                placeholder='Body (optional), e.g. {"state": "on"}'
+                rows={2}
+                className="w-full p-2 kurz-border text-sm font-mono"
+              />
+            )}
+          </div>
+
+          {/* Stop request */}
+          <div className="p-3 bg-slate-50 kurz-border space-y-2">
+            <label className={labelClass}>Stop Request (Optional)</label>
+            <div className="flex gap-2">
+              <select
+                value={form.stop_method}
+                onChange={(e) => setForm({ ...form, stop_method: e.target.value })}
+                className="w-24 p-2 kurz-border bg-white text-sm font-bold"
+              >
+                {meta.methods.map(method => (
+                  <option key={method} value={method}>{method}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={form.stop_url}
+                onChange={(e) => setForm({ ...form, stop_url: e.target.value })}
+                placeholder="http://192.168.1.50/relay/1/off"
+                className="flex-1 min-w-0 p-2 kurz-border text-sm font-mono"
+              />
+            </div>
+            {form.stop_url && form.stop_method !== 'GET' && (
+              <textarea
+                value={form.stop_body}
+                onChange={(e) => setForm({ ...form, stop_body: e.target.value })}
+                placeholder="Body (optional)"
+                rows={2}
+                className="w-full p-2 kurz-border text-sm font-mono"
+              />
+            )}
+            <p className="text-[8px] text-slate-400">
+              Sent when the sensor leaves the trigger state or the max run time passes, whichever comes first
+            </p>
+          </div>
+
+          {/* Safety limits */}
+          <div className="grid grid-cols-3 gap-2">
+            <div>
+              <label className={labelClass}>Max Run (Sec)</label>
+              <input
+                type="number"
+                min="1"
+                max="86400"
+                value={form.max_run_seconds}
+                onChange={(e) => setForm({ ...form, max_run_seconds: e.target.value })}
+                disabled={!form.stop_url}
+                className="w-full p-2 kurz-border text-sm disabled:opacity-50"
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Cooldown (Min)</label>
+              <input
+                type="number"
+                min="0"
+                max="1440"
+                value={form.cooldown_minutes}
+                onChange={(e) => setForm({ ...form, cooldown_minutes: e.target.value })}
+                className="w-full p-2 kurz-border text-sm"
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Max Per Day</label>
+              <input
+                type="number"
+                min="1"
+                max="1000"
+                value={form.max_per_day}
+                onChange={(e) => setForm({ ...form, max_per_day: e.target.value })}
+                className="w-full p-2 kurz-border text-sm"
+              />
+            </div>
+          </div>
+
+          {formError && (
+            <p className="text-[10px] font-bold text-kurz-pink">{formError}</p>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={saveAction}
+              className="flex-1 bg-kurz-green kurz-border kurz-shadow-sm p-2 font-bold uppercase text-[10px] text-kurz-dark flex items-center justify-center gap-2"
+            >
+              <span className="material-symbols-outlined text-sm">save</span>
+              Save Action
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="flex-1 bg-slate-200 kurz-border p-2 font-bold uppercase text-[10px] text-kurz-dark flex items-center justify-center gap-2"
+            >
+              <span className="material-symbols-outlined text-sm">close</span>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {runError && (
+        <p className="text-[10px] font-bold text-kurz-pink mb-2">{runError}</p>
+      )}
+
+      {/* Action list */}
+      {actions.length === 0 && !form ? (
+        <div className="bg-white kurz-border kurz-card-shadow p-6 text-center mb-4">
+          <span className="material-symbols-outlined text-4xl text-slate-300">power_settings_new</span>
+          <p className="text-sm text-slate-400 mt-2">No control actions yet</p>
+          <p className="text-[10px] text-slate-400 mt-1">Switch a relay board or auto top-off when a sensor changes state</p>
+        </div>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {actions.map(action => (
+            <div key={action.id} className={`bg-white kurz-border p-3 ${action.enabled ? '' : 'opacity-50'}`}>
+              <div className="flex items-center gap-3">
+                <div className={`w-10 h-10 ${action.running ? 'bg-kurz-blue' : 'bg-slate-300'} kurz-border flex items-center justify-center flex-shrink-0`}>
+                  <span className={`material-symbols-outlined text-white ${action.running ? 'animate-pulse' : ''}`}>power_settings_new</span>
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-bold text-kurz-dark truncate">{action.name}</p>
+                  <p className="text-[9px] text-slate-400">
+                    {action.running ? `Running since ${formatDateTime(action.running_since)}` : action.last_started_at ? `Last run ${formatDateTime(action.last_started_at)}` : 'Never run'}
+                  </p>
+                </div>
+                <button onClick={() => toggleAction(action)} title={action.enabled ? 'Disable' : 'Enable'}>
+                  <span className="material-symbols-outlined text-slate-400">{action.enabled ? 'toggle_on' : 'toggle_off'}</span>
+                </button>
+                <button onClick={() => startEdit(action)} title="Edit">
+                  <span className="material-symbols-outlined text-slate-400">edit</span>
+                </button>
+                <button onClick={() => deleteAction(action)} title="Delete">
+                  <span className="material-symbols-outlined text-slate-400">delete</span>
+                </button>
+              </div>
+              <div className="mt-2 text-[10px] text-slate-500 space-y-0.5">
+                <p>When {action.sensor_name} is {getTriggerLabel(action.trigger_state).toLowerCase()}</p>
+                <p className="font-mono truncate">{action.method} {action.url}</p>
+                {action.stop_url && <p className="font-mono truncate">Stop: {action.stop_method} {action.stop_url}</p>}
+                <p className="text-slate-400">
+                  {action.stop_url && `Max ${action.max_run_seconds}s • `}
+                  {action.cooldown_minutes > 0 && `Cooldown ${action.cooldown_minutes} min • `}
+                  {action.activations_today}/{action.max_per_day} in the last 24h
+                </p>
+              </div>
+              {action.enabled && (
+                <div className="flex gap-2 mt-2">
+                  <button
+                    onClick={() => sendRequest(action, 'run')}
+                    disabled={action.running}
+                    className="flex-1 px-3 py-1.5 kurz-border text-[9px] font-bold uppercase bg-white text-slate-500 disabled:opacity-50"
+                  >
+                    Run Now
+                  </button>
+                  {action.stop_url && (
+                    <button
+                      onClick={() => sendRequest(action, 'stop')}
+                      disabled={!action.running}
+                      className="flex-1 px-3 py-1.5 kurz-border text-[9px] font-bold uppercase bg-white text-slate-500 disabled:opacity-50"
+                    >
+                      Stop
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Action log */}
+      <h3 className="text-[10px] font-bold uppercase tracking-wider text-slate-400 mb-2">Action Log</h3>
+      {log.length === 0 ? (
+        <div className="bg-white kurz-border kurz-card-shadow p-6 text-center">
+          <p className="text-sm text-slate-400">No requests sent yet</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {log.map(entry => {
+            const style = LOG_STYLES[entry.outcome] || LOG_STYLES.sent
+            return (
+              <div key={entry.id} className="bg-white kurz-border p-3 flex items-start gap-3">
+                <div className={`w-8 h-8 ${style.bg} kurz-border flex items-center justify-center flex-shrink-0`}>
+                  <span className="material-symbols-outlined text-white text-base">{style.icon}</span>
+                </div>
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-sm font-bold text-kurz-dark truncate">{entry.action_name}</p>
+                    <span className="text-[9px] text-slate-400 flex-shrink-0">
+                      {formatDateTime(entry.created_at)}
+                    </span>
+                  </div>
+                  <p className="text-[8px] font-bold uppercase tracking-widest text-slate-400">
+                    {entry.request} {entry.outcome} • {SOURCE_LABELS[entry.source] || entry.source}
+                  </p>
+                  {entry.detail && (
+                    <p className={`text-[10px] mt-1 ${entry.outcome === 'failed' ? 'text-kurz-pink font-bold' : 'text-slate-500'}`}>
+                      {entry.detail}
+                    </p>
+                  )}
+                </div>
+              </div>
+            )
+          })}
+
+          {nextBefore && (
+            <button
+              onClick={() => fetchLog(nextBefore)}
+              className="w-full bg-white kurz-border kurz-shadow-sm p-3 font-bold uppercase text-[10px] text-kurz-dark"
+            >
+              Load More
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Controls
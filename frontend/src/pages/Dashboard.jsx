@@ -1,23 +1,33 @@
-import { useState, useEffect } from 'react'
+import { useState } from 'react'
 import { Link } from 'react-router-dom'
 import ParameterCard from '../components/ParameterCard'
 import TelemetryChart from '../components/TelemetryChart'
+import MaintenanceModePanel from '../components/MaintenanceModePanel'
 import { useSettings } from '../context/SettingsContext'
+import { useTank } from '../context/TankContext'
+import { useLiveRefresh } from '../context/LiveContext'
 
 function Dashboard() {
   const [parameters, setParameters] = useState([])
   const [loading, setLoading] = useState(true)
   const [lastUpdate, setLastUpdate] = useState(null)
+  const [flags, setFlags] = useState([])
   const { formatTime } = useSettings()
+  const { tankQuery } = useTank()
 
   const fetchData = async () => {
     try {
-      const res = await fetch('/api/parameters')
+      const res = await fetch(`/api/parameters${tankQuery()}`)
       if (res.ok) {
         const data = await res.json()
         setParameters(data)
         setLastUpdate(new Date())
       }
+
+      const flagsRes = await fetch(`/api/rules/flags${tankQuery()}`)
+      if (flagsRes.ok) {
+        setFlags(await flagsRes.json())
+      }
     } catch (err) {
       // Silently ignore fetch errors
     } finally {
@@ -25,12 +35,8 @@ function Dashboard() {
     }
   }
 
-  useEffect(() => {
-    fetchData()
-    // Live refresh every 5 seconds
-    const interval = setInterval(fetchData, 5000)
-    return () => clearInterval(interval)
-  }, [])
+  // Live updates, polling every 5 seconds when the event stream is unavailable
+  useLiveRefresh(['reading', 'sensor', 'alert', 'rule', 'maintenance_mode'], fetchData, 5000)
 
   if (loading) {
     return (
@@ -70,9 +76,26 @@ function Dashboard() {
         </span>
       </div>
 
+      {/* Flags raised by matching rules */}
+      {flags.map((flag, i) => (
+        <Link
+          key={i}
+          to="/rules"
+          className={`${flag.level === 'critical' ? 'bg-kurz-pink' : 'bg-kurz-orange'} kurz-border kurz-card-shadow p-3 mb-3 flex items-center gap-3`}
+        >
+          <span className="material-symbols-outlined text-white">{flag.level === 'critical' ? 'priority_high' : 'flag'}</span>
+          <div className="flex-1 min-w-0">
+            <p className="font-display font-bold text-sm uppercase text-white truncate">{flag.label}</p>
+            <p className="text-[9px] text-white">{flag.rule_name} • Since {formatTime(flag.since)}</p>
+          </div>
+        </Link>
+      ))}
+
+      <MaintenanceModePanel sensors={parameters} />
+
       <div className="grid grid-cols-3 gap-3">
         {parameters.map((param, i) => (
-          <ParameterCard key={i} {...param} />
+          <ParameterCard key={i} {...param} onAlertChange={fetchData} />
         ))}
       </div>
 
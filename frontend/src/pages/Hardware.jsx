@@ -1,5 +1,11 @@
-import { useState, useEffect } from 'react'
+import { useState } from 'react'
 import { useSettings } from '../context/SettingsContext'
+import { useTank } from '../context/TankContext'
+import { useLiveRefresh } from '../context/LiveContext'
+import { Link } from 'react-router-dom'
+import ExportPanel from '../components/ExportPanel'
+import AlertControls from '../components/AlertControls'
+import CalibrationWizard from '../components/CalibrationWizard'
 
 const colorOptions = [
   { value: 'orange', label: 'Orange', bg: 'bg-kurz-orange' },
@@ -22,13 +28,17 @@ const iconOptions = [
 ]
 
 function Hardware() {
-  const { formatTime } = useSettings()
+  const { formatTime, unitCatalogue } = useSettings()
+  const { tanks, selectedTankId, tankQuery } = useTank()
   const [sensors, setSensors] = useState([])
   const [loading, setLoading] = useState(true)
   const [showAddForm, setShowAddForm] = useState(false)
+  const [showExport, setShowExport] = useState(false)
   const [expandedSensor, setExpandedSensor] = useState(null)
   const [editingSensor, setEditingSensor] = useState(null)
+  const [calibratingSensor, setCalibratingSensor] = useState(null)
   const [editForm, setEditForm] = useState({})
+  const [editError, setEditError] = useState(null)
   const [lastUpdate, setLastUpdate] = useState(null)
   const [copiedId, setCopiedId] = useState(null)
   const [newSensor, setNewSensor] = useState({
@@ -45,7 +55,7 @@ function Hardware() {
 
   const fetchSensors = async () => {
     try {
-      const res = await fetch('/api/sensors')
+      const res = await fetch(`/api/sensors${tankQuery()}`)
       if (res.ok) {
         const data = await res.json()
         setSensors(data)
@@ -58,12 +68,8 @@ function Hardware() {
     }
   }
 
-  useEffect(() => {
-    fetchSensors()
-    // Live refresh every 5 seconds
-    const interval = setInterval(fetchSensors, 5000)
-    return () => clearInterval(interval)
-  }, [])
+  // Live updates, polling every 5 seconds when the event stream is unavailable
+  useLiveRefresh(['reading', 'sensor', 'alert'], fetchSensors, 5000)
 
   const handleAddSensor = async (e) => {
     e.preventDefault()
@@ -71,7 +77,8 @@ function Hardware() {
       const payload = {
         ...newSensor,
         min_value: newSensor.min_value !== '' ? parseFloat(newSensor.min_value) : null,
-        max_value: newSensor.max_value !== '' ? parseFloat(newSensor.max_value) : null
+        max_value: newSensor.max_value !== '' ? parseFloat(newSensor.max_value) : null,
+        tank_id: selectedTankId
       }
       const res = await fetch('/api/sensors', {
         method: 'POST',
@@ -103,6 +110,7 @@ function Hardware() {
 
   const startEditing = (sensor) => {
     setEditingSensor(sensor.id)
+    setEditError(null)
     setEditForm({
       name: sensor.name,
       type: sensor.type,
@@ -111,9 +119,20 @@ function Hardware() {
       icon: sensor.icon,
       min_value: sensor.min_value !== null ? sensor.min_value : '',
       max_value: sensor.max_value !== null ? sensor.max_value : '',
+      critical_min_value: sensor.critical_min_value ?? '',
+      critical_max_value: sensor.critical_max_value ?? '',
       float_ok_value: sensor.float_ok_value ?? 1,
+      offline_timeout_minutes: sensor.offline_timeout_minutes ?? 10,
+      hysteresis: sensor.hysteresis || 0,
+      debounce_readings: sensor.debounce_readings || 0,
+      debounce_minutes: sensor.debounce_minutes || 0,
+      rate_change_limit: sensor.rate_change_limit ?? '',
+      rate_window_minutes: sensor.rate_window_minutes || 60,
+      mqtt_topic: sensor.mqtt_topic || '',
+      mqtt_value_path: sensor.mqtt_value_path || '',
       alerts_enabled: sensor.alerts_enabled !== 0,
-      disabled: sensor.disabled === 1
+      disabled: sensor.disabled === 1,
+      tank_id: sensor.tank_id
     })
   }
 
@@ -122,7 +141,15 @@ function Hardware() {
       const payload = {
         ...editForm,
         min_value: editForm.min_value !== '' ? parseFloat(editForm.min_value) : null,
-        max_value: editForm.max_value !== '' ? parseFloat(editForm.max_value) : null
+        max_value: editForm.max_value !== '' ? parseFloat(editForm.max_value) : null,
+        critical_min_value: editForm.critical_min_value !== '' ? parseFloat(editForm.critical_min_value) : null,
+        critical_max_value: editForm.critical_max_value !== '' ? parseFloat(editForm.critical_max_value) : null,
+        offline_timeout_minutes: parseInt(editForm.offline_timeout_minutes, 10) || 10,
+        hysteresis: parseFloat(editForm.hysteresis) || 0,
+        debounce_readings: parseInt(editForm.debounce_readings, 10) || 0,
+        debounce_minutes: parseInt(editForm.debounce_minutes, 10) || 0,
+        rate_change_limit: editForm.rate_change_limit !== '' ? parseFloat(editForm.rate_change_limit) : null,
+        rate_window_minutes: parseInt(editForm.rate_window_minutes, 10) || 60
       }
       const res = await fetch(`/api/sensors/${id}`, {
         method: 'PUT',
@@ -132,9 +159,12 @@ function Hardware() {
       if (res.ok) {
         setEditingSensor(null)
         fetchSensors()
+      } else {
+        const data = await res.json()
+        setEditError(data.error || 'Failed to save sensor')
       }
     } catch (err) {
-      // Silently ignore update errors
+      setEditError('Connection error')
     }
   }
 
@@ -179,6 +209,21 @@ function Hardware() {
     }
   }
 
+  // Debounced range state from the backend (hysteresis and debounce applied), falling back to the raw reading
+  const getRangeState = (sensor) => {
+    if (sensor.range_state) return sensor.range_state
+    const value = sensor.latest_value
+    if (sensor.sensor_type === 'float') return value === (sensor.float_ok_value ?? 1) ? 'normal' : 'alert'
+    if (sensor.critical_min_value !== null && value < sensor.critical_min_value) return 'critical_low'
+    if (sensor.critical_max_value !== null && value > sensor.critical_max_value) return 'critical_high'
+    if (sensor.min_value !== null && value < sensor.min_value) return 'low'
+    if (sensor.max_value !== null && value > sensor.max_value) return 'high'
+    return 'normal'
+  }
+
+  const hasLimits = (sensor) => [sensor.min_value, sensor.max_value, sensor.critical_min_value, sensor.critical_max_value]
+    .some(limit => limit !== null && limit !== undefined)
+
   const getStatusColor = (sensor) => {
     // Check if sensor is disabled first
     if (sensor.disabled === 1) return 'text-slate-400'
@@ -188,16 +233,10 @@ function Hardware() {
     const value = sensor.latest_value
     if (value === null || value === undefined) return 'text-slate-400'
 
-    if (sensor.sensor_type === 'float') {
-      const okValue = sensor.float_ok_value ?? 1
-      return value === okValue ? 'text-kurz-green' : 'text-kurz-pink'
-    }
-
-    const { min_value, max_value } = sensor
-    if (min_value === null && max_value === null) return 'text-kurz-cyan'
-    if (min_value !== null && value < min_value) return 'text-kurz-pink'
-    if (max_value !== null && value > max_value) return 'text-kurz-pink'
-    return 'text-kurz-green'
+    if (sensor.sensor_type !== 'float' && !hasLimits(sensor)) return 'text-kurz-cyan'
+    const state = getRangeState(sensor)
+    if (state === 'normal') return 'text-kurz-green'
+    return state.startsWith('critical') ? 'text-kurz-pink' : 'text-kurz-orange'
   }
 
   const getStatusText = (sensor) => {
@@ -209,15 +248,16 @@ function Hardware() {
     const value = sensor.latest_value
     if (value === null || value === undefined) return 'No Data'
 
+    const state = getRangeState(sensor)
     if (sensor.sensor_type === 'float') {
-      const okValue = sensor.float_ok_value ?? 1
-      return value === okValue ? 'OK' : 'Alert'
+      return state === 'normal' ? 'OK' : 'Alert'
     }
 
-    const { min_value, max_value } = sensor
-    if (min_value === null && max_value === null) return 'Active'
-    if (min_value !== null && value < min_value) return 'Too Low'
-    if (max_value !== null && value > max_value) return 'Too High'
+    if (!hasLimits(sensor)) return 'Active'
+    if (state === 'critical_low') return 'Critical Low'
+    if (state === 'critical_high') return 'Critical High'
+    if (state === 'low') return 'Too Low'
+    if (state === 'high') return 'Too High'
     return 'Normal'
   }
 
@@ -229,8 +269,7 @@ function Hardware() {
 
     if (sensor.latest_value === null || sensor.latest_value === undefined) return '--'
     if (sensor.sensor_type === 'float') {
-      const okValue = sensor.float_ok_value ?? 1
-      return sensor.latest_value === okValue ? 'OK' : 'ALERT'
+      return getRangeState(sensor) === 'normal' ? 'OK' : 'ALERT'
     }
     return sensor.latest_value.toFixed(1)
   }
@@ -248,6 +287,13 @@ function Hardware() {
 
   return (
     <div>
+      {/* Units the dashboard can convert, other units are stored and shown as typed */}
+      <datalist id="unit-options">
+        {unitCatalogue.flatMap(q => q.units).map(unit => (
+          <option key={unit.id} value={unit.symbol} />
+        ))}
+      </datalist>
+
       <div className="flex items-center justify-between mb-2">
         <div>
           <h2 className="font-display font-black text-xl uppercase italic tracking-tighter text-kurz-dark">
@@ -257,16 +303,46 @@ function Hardware() {
             {sensors.length} Sensors Configured
           </p>
         </div>
-        <button
-          onClick={() => setShowAddForm(!showAddForm)}
-          className={`w-10 h-10 kurz-border kurz-shadow-sm flex items-center justify-center ${
-            showAddForm ? 'bg-kurz-pink' : 'bg-kurz-cyan'
-          }`}
-        >
-          <span className="material-symbols-outlined text-kurz-dark">
-            {showAddForm ? 'close' : 'add'}
-          </span>
-        </button>
+        <div className="flex gap-2">
+          <Link
+            to="/controls"
+            className="w-10 h-10 bg-white kurz-border kurz-shadow-sm flex items-center justify-center"
+          >
+            <span className="material-symbols-outlined text-kurz-dark">power_settings_new</span>
+          </Link>
+          <Link
+            to="/rules"
+            className="w-10 h-10 bg-white kurz-border kurz-shadow-sm flex items-center justify-center"
+          >
+            <span className="material-symbols-outlined text-kurz-dark">rule</span>
+          </Link>
+          <Link
+            to="/alerts"
+            className="w-10 h-10 bg-white kurz-border kurz-shadow-sm flex items-center justify-center"
+          >
+            <span className="material-symbols-outlined text-kurz-dark">history</span>
+          </Link>
+          <button
+            onClick={() => setShowExport(!showExport)}
+            className={`w-10 h-10 kurz-border kurz-shadow-sm flex items-center justify-center ${
+              showExport ? 'bg-kurz-pink' : 'bg-white'
+            }`}
+          >
+            <span className="material-symbols-outlined text-kurz-dark">
+              {showExport ? 'close' : 'download'}
+            </span>
+          </button>
+          <button
+            onClick={() => setShowAddForm(!showAddForm)}
+            className={`w-10 h-10 kurz-border kurz-shadow-sm flex items-center justify-center ${
+              showAddForm ? 'bg-kurz-pink' : 'bg-kurz-cyan'
+            }`}
+          >
+            <span className="material-symbols-outlined text-kurz-dark">
+              {showAddForm ? 'close' : 'add'}
+            </span>
+          </button>
+        </div>
       </div>
 
       {/* Live indicator */}
@@ -277,6 +353,16 @@ function Hardware() {
         </span>
       </div>
 
+      {/* Export Readings */}
+      {showExport && (
+        <ExportPanel
+          title="Export Readings"
+          endpoint="/api/export/readings"
+          filter={{ param: 'sensor_id', label: 'Sensor', options: sensors.map(s => ({ value: s.id, label: s.name })) }}
+          showResolution
+        />
+      )}
+
       {/* Add Sensor Form */}
       {showAddForm && (
         <form onSubmit={handleAddSensor} className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
@@ -396,6 +482,7 @@ function Hardware() {
                     type="text"
                     value={newSensor.unit}
                     onChange={(e) => setNewSensor({ ...newSensor, unit: e.target.value })}
+                    list="unit-options"
                     placeholder="e.g., °C"
                     className="w-full p-2 kurz-border text-sm"
                   />
@@ -514,6 +601,12 @@ function Hardware() {
                     Muted
                   </span>
                 )}
+                {sensor.active_alerts?.some(a => a.acknowledged) && (
+                  <span className="text-[8px] bg-kurz-yellow text-kurz-dark px-1.5 py-0.5 uppercase font-bold flex items-center gap-0.5">
+                    <span className="material-symbols-outlined text-[10px]">done_all</span>
+                    Acked
+                  </span>
+                )}
                 <span className="text-[8px] bg-kurz-dark text-white px-1.5 py-0.5 uppercase font-bold">
                   {sensor.sensor_type === 'float' ? 'Float' : 'Value'}
                 </span>
@@ -593,6 +686,7 @@ function Hardware() {
                               type="text"
                               value={editForm.unit}
                               onChange={(e) => setEditForm({ ...editForm, unit: e.target.value })}
+                              list="unit-options"
                               className="w-full p-2 kurz-border text-sm"
                             />
                           </div>
@@ -629,6 +723,96 @@ function Hardware() {
                         </div>
                       )}
 
+                      {/* Critical range - outside the normal range, optional */}
+                      {sensor.sensor_type === 'value' && (
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                              Critical Min
+                            </label>
+                            <input
+                              type="number"
+                              step="any"
+                              value={editForm.critical_min_value}
+                              onChange={(e) => setEditForm({ ...editForm, critical_min_value: e.target.value })}
+                              placeholder="None"
+                              className="w-full p-2 kurz-border text-sm"
+                            />
+                          </div>
+                          <div>
+                            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                              Critical Max
+                            </label>
+                            <input
+                              type="number"
+                              step="any"
+                              value={editForm.critical_max_value}
+                              onChange={(e) => setEditForm({ ...editForm, critical_max_value: e.target.value })}
+                              placeholder="None"
+                              className="w-full p-2 kurz-border text-sm"
+                            />
+                          </div>
+                        </div>
+                      )}
+
+                      {/* Hysteresis - only for value sensors */}
+                      {sensor.sensor_type === 'value' && (
+                        <div>
+                          <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                            Hysteresis
+                          </label>
+                          <input
+                            type="number"
+                            step="any"
+                            min="0"
+                            value={editForm.hysteresis}
+                            onChange={(e) => setEditForm({ ...editForm, hysteresis: e.target.value })}
+                            className="w-full p-2 kurz-border text-sm"
+                          />
+                          <p className="text-[9px] text-slate-400 mt-1">
+                            Recover only once the value is back inside the range by this much
+                          </p>
+                        </div>
+                      )}
+
+                      {/* Rate of change - only for value sensors */}
+                      {sensor.sensor_type === 'value' && (
+                        <div>
+                          <div className="grid grid-cols-2 gap-3">
+                            <div>
+                              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                                Max Change
+                              </label>
+                              <input
+                                type="number"
+                                step="any"
+                                min="0"
+                                value={editForm.rate_change_limit}
+                                onChange={(e) => setEditForm({ ...editForm, rate_change_limit: e.target.value })}
+                                placeholder="Off"
+                                className="w-full p-2 kurz-border text-sm"
+                              />
+                            </div>
+                            <div>
+                              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                                Within Minutes
+                              </label>
+                              <input
+                                type="number"
+                                min="1"
+                                max="1440"
+                                value={editForm.rate_window_minutes}
+                                onChange={(e) => setEditForm({ ...editForm, rate_window_minutes: e.target.value })}
+                                className="w-full p-2 kurz-border text-sm"
+                              />
+                            </div>
+                          </div>
+                          <p className="text-[9px] text-slate-400 mt-1">
+                            Alert when the value rises or falls faster than this, even inside the normal range
+                          </p>
+                        </div>
+                      )}
+
                       {/* Float OK value - only for float sensors */}
                       {sensor.sensor_type === 'float' && (
                         <div>
@@ -701,6 +885,99 @@ function Hardware() {
                         </div>
                       </div>
 
+                      <div>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div>
+                            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                              Confirm After Readings
+                            </label>
+                            <input
+                              type="number"
+                              min="0"
+                              max="100"
+                              value={editForm.debounce_readings}
+                              onChange={(e) => setEditForm({ ...editForm, debounce_readings: e.target.value })}
+                              className="w-full p-2 kurz-border text-sm"
+                            />
+                          </div>
+                          <div>
+                            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                              Or After Minutes
+                            </label>
+                            <input
+                              type="number"
+                              min="0"
+                              max="1440"
+                              value={editForm.debounce_minutes}
+                              onChange={(e) => setEditForm({ ...editForm, debounce_minutes: e.target.value })}
+                              className="w-full p-2 kurz-border text-sm"
+                            />
+                          </div>
+                        </div>
+                        <p className="text-[9px] text-slate-400 mt-1">
+                          Alerts open or resolve once the new state is sustained (0 = immediately)
+                        </p>
+                      </div>
+
+                      <div>
+                        <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                          Offline After (Minutes)
+                        </label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="1440"
+                          value={editForm.offline_timeout_minutes}
+                          onChange={(e) => setEditForm({ ...editForm, offline_timeout_minutes: e.target.value })}
+                          className="w-full p-2 kurz-border text-sm"
+                        />
+                        <p className="text-[9px] text-slate-400 mt-1">Set this above the sensor's reporting interval</p>
+                      </div>
+
+                      {/* MQTT - readings from the broker configured in Settings */}
+                      <div>
+                        <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                          MQTT Topic
+                        </label>
+                        <input
+                          type="text"
+                          value={editForm.mqtt_topic}
+                          onChange={(e) => setEditForm({ ...editForm, mqtt_topic: e.target.value })}
+                          placeholder="tele/tank-heater/SENSOR"
+                          className="w-full p-2 kurz-border text-sm font-mono placeholder:text-slate-300"
+                        />
+                        {editForm.mqtt_topic && (
+                          <input
+                            type="text"
+                            value={editForm.mqtt_value_path}
+                            onChange={(e) => setEditForm({ ...editForm, mqtt_value_path: e.target.value })}
+                            placeholder="Value path, e.g. DS18B20.Temperature"
+                            className="w-full p-2 mt-2 kurz-border text-sm font-mono placeholder:text-slate-300"
+                          />
+                        )}
+                        <p className="text-[9px] text-slate-400 mt-1">
+                          Optional. Use + and # as wildcards. Leave the value path empty when the payload is just the number
+                        </p>
+                      </div>
+
+                      {/* Tank - only when there is somewhere to move it */}
+                      {tanks.length > 1 && (
+                        <div>
+                          <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                            Tank
+                          </label>
+                          <select
+                            value={editForm.tank_id || ''}
+                            onChange={(e) => setEditForm({ ...editForm, tank_id: e.target.value })}
+                            className="w-full p-2 kurz-border text-sm bg-white"
+                          >
+                            {tanks.map(tank => (
+                              <option key={tank.id} value={tank.id}>{tank.name}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+
                       {/* Disable Toggle */}
                       <label className="flex items-center gap-3 cursor-pointer pt-2">
                         <input
@@ -730,6 +1007,10 @@ function Hardware() {
                         </div>
                       </label>
 
+                      {editError && (
+                        <p className="text-[10px] font-bold text-kurz-pink">{editError}</p>
+                      )}
+
                       <div className="flex gap-2 pt-2">
                         <button
                           onClick={() => handleUpdateSensor(sensor.id)}
@@ -766,9 +1047,37 @@ function Hardware() {
                             </span>
                             <span className="text-sm text-slate-400">{sensor.unit}</span>
                           </div>
+                          {(sensor.critical_min_value !== null || sensor.critical_max_value !== null) && (
+                            <p className="text-[10px] text-kurz-pink font-bold mt-1">
+                              Critical below {sensor.critical_min_value ?? '−∞'} or above {sensor.critical_max_value ?? '+∞'}{sensor.unit}
+                            </p>
+                          )}
+                          {sensor.rate_change_limit !== null && (
+                            <p className="text-[10px] text-slate-500 mt-1">
+                              Alert on changes over {sensor.rate_change_limit}{sensor.unit} within {sensor.rate_window_minutes} minutes
+                            </p>
+                          )}
+                          {sensor.calibration && (
+                            <p className="text-[10px] text-slate-500 mt-1">
+                              Calibrated: {sensor.calibration_description}
+                            </p>
+                          )}
+                          {sensor.display_unit !== sensor.unit && (
+                            <p className="text-[10px] text-slate-500 mt-1">
+                              Shown in {sensor.display_unit} on the dashboard and in alerts
+                            </p>
+                          )}
                         </div>
                       )}
 
+                      {calibratingSensor === sensor.id && (
+                        <CalibrationWizard
+                          sensor={sensor}
+                          onClose={() => setCalibratingSensor(null)}
+                          onSaved={fetchSensors}
+                        />
+                      )}
+
                       {/* Float switch info */}
                       {sensor.sensor_type === 'float' && (
                         <div className="mb-4 p-3 bg-slate-50 kurz-border">
@@ -783,6 +1092,13 @@ function Hardware() {
                         </div>
                       )}
 
+                      <p className="mb-4 text-[10px] text-slate-400">
+                        Marked offline after {sensor.offline_timeout_minutes ?? 10} minutes without a reading
+                        {sensor.hysteresis > 0 && ` • Hysteresis ${sensor.hysteresis}${sensor.unit || ''}`}
+                        {sensor.debounce_readings > 0 && ` • Confirmed after ${sensor.debounce_readings} readings`}
+                        {sensor.debounce_minutes > 0 && ` • ${sensor.debounce_readings > 0 ? 'or' : 'Confirmed after'} ${sensor.debounce_minutes} minutes`}
+                      </p>
+
                       <div className="mb-4">
                         <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
                           API Endpoint
@@ -805,6 +1121,17 @@ function Hardware() {
                         </div>
                       </div>
 
+                      {sensor.mqtt_topic && (
+                        <div className="mb-4">
+                          <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
+                            MQTT Topic
+                          </label>
+                          <code className="block bg-kurz-dark text-kurz-cyan p-2 text-[10px] overflow-x-auto whitespace-nowrap">
+                            {sensor.mqtt_topic}{sensor.mqtt_value_path && ` → ${sensor.mqtt_value_path}`}
+                          </code>
+                        </div>
+                      )}
+
                       <div className="mb-4">
                         <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
                           Example (Arduino/ESP)
@@ -821,6 +1148,17 @@ http.GET();`}
                         </code>
                       </div>
 
+                      {sensor.disabled !== 1 && sensor.alerts_enabled !== 0 && (
+                        <div className="mb-4">
+                          <AlertControls
+                            snoozeUrl={`/api/sensors/${sensor.id}/snooze`}
+                            activeAlerts={sensor.active_alerts}
+                            snoozedUntil={sensor.snoozed_until}
+                            onChange={fetchSensors}
+                          />
+                        </div>
+                      )}
+
                       <div className="flex gap-2">
                         <button
                           onClick={() => startEditing(sensor)}
@@ -829,6 +1167,15 @@ http.GET();`}
                           <span className="material-symbols-outlined text-sm">edit</span>
                           Edit Sensor
                         </button>
+                        {sensor.sensor_type === 'value' && (
+                          <button
+                            onClick={() => setCalibratingSensor(calibratingSensor === sensor.id ? null : sensor.id)}
+                            className="flex-1 bg-kurz-cyan kurz-border kurz-shadow-sm p-2 font-bold uppercase text-[10px] text-kurz-dark flex items-center justify-center gap-2"
+                          >
+                            <span className="material-symbols-outlined text-sm">tune</span>
+                            Calibrate
+                          </button>
+                        )}
                         <button
                           onClick={() => handleDeleteSensor(sensor.id)}
                           className="flex-1 bg-kurz-pink kurz-border kurz-shadow-sm p-2 font-bold uppercase text-[10px] text-white flex items-center justify-center gap-2"
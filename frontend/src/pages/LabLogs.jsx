@@ -1,5 +1,10 @@
 import { useState, useEffect } from 'react'
 import { useSettings } from '../context/SettingsContext'
+import { useTank } from '../context/TankContext'
+import { useLiveRefresh } from '../context/LiveContext'
+import ExportPanel from '../components/ExportPanel'
+import AlertControls from '../components/AlertControls'
+import WaterImportWizard from '../components/WaterImportWizard'
 
 const intervalOptions = [
   { value: 3, label: '3 Days' },
@@ -13,6 +18,14 @@ const intervalOptions = [
   { value: 90, label: '90 Days' }
 ]
 
+// Maintenance mode started when a task is completed (minutes, 0 = off)
+const pauseAlertsOptions = [
+  { value: 0, label: 'Off' },
+  { value: 30, label: '30 Min' },
+  { value: 60, label: '1 Hour' },
+  { value: 120, label: '2 Hours' }
+]
+
 const testingIntervalOptions = [
   { value: 0, label: 'No Reminder' },
   { value: 1, label: 'Daily' },
@@ -39,16 +52,20 @@ function Maintenance() {
   const [tasks, setTasks] = useState([])
   const [loading, setLoading] = useState(true)
   const [showAddForm, setShowAddForm] = useState(false)
+  const [showTaskExport, setShowTaskExport] = useState(false)
   const [expandedTask, setExpandedTask] = useState(null)
   const [editingTask, setEditingTask] = useState(null)
   const [completions, setCompletions] = useState({})
   const [showHistory, setShowHistory] = useState({})
   const [selectedPercentage, setSelectedPercentage] = useState({})
   const { formatDateTime, formatRelativeDate, formatDate, getCurrentDateParts, timezone } = useSettings()
+  const { selectedTankId, tankQuery } = useTank()
 
   // Water Parameters state
   const [waterParams, setWaterParams] = useState([])
   const [showAddParam, setShowAddParam] = useState(false)
+  const [showParamExport, setShowParamExport] = useState(false)
+  const [showParamImport, setShowParamImport] = useState(false)
   const [expandedParam, setExpandedParam] = useState(null)
   const [showParamHistory, setShowParamHistory] = useState({})
   const [newParam, setNewParam] = useState({ name: '', unit: '', color: 'cyan', interval_days: 0, target_value: '' })
@@ -70,14 +87,15 @@ function Maintenance() {
     name: '',
     icon: 'build',
     interval_days: 7,
-    show_percentage: false
+    show_percentage: false,
+    pause_alerts_minutes: 0
   })
 
   const [editForm, setEditForm] = useState({})
 
   const fetchTasks = async () => {
     try {
-      const res = await fetch('/api/maintenance/tasks')
+      const res = await fetch(`/api/maintenance/tasks${tankQuery()}`)
       if (res.ok) {
         const data = await res.json()
         setTasks(data)
@@ -103,7 +121,7 @@ function Maintenance() {
 
   const fetchWaterParams = async () => {
     try {
-      const res = await fetch('/api/water-parameters')
+      const res = await fetch(`/api/water-parameters${tankQuery()}`)
       if (res.ok) {
         const data = await res.json()
         setWaterParams(data)
@@ -120,9 +138,11 @@ function Maintenance() {
   }
 
   useEffect(() => {
-    fetchTasks()
     fetchWaterParams()
-  }, [])
+  }, [selectedTankId])
+
+  // Completions from other devices show up live
+  useLiveRefresh(['task'], fetchTasks, null)
 
   useEffect(() => {
     if (expandedTask) {
@@ -136,10 +156,10 @@ function Maintenance() {
       const res = await fetch('/api/maintenance/tasks', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newTask)
+        body: JSON.stringify({ ...newTask, tank_id: selectedTankId })
       })
       if (res.ok) {
-        setNewTask({ name: '', icon: 'build', interval_days: 7, show_percentage: false })
+        setNewTask({ name: '', icon: 'build', interval_days: 7, show_percentage: false, pause_alerts_minutes: 0 })
         setShowAddForm(false)
         fetchTasks()
       }
@@ -217,7 +237,8 @@ function Maintenance() {
       name: task.name,
       icon: task.icon,
       interval_days: task.interval_days,
-      show_percentage: task.show_percentage === 1
+      show_percentage: task.show_percentage === 1,
+      pause_alerts_minutes: task.pause_alerts_minutes || 0
     })
   }
 
@@ -228,7 +249,7 @@ function Maintenance() {
       const res = await fetch('/api/water-parameters', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newParam)
+        body: JSON.stringify({ ...newParam, tank_id: selectedTankId })
       })
       if (res.ok) {
         setNewParam({ name: '', unit: '', color: 'cyan', interval_days: 0, target_value: '' })
@@ -293,7 +314,8 @@ function Maintenance() {
     setEditingParam(param.id)
     setParamEditForm({
       name: param.name,
-      unit: param.unit,
+      // Results are shown in the display unit, the form edits the unit they are stored in
+      unit: param.stored_unit ?? param.unit,
       color: param.color,
       interval_days: param.interval_days || 0,
       target_value: param.target_value || ''
@@ -389,18 +411,39 @@ function Maintenance() {
             {tasks.length} Task{tasks.length !== 1 ? 's' : ''} Configured
           </p>
         </div>
-        <button
-          onClick={() => setShowAddForm(!showAddForm)}
-          className={`w-10 h-10 kurz-border kurz-shadow-sm flex items-center justify-center ${
-            showAddForm ? 'bg-kurz-pink' : 'bg-kurz-cyan'
-          }`}
-        >
-          <span className="material-symbols-outlined text-kurz-dark">
-            {showAddForm ? 'close' : 'add'}
-          </span>
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowTaskExport(!showTaskExport)}
+            className={`w-10 h-10 kurz-border kurz-shadow-sm flex items-center justify-center ${
+              showTaskExport ? 'bg-kurz-pink' : 'bg-white'
+            }`}
+          >
+            <span className="material-symbols-outlined text-kurz-dark">
+              {showTaskExport ? 'close' : 'download'}
+            </span>
+          </button>
+          <button
+            onClick={() => setShowAddForm(!showAddForm)}
+            className={`w-10 h-10 kurz-border kurz-shadow-sm flex items-center justify-center ${
+              showAddForm ? 'bg-kurz-pink' : 'bg-kurz-cyan'
+            }`}
+          >
+            <span className="material-symbols-outlined text-kurz-dark">
+              {showAddForm ? 'close' : 'add'}
+            </span>
+          </button>
+        </div>
       </div>
 
+      {/* Export Maintenance Log */}
+      {showTaskExport && (
+        <ExportPanel
+          title="Export Maintenance Log"
+          endpoint="/api/export/maintenance"
+          filter={{ param: 'task_id', label: 'Task', options: tasks.map(t => ({ value: t.id, label: t.name })) }}
+        />
+      )}
+
       {/* Add Task Form */}
       {showAddForm && (
         <form onSubmit={handleAddTask} className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
@@ -478,6 +521,31 @@ function Maintenance() {
               </label>
             </div>
 
+            <div>
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
+                Pause Alerts On Completion
+              </label>
+              <div className="flex gap-2 flex-wrap">
+                {pauseAlertsOptions.map(opt => (
+                  <button
+                    key={opt.value}
+                    type="button"
+                    onClick={() => setNewTask({ ...newTask, pause_alerts_minutes: opt.value })}
+                    className={`px-3 py-2 kurz-border text-[10px] font-bold uppercase ${
+                      newTask.pause_alerts_minutes === opt.value
+                        ? 'bg-kurz-blue text-white'
+                        : 'bg-white text-slate-500'
+                    }`}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-[9px] text-slate-400 mt-1">
+                Starts maintenance mode for this tank's sensors when the task is marked complete
+              </p>
+            </div>
+
             <button
               type="submit"
               className="w-full bg-kurz-green kurz-border kurz-shadow-sm p-3 font-bold uppercase text-sm text-kurz-dark"
@@ -615,6 +683,28 @@ function Maintenance() {
                           </label>
                         </div>
 
+                        <div>
+                          <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
+                            Pause Alerts On Completion
+                          </label>
+                          <div className="flex gap-2 flex-wrap">
+                            {pauseAlertsOptions.map(opt => (
+                              <button
+                                key={opt.value}
+                                type="button"
+                                onClick={() => setEditForm({ ...editForm, pause_alerts_minutes: opt.value })}
+                                className={`px-3 py-2 kurz-border text-[10px] font-bold uppercase ${
+                                  editForm.pause_alerts_minutes === opt.value
+                                    ? 'bg-kurz-blue text-white'
+                                    : 'bg-white text-slate-500'
+                                }`}
+                              >
+                                {opt.label}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+
                         <div className="flex gap-2 pt-2">
                           <button
                             onClick={() => handleUpdateTask(task.id)}
@@ -670,6 +760,17 @@ function Maintenance() {
                           </button>
                         </div>
 
+                        {/* Reminder Snooze */}
+                        {task.isDue && (
+                          <div className="mb-4">
+                            <AlertControls
+                              snoozeUrl={`/api/maintenance/tasks/${task.id}/snooze`}
+                              snoozedUntil={task.snoozed_until}
+                              onChange={fetchTasks}
+                            />
+                          </div>
+                        )}
+
                         {/* History */}
                         <div className="mb-4">
                           <button
@@ -758,18 +859,58 @@ function Maintenance() {
               {waterParams.length} Parameter{waterParams.length !== 1 ? 's' : ''} Tracked
             </p>
           </div>
-          <button
-            onClick={() => setShowAddParam(!showAddParam)}
-            className={`w-10 h-10 kurz-border kurz-shadow-sm flex items-center justify-center ${
-              showAddParam ? 'bg-kurz-pink' : 'bg-kurz-cyan'
-            }`}
-          >
-            <span className="material-symbols-outlined text-kurz-dark">
-              {showAddParam ? 'close' : 'add'}
-            </span>
-          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowParamExport(!showParamExport)}
+              className={`w-10 h-10 kurz-border kurz-shadow-sm flex items-center justify-center ${
+                showParamExport ? 'bg-kurz-pink' : 'bg-white'
+              }`}
+            >
+              <span className="material-symbols-outlined text-kurz-dark">
+                {showParamExport ? 'close' : 'download'}
+              </span>
+            </button>
+            <button
+              onClick={() => setShowParamImport(!showParamImport)}
+              className={`w-10 h-10 kurz-border kurz-shadow-sm flex items-center justify-center ${
+                showParamImport ? 'bg-kurz-pink' : 'bg-white'
+              }`}
+            >
+              <span className="material-symbols-outlined text-kurz-dark">
+                {showParamImport ? 'close' : 'upload'}
+              </span>
+            </button>
+            <button
+              onClick={() => setShowAddParam(!showAddParam)}
+              className={`w-10 h-10 kurz-border kurz-shadow-sm flex items-center justify-center ${
+                showAddParam ? 'bg-kurz-pink' : 'bg-kurz-cyan'
+              }`}
+            >
+              <span className="material-symbols-outlined text-kurz-dark">
+                {showAddParam ? 'close' : 'add'}
+              </span>
+            </button>
+          </div>
         </div>
 
+        {/* Import Water Parameters */}
+        {showParamImport && (
+          <WaterImportWizard
+            params={waterParams}
+            onClose={() => setShowParamImport(false)}
+            onImported={fetchWaterParams}
+          />
+        )}
+
+        {/* Export Water Parameters */}
+        {showParamExport && (
+          <ExportPanel
+            title="Export Test Results"
+            endpoint="/api/export/water-parameters"
+            filter={{ param: 'parameter_id', label: 'Parameter', options: waterParams.map(p => ({ value: p.id, label: p.name })) }}
+          />
+        )}
+
         {/* Add Parameter Form */}
         {showAddParam && (
           <form onSubmit={handleAddParam} className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
@@ -942,11 +1083,16 @@ function Maintenance() {
                               onChange={(e) => setParamEditForm({ ...paramEditForm, unit: e.target.value })}
                               className="w-full p-2 kurz-border text-sm"
                             />
+                            {param.stored_unit && param.stored_unit !== param.unit && (
+                              <p className="text-[9px] text-slate-400 mt-1">
+                                Stored in {param.stored_unit}, shown and entered in {param.unit} (Settings → Units)
+                              </p>
+                            )}
                           </div>
 
                           <div>
                             <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
-                              Target Value
+                              Target Value ({param.unit})
                             </label>
                             <input
                               type="text"
@@ -0,0 +1,473 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useSettings } from '../context/SettingsContext'
+import { useTank } from '../context/TankContext'
+import { useLiveRefresh } from '../context/LiveContext'
+
+const PRIORITY_OPTIONS = [
+  { value: 0, label: 'Normal' },
+  { value: 1, label: 'High' },
+  { value: 2, label: 'Emergency' }
+]
+
+const emptyCondition = (sensorId = '') => ({ sensor_id: sensorId, type: 'value', operator: '>', value: '', for_minutes: 0 })
+
+const emptyRule = (sensorId) => ({
+  name: '',
+  logic: 'and',
+  conditions: [emptyCondition(sensorId)],
+  actions: [{ type: 'flag', label: '', level: 'warning' }]
+})
+
+function Rules() {
+  const { formatDateTime } = useSettings()
+  const { selectedTankId, tankQuery } = useTank()
+  const [rules, setRules] = useState([])
+  const [meta, setMeta] = useState({ logic: [], operators: [], states: [], flag_levels: [] })
+  const [sensors, setSensors] = useState([])
+  const [channels, setChannels] = useState([])
+  const [form, setForm] = useState(null)
+  const [formError, setFormError] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  const fetchRules = async () => {
+    try {
+      const res = await fetch(`/api/rules${tankQuery()}`)
+      if (res.ok) {
+        const data = await res.json()
+        setRules(data.rules)
+        setMeta({ logic: data.logic, operators: data.operators, states: data.states, flag_levels: data.flag_levels })
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useLiveRefresh(['rule'], fetchRules, 30000)
+
+  // Conditions can use sensors from any tank
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const [sensorsRes, channelsRes] = await Promise.all([
+          fetch('/api/sensors'),
+          fetch('/api/notification-channels')
+        ])
+        if (sensorsRes.ok) setSensors(await sensorsRes.json())
+        if (channelsRes.ok) setChannels((await channelsRes.json()).channels)
+      } catch (err) {
+        // Silently ignore fetch errors
+      }
+    }
+    fetchOptions()
+  }, [])
+
+  const getSensorName = (id) => sensors.find(s => s.id === id)?.name || 'Unknown sensor'
+
+  const describeCondition = (condition) => {
+    const duration = condition.for_minutes > 0 ? ` for ${condition.for_minutes} min` : ''
+    if (condition.type === 'value') {
+      return `${getSensorName(condition.sensor_id)} ${condition.operator} ${condition.value}${duration}`
+    }
+    const state = meta.states.find(s => s.id === condition.state)
+    return `${getSensorName(condition.sensor_id)} is ${state ? state.label.toLowerCase() : condition.state}${duration}`
+  }
+
+  const describeAction = (action) => {
+    if (action.type === 'flag') return `Flag "${action.label}" (${action.level})`
+    const names = action.channel_ids.map(id => channels.find(c => c.id === id)?.name).filter(Boolean)
+    return `Notify ${names.length > 0 ? names.join(', ') : 'sensor alert channels'}`
+  }
+
+  const startAdd = () => {
+    setForm({ ...emptyRule(sensors[0]?.id || ''), id: null })
+    setFormError(null)
+  }
+
+  const startEdit = (rule) => {
+    setForm({
+      id: rule.id,
+      name: rule.name,
+      logic: rule.logic,
+      conditions: rule.conditions.map(c => ({ ...c, value: c.value ?? '' })),
+      actions: rule.actions
+    })
+    setFormError(null)
+  }
+
+  const updateCondition = (index, changes) => {
+    setForm({ ...form, conditions: form.conditions.map((c, i) => i === index ? { ...c, ...changes } : c) })
+  }
+
+  const updateAction = (index, changes) => {
+    setForm({ ...form, actions: form.actions.map((a, i) => i === index ? { ...a, ...changes } : a) })
+  }
+
+  const toggleActionChannel = (index, channelId) => {
+    const action = form.actions[index]
+    const ids = action.channel_ids.includes(channelId)
+      ? action.channel_ids.filter(id => id !== channelId)
+      : [...action.channel_ids, channelId]
+    updateAction(index, { channel_ids: ids })
+  }
+
+  const saveRule = async () => {
+    setFormError(null)
+    const body = {
+      name: form.name,
+      logic: form.logic,
+      conditions: form.conditions.map(c => c.type === 'value'
+        ? { sensor_id: c.sensor_id, type: 'value', operator: c.operator, value: c.value === '' ? '' : parseFloat(c.value), for_minutes: parseInt(c.for_minutes, 10) || 0 }
+        : { sensor_id: c.sensor_id, type: 'state', state: c.state, for_minutes: parseInt(c.for_minutes, 10) || 0 }),
+      actions: form.actions,
+      ...(form.id ? {} : { tank_id: selectedTankId })
+    }
+    try {
+      const res = await fetch(form.id ? `/api/rules/${form.id}` : '/api/rules', {
+        method: form.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+      const data = await res.json()
+      if (res.ok) {
+        setForm(null)
+        fetchRules()
+      } else {
+        setFormError(data.error || 'Failed to save rule')
+      }
+    } catch (err) {
+      setFormError('Connection error')
+    }
+  }
+
+  const toggleRule = async (rule) => {
+    try {
+      const res = await fetch(`/api/rules/${rule.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !rule.enabled })
+      })
+      if (res.ok) fetchRules()
+    } catch (err) {
+      // Silently ignore update errors
+    }
+  }
+
+  const deleteRule = async (rule) => {
+    if (!confirm(`Delete rule "${rule.name}"?`)) return
+    try {
+      const res = await fetch(`/api/rules/${rule.id}`, { method: 'DELETE' })
+      if (res.ok) fetchRules()
+    } catch (err) {
+      // Silently ignore delete errors
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="text-center">
+          <span className="material-symbols-outlined text-4xl text-kurz-blue animate-spin">sync</span>
+          <p className="text-sm text-slate-400 mt-2">Loading...</p>
+        </div>
+      </div>
+    )
+  }
+
+  const labelClass = 'text-[9px] font-bold uppercase tracking-wider text-slate-400 block mb-1'
+  const optionClass = (active) => `px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+    active ? 'bg-kurz-blue text-white' : 'bg-white text-slate-500'
+  }`
+
+  return (
+    <div className="pb-8">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="font-display font-black text-xl uppercase italic tracking-tighter text-kurz-dark">
+            Rules
+          </h2>
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest mt-1">
+            {rules.filter(r => r.active).length} Matching • {rules.length} Total
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Link
+            to="/hardware"
+            className="w-10 h-10 bg-white kurz-border kurz-shadow-sm flex items-center justify-center"
+          >
+            <span className="material-symbols-outlined text-kurz-dark">arrow_back</span>
+          </Link>
+          {!form && (
+            <button
+              onClick={startAdd}
+              disabled={sensors.length === 0}
+              className="w-10 h-10 bg-kurz-cyan kurz-border kurz-shadow-sm flex items-center justify-center"
+            >
+              <span className="material-symbols-outlined text-kurz-dark">add</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Rule builder */}
+      {form && (
+        <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4 space-y-4">
+          <div>
+            <label className={labelClass}>Rule Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="e.g. Sump running dry"
+              className="w-full p-2 kurz-border text-sm"
+            />
+          </div>
+
+          <div>
+            <label className={labelClass}>Match When</label>
+            <div className="flex gap-2">
+              {meta.logic.map(logic => (
+                <button key={logic} onClick={() => setForm({ ...form, logic })} className={`flex-1 ${optionClass(form.logic === logic)}`}>
+                  {logic === 'and' ? 'All Conditions' : 'Any Condition'}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Conditions */}
+          <div className="space-y-2">
+            <label className={labelClass}>Conditions</label>
+            {form.conditions.map((condition, i) => (
+              <div key={i} className="p-3 bg-slate-50 kurz-border space-y-2">
+                <div className="flex gap-2">
+                  <select
+                    value={condition.sensor_id}
+                    onChange={(e) => updateCondition(i, { sensor_id: e.target.value })}
+                    className="flex-1 p-2 kurz-border bg-white text-sm"
+                  >
+                    {sensors.map(sensor => (
+                      <option key={sensor.id} value={sensor.id}>{sensor.name}</option>
+                    ))}
+                  </select>
+                  {form.conditions.length > 1 && (
+                    <button
+                      onClick={() => setForm({ ...form, conditions: form.conditions.filter((_, j) => j !== i) })}
+                      className="w-9 bg-white kurz-border flex items-center justify-center"
+                    >
+                      <span className="material-symbols-outlined text-sm text-kurz-pink">close</span>
+                    </button>
+                  )}
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={() => updateCondition(i, { type: 'value' })} className={`flex-1 ${optionClass(condition.type === 'value')}`}>
+                    Value
+                  </button>
+                  <button
+                    onClick={() => updateCondition(i, { type: 'state', state: condition.state || meta.states[0]?.id })}
+                    className={`flex-1 ${optionClass(condition.type === 'state')}`}
+                  >
+                    State
+                  </button>
+                </div>
+                {condition.type === 'value' ? (
+                  <div className="flex gap-2">
+                    <select
+                      value={condition.operator}
+                      onChange={(e) => updateCondition(i, { operator: e.target.value })}
+                      className="w-20 p-2 kurz-border bg-white text-sm font-bold"
+                    >
+                      {meta.operators.map(op => (
+                        <option key={op} value={op}>{op}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      step="any"
+                      value={condition.value}
+                      onChange={(e) => updateCondition(i, { value: e.target.value })}
+                      placeholder="Value"
+                      className="flex-1 p-2 kurz-border text-sm"
+                    />
+                  </div>
+                ) : (
+                  <select
+                    value={condition.state}
+                    onChange={(e) => updateCondition(i, { state: e.target.value })}
+                    className="w-full p-2 kurz-border bg-white text-sm"
+                  >
+                    {meta.states.map(state => (
+                      <option key={state.id} value={state.id}>{state.label}</option>
+                    ))}
+                  </select>
+                )}
+                <div className="flex items-center gap-2">
+                  <span className="text-[10px] text-slate-500">For at least</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1440"
+                    value={condition.for_minutes}
+                    onChange={(e) => updateCondition(i, { for_minutes: e.target.value })}
+                    className="w-20 p-1.5 kurz-border text-sm"
+                  />
+                  <span className="text-[10px] text-slate-500">minutes</span>
+                </div>
+              </div>
+            ))}
+            <button
+              onClick={() => setForm({ ...form, conditions: [...form.conditions, emptyCondition(sensors[0]?.id)] })}
+              className="px-3 py-1.5 kurz-border text-[9px] font-bold uppercase bg-white text-slate-500"
+            >
+              + Condition
+            </button>
+          </div>
+
+          {/* Actions */}
+          <div className="space-y-2">
+            <label className={labelClass}>Actions</label>
+            {form.actions.map((action, i) => (
+              <div key={i} className="p-3 bg-slate-50 kurz-border space-y-2">
+                <div className="flex items-center justify-between">
+                  <span className="text-[10px] font-bold uppercase text-kurz-dark">
+                    {action.type === 'flag' ? 'Show Status Flag' : 'Send Notification'}
+                  </span>
+                  {form.actions.length > 1 && (
+                    <button onClick={() => setForm({ ...form, actions: form.actions.filter((_, j) => j !== i) })}>
+                      <span className="material-symbols-outlined text-sm text-kurz-pink">close</span>
+                    </button>
+                  )}
+                </div>
+                {action.type === 'flag' ? (
+                  <>
+                    <input
+                      type="text"
+                      value={action.label}
+                      onChange={(e) => updateAction(i, { label: e.target.value })}
+                      placeholder="Flag text shown on the dashboard"
+                      className="w-full p-2 kurz-border text-sm"
+                    />
+                    <div className="flex gap-2">
+                      {meta.flag_levels.map(level => (
+                        <button key={level} onClick={() => updateAction(i, { level })} className={`flex-1 ${optionClass(action.level === level)}`}>
+                          {level}
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="flex gap-2 flex-wrap">
+                      {channels.map(channel => (
+                        <button
+                          key={channel.id}
+                          onClick={() => toggleActionChannel(i, channel.id)}
+                          className={optionClass(action.channel_ids.includes(channel.id))}
+                        >
+                          {channel.name}
+                        </button>
+                      ))}
+                    </div>
+                    <p className="text-[8px] text-slate-400">
+                      {action.channel_ids.length === 0 ? 'No channels picked: sent to the channels that receive sensor alerts' : 'Sent to the picked channels only'}
+                    </p>
+                    <div className="flex gap-2">
+                      {PRIORITY_OPTIONS.map(opt => (
+                        <button key={opt.value} onClick={() => updateAction(i, { priority: opt.value })} className={`flex-1 ${optionClass(action.priority === opt.value)}`}>
+                          {opt.label}
+                        </button>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+            ))}
+            <div className="flex gap-2">
+              <button
+                onClick={() => setForm({ ...form, actions: [...form.actions, { type: 'notify', channel_ids: [], priority: 1 }] })}
+                className="px-3 py-1.5 kurz-border text-[9px] font-bold uppercase bg-white text-slate-500"
+              >
+                + Notification
+              </button>
+              <button
+                onClick={() => setForm({ ...form, actions: [...form.actions, { type: 'flag', label: '', level: 'warning' }] })}
+                className="px-3 py-1.5 kurz-border text-[9px] font-bold uppercase bg-white text-slate-500"
+              >
+                + Status Flag
+              </button>
+            </div>
+          </div>
+
+          {formError && (
+            <p className="text-[10px] font-bold text-kurz-pink">{formError}</p>
+          )}
+
+          <div className="flex gap-2">
+            <button
+              onClick={saveRule}
+              className="flex-1 bg-kurz-green kurz-border kurz-shadow-sm p-2 font-bold uppercase text-[10px] text-kurz-dark flex items-center justify-center gap-2"
+            >
+              <span className="material-symbols-outlined text-sm">save</span>
+              Save Rule
+            </button>
+            <button
+              onClick={() => setForm(null)}
+              className="flex-1 bg-slate-200 kurz-border p-2 font-bold uppercase text-[10px] text-kurz-dark flex items-center justify-center gap-2"
+            >
+              <span className="material-symbols-outlined text-sm">close</span>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Rule list */}
+      {rules.length === 0 && !form ? (
+        <div className="bg-white kurz-border kurz-card-shadow p-6 text-center">
+          <span className="material-symbols-outlined text-4xl text-slate-300">rule</span>
+          <p className="text-sm text-slate-400 mt-2">No rules yet</p>
+          <p className="text-[10px] text-slate-400 mt-1">Combine several sensors, e.g. sump float low AND return pump power high</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {rules.map(rule => (
+            <div key={rule.id} className={`bg-white kurz-border p-3 ${rule.enabled ? '' : 'opacity-50'}`}>
+              <div className="flex items-center gap-3">
+                <div className={`w-10 h-10 ${rule.active ? 'bg-kurz-pink' : 'bg-kurz-green'} kurz-border flex items-center justify-center flex-shrink-0`}>
+                  <span className="material-symbols-outlined text-white">{rule.active ? 'bolt' : 'check'}</span>
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-bold text-kurz-dark truncate">{rule.name}</p>
+                  <p className="text-[9px] text-slate-400">
+                    {rule.active ? `Matching since ${formatDateTime(rule.active_since)}` : rule.last_triggered_at ? `Last matched ${formatDateTime(rule.last_triggered_at)}` : 'Never matched'}
+                  </p>
+                </div>
+                <button onClick={() => toggleRule(rule)} title={rule.enabled ? 'Disable' : 'Enable'}>
+                  <span className="material-symbols-outlined text-slate-400">{rule.enabled ? 'toggle_on' : 'toggle_off'}</span>
+                </button>
+                <button onClick={() => startEdit(rule)} title="Edit">
+                  <span className="material-symbols-outlined text-slate-400">edit</span>
+                </button>
+                <button onClick={() => deleteRule(rule)} title="Delete">
+                  <span className="material-symbols-outlined text-slate-400">delete</span>
+                </button>
+              </div>
+              <div className="mt-2 text-[10px] text-slate-500 space-y-0.5">
+                {rule.conditions.map((condition, i) => (
+                  <p key={i}>
+                    {i > 0 && <span className="font-bold text-kurz-dark">{rule.logic === 'or' ? 'OR ' : 'AND '}</span>}
+                    {describeCondition(condition)}
+                  </p>
+                ))}
+                <p className="text-slate-400">→ {rule.actions.map(describeAction).join(' • ')}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Rules
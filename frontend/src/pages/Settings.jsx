@@ -1,5 +1,9 @@
 import { useState, useEffect } from 'react'
 import { useSettings } from '../context/SettingsContext'
+import { useTank } from '../context/TankContext'
+import NotificationChannels from '../components/NotificationChannels'
+import MqttSettings from '../components/MqttSettings'
+import HomeAssistantSettings from '../components/HomeAssistantSettings'
 
 const timezones = [
   { value: 'Pacific/Honolulu', label: 'Hawaii (HST)', offset: -10 },
@@ -28,9 +32,15 @@ function Settings() {
   const [settings, setSettings] = useState({})
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
-  const [testingPushover, setTestingPushover] = useState(false)
-  const [pushoverStatus, setPushoverStatus] = useState(null)
-  const { refreshSettings: refreshGlobalSettings } = useSettings()
+  const { refreshSettings: refreshGlobalSettings, unitCatalogue } = useSettings()
+  const { tanks, refreshTanks } = useTank()
+  const [newTank, setNewTank] = useState({ name: '', volume: '' })
+  const [editingTank, setEditingTank] = useState(null)
+  const [tankEditForm, setTankEditForm] = useState({})
+  const [tankError, setTankError] = useState(null)
+  const [backups, setBackups] = useState([])
+  const [backupStatus, setBackupStatus] = useState(null)
+  const [restoring, setRestoring] = useState(false)
 
   const fetchSettings = async () => {
     try {
@@ -46,8 +56,21 @@ function Settings() {
     }
   }
 
+  const fetchBackups = async () => {
+    try {
+      const res = await fetch('/api/backups')
+      if (res.ok) {
+        const data = await res.json()
+        setBackups(data.backups || [])
+      }
+    } catch (err) {
+      // Silently ignore fetch errors
+    }
+  }
+
   useEffect(() => {
     fetchSettings()
+    fetchBackups()
   }, [])
 
   const updateSetting = async (key, value) => {
@@ -85,22 +108,110 @@ function Settings() {
     }
   }
 
-  const testPushover = async () => {
-    setTestingPushover(true)
-    setPushoverStatus(null)
+  const createBackup = async () => {
+    setBackupStatus(null)
     try {
-      const res = await fetch('/api/pushover/test', { method: 'POST' })
+      const res = await fetch('/api/backups', { method: 'POST' })
       const data = await res.json()
       if (res.ok) {
-        setPushoverStatus({ success: true, message: 'Test notification sent!' })
+        setBackupStatus({ success: true, message: 'Backup saved' })
+        fetchBackups()
       } else {
-        setPushoverStatus({ success: false, message: data.error || 'Failed to send' })
+        setBackupStatus({ success: false, message: data.error || 'Backup failed' })
       }
     } catch (err) {
-      setPushoverStatus({ success: false, message: 'Connection error' })
+      setBackupStatus({ success: false, message: 'Connection error' })
     } finally {
-      setTestingPushover(false)
-      setTimeout(() => setPushoverStatus(null), 5000)
+      setTimeout(() => setBackupStatus(null), 5000)
+    }
+  }
+
+  const handleRestore = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    if (!confirm(`Replace all current data with "${file.name}"? The current database is saved to the backups folder first.`)) return
+
+    setRestoring(true)
+    setBackupStatus(null)
+    try {
+      const res = await fetch('/api/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: file
+      })
+      const data = await res.json()
+      if (res.ok) {
+        // Reload so every page picks up the restored data
+        window.location.reload()
+        return
+      }
+      setBackupStatus({ success: false, message: data.error || 'Restore failed' })
+    } catch (err) {
+      setBackupStatus({ success: false, message: 'Connection error' })
+    }
+    setRestoring(false)
+  }
+
+  const formatBytes = (bytes) => {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  }
+
+  const handleAddTank = async (e) => {
+    e.preventDefault()
+    setTankError(null)
+    try {
+      const res = await fetch('/api/tanks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: newTank.name,
+          volume: newTank.volume !== '' ? parseFloat(newTank.volume) : null
+        })
+      })
+      if (res.ok) {
+        setNewTank({ name: '', volume: '' })
+        refreshTanks()
+      }
+    } catch (err) {
+      // Silently ignore add errors
+    }
+  }
+
+  const handleUpdateTank = async (id) => {
+    setTankError(null)
+    try {
+      const res = await fetch(`/api/tanks/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: tankEditForm.name,
+          volume: tankEditForm.volume !== '' ? parseFloat(tankEditForm.volume) : null
+        })
+      })
+      if (res.ok) {
+        setEditingTank(null)
+        refreshTanks()
+      }
+    } catch (err) {
+      // Silently ignore update errors
+    }
+  }
+
+  const handleDeleteTank = async (id) => {
+    if (!confirm('Delete this tank?')) return
+    setTankError(null)
+    try {
+      const res = await fetch(`/api/tanks/${id}`, { method: 'DELETE' })
+      if (res.ok) {
+        refreshTanks()
+      } else {
+        const data = await res.json()
+        setTankError(data.error || 'Failed to delete tank')
+      }
+    } catch (err) {
+      setTankError('Connection error')
     }
   }
 
@@ -169,160 +280,382 @@ function Settings() {
         </div>
       </div>
 
-      {/* Pushover Notifications */}
+      {/* Display Units */}
       <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
         <div className="flex items-start gap-4">
           <div className="w-12 h-12 bg-kurz-orange kurz-border flex items-center justify-center flex-shrink-0">
-            <span className="material-symbols-outlined text-white text-xl">notifications</span>
+            <span className="material-symbols-outlined text-kurz-dark text-xl">straighten</span>
           </div>
           <div className="flex-1">
             <h3 className="font-display font-bold text-sm uppercase text-kurz-dark">
-              Pushover Notifications
+              Units
             </h3>
             <p className="text-[10px] text-slate-400 mt-1">
-              Get push notifications for alerts and maintenance reminders
+              Dashboard values, charts, test results and alert messages are converted to these units
             </p>
           </div>
         </div>
 
-        <div className="mt-4 pt-4 border-t-2 border-slate-100 space-y-4">
-          <div>
-            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
-              API Token (Application Key)
-            </label>
+        <div className="mt-4 pt-4 border-t-2 border-slate-100 grid grid-cols-2 gap-2">
+          {unitCatalogue.map(quantity => (
+            <div key={quantity.id}>
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                {quantity.label}
+              </label>
+              <select
+                value={settings[`unit_${quantity.id}`] || ''}
+                onChange={(e) => updateSetting(`unit_${quantity.id}`, e.target.value)}
+                disabled={saving}
+                className="w-full p-2 kurz-border bg-white text-kurz-dark font-bold text-sm"
+              >
+                <option value="">As stored</option>
+                {quantity.units.map(unit => (
+                  <option key={unit.id} value={unit.id}>{unit.symbol}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+        <p className="text-[9px] text-slate-400 mt-2">
+          Salinity conversions assume natural seawater at 25°C. Sensor settings and exports stay in the unit each sensor stores.
+        </p>
+      </div>
+
+      {/* Tanks */}
+      <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
+        <div className="flex items-start gap-4">
+          <div className="w-12 h-12 bg-kurz-blue kurz-border flex items-center justify-center flex-shrink-0">
+            <span className="material-symbols-outlined text-white text-xl">water</span>
+          </div>
+          <div className="flex-1">
+            <h3 className="font-display font-bold text-sm uppercase text-kurz-dark">
+              Tanks
+            </h3>
+            <p className="text-[10px] text-slate-400 mt-1">
+              Switch between tanks from the header. Each tank has its own sensors, specimens and logs
+            </p>
+          </div>
+        </div>
+
+        <div className="mt-4 pt-4 border-t-2 border-slate-100 space-y-2">
+          {tanks.map(tank => (
+            <div key={tank.id} className="p-2 bg-slate-50 kurz-border">
+              {editingTank === tank.id ? (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={tankEditForm.name}
+                    onChange={(e) => setTankEditForm({ ...tankEditForm, name: e.target.value })}
+                    className="flex-1 min-w-0 p-2 kurz-border text-sm"
+                  />
+                  <input
+                    type="number"
+                    step="any"
+                    value={tankEditForm.volume}
+                    onChange={(e) => setTankEditForm({ ...tankEditForm, volume: e.target.value })}
+                    placeholder="Litres"
+                    className="w-20 p-2 kurz-border text-sm"
+                  />
+                  <button
+                    onClick={() => handleUpdateTank(tank.id)}
+                    className="px-2 bg-kurz-green kurz-border text-[9px] font-bold uppercase text-kurz-dark"
+                  >
+                    Save
+                  </button>
+                  <button
+                    onClick={() => setEditingTank(null)}
+                    className="px-2 bg-slate-200 kurz-border text-[9px] font-bold uppercase text-kurz-dark"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <div className="flex items-center gap-3">
+                  <div className="flex-1">
+                    <p className="text-sm font-bold text-kurz-dark">
+                      {tank.name}
+                      {tank.volume !== null && (
+                        <span className="text-[10px] font-normal text-slate-400 ml-2">{tank.volume} L</span>
+                      )}
+                    </p>
+                    <p className="text-[9px] text-slate-400">
+                      {tank.sensor_count} sensors • {tank.specimen_count} specimens • {tank.task_count} tasks • {tank.parameter_count} parameters
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => {
+                      setEditingTank(tank.id)
+                      setTankEditForm({ name: tank.name, volume: tank.volume ?? '' })
+                    }}
+                    className="px-2 py-1 bg-kurz-blue kurz-border text-[8px] font-bold uppercase text-white"
+                  >
+                    Edit
+                  </button>
+                  {tanks.length > 1 && (
+                    <button
+                      onClick={() => handleDeleteTank(tank.id)}
+                      className="px-2 py-1 bg-kurz-pink kurz-border text-[8px] font-bold uppercase text-white"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+
+          {tankError && (
+            <p className="text-[10px] font-bold text-kurz-pink">{tankError}</p>
+          )}
+
+          <form onSubmit={handleAddTank} className="flex gap-2 pt-2">
             <input
               type="text"
-              value={settings.pushover_token || ''}
-              onChange={(e) => updateSetting('pushover_token', e.target.value)}
-              onFocus={(e) => {
-                if (e.target.value.startsWith('••••')) {
-                  setSettings(prev => ({ ...prev, pushover_token: '' }))
-                }
-              }}
-              placeholder="Your Pushover API Token"
-              disabled={saving}
-              className="w-full p-3 kurz-border bg-white text-kurz-dark font-mono text-sm placeholder:text-slate-300"
+              value={newTank.name}
+              onChange={(e) => setNewTank({ ...newTank, name: e.target.value })}
+              placeholder="e.g., Quarantine"
+              className="flex-1 min-w-0 p-2 kurz-border text-sm"
+              required
+            />
+            <input
+              type="number"
+              step="any"
+              value={newTank.volume}
+              onChange={(e) => setNewTank({ ...newTank, volume: e.target.value })}
+              placeholder="Litres"
+              className="w-20 p-2 kurz-border text-sm"
             />
-            <p className="text-[9px] text-slate-400 mt-1">
-              {settings.pushover_token?.startsWith('••••')
-                ? 'Token saved • Click to enter a new one'
-                : 'Create an application at pushover.net to get this token'}
+            <button
+              type="submit"
+              className="px-3 bg-kurz-cyan kurz-border text-[10px] font-bold uppercase text-kurz-dark"
+            >
+              Add
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {/* Notifications */}
+      <NotificationChannels
+        settings={settings}
+        onSettingChange={updateSetting}
+        saving={saving}
+      />
+
+      {/* MQTT */}
+      <MqttSettings />
+      <HomeAssistantSettings />
+
+      {/* Data Retention */}
+      <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
+        <div className="flex items-start gap-4">
+          <div className="w-12 h-12 bg-kurz-purple kurz-border flex items-center justify-center flex-shrink-0">
+            <span className="material-symbols-outlined text-white text-xl">database</span>
+          </div>
+          <div className="flex-1">
+            <h3 className="font-display font-bold text-sm uppercase text-kurz-dark">
+              Data Retention
+            </h3>
+            <p className="text-[10px] text-slate-400 mt-1">
+              Older readings are rolled up into hourly and daily averages
             </p>
           </div>
+        </div>
+
+        <div className="mt-4 pt-4 border-t-2 border-slate-100 space-y-4">
+          {[
+            {
+              key: 'retention_raw_days',
+              label: 'Raw Readings',
+              fallback: '7',
+              options: [{ value: '1', label: '1 Day' }, { value: '7', label: '7 Days' }, { value: '30', label: '30 Days' }]
+            },
+            {
+              key: 'retention_hourly_days',
+              label: 'Hourly Averages',
+              fallback: '90',
+              options: [{ value: '31', label: '1 Month' }, { value: '90', label: '3 Months' }, { value: '365', label: '1 Year' }]
+            },
+            {
+              key: 'retention_daily_days',
+              label: 'Daily Averages',
+              fallback: '0',
+              options: [{ value: '365', label: '1 Year' }, { value: '1825', label: '5 Years' }, { value: '0', label: 'Forever' }]
+            }
+          ].map(tier => (
+            <div key={tier.key}>
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
+                {tier.label}
+              </label>
+              <div className="flex gap-2 flex-wrap">
+                {tier.options.map(opt => (
+                  <button
+                    key={opt.value}
+                    onClick={() => updateSetting(tier.key, opt.value)}
+                    disabled={saving}
+                    className={`px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+                      (settings[tier.key] || tier.fallback) === opt.value
+                        ? 'bg-kurz-blue text-white'
+                        : 'bg-white text-slate-500'
+                    }`}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Backup & Restore */}
+      <div className="bg-white kurz-border kurz-card-shadow p-4 mb-4">
+        <div className="flex items-start gap-4">
+          <div className="w-12 h-12 bg-kurz-green kurz-border flex items-center justify-center flex-shrink-0">
+            <span className="material-symbols-outlined text-white text-xl">backup</span>
+          </div>
+          <div className="flex-1">
+            <h3 className="font-display font-bold text-sm uppercase text-kurz-dark">
+              Backup & Restore
+            </h3>
+            <p className="text-[10px] text-slate-400 mt-1">
+              Download everything, including specimen photos, or restore a previous backup
+            </p>
+          </div>
+        </div>
+
+        <div className="mt-4 pt-4 border-t-2 border-slate-100 space-y-4">
+          <div className="flex gap-2">
+            <a
+              href="/api/backup?format=sqlite"
+              className="flex-1 px-3 py-2 kurz-border bg-kurz-cyan text-kurz-dark text-[10px] font-bold uppercase tracking-wider flex items-center justify-center gap-1"
+            >
+              <span className="material-symbols-outlined text-sm">download</span>
+              Database
+            </a>
+            <a
+              href="/api/backup?format=json"
+              className="flex-1 px-3 py-2 kurz-border bg-white text-kurz-dark text-[10px] font-bold uppercase tracking-wider flex items-center justify-center gap-1"
+            >
+              <span className="material-symbols-outlined text-sm">download</span>
+              JSON
+            </a>
+          </div>
 
           <div>
             <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
-              User Key
+              Restore From File
             </label>
-            <input
-              type="text"
-              value={settings.pushover_user || ''}
-              onChange={(e) => updateSetting('pushover_user', e.target.value)}
-              onFocus={(e) => {
-                if (e.target.value.startsWith('••••')) {
-                  setSettings(prev => ({ ...prev, pushover_user: '' }))
-                }
-              }}
-              placeholder="Your Pushover User Key"
-              disabled={saving}
-              className="w-full p-3 kurz-border bg-white text-kurz-dark font-mono text-sm placeholder:text-slate-300"
-            />
-            <p className="text-[9px] text-slate-400 mt-1">
-              {settings.pushover_user?.startsWith('••••')
-                ? 'User key saved • Click to enter a new one'
-                : 'Found on your Pushover dashboard'}
+            <label className={`w-full px-3 py-2 kurz-border text-[10px] font-bold uppercase tracking-wider flex items-center justify-center gap-1 ${
+              restoring ? 'bg-slate-100 text-slate-400 cursor-not-allowed' : 'bg-kurz-pink text-white cursor-pointer'
+            }`}>
+              <span className="material-symbols-outlined text-sm">upload</span>
+              {restoring ? 'Restoring...' : 'Choose Backup (.db or .json)'}
+              <input
+                type="file"
+                accept=".db,.sqlite,.json,application/json"
+                onChange={handleRestore}
+                disabled={restoring}
+                className="hidden"
+              />
+            </label>
+            <p className="text-[8px] text-slate-400 mt-1">
+              Replaces all current data
             </p>
           </div>
 
-          <div className="flex items-center gap-3 pt-2">
-            <button
-              onClick={testPushover}
-              disabled={testingPushover || !settings.pushover_token || !settings.pushover_user}
-              className={`px-4 py-2 kurz-border text-[10px] font-bold uppercase tracking-wider transition-colors ${
-                testingPushover || !settings.pushover_token || !settings.pushover_user
-                  ? 'bg-slate-100 text-slate-400 cursor-not-allowed'
-                  : 'bg-kurz-cyan text-kurz-dark hover:bg-kurz-green'
-              }`}
-            >
-              {testingPushover ? 'Sending...' : 'Send Test'}
-            </button>
-            {pushoverStatus && (
-              <span className={`text-[10px] font-bold ${pushoverStatus.success ? 'text-kurz-green' : 'text-kurz-pink'}`}>
-                {pushoverStatus.message}
-              </span>
-            )}
-          </div>
+          {backupStatus && (
+            <p className={`text-[10px] font-bold ${backupStatus.success ? 'text-kurz-green' : 'text-kurz-pink'}`}>
+              {backupStatus.message}
+            </p>
+          )}
 
-          {/* Notification Options */}
           <div className="pt-4 border-t-2 border-slate-100">
-            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-3">
-              Notification Types
+            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-2">
+              Scheduled Backups
             </label>
+            <div className="flex gap-2 flex-wrap">
+              {[
+                { value: '0', label: 'Off' },
+                { value: '6', label: '6 Hours' },
+                { value: '12', label: '12 Hours' },
+                { value: '24', label: 'Daily' },
+                { value: '168', label: 'Weekly' }
+              ].map(opt => (
+                <button
+                  key={opt.value}
+                  onClick={() => updateSetting('backup_interval_hours', opt.value)}
+                  disabled={saving}
+                  className={`px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+                    (settings.backup_interval_hours || '0') === opt.value
+                      ? 'bg-kurz-blue text-white'
+                      : 'bg-white text-slate-500'
+                  }`}
+                >
+                  {opt.label}
+                </button>
+              ))}
+            </div>
 
-            <div className="space-y-3">
-              <div className="space-y-2">
-                <label className="flex items-center gap-3 cursor-pointer">
-                  <input
-                    type="checkbox"
-                    checked={settings.pushover_alerts !== '0'}
-                    onChange={(e) => updateSetting('pushover_alerts', e.target.checked ? '1' : '0')}
-                    disabled={saving}
-                    className="w-5 h-5 kurz-border rounded-none accent-kurz-blue"
-                  />
-                  <div>
-                    <span className="text-sm font-bold text-kurz-dark">Sensor Alerts</span>
-                    <p className="text-[9px] text-slate-400">When readings go out of range or offline</p>
-                  </div>
-                </label>
-
-                {settings.pushover_alerts !== '0' && (
-                  <div className="ml-8 mt-2">
-                    <label className="text-[9px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
-                      Repeat Alert Every
-                    </label>
-                    <div className="flex gap-2 flex-wrap">
-                      {[
-                        { value: '0', label: 'Never' },
-                        { value: '5', label: '5 Min' },
-                        { value: '30', label: '30 Min' },
-                        { value: '60', label: '1 Hour' },
-                        { value: '1440', label: '1 Day' }
-                      ].map(opt => (
-                        <button
-                          key={opt.value}
-                          onClick={() => updateSetting('pushover_alert_repeat', opt.value)}
-                          disabled={saving}
-                          className={`px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
-                            (settings.pushover_alert_repeat || '0') === opt.value
-                              ? 'bg-kurz-blue text-white'
-                              : 'bg-white text-slate-500'
-                          }`}
-                        >
-                          {opt.label}
-                        </button>
-                      ))}
-                    </div>
-                    <p className="text-[8px] text-slate-400 mt-1">
-                      Re-notify while sensor remains out of range or offline
-                    </p>
-                  </div>
-                )}
-              </div>
-
-              <label className="flex items-center gap-3 cursor-pointer">
-                <input
-                  type="checkbox"
-                  checked={settings.pushover_maintenance !== '0'}
-                  onChange={(e) => updateSetting('pushover_maintenance', e.target.checked ? '1' : '0')}
+            <label className="text-[9px] font-bold uppercase tracking-wider text-slate-400 block mt-3 mb-1">
+              Keep
+            </label>
+            <div className="flex gap-2 flex-wrap">
+              {['3', '7', '14', '30'].map(keep => (
+                <button
+                  key={keep}
+                  onClick={() => updateSetting('backup_keep', keep)}
                   disabled={saving}
-                  className="w-5 h-5 kurz-border rounded-none accent-kurz-blue"
-                />
-                <div>
-                  <span className="text-sm font-bold text-kurz-dark">Maintenance Reminders</span>
-                  <p className="text-[9px] text-slate-400">When tasks are due</p>
-                </div>
+                  className={`px-3 py-1.5 kurz-border text-[9px] font-bold uppercase ${
+                    (settings.backup_keep || '7') === keep
+                      ? 'bg-kurz-blue text-white'
+                      : 'bg-white text-slate-500'
+                  }`}
+                >
+                  {keep}
+                </button>
+              ))}
+            </div>
+            <p className="text-[8px] text-slate-400 mt-1">
+              Saved to the backups folder in the data directory, oldest removed first
+            </p>
+          </div>
+
+          <div className="pt-4 border-t-2 border-slate-100">
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400">
+                Local Backups
               </label>
+              <button
+                onClick={createBackup}
+                className="px-2 py-1 bg-kurz-blue kurz-border text-[8px] font-bold uppercase text-white"
+              >
+                Back Up Now
+              </button>
             </div>
+            {backups.length === 0 ? (
+              <p className="text-[10px] text-slate-400">No local backups yet</p>
+            ) : (
+              <div className="space-y-1">
+                {backups.map(b => (
+                  <a
+                    key={b.name}
+                    href={`/api/backups/${b.name}`}
+                    className="flex items-center justify-between p-2 bg-slate-50 border-2 border-slate-100"
+                  >
+                    <div>
+                      <p className="text-[10px] font-bold text-kurz-dark">
+                        {new Date(b.created_at).toLocaleString('en-US', { timeZone: settings.timezone || 'UTC', dateStyle: 'medium', timeStyle: 'short' })}
+                      </p>
+                      <p className="text-[8px] font-bold uppercase text-slate-400">
+                        {b.kind.replace('-', ' ')} • {formatBytes(b.size)}
+                      </p>
+                    </div>
+                    <span className="material-symbols-outlined text-slate-400 text-sm">download</span>
+                  </a>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from 'react'
 import { useSettings } from '../context/SettingsContext'
+import { useTank } from '../context/TankContext'
 
 const healthOptions = [
   { value: 'excellent', label: 'Excellent', color: 'bg-kurz-green' },
@@ -20,6 +21,7 @@ function Specimens() {
   const fileInputRef = useRef(null)
   const editFileInputRef = useRef(null)
   const { formatDateOnly, formatRelativeDate, formatTime, formatAge, getDateString } = useSettings()
+  const { tanks, selectedTankId, tankQuery } = useTank()
 
   const [newSpecimen, setNewSpecimen] = useState({
     name: '',
@@ -42,7 +44,7 @@ function Specimens() {
 
   const fetchSpecimens = async () => {
     try {
-      const res = await fetch('/api/specimens')
+      const res = await fetch(`/api/specimens${tankQuery()}`)
       if (res.ok) {
         const data = await res.json()
         setSpecimens(data)
@@ -68,7 +70,7 @@ function Specimens() {
 
   useEffect(() => {
     fetchSpecimens()
-  }, [])
+  }, [selectedTankId])
 
   useEffect(() => {
     if (expandedSpecimen) {
@@ -100,7 +102,7 @@ function Specimens() {
 
   const handleAddSpecimen = async (e) => {
     e.preventDefault()
-    const specimenToAdd = { ...newSpecimen }
+    const specimenToAdd = { ...newSpecimen, tank_id: selectedTankId }
 
     // Optimistic UI: close form and reset immediately
     setNewSpecimen({
@@ -223,7 +225,8 @@ function Specimens() {
       species: specimen.species || '',
       health: specimen.health,
       acquired_at: specimen.acquired_at?.split('T')[0] || '',
-      image: specimen.image
+      image: specimen.image,
+      tank_id: specimen.tank_id
     })
   }
 
@@ -544,6 +547,24 @@ function Specimens() {
                           />
                         </div>
 
+                        {/* Tank - e.g. moving from quarantine to the display tank */}
+                        {tanks.length > 1 && (
+                          <div>
+                            <label className="text-[10px] font-bold uppercase tracking-wider text-slate-400 block mb-1">
+                              Tank
+                            </label>
+                            <select
+                              value={editForm.tank_id || ''}
+                              onChange={(e) => setEditForm({ ...editForm, tank_id: e.target.value })}
+                              className="w-full p-2 kurz-border text-sm bg-white"
+                            >
+                              {tanks.map(tank => (
+                                <option key={tank.id} value={tank.id}>{tank.name}</option>
+                              ))}
+                            </select>
+                          </div>
+                        )}
+
                         <div className="flex gap-2 pt-2">
                           <button
                             onClick={() => handleSaveEdit(specimen.id)}